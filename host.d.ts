@@ -0,0 +1,94 @@
+// Type definitions for wk-postmessenger/dist/WKPostMessengerHost
+
+import WKPostMessenger, {
+  Codec,
+  CodecOptions,
+  Feature,
+  SendOptions,
+  Trace,
+  Transport,
+} from './index';
+
+export interface HostOptions {
+  scriptMessageHandler?: string;
+  latency?: number | ((payload: any) => number);
+  dropRate?: number;
+  random?: () => number;
+  protocol?: number;
+  features?: Array<Feature | string>;
+  app?: { [key: string]: any };
+  chunkSize?: number;
+  messageTimeout?: number;
+  auth?: 'secret' | 'hmac' | false;
+  codec?: boolean | CodecOptions | Codec;
+  install?: boolean;
+}
+
+export interface HostHandlerContext {
+  id: string;
+  action: string;
+  payload: any;
+  signal: AbortSignal;
+}
+
+export type HostHandler<D = any, R = any> = (
+  data: D,
+  context: HostHandlerContext,
+) => R | Promise<R> | AsyncIterable<any>;
+
+export interface ReplayOptions {
+  speed?: number;
+  timeout?: number;
+  ignore?: string[];
+  secret?: string;
+}
+
+export interface ReplayDifference {
+  index: number;
+  kind: 'changed' | 'missing' | 'unexpected';
+  path?: string;
+  expected?: any;
+  actual?: any;
+}
+
+export interface ReplayReport {
+  matched: boolean;
+  differences: ReplayDifference[];
+  outbound: { expected: number; actual: number };
+}
+
+declare class WKPostMessengerHost {
+  static replayTrace(
+    trace: Trace | string,
+    createMessenger: (transport: Transport) => WKPostMessenger<any, any>,
+    options?: ReplayOptions,
+  ): Promise<ReplayReport>;
+
+  constructor(options?: HostOptions);
+
+  target: { postMessage(payload: any): void };
+  messages: any[];
+  subscriptions: string[];
+  handlerGlobal: string | null;
+  client: { [key: string]: any } | null;
+
+  install(): this;
+  uninstall(): this;
+  handle<D = any, R = any>(action: string, handler: HostHandler<D, R>): this;
+  unhandle(action: string): this;
+  failNext(action: string | undefined, error: any, count?: number): this;
+  dropNext(action?: string, count?: number): this;
+  sendMessage<R = any>(
+    action: string,
+    data?: any,
+    options?: Pick<SendOptions, 'timeout' | 'onProgress' | 'signal'> & { channel?: string },
+  ): Promise<R>;
+  emit(event: string, data?: any, options?: { channel?: string }): void;
+  reset(): Promise<string>;
+  waitForHandshake(next?: boolean): Promise<string>;
+  on(event: string, listener: (data: any) => void): this;
+  off(event: string, listener?: (data: any) => void): this;
+  destroy(): void;
+}
+
+export default WKPostMessengerHost;
@@ -0,0 +1,516 @@
+// Type definitions for wk-postmessenger
+
+export type ConnectionState = 'disconnected' | 'connecting' | 'connected' | 'reconnecting' | 'closed';
+
+export type ErrorCode =
+  | 'UNKNOWN'
+  | 'TIMEOUT'
+  | 'HANDLER_ERROR'
+  | 'UNKNOWN_ACTION'
+  | 'REMOTE_ERROR'
+  | 'DESTROYED'
+  | 'ABORTED'
+  | 'CHUNK_LOST'
+  | 'CHECKSUM_MISMATCH'
+  | 'VALIDATION_ERROR';
+
+export interface RetryPolicy {
+  attempts?: number;
+  delay?: number;
+  maxDelay?: number;
+  factor?: number;
+  jitter?: number;
+}
+
+export interface StorageLike {
+  getItem(key: string): string | null;
+  setItem(key: string, value: string): void;
+  removeItem(key: string): void;
+}
+
+export interface BatchOptions {
+  window?: number;
+  maxSize?: number;
+}
+
+/**
+ * Subset of JSON Schema supported by contracts
+ */
+export interface Schema {
+  type?: SchemaType | SchemaType[];
+  enum?: any[];
+  properties?: { [key: string]: Schema };
+  required?: string[];
+  additionalProperties?: boolean | Schema;
+  items?: Schema;
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  anyOf?: Schema[];
+}
+
+export type SchemaType =
+  | 'string'
+  | 'number'
+  | 'integer'
+  | 'boolean'
+  | 'object'
+  | 'array'
+  | 'null'
+  | 'any';
+
+export interface Contract {
+  name: string;
+  request?: Schema;
+  response?: Schema;
+  direction?: 'outbound' | 'inbound' | 'both';
+  timeout?: number;
+  method?: string;
+}
+
+export interface Violation {
+  path: string;
+  message: string;
+}
+
+export interface SendOptions<P = any> {
+  timeout?: number;
+  signal?: AbortSignal;
+  onProgress?: (data: P) => void;
+  retry?: RetryPolicy | number;
+  durable?: boolean;
+  priority?: Priority;
+  serial?: boolean | string;
+}
+
+export type Priority = 'high' | 'normal' | 'low' | number;
+
+export interface QueueStats {
+  maxInFlight: number;
+  inFlight: number;
+  queued: number;
+  byPriority: { [priority: string]: number };
+  oldestWait: number;
+  averageWait: number;
+  maxWait: number;
+}
+
+export interface HandlerContext {
+  action: string;
+  id: string;
+  signal: AbortSignal;
+  channel?: string;
+}
+
+export type Handler<D = any, R = any> = (
+  data: D,
+  context: HandlerContext,
+) => R | Promise<R> | AsyncIterable<any>;
+
+export type Feature =
+  | 'errors'
+  | 'progress'
+  | 'cancel'
+  | 'events'
+  | 'subscriptions'
+  | 'batch'
+  | 'chunk'
+  | 'reset'
+  | 'channels'
+  | 'codec'
+  | 'heartbeat';
+
+export interface RemoteInfo {
+  protocol: number;
+  features: Array<Feature | string>;
+  app: { [key: string]: any };
+}
+
+/**
+ * Carries payloads between the webview and the app
+ */
+export interface Transport {
+  name: string;
+  send(payload: any): void;
+  listen?(receive: (payload: any) => void): () => void;
+  target?: any;
+}
+
+export interface MiddlewareContext {
+  direction: 'outbound' | 'inbound';
+  id: string;
+  action: string;
+  data: any;
+  channel?: string;
+  envelope: { [key: string]: any };
+  signal?: AbortSignal;
+}
+
+export type MiddlewareHook = (context: MiddlewareContext, next: () => Promise<any>) => any;
+
+export interface Middleware {
+  outbound?: MiddlewareHook;
+  inbound?: MiddlewareHook;
+}
+
+export type InspectorOutcome =
+  | 'pending'
+  | 'resolved'
+  | 'rejected'
+  | 'timeout'
+  | 'late'
+  | 'aborted'
+  | 'destroyed';
+
+export interface InspectorEntry {
+  seq: number;
+  id?: string;
+  action: string;
+  direction: 'outbound' | 'inbound';
+  size: number | null;
+  time: number;
+  outcome?: InspectorOutcome;
+  settledAt?: number;
+  latency?: number;
+  frame?: string;
+  event?: string;
+  error?: ErrorCode | string;
+  channel?: string;
+}
+
+export interface Inspector {
+  entries(): InspectorEntry[];
+  clear(): void;
+  subscribe(listener: (entry: InspectorEntry) => void): () => void;
+  toJSON(): { [key: string]: any; exportedAt: string; entries: InspectorEntry[] };
+}
+
+export interface InspectOptions {
+  size?: number;
+  overlay?: boolean | { container?: Element; rows?: number };
+}
+
+export interface HardenedOptions {
+  auth?: 'secret' | 'hmac';
+  secret?: string;
+}
+
+export interface SecurityViolation {
+  reason: 'missing' | 'invalid';
+  id: string;
+  action: string;
+}
+
+export interface SignedEnvelope {
+  id: string;
+  action: string;
+  data?: any;
+  channel?: string;
+  error?: any;
+  frame?: string;
+}
+
+export interface CodecType<T = any, E = any> {
+  name: string;
+  test(value: any): boolean;
+  encode(value: T): E;
+  decode(value: E): T;
+}
+
+export interface Codec {
+  encode(value: any): any;
+  decode(value: any): any;
+}
+
+export interface BuiltInCodec extends Codec {
+  register(type: CodecType): this;
+}
+
+export interface CodecOptions {
+  types?: CodecType[];
+}
+
+export interface HeartbeatOptions {
+  interval?: number;
+  timeout?: number;
+  maxMissed?: number;
+}
+
+export interface DedupeOptions {
+  ttl?: number;
+  maxSize?: number;
+}
+
+export interface TraceEntry {
+  seq: number;
+  time: number;
+  direction: 'outbound' | 'inbound';
+  route?: 'handler' | 'callback' | 'transport';
+  payload: any;
+}
+
+export interface Trace {
+  [key: string]: any;
+  version: number;
+  library?: string;
+  transport?: string;
+  handlerGlobal?: string;
+  callbackGlobal?: string;
+  startedAt: string;
+  truncated: boolean;
+  entries: TraceEntry[];
+}
+
+export interface Recorder {
+  entries(): TraceEntry[];
+  clear(): void;
+  toJSON(): Trace;
+}
+
+export interface RecordOptions {
+  maxEntries?: number;
+}
+
+export type TransportName = 'auto' | 'webkit' | 'android' | 'react-native' | 'postmessage';
+
+export interface MessengerOptions {
+  handleMessage?: (action: string, data: any, context: { id: string; signal: AbortSignal }) => any;
+  scriptMessageHandler?: string;
+  handlerGlobal?: string;
+  callbackGlobal?: string;
+  handshakeTimeout?: number;
+  messageTimeout?: number;
+  idGenerator?: { next(): { value: string | number } };
+  autoHandshake?: boolean;
+  reconnectAfterTimeouts?: number;
+  reconnectAttempts?: number;
+  reconnectDelay?: number;
+  reconnectMaxDelay?: number;
+  subscribeEvents?: boolean;
+  retry?: RetryPolicy | number;
+  persist?: 'session' | 'local' | StorageLike;
+  persistKey?: string;
+  batch?: boolean | BatchOptions;
+  chunkSize?: number;
+  chunkTimeout?: number;
+  contracts?: Contract[];
+  validation?: 'strict' | 'warn' | false;
+  apiActionName?: (path: string[]) => string;
+  clientInfo?: { [key: string]: any };
+  transport?: TransportName | Transport;
+  targetOrigin?: string;
+  allowedOrigins?: string[];
+  middleware?: Middleware[];
+  inspect?: boolean | InspectOptions;
+  hardened?: boolean | HardenedOptions;
+  codec?: boolean | CodecOptions | Codec;
+  heartbeat?: boolean | HeartbeatOptions;
+  maxInFlight?: number;
+  dedupe?: boolean | DedupeOptions;
+  record?: boolean | RecordOptions;
+}
+
+export interface ChannelOptions {
+  handleMessage?: (
+    action: string,
+    data: any,
+    context: HandlerContext,
+  ) => any;
+  messageTimeout?: number;
+  retry?: RetryPolicy | number;
+}
+
+export interface TransferProgress {
+  id: string;
+  direction: 'outbound' | 'inbound';
+  loaded: number;
+  total: number;
+}
+
+type Unpromise<T> = T extends Promise<infer U> ? U : T;
+
+/**
+ * Client for any action, when the API isn't described by an interface
+ */
+export interface DynamicApi {
+  (data?: any, options?: SendOptions): Promise<any>;
+  [key: string]: DynamicApi;
+}
+
+/**
+ * Client for an API described by an interface, where every method takes the message data and
+ * resolves with the result
+ */
+export type RemoteApi<T> = 0 extends (1 & T) ? DynamicApi : {
+  [K in keyof T]: T[K] extends () => infer R
+    ? (data?: undefined, options?: SendOptions) => Promise<Unpromise<R>>
+    : T[K] extends (data: infer D) => infer R
+      ? (data: D, options?: SendOptions) => Promise<Unpromise<R>>
+      : RemoteApi<T[K]>;
+};
+
+/**
+ * An object whose methods can be exposed to the app
+ */
+export type ExposedApi<T> = {
+  [K in keyof T]: T[K] extends (data: infer D) => infer R
+    ? (data: D, context: HandlerContext) => R | Promise<Unpromise<R>>
+    : ExposedApi<T[K]>;
+};
+
+export interface MessageStream<T = any, R = any> extends AsyncIterableIterator<T> {
+  result: Promise<R>;
+}
+
+declare class WKPostMessengerError extends Error {
+  constructor(message: string, code?: ErrorCode | string, details?: any);
+  code: ErrorCode | string;
+  details?: any;
+}
+
+declare class TimeoutError extends WKPostMessengerError {
+  constructor(message: string, details?: any);
+}
+
+declare class UnknownActionError extends WKPostMessengerError {
+  constructor(action: string);
+}
+
+declare class DestroyedError extends WKPostMessengerError {
+  constructor(message?: string);
+}
+
+declare class AbortError extends WKPostMessengerError {
+  constructor(message?: string, details?: any);
+}
+
+declare class TransferError extends WKPostMessengerError {
+  constructor(message: string, code: ErrorCode, details?: any);
+}
+
+declare class ValidationError extends WKPostMessengerError {
+  constructor(message: string, details: {
+    action: string;
+    part: 'request' | 'response';
+    violations: Violation[];
+  });
+}
+
+declare class RemoteError extends WKPostMessengerError {
+  constructor(message: string, code?: ErrorCode | string, details?: any, remoteName?: string);
+  remoteName?: string;
+}
+
+/**
+ * Named part of a connection, with its own handlers, timeouts and lifecycle
+ */
+declare class WKPostMessengerChannel {
+  readonly name: string;
+  readonly state: ConnectionState;
+  closed: Promise<void>;
+  handleMessage?: ChannelOptions['handleMessage'];
+
+  sendMessage<R = any>(action: string, data?: any, options?: SendOptions | number): Promise<R>;
+  stream<T = any, R = any>(
+    action: string,
+    data?: any,
+    options?: SendOptions<T> | number,
+  ): MessageStream<T, R>;
+  handle<D = any, R = any>(action: string, handler: Handler<D, R>): this;
+  unhandle(action: string): this;
+  on(event: string, listener: (data: any) => void): this;
+  off(event: string, listener?: (data: any) => void): this;
+  emit(event: string, data?: any): Promise<void>;
+  destroy(): Promise<void>;
+}
+
+/**
+ * @typeParam Native - interface of the actions the app handles, for `api`
+ * @typeParam Web - interface of the actions the webview handles, for `expose`
+ */
+declare class WKPostMessenger<Native = any, Web = any> {
+  static VERSION: string;
+  static PROTOCOL_VERSION: number;
+  static FEATURES: {
+    ERRORS: 'errors';
+    PROGRESS: 'progress';
+    CANCEL: 'cancel';
+    EVENTS: 'events';
+    SUBSCRIPTIONS: 'subscriptions';
+    BATCH: 'batch';
+    CHUNK: 'chunk';
+    RESET: 'reset';
+    CHANNELS: 'channels';
+    CODEC: 'codec';
+    HEARTBEAT: 'heartbeat';
+  };
+  static CONNECTION_STATES: {
+    DISCONNECTED: 'disconnected';
+    CONNECTING: 'connecting';
+    CONNECTED: 'connected';
+    RECONNECTING: 'reconnecting';
+    CLOSED: 'closed';
+  };
+  static ERROR_CODES: { [K in ErrorCode]: K };
+  static WKPostMessengerError: typeof WKPostMessengerError;
+  static TimeoutError: typeof TimeoutError;
+  static UnknownActionError: typeof UnknownActionError;
+  static DestroyedError: typeof DestroyedError;
+  static AbortError: typeof AbortError;
+  static TransferError: typeof TransferError;
+  static ValidationError: typeof ValidationError;
+  static RemoteError: typeof RemoteError;
+  static signEnvelope(secret: string, envelope: SignedEnvelope): string;
+  static createCodec(options?: CodecOptions): BuiltInCodec;
+
+  constructor(options?: MessengerOptions);
+
+  state: ConnectionState;
+  closed: Promise<void>;
+  remote: RemoteInfo | null;
+  transport: Transport;
+  parent: any;
+  inspector: Inspector | null;
+  recorder: Recorder | null;
+  codec: Codec | null;
+  readonly healthy: boolean;
+  handleMessage?: MessengerOptions['handleMessage'];
+  readonly api: RemoteApi<Native>;
+
+  sendHandshake(): Promise<void>;
+  reconnect(): Promise<void>;
+  sendMessage<R = any>(action: string, data?: any, options?: SendOptions | number): Promise<R>;
+  stream<T = any, R = any>(
+    action: string,
+    data?: any,
+    options?: SendOptions<T> | number,
+  ): MessageStream<T, R>;
+  getQueueStats(): QueueStats;
+
+  handle<D = any, R = any>(action: string, handler: Handler<D, R>): this;
+  unhandle(action: string): this;
+  expose(object: Partial<ExposedApi<Web>>): this;
+  expose(namespace: string, object: object): this;
+  contract(contract: Contract): this;
+  use(middleware: Middleware): this;
+  channel(name: string, options?: ChannelOptions): WKPostMessengerChannel;
+
+  on(event: 'statechange', listener: (state: ConnectionState, previous: ConnectionState) => void): this;
+  on(event: ConnectionState, listener: (previous: ConnectionState) => void): this;
+  on(event: 'transferprogress', listener: (progress: TransferProgress) => void): this;
+  on(event: 'validationerror', listener: (error: ValidationError) => void): this;
+  on(event: 'security', listener: (violation: SecurityViolation) => void): this;
+  on(event: 'healthy', listener: () => void): this;
+  on(event: 'unhealthy', listener: (info: { missed: number }) => void): this;
+  on(event: string, listener: (data: any) => void): this;
+  off(event: string, listener?: (...args: any[]) => void): this;
+  emit(event: string, data?: any): Promise<void>;
+
+  destroy(): Promise<void>;
+}
+
+export default WKPostMessenger;
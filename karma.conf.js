@@ -22,7 +22,7 @@ module.exports = (config) => {
         babel(),
         nodeResolve({ jsnext: true }),
         istanbul({
-          include: 'src/WKPostMessenger.js',
+          include: 'src/**/*.js',
           instrumenterConfig: {
             embedSource: true,
           },
@@ -0,0 +1,16 @@
+import json from 'rollup-plugin-json';
+import babel from 'rollup-plugin-babel';
+import nodeResolve from 'rollup-plugin-node-resolve';
+
+export default {
+  entry: 'src/codegenCli.js',
+  format: 'cjs',
+  banner: '#!/usr/bin/env node',
+  external: ['fs', 'path'],
+  plugins: [
+    json(),
+    babel(),
+    nodeResolve({ jsnext: true }),
+  ],
+  dest: 'dist/wk-postmessenger-codegen.js',
+};
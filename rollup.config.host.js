@@ -0,0 +1,16 @@
+import json from 'rollup-plugin-json';
+import babel from 'rollup-plugin-babel';
+import nodeResolve from 'rollup-plugin-node-resolve';
+
+export default {
+  entry: 'src/WKPostMessengerHost.js',
+  plugins: [
+    json(),
+    babel(),
+    nodeResolve({ jsnext: true }),
+  ],
+  targets: [
+    { dest: 'dist/WKPostMessengerHost.js', format: 'cjs' },
+    { dest: 'dist/WKPostMessengerHost.es2015.js', format: 'es' },
+  ],
+};
@@ -1,10 +1,91 @@
 import eemit from 'eemit';
 import { version } from '../package.json';
+import {
+  ERROR_CODES,
+  WKPostMessengerError,
+  TimeoutError,
+  UnknownActionError,
+  DestroyedError,
+  AbortError,
+  TransferError,
+  ValidationError,
+  RemoteError,
+  serializeError,
+  deserializeError,
+} from './errors';
+import { createAbortController, onAbort } from './abort';
+import { getAsyncIterator, streamMessage } from './stream';
+import { normalizeRetryPolicy, getRetryDelay, wait } from './retry';
+import { resolveStorage, createDurableQueue } from './queue';
+import { splitPayload, createReassembler } from './chunks';
+import { CONTRACT_DIRECTIONS, normalizeContract, checkContract } from './contracts';
+import { dotActionName, createApi, listMethods } from './api';
+import {
+  PROTOCOL_VERSION,
+  FEATURES,
+  HANDSHAKE_ACTION,
+  CALLBACK_ACTION,
+  RESET_ACTION,
+  CANCEL_ACTION,
+  EVENT_ACTION,
+  SUBSCRIBE_ACTION,
+  UNSUBSCRIBE_ACTION,
+  BATCH_ACTION,
+  CHUNK_ACTION,
+  PING_ACTION,
+  PROGRESS_FRAME,
+  getMessageType,
+  parseHandshakeResult,
+  canUseFeature,
+} from './protocol';
+import { resolveTransport } from './transports';
+import { MIDDLEWARE_DIRECTIONS, normalizeMiddleware, runMiddleware } from './middleware';
+import { OUTCOMES, createInspector } from './inspector';
+import { createInspectorOverlay } from './overlay';
+import { AUTH_MODES, checkAuth, createSecret, signEnvelope } from './auth';
+import { createCodec, resolveCodec } from './codec';
+import { createHeartbeat } from './heartbeat';
+import { PRIORITIES, createScheduler } from './scheduler';
+import { createInboundCache } from './dedupe';
+import createListenerRegistry from './listeners';
+import { INBOUND_ROUTES, createRecorder } from './recorder';
+import WKPostMessengerChannel from './WKPostMessengerChannel';
 
 const DEFAULT_TIMEOUT = 3000;
-const HANDSHAKE_ACTION = '__WK_HANDSHAKE__';
-const CALLBACK_ACTION = '__WK_CALLBACK__';
-const MESSAGE_TYPE = 'application/x-wkpostmessenger-v1+json';
+const CHUNK_FRAME = 'chunk';
+const WILDCARD = '*';
+const NAMESPACE_SEPARATOR = '.';
+
+/**
+ * Connection states, each of which is also emitted as an event when the instance enters it
+ */
+const CONNECTION_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed',
+};
+const STATE_CHANGE_EVENT = 'statechange';
+const TRANSFER_PROGRESS_EVENT = 'transferprogress';
+const VALIDATION_ERROR_EVENT = 'validationerror';
+const SECURITY_EVENT = 'security';
+const HEALTHY_EVENT = 'healthy';
+const UNHEALTHY_EVENT = 'unhealthy';
+
+/**
+ * Events emitted by the instance itself, which the app is not allowed to emit
+ */
+const RESERVED_EVENTS = Object.keys(CONNECTION_STATES)
+  .map(key => CONNECTION_STATES[key])
+  .concat(
+    STATE_CHANGE_EVENT,
+    TRANSFER_PROGRESS_EVENT,
+    VALIDATION_ERROR_EVENT,
+    SECURITY_EVENT,
+    HEALTHY_EVENT,
+    UNHEALTHY_EVENT,
+  );
 
 /**
  * This could be a legit ES6 generator, but rather than accept the bloat from transpiling a
@@ -28,6 +109,15 @@ const timestampIdGenerator = () => {
   };
 };
 
+/**
+ * Gets the extra payload fields for something sent on a channel
+ *
+ * @param  {string} [channel] - name of the channel, if there is one
+ *
+ * @return {Object|undefined}
+ */
+const channelEnvelope = channel => (channel ? { channel } : undefined);
+
 /**
  * WKPostMessenger creates a synced channel via postMessage to facilitate communication between a
  * webview and the iOS application where it lives.
@@ -36,13 +126,52 @@ const timestampIdGenerator = () => {
 class WKPostMessenger {
   _connecting = false;
   _connected = false;
+  _destroyed = false;
+  _handlers = {};
+  _pending = {};
+  _inbound = {};
+  _outbound = {};
+  _contracts = {};
+  _middleware = [];
+  _channels = {};
+  _timeouts = 0;
+  _reconnect = null;
+  _hardened = null;
+  _heartbeat = null;
+
+  /**
+   * Current connection state, one of WKPostMessenger.CONNECTION_STATES
+   *
+   * @type {string}
+   */
+  state = CONNECTION_STATES.DISCONNECTED;
+
+  /**
+   * What the app told us about itself when it acknowledged the last handshake: the `protocol`
+   * version both sides speak, the `features` the app supports and its `app` metadata. Null until
+   * the first handshake is acknowledged.
+   *
+   * @type {Object|null}
+   */
+  remote = null;
+
+  _messageType = getMessageType(1);
 
   /**
    * Creates a WKPostMessenger instances
    *
    * @param  {Object} options - instance options
-   * @param  {Function} options.handleMessage - function to call when a message is received
-   * @param  {string} [options.scriptMessageHandler] - message handler registered on the iOS side
+   * @param  {Function} [options.handleMessage] - fallback function to call when a message is
+   *         received that does not have a handler registered with `handle`
+   * @param  {string} [options.scriptMessageHandler] - message handler registered on the iOS side,
+   *         which is also the name of the JavaScript interface for the Android transport
+   * @param  {string|Object} [options.transport] - `auto` to detect the host, the name of a built-in
+   *         transport (`webkit`, `android`, `react-native` or `postmessage`), or a custom transport
+   *         (see transports.js)
+   * @param  {string} [options.targetOrigin] - origin of the parent window, for the `postmessage`
+   *         transport
+   * @param  {Array} [options.allowedOrigins] - origins that the `postmessage` transport accepts
+   *         messages from, just the target origin by default
    * @param  {string} [options.handlerGlobal] - name of the global handler function that iOS
    *         invokes when sending a message
    * @param  {string} [options.callbackGlobal] - name of the global callback function that iOS
@@ -55,169 +184,2085 @@ class WKPostMessenger {
    *         use when sending a new message
    * @param  {boolean} [autoHandshake] - set to false to require explicitly calling sendHandshake or
    *         sendMessage to initiate the handshake
+   * @param  {number} [reconnectAfterTimeouts] - number of consecutive message timeouts after which
+   *         the handshake is sent again, or 0 to never reconnect automatically
+   * @param  {number} [reconnectAttempts] - number of handshakes to attempt when reconnecting before
+   *         giving up and rejecting any queued messages
+   * @param  {number} [reconnectDelay] - milliseconds to wait after the first failed reconnect
+   *         attempt, doubling after each subsequent failure
+   * @param  {number} [reconnectMaxDelay] - upper limit for the delay between reconnect attempts
+   * @param  {boolean} [subscribeEvents] - set to true to let the app know which events have
+   *         listeners by sending `__WK_SUBSCRIBE__` and `__WK_UNSUBSCRIBE__` messages
+   * @param  {Object|number} [retry] - default retry policy for messages that time out (see
+   *         `sendMessage`). By default, messages are not retried.
+   * @param  {string|Storage} [persist] - `session` or `local` to keep durable messages in
+   *         sessionStorage or localStorage until the app acknowledges them, or a Storage object
+   * @param  {string} [persistKey] - storage key for durable messages
+   * @param  {boolean|Object} [batch] - set to true to combine everything posted to the app in the
+   *         same tick into a single `__WK_BATCH__` message
+   * @param  {number} [batch.window] - milliseconds to collect messages for each batch, instead of
+   *         just the current tick
+   * @param  {number} [batch.maxSize] - number of messages that sends a batch right away
+   * @param  {number} [chunkSize] - split anything posted to the app whose data serializes to more
+   *         than this many characters into `__WK_CHUNK__` frames, or 0 to never split
+   * @param  {number} [chunkTimeout] - milliseconds to wait for the next chunk of a message from the
+   *         app before giving up on it. Defaults to the message timeout.
+   * @param  {Array} [contracts] - contracts to declare right away (see `contract`)
+   * @param  {string|boolean} [validation] - `strict` to reject anything that breaks a contract,
+   *         `warn` to only log and emit `validationerror`, or false to skip validation
+   * @param  {Function} [apiActionName] - converts the path of a method in `api` or `expose` that
+   *         has no contract to an action name. By default, the path is joined with dots.
+   * @param  {Object} [clientInfo] - metadata about the web app to send along with the handshake,
+   *         like its build number
+   * @param  {Array} [middleware] - middleware to add right away (see `use`)
+   * @param  {boolean|Object} [inspect] - set to true to log every payload in both directions to
+   *         `inspector`, for debugging
+   * @param  {number} [inspect.size] - number of entries to keep in the log
+   * @param  {boolean|Object} [inspect.overlay] - set to true to show the log in a panel on top of
+   *         the page, or to the options for `createInspectorOverlay`
+   * @param  {boolean|Object} [hardened] - set to true to only accept calls from the app that carry
+   *         the secret sent with the handshake, and to make the global functions read-only
+   * @param  {string} [hardened.auth] - `secret` to accept the secret or the signature of each call,
+   *         or `hmac` to accept only signatures (see auth.js)
+   * @param  {string} [hardened.secret] - secret to use instead of a random one
+   * @param  {boolean|Object} [codec] - set to true to keep values like Dates, Maps and binary
+   *         data intact in both directions (see codec.js), to the options for `createCodec`, or
+   *         to a custom codec with `encode` and `decode` functions
+   * @param  {boolean|Object} [heartbeat] - set to true to ping the app at an interval while
+   *         connected, and emit `unhealthy` when it stops answering
+   * @param  {number} [heartbeat.interval] - milliseconds between pings
+   * @param  {number} [heartbeat.timeout] - milliseconds to wait for each ping to be answered.
+   *         Defaults to the message timeout.
+   * @param  {number} [heartbeat.maxMissed] - number of consecutive unanswered pings after which
+   *         the connection is unhealthy
+   * @param  {number} [maxInFlight] - number of messages that can wait for acknowledgment at once,
+   *         or 0 for no limit. Messages beyond the limit are queued by priority.
+   * @param  {boolean|Object} [dedupe] - set to true to answer messages that the app sends again
+   *         with the same ID with the reply to the first one, instead of handling them twice
+   * @param  {number} [dedupe.ttl] - milliseconds to remember a message after it is answered
+   * @param  {number} [dedupe.maxSize] - number of recent messages to remember
+   * @param  {boolean|Object} [record] - set to true to record every payload in both directions,
+   *         with its data and timing, to `recorder`, so that the session can be replayed. The
+   *         secret of hardened mode is left out.
+   * @param  {number} [record.maxEntries] - number of entries to record before stopping
    */
   constructor({
     handleMessage,
     scriptMessageHandler = 'wkPostMessage',
+    transport = 'auto',
+    targetOrigin,
+    allowedOrigins,
     handlerGlobal = 'wkPostMessengerHandleMessage',
     callbackGlobal = 'wkPostMessengerCallback',
     handshakeTimeout = DEFAULT_TIMEOUT,
     messageTimeout = DEFAULT_TIMEOUT,
     idGenerator = timestampIdGenerator(),
     autoHandshake = true,
+    reconnectAfterTimeouts = 2,
+    reconnectAttempts = 5,
+    reconnectDelay = 250,
+    reconnectMaxDelay = 8000,
+    subscribeEvents = false,
+    retry,
+    persist,
+    persistKey = `wkPostMessenger:${handlerGlobal}:queue`,
+    batch = false,
+    chunkSize = 0,
+    chunkTimeout = messageTimeout,
+    contracts = [],
+    validation = 'strict',
+    apiActionName = dotActionName,
+    clientInfo = {},
+    middleware = [],
+    inspect = false,
+    hardened = false,
+    codec = false,
+    heartbeat = false,
+    maxInFlight = 0,
+    dedupe = false,
+    record = false,
   } = {}) {
     this._emitter = eemit();
+    this._events = eemit();
+    this._listeners = createListenerRegistry();
     this._hm = handlerGlobal;
     this._cb = callbackGlobal;
     this._handshakeTimeout = handshakeTimeout;
     this._messageTimeout = messageTimeout;
     this._idGen = idGenerator;
+    this._reconnectAfterTimeouts = reconnectAfterTimeouts;
+    this._reconnectAttempts = reconnectAttempts;
+    this._reconnectDelay = reconnectDelay;
+    this._reconnectMaxDelay = reconnectMaxDelay;
+    this._subscribeEvents = subscribeEvents;
+    this._retry = retry;
+    this._scheduler = createScheduler({ maxInFlight });
+    this._dedupe = dedupe ? createInboundCache(dedupe === true ? {} : dedupe) : null;
+
+    const storage = resolveStorage(persist);
+    this._queue = storage ? createDurableQueue(storage, persistKey) : null;
+
+    this._batch = batch ? {
+      window: 0,
+      maxSize: 50,
+      ...(batch === true ? {} : batch),
+    } : null;
+    this._batchQueue = [];
+    this._batchScheduled = false;
+
+    this._chunkSize = chunkSize;
+    this._reassembler = createReassembler({
+      timeout: chunkTimeout,
+      onComplete: (id, payload) => this._receiveChunked(id, payload),
+      onError: (id, payload, error) => this._receiveChunkedError(id, payload, error),
+      onProgress: (id, loaded, total) => this._transferProgress(id, 'inbound', loaded, total),
+    });
+
+    this._validation = validation;
+    contracts.forEach(contract => this.contract(contract));
+    this._apiActionName = apiActionName;
+    this._clientInfo = clientInfo;
+    middleware.forEach(item => this.use(item));
+
+    /**
+     * Log of recent payloads in both directions, if the `inspect` option is set (see inspector.js)
+     *
+     * @type {Object|null}
+     */
+    this.inspector = null;
+    if (inspect) {
+      const inspectOptions = inspect === true ? {} : inspect;
+      this.inspector = createInspector({
+        size: inspectOptions.size,
+        info: () => ({
+          library: WKPostMessenger.VERSION,
+          transport: this.transport.name,
+          state: this.state,
+          remote: this.remote,
+        }),
+      });
+      if (inspectOptions.overlay && typeof document !== 'undefined') {
+        this._overlay = createInspectorOverlay(
+          this.inspector,
+          inspectOptions.overlay === true ? {} : inspectOptions.overlay,
+        );
+      }
+    }
+
+    /**
+     * Trace of every payload in both directions, if the `record` option is set (see recorder.js)
+     *
+     * @type {Object|null}
+     */
+    this.recorder = null;
+    if (record) {
+      this.recorder = createRecorder({
+        maxEntries: (record === true ? {} : record).maxEntries,
+        info: () => ({
+          library: WKPostMessenger.VERSION,
+          transport: this.transport.name,
+          handlerGlobal: this._hm,
+          callbackGlobal: this._cb,
+        }),
+        secrets: () => (this._hardened ? [this._hardened.secret] : []),
+      });
+    }
 
     this.handleMessage = handleMessage;
 
-    try {
-      this.parent = window.webkit.messageHandlers[scriptMessageHandler];
-    } catch (e) {
-      throw new Error(`Can't add message handler ${scriptMessageHandler}`);
+    /**
+     * Encodes the data of everything posted to the app and decodes everything received from it,
+     * if the `codec` option is set and the app supports it
+     *
+     * @type {Object|null}
+     */
+    this.codec = resolveCodec(codec);
+
+    if (heartbeat) {
+      const {
+        timeout = messageTimeout,
+        ...heartbeatOptions
+      } = heartbeat === true ? {} : heartbeat;
+      this._heartbeat = createHeartbeat({
+        ...heartbeatOptions,
+        ping: () => this._ping(timeout),
+        onHealthy: () => this._events.trigger(HEALTHY_EVENT),
+        onUnhealthy: missed => this._events.trigger(UNHEALTHY_EVENT, { missed }),
+      });
+    }
+
+    /**
+     * Resolves when the instance is destroyed
+     *
+     * @type {Promise}
+     */
+    this.closed = new Promise((resolve) => {
+      this._resolveClosed = resolve;
+    });
+
+    /**
+     * Carries payloads to and from the host
+     *
+     * @type {Object}
+     */
+    this.transport = resolveTransport(transport, {
+      scriptMessageHandler,
+      interfaceName: scriptMessageHandler,
+      targetOrigin,
+      allowedOrigins,
+    });
+    if (typeof this.transport.listen === 'function') {
+      this._unlisten = this.transport.listen((payload) => {
+        if (this.recorder) {
+          this.recorder.inbound(INBOUND_ROUTES.TRANSPORT, payload);
+        }
+        this._receivePayload(payload);
+      });
+    }
+
+    if (hardened) {
+      const { auth = AUTH_MODES.SECRET, secret } = hardened === true ? {} : hardened;
+      this._hardened = { auth, secret: secret || createSecret() };
     }
 
     // Set up the global handler
-    window[handlerGlobal] = (id, action, data) => {
-      const result = this._handleMessage(action, data);
-      if (result && typeof result.then === 'function') {
-        result.then(promiseResult => this._sendMessageCallback(id, promiseResult));
-      } else {
-        this._sendMessageCallback(id, result);
+    this._hmFn = (id, action, data, auth, channel) => {
+      if (this.recorder) {
+        this.recorder.inbound(INBOUND_ROUTES.HANDLER, {
+          id,
+          action,
+          data,
+          auth,
+          channel,
+        });
+      }
+      if (this._authenticate({
+        id,
+        action,
+        data,
+        channel,
+      }, auth)) {
+        this._receiveMessage(id, action, this._decode(action, data), channel);
       }
     };
+    this._defineGlobal(handlerGlobal, this._hmFn);
 
     // Set up the global callback
-    window[callbackGlobal] = (id, result) => {
-      this._emitter.trigger(id, result);
+    this._cbFn = (id, result, error, frame, auth) => {
+      if (this.recorder) {
+        this.recorder.inbound(INBOUND_ROUTES.CALLBACK, {
+          id,
+          data: result,
+          error,
+          frame,
+          auth,
+        });
+      }
+      const envelope = {
+        id,
+        action: CALLBACK_ACTION,
+        data: result,
+        error,
+        frame,
+      };
+      if (this._authenticate(envelope, auth)) {
+        this._receiveCallback(id, this._decode(CALLBACK_ACTION, result), error, frame);
+      }
     };
+    this._defineGlobal(callbackGlobal, this._cbFn);
 
     if (autoHandshake) {
-      this.sendHandshake();
+      // Anything waiting on the handshake still gets the error, like when the instance is
+      // destroyed before the app acknowledges it
+      this.sendHandshake().catch(() => {});
     }
   }
 
   /**
-   * Handle a message initiated by the app
+   * Puts a function where the app can call it
    *
-   * @param  {string} action - name of the action to invoke in the webview
-   * @param  {*} [data] - any data for the action sent from the app
+   * In hardened mode, the global can't be changed or removed, so other scripts can't intercept
+   * calls from the app. This fails if another script has already locked it.
+   *
+   * @param {string} name - name of the global
+   * @param {Function} fn - the function
    */
-  _handleMessage(action, data) {
-    if (typeof this.handleMessage === 'function') {
-      return this.handleMessage(action, data);
+  _defineGlobal(name, fn) {
+    if (!this._hardened) {
+      window[name] = fn;
+      return;
+    }
+    try {
+      Object.defineProperty(window, name, {
+        value: fn,
+        writable: false,
+        configurable: false,
+        enumerable: false,
+      });
+    } catch (e) {
+      throw new Error(`[WKPostMessenger] can't lock the global ${name}`);
     }
-    return null;
   }
 
   /**
-   * Sends a message to the app
+   * Checks that a call from the app is authentic in hardened mode
    *
-   * @param  {string} action - name of the action to invoke
-   * @param  {*} [data] - any data for the action to be interpreted by the app
-   * @param  {number} timeout - milliseconds to wait before timing out
+   * Calls that aren't are reported with a `security` event, along with the `reason` (`missing` or
+   * `invalid`) and the `id` and `action` they claimed to have.
    *
-   * @return {Promise} resolves with a result provided by the app after the message is processed
+   * @param  {Object} envelope - the `id`, `action`, `data`, `channel` and, for callbacks, `error`
+   *         and `frame`
+   * @param  {string} [auth] - the secret or signature that came with the call
+   *
+   * @return {boolean} whether to go ahead with the call
    */
-  _sendMessage(action, data, timeout) {
-    return new Promise((resolve, reject) => {
-      const id = `${this._idGen.next().value}`;
-      const payload = {
-        type: MESSAGE_TYPE,
-        callback: this._cb,
+  _authenticate(envelope, auth) {
+    if (!this._hardened) {
+      return true;
+    }
+    const reason = checkAuth(this._hardened.secret, envelope, auth, this._hardened.auth);
+    if (!reason) {
+      return true;
+    }
+    this._events.trigger(SECURITY_EVENT, {
+      reason,
+      id: envelope.id,
+      action: envelope.action,
+    });
+    return false;
+  }
+
+  /**
+   * Receives a message initiated by the app and sends the result back as a callback
+   *
+   * @param  {string} id - the message identifier
+   * @param  {string} action - name of the action to invoke in the webview
+   * @param  {*} [data] - any data for the action sent from the app
+   * @param  {string} [channel] - name of the channel the message was sent on, if any
+   * @param  {Function} [reply] - sends the final result or serialized error for the message, and
+   *         any extra payload fields from middleware, if it should go somewhere other than its own
+   *         callback
+   */
+  _receiveMessage(
+    id,
+    action,
+    data,
+    channel,
+    reply = (result, error, envelope) =>
+      this._sendMessageCallback(id, result, error, undefined, envelope),
+  ) {
+    // Batches and chunks are logged once they are unpacked
+    if (action !== BATCH_ACTION && action !== CHUNK_ACTION) {
+      const awaitsCallback = !this._destroyed &&
+        [EVENT_ACTION, RESET_ACTION, CANCEL_ACTION].indexOf(action) === -1;
+      this._inspect('inbound', {
         id,
         action,
         data,
-      };
+        channel,
+      }, awaitsCallback);
+    }
 
-      let rejectTimeout;
-      const callbackReceived = (result) => {
-        clearTimeout(rejectTimeout);
-        resolve(result);
-      };
+    // Events don't get a callback
+    if (action === EVENT_ACTION) {
+      this._receiveEvent(data, channel);
+      return;
+    }
+
+    if (this._destroyed) {
+      reply(undefined, serializeError(new DestroyedError()));
+      return;
+    }
+
+    if (action === BATCH_ACTION) {
+      this._receiveBatch(data).then(replies => reply(replies));
+      return;
+    }
+
+    if (action === RESET_ACTION) {
+      reply(null);
+      this.reconnect().catch(() => {});
+      return;
+    }
+
+    if (action === PING_ACTION) {
+      reply(null);
+      return;
+    }
+
+    if (action === CANCEL_ACTION) {
+      this._cancelInbound(id);
+      return;
+    }
+
+    if (action === CHUNK_ACTION) {
+      this._receiveChunk(id, data);
+      return;
+    }
+
+    // The app sends a message again with the same ID if it missed the reply, which is sent again
+    // once there is one instead of handling the message twice
+    const earlierReply = this._dedupe && this._dedupe.get(id);
+    if (earlierReply) {
+      earlierReply.then(({ result, error, envelope }) => {
+        this._settleInspected('inbound', id, error && deserializeError(error));
+        reply(result, error, envelope);
+      }, (e) => {
+        // The instance was destroyed before the first one was answered
+        this._settleInspected('inbound', id, e);
+      });
+      return;
+    }
+    const remember = this._dedupe ? this._dedupe.add(id) : () => {};
 
-      if (timeout > 0) {
-        rejectTimeout = setTimeout(() => {
-          this._emitter.off(id, callbackReceived);
-          reject('[WKPostMessenger] message acknowledgment timeout');
-        }, timeout);
+    const controller = createAbortController();
+    const inbound = { controller, channel };
+    const respond = (result, error, envelope) => {
+      // A cancelled message has already been answered
+      if (this._inbound[id] !== inbound) {
+        return;
+      }
+      delete this._inbound[id];
+      this._settleInspected('inbound', id, error);
+      const replyEnvelope = channel ? { channel, ...envelope } : envelope;
+      const serializedError = error ? serializeError(error) : undefined;
+      remember(serializedError ? undefined : result, serializedError, replyEnvelope);
+      if (serializedError) {
+        reply(undefined, serializedError, replyEnvelope);
+      } else {
+        reply(result, undefined, replyEnvelope);
       }
+    };
+    inbound.respond = respond;
+    this._inbound[id] = inbound;
 
-      this._emitter.on(id, callbackReceived);
+    if (!this._middleware.length) {
+      this._invokeHandler(id, action, data, inbound, respond);
+      return;
+    }
 
-      this.parent.postMessage(payload);
-    });
+    const context = {
+      direction: MIDDLEWARE_DIRECTIONS.INBOUND,
+      id,
+      action,
+      data,
+      channel,
+      envelope: {},
+      signal: controller.signal,
+    };
+    runMiddleware(this._middleware, MIDDLEWARE_DIRECTIONS.INBOUND, context, () => (
+      new Promise((resolve, reject) => {
+        this._invokeHandler(id, action, context.data, inbound, (result, error) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve(result);
+          }
+        });
+      })
+    )).then(
+      result => respond(result, undefined, context.envelope),
+      e => respond(undefined, e, context.envelope),
+    );
   }
 
   /**
-   * Sends a callback after handling a message from the app
+   * Calls the handler for a message from the app, checking the data and the final result against
+   * the action's contract
    *
-   * @param {string} id - the message identifier
-   * @param {*} [data] - data for the app to use as the result of the messsage
+   * @param  {string} id - the message identifier
+   * @param  {string} action - name of the action to invoke in the webview
+   * @param  {*} [data] - any data for the action
+   * @param  {Object} inbound - the state of the message, including its `channel`, which is replaced
+   *         if it is cancelled
+   * @param  {Function} done - called with the final result, or with undefined and an error
    */
-  _sendMessageCallback(id, data) {
-    const payload = {
-      type: MESSAGE_TYPE,
-      callback: '', // @TODO: Remove this when Swift doesn't need it
-      action: CALLBACK_ACTION,
+  _invokeHandler(id, action, data, inbound, done) {
+    const finish = (result, error) => {
+      const responseError = error ||
+        this._checkContract(action, CONTRACT_DIRECTIONS.INBOUND, 'response', result);
+      if (responseError) {
+        done(undefined, responseError);
+      } else {
+        done(result);
+      }
+    };
+
+    let result;
+    try {
+      const requestError =
+        this._checkContract(action, CONTRACT_DIRECTIONS.INBOUND, 'request', data);
+      if (requestError) {
+        throw requestError;
+      }
+      result = this._handleMessage(action, data, id, inbound.controller.signal, inbound.channel);
+    } catch (e) {
+      finish(undefined, e);
+      return;
+    }
+
+    const iterator = getAsyncIterator(result);
+    if (iterator) {
+      // Each value is sent as a progress frame, followed by the return value as the final callback
+      const step = () => iterator.next().then(({ value, done: iteratorDone }) => {
+        if (this._inbound[id] !== inbound) {
+          if (typeof iterator.return === 'function') {
+            iterator.return();
+          }
+        } else if (iteratorDone) {
+          finish(value);
+        } else {
+          this._sendMessageCallback(
+            id,
+            value,
+            undefined,
+            PROGRESS_FRAME,
+            channelEnvelope(inbound.channel),
+          );
+          step();
+        }
+      }, e => finish(undefined, e));
+      step();
+    } else if (result && typeof result.then === 'function') {
+      result.then(
+        promiseResult => finish(promiseResult),
+        e => finish(undefined, e),
+      );
+    } else {
+      finish(result);
+    }
+  }
+
+  /**
+   * Receives a payload from a transport that doesn't call the global functions
+   *
+   * @param  {Object} payload - a message or callback payload
+   */
+  _receivePayload({
+    id,
+    action,
+    data,
+    channel,
+    error,
+    frame,
+    auth,
+  }) {
+    if (!this._authenticate({
       id,
+      action,
       data,
-    };
-    this.parent.postMessage(payload);
+      channel,
+      error,
+      frame,
+    }, auth)) {
+      return;
+    }
+    if (action === CALLBACK_ACTION) {
+      this._receiveCallback(id, this._decode(action, data), error, frame);
+    } else {
+      this._receiveMessage(id, action, this._decode(action, data), channel);
+    }
   }
 
   /**
-   * Initiates the handshake with the app
+   * Decodes the data of a message or callback from the app with the codec, if there is one
    *
-   * The handshake sends an action string that should be hardcoded on the app side as well as a
-   * global function name that the app can use to trigger actions in the webview.
+   * Chunk frames are left alone, since their data is decoded once it is reassembled.
    *
-   * @return {Promise} resolves when the app acknowledges the handshake
+   * @param  {string} action - the action of the payload
+   * @param  {*} [data] - the data of the payload
+   *
+   * @return {*} the decoded data
    */
-  sendHandshake() {
-    if (this._connected) {
-      throw new Error('[WKPostMessenger] sendHandshake was already completed!!');
+  _decode(action, data) {
+    if (!this.codec || action === CHUNK_ACTION || !canUseFeature(this.remote, FEATURES.CODEC)) {
+      return data;
     }
+    return this.codec.decode(data);
+  }
 
-    if (!this._connecting) {
-      this._connecting = true;
-      this._whenReady = this._sendMessage(HANDSHAKE_ACTION, this._hm, this._handshakeTimeout)
-        .then(() => {
-          this._connected = true;
-        })
-        .catch(() => {
-          this._connecting = false;
-          return Promise.reject('[WKPostMessenger] handshake acknowledgment timeout');
+  /**
+   * Aborts the signal passed to the handler of a message from the app, and answers the message
+   * with an AbortError right away
+   *
+   * @param  {string} id - identifier of the message to cancel
+   */
+  _cancelInbound(id) {
+    const inbound = this._inbound[id];
+    if (!inbound) {
+      return;
+    }
+    inbound.respond(undefined, new AbortError(
+      '[WKPostMessenger] message was cancelled by the app',
+      { id },
+    ));
+    inbound.controller.abort();
+  }
+
+  /**
+   * Receives one chunk frame of a message or callback that the app split up
+   *
+   * @param  {string} id - identifier of the chunked message
+   * @param  {Object} frame - chunk frame data
+   */
+  _receiveChunk(id, frame) {
+    if (!frame || typeof frame !== 'object') {
+      return;
+    }
+    // A chunk of a callback shows that the app is still responding, like a progress frame
+    if (this._pending[id]) {
+      this._emitter.trigger(id, undefined, undefined, CHUNK_FRAME);
+    }
+    this._reassembler.add(id, frame);
+  }
+
+  /**
+   * Handles a chunked message or callback from the app once all of its chunks have arrived
+   *
+   * @param  {string} id - identifier of the chunked message
+   * @param  {Object} payload - the original payload, including its reassembled data
+   */
+  _receiveChunked(id, payload) {
+    const data = this._decode(payload.action, payload.data);
+    if (payload.action === CALLBACK_ACTION) {
+      this._receiveCallback(id, data, payload.error, payload.frame);
+    } else {
+      this._receiveMessage(id, payload.action, data, payload.channel);
+    }
+  }
+
+  /**
+   * Fails a chunked message or callback from the app that could not be reassembled
+   *
+   * A broken callback rejects the message waiting for it, and a broken message is answered with
+   * the error so that the app doesn't wait for its timeout.
+   *
+   * @param  {string} id - identifier of the chunked message
+   * @param  {Object} [payload] - the original payload, if its first frame arrived
+   * @param  {TransferError} error - why the message could not be reassembled
+   */
+  _receiveChunkedError(id, payload, error) {
+    const isCallback = !payload || payload.action === CALLBACK_ACTION;
+    if (isCallback && this._pending[id]) {
+      this._pending[id](error);
+    } else if (!isCallback) {
+      this._sendMessageCallback(id, undefined, serializeError(error));
+    }
+  }
+
+  /**
+   * Emits the progress of a chunked transfer in either direction
+   *
+   * @param {string} id - identifier of the chunked message
+   * @param {string} direction - `outbound` or `inbound`
+   * @param {number} loaded - number of chunks sent or received so far
+   * @param {number} total - total number of chunks
+   */
+  _transferProgress(id, direction, loaded, total) {
+    this._events.trigger(TRANSFER_PROGRESS_EVENT, {
+      id,
+      direction,
+      loaded,
+      total,
+    });
+  }
+
+  /**
+   * Handles a batch of messages from the app
+   *
+   * Each message is handled as if it were sent by itself, except that the final results are
+   * collected so that they can be acknowledged together in a single callback. Events and
+   * cancellations in the batch don't have results.
+   *
+   * @param  {Array} messages - objects with the `id`, `action`, `data` and `channel` of each
+   *         message
+   *
+   * @return {Promise} resolves with an array containing the `id` and `data` or `error` of each
+   *         message, once they have all been handled
+   */
+  _receiveBatch(messages) {
+    const replies = (Array.isArray(messages) ? messages : []).map(({
+      id,
+      action,
+      data,
+      channel,
+    }) => {
+      if (action === EVENT_ACTION || action === CANCEL_ACTION) {
+        this._receiveMessage(id, action, data, channel);
+        return null;
+      }
+      return new Promise((resolve) => {
+        this._receiveMessage(id, action, data, channel, (result, error, envelope) => {
+          resolve(error ? { ...envelope, id, error } : { ...envelope, id, data: result });
         });
+      });
+    });
+    return Promise.all(replies).then(results => results.filter(Boolean));
+  }
+
+  /**
+   * Receives an event emitted by the app and passes it along to listeners added with `on`, on the
+   * instance or on the channel it was emitted on
+   *
+   * @param  {Object} message - event message data
+   * @param  {string} message.event - name of the event
+   * @param  {*} [message.data] - any data for the event
+   * @param  {string} [channel] - name of the channel, if any
+   */
+  _receiveEvent({ event, data } = {}, channel) {
+    if (this._destroyed || !event || RESERVED_EVENTS.indexOf(event) !== -1) {
+      return;
+    }
+    if (!channel) {
+      this._events.trigger(event, data);
+    } else if (this._channels[channel]) {
+      this._channels[channel]._receiveEvent(event, data);
     }
+  }
 
-    return this._whenReady;
+  /**
+   * Receives the app's acknowledgment of a message sent from the webview
+   *
+   * @param  {string} id - the message identifier
+   * @param  {*} [result] - data the app returned as the result of the message
+   * @param  {Object} [error] - serialized error if the app could not handle the message
+   * @param  {string} [frame] - `progress` if this is an update and more callbacks will follow
+   */
+  _receiveCallback(id, result, error, frame) {
+    if (this.inspector) {
+      const late = !frame && !this._pending[id] && this.inspector.late('outbound', id);
+      this._inspect('inbound', {
+        id,
+        action: CALLBACK_ACTION,
+        data: result,
+        error,
+        frame,
+      }, false, late ? { outcome: OUTCOMES.LATE } : undefined);
+    }
+    this._emitter.trigger(id, result, error, frame);
   }
 
   /**
-   * Sends a message to the app via postMessage
+   * Adds a payload to the inspector log, if there is one
    *
-   * If the handshake has not yet completed, it will wait until it has done so before attempting
-   * to send the message.
+   * @param {string} direction - `outbound` or `inbound`
+   * @param {Object} payload - the payload
+   * @param {boolean} [awaitsCallback] - whether the message is pending until a callback is sent
+   * @param {Object} [details] - extra fields for the entry
+   */
+  _inspect(direction, payload, awaitsCallback, details) {
+    if (!this.inspector) {
+      return;
+    }
+    const entry = { ...details };
+    if (awaitsCallback) {
+      entry.outcome = OUTCOMES.PENDING;
+    }
+    if (payload.frame) {
+      entry.frame = payload.frame;
+    }
+    if (payload.channel) {
+      entry.channel = payload.channel;
+    }
+    if (payload.action === EVENT_ACTION && payload.data) {
+      entry.event = payload.data.event;
+    }
+    if (payload.error) {
+      entry.error = payload.error.code;
+    }
+    this.inspector.record(direction, payload, entry);
+  }
+
+  /**
+   * Records the outcome of a message in the inspector log, if there is one
    *
-   * @param  {string} action - name of the action to invoke
-   * @param  {*} [data] - any data for the action to be interpreted by the app
-   * @param  {number} [timeout] - milliseconds to wait before timing out
+   * @param {string} direction - `outbound` for messages to the app, or `inbound` for messages
+   *        from it
+   * @param {string} id - the message identifier
+   * @param {Error} [error] - why the message failed, if it did
+   */
+  _settleInspected(direction, id, error) {
+    if (!this.inspector) {
+      return;
+    }
+    let outcome = OUTCOMES.RESOLVED;
+    if (error instanceof TimeoutError) {
+      outcome = OUTCOMES.TIMEOUT;
+    } else if (error instanceof AbortError) {
+      outcome = OUTCOMES.ABORTED;
+    } else if (error instanceof DestroyedError) {
+      outcome = OUTCOMES.DESTROYED;
+    } else if (error) {
+      outcome = OUTCOMES.REJECTED;
+    }
+    this.inspector.settle(direction, id, outcome, error ? serializeError(error).code : undefined);
+  }
+
+  /**
+   * Updates the connection state and emits the corresponding events
    *
-   * @return {Promise} resolves with a result provided by the app after the message is processed
+   * @param {string} state - one of CONNECTION_STATES
    */
-  sendMessage(action, data, timeout = this._messageTimeout) {
-    if (!this._whenReady) {
-      this.sendHandshake();
+  _setState(state) {
+    const previousState = this.state;
+    if (state === previousState || previousState === CONNECTION_STATES.CLOSED) {
+      return;
+    }
+    this.state = state;
+    this._events.trigger(STATE_CHANGE_EVENT, state, previousState);
+    this._events.trigger(state, previousState);
+  }
+
+  /**
+   * Sends a heartbeat ping to the app, skipping the middleware like the handshake does
+   *
+   * Apps that don't announce the `heartbeat` feature are not pinged, and count as answering.
+   *
+   * @param  {number} timeout - milliseconds to wait for the answer
+   *
+   * @return {Promise} resolves with whether the app answered, which it did unless the ping timed
+   *         out
+   */
+  _ping(timeout) {
+    if (!canUseFeature(this.remote, FEATURES.HEARTBEAT)) {
+      return Promise.resolve(true);
+    }
+    return this._postMessage(PING_ACTION, undefined, { timeout })
+      .then(() => true, e => !(e instanceof TimeoutError));
+  }
+
+  /**
+   * Keeps track of consecutive message timeouts and reconnects if there are too many
+   */
+  _messageTimedOut() {
+    this._timeouts += 1;
+    if (
+      this._connected &&
+      this._reconnectAfterTimeouts > 0 &&
+      this._timeouts >= this._reconnectAfterTimeouts
+    ) {
+      this.reconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * Checks the data or result of a message against the contract for its action, if there is one
+   *
+   * Every violation is emitted as a `validationerror` event. In `warn` mode, it is also logged and
+   * then ignored.
+   *
+   * @param  {string} action - name of the action
+   * @param  {string} origin - `outbound` if the webview sent the message, or `inbound` if the app
+   *         did
+   * @param  {string} part - `request` to check the message data or `response` to check the result
+   * @param  {*} value - the data or result
+   *
+   * @return {ValidationError|null} the error to reject or respond with, if any
+   */
+  _checkContract(action, origin, part, value) {
+    const contract = this._contracts[action];
+    if (!contract || !this._validation) {
+      return null;
+    }
+    const error = checkContract(contract, origin, part, value);
+    if (!error) {
+      return null;
+    }
+    this._events.trigger(VALIDATION_ERROR_EVENT, error);
+    if (this._validation === 'warn') {
+      console.warn(error.message, error.details); // eslint-disable-line no-console
+      return null;
+    }
+    return error;
+  }
+
+  /**
+   * Finds the registered handler for an action
+   *
+   * An exact match wins, followed by namespace patterns from the most specific to the least (eg.
+   * `cart.items.*` before `cart.*`), followed by the `*` wildcard.
+   *
+   * @param  {string} action - name of the action to invoke in the webview
+   * @param  {Object} [handlers] - where to look, which is the instance's own handlers by default
+   *
+   * @return {Function|null} the handler, if there is one
+   */
+  _findHandler(action, handlers = this._handlers) {
+    if (Object.prototype.hasOwnProperty.call(handlers, action)) {
+      return handlers[action];
+    }
+    const namespaces = `${action}`.split(NAMESPACE_SEPARATOR);
+    for (let i = namespaces.length - 1; i > 0; i -= 1) {
+      const pattern = `${namespaces.slice(0, i).join(NAMESPACE_SEPARATOR)}.${WILDCARD}`;
+      if (Object.prototype.hasOwnProperty.call(handlers, pattern)) {
+        return handlers[pattern];
+      }
+    }
+    if (Object.prototype.hasOwnProperty.call(handlers, WILDCARD)) {
+      return handlers[WILDCARD];
     }
-    return this._whenReady.then(() => this._sendMessage(action, data, timeout));
+    return null;
+  }
+
+  /**
+   * Handle a message initiated by the app
+   *
+   * Handlers registered with `handle` take precedence over the `handleMessage` fallback. If neither
+   * can handle the action, this throws an UnknownActionError. Messages sent on a channel are
+   * handled by the channel, and are unknown if there is no channel with that name.
+   *
+   * @param  {string} action - name of the action to invoke in the webview
+   * @param  {*} [data] - any data for the action sent from the app
+   * @param  {string} [id] - the message identifier
+   * @param  {AbortSignal} [signal] - aborted if the app cancels the message
+   * @param  {string} [channel] - name of the channel the message was sent on, if any
+   */
+  _handleMessage(action, data, id, signal, channel) {
+    if (channel) {
+      if (!this._channels[channel]) {
+        throw new UnknownActionError(action);
+      }
+      return this._channels[channel]._handleMessage(action, data, id, signal);
+    }
+    const handler = this._findHandler(action);
+    if (handler) {
+      return handler(data, { action, id, signal });
+    }
+    if (typeof this.handleMessage === 'function') {
+      return this.handleMessage(action, data, { id, signal });
+    }
+    throw new UnknownActionError(action);
+  }
+
+  /**
+   * Sends a message to the app after running it through the outbound middleware
+   *
+   * The handshake skips the middleware.
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object} options - same as for `_postMessage`
+   *
+   * @return {Promise} resolves with a result provided by the app, or by the middleware
+   */
+  _sendMessage(action, data, options) {
+    if (action === HANDSHAKE_ACTION || !this._middleware.length) {
+      return this._postMessage(action, data, options);
+    }
+    const {
+      id = `${this._idGen.next().value}`,
+      signal,
+      envelope = {},
+    } = options;
+    const context = {
+      direction: MIDDLEWARE_DIRECTIONS.OUTBOUND,
+      id,
+      action,
+      data,
+      channel: envelope.channel,
+      envelope: { ...envelope },
+      signal,
+    };
+    return runMiddleware(this._middleware, MIDDLEWARE_DIRECTIONS.OUTBOUND, context, () => (
+      this._postMessage(action, context.data, {
+        ...options,
+        id,
+        envelope: context.envelope,
+      })
+    ));
+  }
+
+  /**
+   * Posts a message to the app and waits for its callback
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object} options - send options
+   * @param  {string} [options.id] - message identifier, if it was already generated
+   * @param  {number} options.timeout - milliseconds to wait before timing out
+   * @param  {AbortSignal} [options.signal] - cancels the message when aborted
+   * @param  {Function} [options.onProgress] - called with each progress frame sent by the app
+   * @param  {Object} [options.envelope] - extra payload fields
+   *
+   * @return {Promise} resolves with a result provided by the app after the message is processed,
+   *         or rejects with a RemoteError if the app responds with an error
+   */
+  _postMessage(action, data, {
+    id = `${this._idGen.next().value}`,
+    timeout,
+    signal,
+    onProgress,
+    envelope,
+  }) {
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const payload = {
+        type: this._messageType,
+        callback: this._cb,
+        id,
+        action,
+        data,
+        ...envelope,
+      };
+      if (onProgress) {
+        payload.stream = true;
+      }
+
+      let rejectTimeout;
+      let removeAbortListener;
+      const settle = (error) => {
+        clearTimeout(rejectTimeout);
+        removeAbortListener();
+        this._emitter.off(id);
+        delete this._pending[id];
+        this._settleInspected('outbound', id, error);
+      };
+
+      // Let the app know that it can stop working on the message
+      removeAbortListener = onAbort(signal, () => {
+        const error = new AbortError('[WKPostMessenger] message was aborted', { id, action });
+        settle(error);
+        this._post({
+          type: this._messageType,
+          callback: '',
+          action: CANCEL_ACTION,
+          id,
+        });
+        reject(error);
+      });
+
+      const startTimeout = () => {
+        if (timeout > 0) {
+          rejectTimeout = setTimeout(() => {
+            const error = new TimeoutError('[WKPostMessenger] message acknowledgment timeout', {
+              id,
+              action,
+              timeout,
+            });
+            settle(error);
+            // The heartbeat keeps its own count of missed pings
+            if (action !== HANDSHAKE_ACTION && action !== PING_ACTION) {
+              this._messageTimedOut();
+            }
+            reject(error);
+          }, timeout);
+        }
+      };
+      startTimeout();
+
+      this._emitter.on(id, (result, error, frame) => {
+        this._timeouts = 0;
+        // Each progress frame restarts the timeout, which only applies to the wait between frames
+        if ((frame === PROGRESS_FRAME || frame === CHUNK_FRAME) && !error) {
+          clearTimeout(rejectTimeout);
+          startTimeout();
+          if (onProgress && frame === PROGRESS_FRAME) {
+            onProgress(result);
+          }
+          return;
+        }
+        if (error) {
+          const remoteError = deserializeError(error);
+          settle(remoteError);
+          reject(remoteError);
+        } else {
+          settle();
+          resolve(result);
+        }
+      });
+
+      // Allows destroy to reject anything that is still waiting for acknowledgment
+      this._pending[id] = (e) => {
+        settle(e);
+        reject(e);
+      };
+
+      this._post(payload);
+    });
+  }
+
+  /**
+   * Sends a callback after handling a message from the app
+   *
+   * @param {string} id - the message identifier
+   * @param {*} [data] - data for the app to use as the result of the messsage
+   * @param {Object} [error] - serialized error if the message could not be handled
+   * @param {string} [frame] - `progress` if this is an update and more callbacks will follow
+   * @param {Object} [envelope] - extra payload fields
+   */
+  _sendMessageCallback(id, data, error, frame, envelope) {
+    const payload = {
+      type: this._messageType,
+      callback: '', // @TODO: Remove this when Swift doesn't need it
+      action: CALLBACK_ACTION,
+      id,
+      data,
+      ...envelope,
+    };
+    if (error) {
+      payload.error = error;
+    }
+    if (frame) {
+      payload.frame = frame;
+    }
+    this._post(payload);
+  }
+
+  /**
+   * Posts a payload to the app, or adds it to the next batch if batching is turned on
+   *
+   * Payloads with data bigger than `chunkSize` are split into chunk frames instead. The data is
+   * encoded with the codec first, if there is one.
+   *
+   * @param {Object} message - the message payload
+   */
+  _post(message) {
+    this._inspect('outbound', message, message.callback === this._cb);
+
+    const payload = this.codec && message.action !== HANDSHAKE_ACTION &&
+      canUseFeature(this.remote, FEATURES.CODEC)
+      ? { ...message, data: this.codec.encode(message.data) }
+      : message;
+
+    if (payload.action !== HANDSHAKE_ACTION && canUseFeature(this.remote, FEATURES.CHUNK)) {
+      const frames = splitPayload(payload, this._chunkSize);
+      if (frames) {
+        this._postChunks(payload, frames);
+        return;
+      }
+    }
+
+    if (
+      !this._batch ||
+      payload.action === HANDSHAKE_ACTION ||
+      !canUseFeature(this.remote, FEATURES.BATCH)
+    ) {
+      this._postNow(payload);
+      return;
+    }
+
+    this._batchQueue.push(payload);
+    if (this._batchQueue.length >= this._batch.maxSize) {
+      this._flushBatch();
+    } else if (!this._batchScheduled) {
+      this._batchScheduled = true;
+      if (this._batch.window > 0) {
+        this._batchTimer = setTimeout(() => this._flushBatch(), this._batch.window);
+      } else {
+        Promise.resolve().then(() => this._flushBatch());
+      }
+    }
+  }
+
+  /**
+   * Posts everything waiting for the next batch
+   *
+   * A batch of one is posted on its own.
+   */
+  _flushBatch() {
+    const payloads = this._batchQueue;
+    clearTimeout(this._batchTimer);
+    this._batchQueue = [];
+    this._batchScheduled = false;
+
+    if (payloads.length === 1) {
+      this._postNow(payloads[0]);
+    } else if (payloads.length > 1) {
+      this._postNow({
+        type: this._messageType,
+        callback: this._cb,
+        action: BATCH_ACTION,
+        data: payloads,
+      });
+    }
+  }
+
+  /**
+   * Posts the chunk frames of a payload one at a time
+   *
+   * Each frame is posted in its own task so that a big transfer doesn't block the main thread. The
+   * transfer stops if the instance is destroyed, or if the message is settled before it finishes,
+   * such as when it is aborted or times out.
+   *
+   * @param {Object} payload - the message payload
+   * @param {Array} frames - chunk frame data from `splitPayload`
+   */
+  _postChunks(payload, frames) {
+    // Events don't have an ID of their own, but their chunks need one to be reassembled
+    const id = payload.id || `${this._idGen.next().value}`;
+    const awaitsCallback = payload.callback === this._cb;
+    const postFrame = (index) => {
+      if (this._destroyed || (awaitsCallback && !this._pending[id])) {
+        return;
+      }
+      this._postNow({
+        type: this._messageType,
+        callback: payload.callback,
+        action: CHUNK_ACTION,
+        id,
+        data: frames[index],
+      });
+      this._transferProgress(id, 'outbound', index + 1, frames.length);
+      if (index + 1 < frames.length) {
+        setTimeout(() => postFrame(index + 1), 0);
+      }
+    };
+    postFrame(0);
+  }
+
+  /**
+   * Posts a payload to the app right away
+   *
+   * @param {Object} payload - the message payload
+   */
+  _postNow(payload) {
+    if (this.recorder) {
+      this.recorder.outbound(payload);
+    }
+    this.transport.send(payload);
+  }
+
+  /**
+   * The WebKit script message handler, or whatever else the transport posts to
+   *
+   * @type {Object}
+   */
+  get parent() {
+    return this.transport.target;
+  }
+
+  set parent(target) {
+    this.transport.target = target;
+  }
+
+  /**
+   * Whether the app answered the last pings of the `heartbeat`, which is always true without one
+   *
+   * @type {boolean}
+   */
+  get healthy() {
+    return this._heartbeat ? this._heartbeat.healthy : true;
+  }
+
+  /**
+   * Posts a message that the app does not acknowledge
+   *
+   * @param {string} action - one of the reserved actions
+   * @param {*} [data] - any data for the app
+   * @param {Object} [envelope] - extra payload fields
+   */
+  _postWithoutCallback(action, data, envelope) {
+    this._post({
+      type: this._messageType,
+      callback: '',
+      action,
+      data,
+      ...envelope,
+    });
+  }
+
+  /**
+   * Registers a handler for messages from the app
+   *
+   * The action can be an exact action name, a namespace pattern like `cart.*` that matches any
+   * action beginning with `cart.`, or `*` to match everything. Registering a handler for an action
+   * that already has one replaces it.
+   *
+   * @param  {string} action - action name or pattern
+   * @param  {Function} handler - called with the message data and a context object containing the
+   *         `action` and `id`. The return value (or the value a returned Promise resolves with) is
+   *         sent back to the app.
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  handle(action, handler) {
+    if (this._destroyed) {
+      throw new DestroyedError();
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`[WKPostMessenger] handler for ${action} must be a function`);
+    }
+    this._handlers[action] = handler;
+    return this;
+  }
+
+  /**
+   * Removes a handler registered with `handle`
+   *
+   * @param  {string} action - the same action name or pattern that the handler was registered with
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  unhandle(action) {
+    delete this._handlers[action];
+    return this;
+  }
+
+  /**
+   * Declares the contract for an action
+   *
+   * Once an action has a contract, the data of each message and the result sent back are checked
+   * against its schemas in both directions. Messages from the webview that break the contract are
+   * rejected with a ValidationError before they are posted, and messages from the app are answered
+   * with the error instead of reaching their handler. Declaring a contract for an action that
+   * already has one replaces it.
+   *
+   * @param  {Object} contract - contract definition
+   * @param  {string} contract.name - name of the action
+   * @param  {Object} [contract.request] - schema for the message data (see `validate` in schema.js)
+   * @param  {Object} [contract.response] - schema for the result
+   * @param  {string} [contract.direction] - `outbound` if only the webview sends the message,
+   *         `inbound` if only the app sends it, or `both` (the default)
+   * @param  {number} [contract.timeout] - default timeout for sending the message
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  contract(contract) {
+    if (this._destroyed) {
+      throw new DestroyedError();
+    }
+    const normalized = normalizeContract(contract);
+    this._contracts[normalized.name] = normalized;
+    return this;
+  }
+
+  /**
+   * Adds middleware, which runs after any middleware added before it
+   *
+   * Middleware is an object with an `outbound` hook for messages sent to the app, an `inbound` hook
+   * for messages from the app, or both. Each hook is called with a context and a `next` function,
+   * and returns (or resolves with) the response. The context has the message `id`, `action` and
+   * `data`, the `signal` that cancels it, and an `envelope` of extra fields to post along with the
+   * message, or with the final callback for messages from the app. Hooks can change the `data` and
+   * the `envelope` before calling `next`, which resolves with the result from the app or the
+   * handler, and then change the result on its way back. A hook that doesn't call `next` answers
+   * the message itself, and one that throws or rejects fails the message with the error.
+   *
+   * Contracts apply to the data and results on the side of the middleware closer to the caller or
+   * the handler. The handshake, events and the other reserved messages skip the middleware.
+   *
+   * @param  {Object} middleware - the middleware
+   * @param  {Function} [middleware.outbound] - hook for messages sent to the app
+   * @param  {Function} [middleware.inbound] - hook for messages from the app
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  use(middleware) {
+    if (this._destroyed) {
+      throw new DestroyedError();
+    }
+    this._middleware.push(normalizeMiddleware(middleware));
+    return this;
+  }
+
+  /**
+   * Finds the action name for the path of a method in `api` or `expose`
+   *
+   * @param  {Array} path - property names leading to the method
+   *
+   * @return {string} the name of the action whose contract has that `method`, or the name from
+   *         `apiActionName`
+   */
+  _resolveAction(path) {
+    const method = path.join('.');
+    const names = Object.keys(this._contracts);
+    for (let i = 0; i < names.length; i += 1) {
+      if (this._contracts[names[i]].method === method) {
+        return names[i];
+      }
+    }
+    return this._apiActionName(path);
+  }
+
+  /**
+   * Client for calling actions in the app like functions
+   *
+   * Each method sends a message with the method's data and options to the action for its path, so
+   * `api.camera.takePhoto({ quality: 0.8 })` sends `camera.takePhoto`, unless a contract maps the
+   * method to some other action (see `contract`). The contract's timeout applies too.
+   *
+   * Any path works in webviews with Proxy. Otherwise, only methods of contracts for messages the
+   * webview can send are there.
+   *
+   * @type {Object}
+   */
+  get api() {
+    if (this._api) {
+      return this._api;
+    }
+    const api = createApi({
+      call: (action, data, options) => this.sendMessage(action, data, options),
+      resolve: path => this._resolveAction(path),
+      methods: () => Object.keys(this._contracts)
+        .map(name => this._contracts[name])
+        .filter(({ direction }) => direction !== CONTRACT_DIRECTIONS.INBOUND)
+        .map(({ method }) => method),
+    });
+    // Without Proxy, the methods need to be listed again whenever the contracts change
+    if (typeof Proxy === 'function') {
+      this._api = api;
+    }
+    return api;
+  }
+
+  /**
+   * Registers the methods of an object as handlers for messages from the app
+   *
+   * Each method handles the action for its path, the same way as `api` maps paths to actions, so
+   * `expose('cart', { add(item) {} })` handles `cart.add`. Methods of nested plain objects and
+   * methods inherited from a class are exposed too, except for those starting with an underscore.
+   * They are called with the object as `this`, and the message data and context like any handler.
+   *
+   * @param  {string} [namespace] - dot-separated path to put in front of every method
+   * @param  {Object} object - the object to expose
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  expose(namespace, object) {
+    if (typeof object === 'undefined') {
+      return this.expose('', namespace);
+    }
+    if (!object || (typeof object !== 'object' && typeof object !== 'function')) {
+      throw new TypeError('[WKPostMessenger] only objects can be exposed');
+    }
+    const prefix = namespace ? `${namespace}`.split('.') : [];
+    listMethods(object, prefix).forEach(({ path, method, context }) => {
+      this.handle(this._resolveAction(path), (data, info) => method.call(context, data, info));
+    });
+    return this;
+  }
+
+  /**
+   * Counts the listeners for an event
+   *
+   * @param  {string} event - name of the event
+   *
+   * @return {number}
+   */
+  _listenerCount(event) {
+    return this._listeners.count(event);
+  }
+
+  /**
+   * Tells the app about a change in which events have listeners, if `subscribeEvents` is set
+   *
+   * @param {string} action - SUBSCRIBE_ACTION or UNSUBSCRIBE_ACTION
+   * @param {string} event - name of the event
+   * @param {WKPostMessengerChannel} [channel] - the channel whose listeners changed, if any
+   */
+  _sendSubscription(action, event, channel) {
+    if (
+      this._subscribeEvents &&
+      this._connected &&
+      RESERVED_EVENTS.indexOf(event) === -1 &&
+      canUseFeature(this.remote, FEATURES.SUBSCRIPTIONS)
+    ) {
+      this._postWithoutCallback(action, event, channelEnvelope(channel && channel.name));
+    }
+  }
+
+  /**
+   * Adds a listener for an event emitted by the instance or the app
+   *
+   * Each connection state (`connecting`, `connected`, `reconnecting`, `disconnected` and `closed`)
+   * is emitted when the instance enters it, along with the previous state. `statechange` is emitted
+   * for every change, along with the new and previous states.
+   *
+   * Any other event comes from the app, which sends it as a `__WK_EVENT__` message. If the
+   * `subscribeEvents` option is set, the first listener for an event sends a `__WK_SUBSCRIBE__`
+   * message so the app knows to start sending it.
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} listener - function to call when the event is emitted
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  on(event, listener) {
+    const isFirstListener = !this._listenerCount(event);
+    this._events.on(event, listener);
+    this._listeners.add(event, listener);
+    if (isFirstListener) {
+      this._sendSubscription(SUBSCRIBE_ACTION, event);
+    }
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on`
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} [listener] - the listener to remove, or omit to remove all listeners
+   *
+   * @return {WKPostMessenger} this instance, for chaining
+   */
+  off(event, listener) {
+    if (this._listeners.remove(event, listener)) {
+      this._events.off(event, listener);
+      if (!this._listenerCount(event)) {
+        this._sendSubscription(UNSUBSCRIBE_ACTION, event);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Sends an event to the app without waiting for acknowledgment
+   *
+   * Like `sendMessage`, this waits for the handshake, but the app does not respond to events, so
+   * there is no result and no timeout.
+   *
+   * @param  {string} event - name of the event
+   * @param  {*} [data] - any data for the event to be interpreted by the app
+   *
+   * @return {Promise} resolves once the event is posted to the app
+   */
+  emit(event, data) {
+    return this._sendEvent(event, data);
+  }
+
+  /**
+   * Sends an event to the app once connected
+   *
+   * @param  {string} event - name of the event
+   * @param  {*} [data] - any data for the event
+   * @param  {WKPostMessengerChannel} [channel] - the channel to send it on, if any
+   *
+   * @return {Promise} resolves once the event is posted to the app
+   */
+  _sendEvent(event, data, channel) {
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+    if (!this._connected && !this._connecting) {
+      this.sendHandshake();
+    }
+    return this._whenReady.then(() => this._postWithoutCallback(
+      EVENT_ACTION,
+      { event, data },
+      channelEnvelope(channel && channel.name),
+    ));
+  }
+
+  /**
+   * Sends a single handshake and updates the connection state when it is acknowledged
+   *
+   * @return {Promise} resolves when the app acknowledges the handshake
+   */
+  _handshake() {
+    return this._sendMessage(HANDSHAKE_ACTION, this._hm, {
+      timeout: this._handshakeTimeout,
+      // Version 1 apps only look at the data, which is still the name of the global handler
+      envelope: {
+        type: getMessageType(1),
+        protocol: PROTOCOL_VERSION,
+        features: Object.keys(FEATURES)
+          .map(key => FEATURES[key])
+          .filter(feature => feature !== FEATURES.CODEC || this.codec),
+        client: {
+          ...this._clientInfo,
+          library: WKPostMessenger.VERSION,
+          transport: this.transport.name,
+        },
+        ...(this._hardened ? this._hardened : {}),
+      },
+    })
+      .then((result) => {
+        this.remote = parseHandshakeResult(result);
+        this._messageType = getMessageType(this.remote.protocol);
+        this._connecting = false;
+        this._connected = true;
+        this._timeouts = 0;
+        this._setState(CONNECTION_STATES.CONNECTED);
+        if (this._heartbeat) {
+          this._heartbeat.alive();
+          this._heartbeat.start();
+        }
+        this._resendQueued();
+        // Subscriptions might have been added before connecting, or lost if the app reloaded
+        this._listeners.events().forEach((event) => {
+          this._sendSubscription(SUBSCRIBE_ACTION, event);
+        });
+        Object.keys(this._channels).forEach((name) => {
+          const channel = this._channels[name];
+          channel._listeners.events().forEach((event) => {
+            this._sendSubscription(SUBSCRIBE_ACTION, event, channel);
+          });
+        });
+      })
+      .catch((e) => {
+        if (e instanceof TimeoutError) {
+          return Promise.reject(new TimeoutError(
+            '[WKPostMessenger] handshake acknowledgment timeout',
+            e.details,
+          ));
+        }
+        return Promise.reject(e);
+      });
+  }
+
+  /**
+   * Resends durable messages left over from an earlier page load or an earlier connection
+   *
+   * Messages are sent again with their original ID so that the app can recognize duplicates.
+   */
+  _resendQueued() {
+    if (!this._queue) {
+      return;
+    }
+    this._queue.read().forEach(({
+      id,
+      action,
+      data,
+      channel,
+    }) => {
+      if (this._outbound[id]) {
+        return;
+      }
+      this._outbound[id] = true;
+      this._scheduler.schedule(() => this._sendMessage(action, data, {
+        id,
+        timeout: this._messageTimeout,
+        envelope: channelEnvelope(channel),
+      }))
+        .then(() => {
+          this._queue.remove(id);
+        }, (e) => {
+          if (!(e instanceof TimeoutError) && !(e instanceof DestroyedError)) {
+            this._queue.remove(id);
+          }
+        })
+        .then(() => {
+          delete this._outbound[id];
+        });
+    });
+  }
+
+  /**
+   * Waits for the handshake, sending it if necessary
+   *
+   * @param  {AbortSignal} [signal] - stops waiting when aborted
+   *
+   * @return {Promise} resolves once connected
+   */
+  _whenConnected(signal) {
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+    if (!this._connected && !this._connecting) {
+      this.sendHandshake();
+    }
+
+    return new Promise((resolve, reject) => {
+      // Messages waiting for the handshake can be aborted before they are ever sent
+      const removeAbortListener = onAbort(signal, () => reject(new AbortError()));
+      this._whenReady.then(() => {
+        removeAbortListener();
+        resolve();
+      }, (e) => {
+        removeAbortListener();
+        reject(e);
+      });
+    });
+  }
+
+  /**
+   * Initiates the handshake with the app
+   *
+   * The handshake sends an action string that should be hardcoded on the app side as well as a
+   * global function name that the app can use to trigger actions in the webview. It also sends the
+   * protocol version and the features the webview supports, and the app answers with its own (see
+   * `remote`). Apps that acknowledge the handshake without answering are treated as version 1.
+   *
+   * @return {Promise} resolves when the app acknowledges the handshake
+   */
+  sendHandshake() {
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+
+    if (this._connected) {
+      throw new Error('[WKPostMessenger] sendHandshake was already completed!!');
+    }
+
+    if (!this._connecting) {
+      this._connecting = true;
+      this._setState(CONNECTION_STATES.CONNECTING);
+      this._whenReady = this._handshake()
+        .catch((e) => {
+          this._connecting = false;
+          this._setState(CONNECTION_STATES.DISCONNECTED);
+          return Promise.reject(e);
+        });
+    }
+
+    return this._whenReady;
+  }
+
+  /**
+   * Sends the handshake again, such as after the app reloads its side of the bridge
+   *
+   * Failed attempts are retried with exponential backoff. Messages sent while reconnecting wait
+   * until the handshake is acknowledged, and are rejected if every attempt fails.
+   *
+   * This happens automatically after `reconnectAfterTimeouts` consecutive message timeouts, or
+   * when the app sends a `__WK_RESET__` message.
+   *
+   * @return {Promise} resolves when the app acknowledges the handshake
+   */
+  reconnect() {
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+
+    if (this._reconnect) {
+      return this._whenReady;
+    }
+
+    this._connected = false;
+    this._connecting = true;
+    this._timeouts = 0;
+    if (this._heartbeat) {
+      this._heartbeat.stop();
+    }
+    this._setState(CONNECTION_STATES.RECONNECTING);
+
+    this._whenReady = new Promise((resolve, reject) => {
+      let attempts = 0;
+      let delay = this._reconnectDelay;
+      const reconnect = { timer: null, reject };
+      this._reconnect = reconnect;
+
+      const attempt = () => {
+        reconnect.timer = null;
+        this._handshake()
+          .then(() => {
+            this._reconnect = null;
+            resolve();
+          })
+          .catch((e) => {
+            if (this._reconnect !== reconnect) {
+              return;
+            }
+            attempts += 1;
+            if (this._destroyed || attempts >= this._reconnectAttempts) {
+              this._reconnect = null;
+              this._connecting = false;
+              this._setState(CONNECTION_STATES.DISCONNECTED);
+              reject(e);
+              return;
+            }
+            reconnect.timer = setTimeout(attempt, delay);
+            delay = Math.min(delay * 2, this._reconnectMaxDelay);
+          });
+      };
+
+      attempt();
+    });
+
+    return this._whenReady;
+  }
+
+  /**
+   * Sends a message to the app via postMessage
+   *
+   * If the handshake has not yet completed, or the instance is reconnecting, it will wait until the
+   * handshake is acknowledged before attempting to send the message.
+   *
+   * If the action has a contract, the data is checked before the message is sent and the result is
+   * checked once it arrives, rejecting the Promise with a ValidationError if either breaks it.
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object|number} [options] - send options, or just the timeout
+   * @param  {number} [options.timeout] - milliseconds to wait before timing out. Defaults to the
+   *         `timeout` of the action's contract, if it has one.
+   * @param  {AbortSignal} [options.signal] - cancels the message when aborted, rejecting the
+   *         Promise with an AbortError and sending a `__WK_CANCEL__` message to the app
+   * @param  {Function} [options.onProgress] - called with the data of each progress frame the app
+   *         sends before the final callback. When this is set, the timeout applies to the wait
+   *         between frames rather than to the whole message.
+   * @param  {Object|number} [options.retry] - retry policy for when the message times out, or just
+   *         the maximum number of attempts. Retries reuse the message ID so that the app can
+   *         recognize duplicates. See `normalizeRetryPolicy` for the options.
+   * @param  {boolean} [options.durable] - keep the message in the storage set up with the
+   *         `persist` option until the app acknowledges it, so that it is sent again after the
+   *         next handshake if it times out or the page reloads first
+   * @param  {string|number} [options.priority] - `high`, `normal` or `low`, or a number where
+   *         higher goes first, for when `maxInFlight` messages are already waiting
+   * @param  {boolean|string} [options.serial] - a key for messages that have to be sent one at a
+   *         time, in order, each waiting for the previous one to be acknowledged. Set to true to
+   *         use the action name as the key.
+   *
+   * @return {Promise} resolves with a result provided by the app after the message is processed
+   */
+  sendMessage(action, data, options) {
+    return this._send(action, data, options);
+  }
+
+  /**
+   * Sends a message to the app, on a channel or not
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action
+   * @param  {Object|number} [options] - same as for `sendMessage`
+   * @param  {WKPostMessengerChannel} [channel] - the channel to send it on, whose timeout and retry
+   *         policy are the defaults instead of the instance's
+   *
+   * @return {Promise} resolves with a result provided by the app after the message is processed
+   */
+  _send(action, data, options, channel) {
+    const defaults = channel || this;
+    const contract = this._contracts[action];
+    const {
+      timeout = contract && typeof contract.timeout === 'number'
+        ? contract.timeout
+        : defaults._messageTimeout,
+      signal,
+      onProgress,
+      retry = defaults._retry,
+      durable = false,
+      priority = PRIORITIES.NORMAL,
+      serial,
+    } = typeof options === 'number' ? { timeout: options } : (options || {});
+
+    if (this._destroyed) {
+      return Promise.reject(new DestroyedError());
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError());
+    }
+
+    const requestError = this._checkContract(action, CONTRACT_DIRECTIONS.OUTBOUND, 'request', data);
+    if (requestError) {
+      return Promise.reject(requestError);
+    }
+
+    const id = `${this._idGen.next().value}`;
+    const policy = normalizeRetryPolicy(retry);
+    const queue = durable ? this._queue : null;
+    const channelName = channel ? channel.name : undefined;
+    if (queue) {
+      this._outbound[id] = true;
+      queue.add({
+        id,
+        action,
+        data,
+        channel: channelName,
+      });
+    }
+
+    let attempts = 0;
+    const attempt = () => this._whenConnected(signal)
+      .then(() => this._sendMessage(action, data, {
+        id,
+        timeout,
+        signal,
+        onProgress,
+        envelope: channelEnvelope(channelName),
+      }))
+      .catch((e) => {
+        attempts += 1;
+        if (e instanceof TimeoutError && attempts < policy.attempts && !this._destroyed) {
+          return wait(getRetryDelay(policy, attempts), signal).then(attempt);
+        }
+        return Promise.reject(e);
+      });
+
+    // Retries hold on to their place, so that messages with the same serial key stay in order
+    const promise = this._scheduler.schedule(attempt, {
+      priority,
+      key: serial === true ? action : serial || undefined,
+      signal,
+    }).then((result) => {
+      const responseError = this._checkContract(
+        action,
+        CONTRACT_DIRECTIONS.OUTBOUND,
+        'response',
+        result,
+      );
+      return responseError ? Promise.reject(responseError) : result;
+    });
+    if (queue) {
+      // Unacknowledged messages stay in the queue to be sent again after the next handshake
+      const done = (e) => {
+        delete this._outbound[id];
+        if (!(e instanceof TimeoutError) && !(e instanceof DestroyedError)) {
+          queue.remove(id);
+        }
+      };
+      promise.then(() => done(), done);
+    }
+    return promise;
+  }
+
+  /**
+   * Describes the messages waiting to be sent because of `maxInFlight` or serial keys
+   *
+   * @return {Object} with the `maxInFlight` limit, the number of messages `inFlight` and
+   *         `queued`, the number queued at each priority `byPriority`, how long the `oldestWait`
+   *         has been queued, and the `averageWait` and `maxWait` of the messages sent so far, all
+   *         in milliseconds
+   */
+  getQueueStats() {
+    return this._scheduler.stats();
+  }
+
+  /**
+   * Sends a message to the app and streams the progress frames it sends back
+   *
+   * The returned async iterator yields the data of each progress frame and finishes when the app
+   * sends the final callback, whose data is available from its `result` Promise. Breaking out of
+   * the iteration early cancels the message.
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object|number} [options] - same as for `sendMessage`
+   *
+   * @return {Object} async iterator of progress frames, with a `result` Promise
+   */
+  stream(action, data, options) {
+    return streamMessage(sendOptions => this.sendMessage(action, data, sendOptions), options);
+  }
+
+  /**
+   * Gets a named channel on this connection, creating it if necessary
+   *
+   * Each channel has its own handlers, event listeners, timeouts and lifecycle, and shares the
+   * handshake, global functions and transport of this instance. Everything sent on the channel
+   * carries its name in the `channel` field of the envelope, and messages and events from the app
+   * with that `channel` go to the channel instead of this instance. Contracts and middleware added
+   * to this instance apply to every channel.
+   *
+   * @param  {string} name - name of the channel
+   * @param  {Object} [options] - options for a new channel (see WKPostMessengerChannel)
+   *
+   * @return {WKPostMessengerChannel} the channel
+   */
+  channel(name, options) {
+    if (this._destroyed) {
+      throw new DestroyedError();
+    }
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('[WKPostMessenger] channel names must be non-empty strings');
+    }
+    if (!this._channels[name]) {
+      this._channels[name] = new WKPostMessengerChannel(this, name, options);
+    }
+    return this._channels[name];
+  }
+
+  /**
+   * Forgets a channel that was destroyed, and answers the messages from the app that it is still
+   * handling with a DestroyedError
+   *
+   * @param {WKPostMessengerChannel} channel - the channel
+   */
+  _removeChannel(channel) {
+    if (this._channels[channel.name] !== channel) {
+      return;
+    }
+    delete this._channels[channel.name];
+    Object.keys(this._inbound).forEach((id) => {
+      const inbound = this._inbound[id];
+      if (inbound.channel === channel.name) {
+        inbound.respond(undefined, new DestroyedError('[WKPostMessenger] channel was destroyed'));
+        inbound.controller.abort();
+      }
+    });
+  }
+
+  /**
+   * Tears down the instance
+   *
+   * Removes the global functions (unless another instance has since replaced them, or they are
+   * locked in hardened mode), rejects every message still waiting for acknowledgment with a
+   * DestroyedError, clears their timers and destroys every channel. Any later attempt to send a
+   * message or register a handler fails immediately.
+   *
+   * @return {Promise} the `closed` Promise, which resolves once the instance is destroyed
+   */
+  destroy() {
+    if (this._destroyed) {
+      return this.closed;
+    }
+
+    this._destroyed = true;
+    this._connecting = false;
+    this._connected = false;
+
+    if (this._reconnect) {
+      const { timer, reject } = this._reconnect;
+      this._reconnect = null;
+      clearTimeout(timer);
+      reject(new DestroyedError());
+    }
+
+    // Locked globals can't be removed
+    if (!this._hardened && window[this._hm] === this._hmFn) {
+      delete window[this._hm];
+    }
+    if (!this._hardened && window[this._cb] === this._cbFn) {
+      delete window[this._cb];
+    }
+    if (this._unlisten) {
+      this._unlisten();
+    }
+
+    Object.keys(this._pending).forEach((id) => {
+      this._pending[id](new DestroyedError());
+    });
+
+    Object.keys(this._inbound).forEach((id) => {
+      this._inbound[id].controller.abort();
+    });
+    this._inbound = {};
+
+    this._scheduler.clear(new DestroyedError());
+    if (this._dedupe) {
+      this._dedupe.clear(new DestroyedError());
+    }
+    clearTimeout(this._batchTimer);
+    this._batchQueue = [];
+    this._reassembler.clear();
+    if (this._heartbeat) {
+      this._heartbeat.stop();
+    }
+    if (this._overlay) {
+      this._overlay.destroy();
+    }
+
+    Object.keys(this._channels).forEach((name) => {
+      this._channels[name].destroy();
+    });
+
+    this._handlers = {};
+    this._setState(CONNECTION_STATES.CLOSED);
+    this._resolveClosed();
+
+    return this.closed;
   }
 }
 
 WKPostMessenger.VERSION = version;
+WKPostMessenger.PROTOCOL_VERSION = PROTOCOL_VERSION;
+WKPostMessenger.FEATURES = FEATURES;
+WKPostMessenger.CONNECTION_STATES = CONNECTION_STATES;
+WKPostMessenger.ERROR_CODES = ERROR_CODES;
+WKPostMessenger.WKPostMessengerError = WKPostMessengerError;
+WKPostMessenger.TimeoutError = TimeoutError;
+WKPostMessenger.UnknownActionError = UnknownActionError;
+WKPostMessenger.DestroyedError = DestroyedError;
+WKPostMessenger.AbortError = AbortError;
+WKPostMessenger.TransferError = TransferError;
+WKPostMessenger.ValidationError = ValidationError;
+WKPostMessenger.RemoteError = RemoteError;
+WKPostMessenger.signEnvelope = signEnvelope;
+WKPostMessenger.createCodec = createCodec;
 
 export default WKPostMessenger;
@@ -0,0 +1,289 @@
+import eemit from 'eemit';
+import { UnknownActionError, DestroyedError, AbortError } from './errors';
+import { createAbortController, followSignal } from './abort';
+import { streamMessage } from './stream';
+import { SUBSCRIBE_ACTION, UNSUBSCRIBE_ACTION } from './protocol';
+import createListenerRegistry from './listeners';
+
+/**
+ * Creates the error for anything attempted on a destroyed channel
+ *
+ * @return {DestroyedError}
+ */
+const channelDestroyed = () => new DestroyedError('[WKPostMessenger] channel was destroyed');
+
+/**
+ * WKPostMessengerChannel is a named part of a WKPostMessenger connection, with its own handlers,
+ * timeouts and lifecycle
+ *
+ * Channels share the handshake, the global functions and the transport of the instance that
+ * created them. Everything a channel sends carries its name in the `channel` field of the
+ * envelope, so the app can route it, and messages and events from the app that carry the name are
+ * handled by the channel instead of the instance. Message IDs are unique across the connection, so
+ * callbacks don't need it.
+ */
+class WKPostMessengerChannel {
+  _handlers = {};
+  _events = eemit();
+  _listeners = createListenerRegistry();
+  _destroyed = false;
+  _controller = createAbortController();
+
+  /**
+   * Creates a channel, which should be done with `channel` on the instance rather than directly
+   *
+   * @param  {WKPostMessenger} messenger - the instance that carries the channel
+   * @param  {string} name - name of the channel
+   * @param  {Object} [options] - channel options
+   * @param  {Function} [options.handleMessage] - fallback function to call when a message is
+   *         received on the channel that does not have a handler registered with `handle`
+   * @param  {number} [options.messageTimeout] - milliseconds to wait for acknowledgment of a
+   *         message sent on the channel. Defaults to the instance's timeout.
+   * @param  {Object|number} [options.retry] - default retry policy for messages sent on the channel
+   */
+  constructor(messenger, name, {
+    handleMessage,
+    messageTimeout = messenger._messageTimeout,
+    retry = messenger._retry,
+  } = {}) {
+    this._messenger = messenger;
+    this._messageTimeout = messageTimeout;
+    this._retry = retry;
+
+    /**
+     * Name of the channel, which is sent along with everything on it
+     *
+     * @type {string}
+     */
+    this.name = name;
+
+    this.handleMessage = handleMessage;
+
+    /**
+     * Resolves when the channel is destroyed
+     *
+     * @type {Promise}
+     */
+    this.closed = new Promise((resolve) => {
+      this._resolveClosed = resolve;
+    });
+  }
+
+  /**
+   * Connection state of the instance, or `closed` once the channel is destroyed
+   *
+   * @type {string}
+   */
+  get state() {
+    return this._destroyed ? 'closed' : this._messenger.state;
+  }
+
+  /**
+   * Handle a message sent to the channel by the app
+   *
+   * Only the channel's own handlers and `handleMessage` fallback are used, never the instance's.
+   *
+   * @param  {string} action - name of the action to invoke in the webview
+   * @param  {*} [data] - any data for the action sent from the app
+   * @param  {string} [id] - the message identifier
+   * @param  {AbortSignal} [signal] - aborted if the app cancels the message
+   */
+  _handleMessage(action, data, id, signal) {
+    const handler = this._messenger._findHandler(action, this._handlers);
+    const context = {
+      action,
+      id,
+      signal,
+      channel: this.name,
+    };
+    if (handler) {
+      return handler(data, context);
+    }
+    if (typeof this.handleMessage === 'function') {
+      return this.handleMessage(action, data, context);
+    }
+    throw new UnknownActionError(action);
+  }
+
+  /**
+   * Passes an event from the app along to listeners added with `on`
+   *
+   * @param {string} event - name of the event
+   * @param {*} [data] - any data for the event
+   */
+  _receiveEvent(event, data) {
+    this._events.trigger(event, data);
+  }
+
+  /**
+   * Counts the listeners for an event
+   *
+   * @param  {string} event - name of the event
+   *
+   * @return {number}
+   */
+  _listenerCount(event) {
+    return this._listeners.count(event);
+  }
+
+  /**
+   * Registers a handler for messages sent to the channel by the app
+   *
+   * Works like `handle` on the instance, except that the context also has the `channel` name.
+   *
+   * @param  {string} action - action name or pattern
+   * @param  {Function} handler - called with the message data and a context object
+   *
+   * @return {WKPostMessengerChannel} this channel, for chaining
+   */
+  handle(action, handler) {
+    if (this._destroyed) {
+      throw channelDestroyed();
+    }
+    if (typeof handler !== 'function') {
+      throw new TypeError(`[WKPostMessenger] handler for ${action} must be a function`);
+    }
+    this._handlers[action] = handler;
+    return this;
+  }
+
+  /**
+   * Removes a handler registered with `handle`
+   *
+   * @param  {string} action - the same action name or pattern that the handler was registered with
+   *
+   * @return {WKPostMessengerChannel} this channel, for chaining
+   */
+  unhandle(action) {
+    delete this._handlers[action];
+    return this;
+  }
+
+  /**
+   * Sends a message to the app on the channel
+   *
+   * Works like `sendMessage` on the instance, with the channel's timeout and retry policy as the
+   * defaults. Destroying the channel cancels the message.
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object|number} [options] - same as for `sendMessage` on the instance
+   *
+   * @return {Promise} resolves with a result provided by the app after the message is processed
+   */
+  sendMessage(action, data, options) {
+    if (this._destroyed) {
+      return Promise.reject(channelDestroyed());
+    }
+    const sendOptions = typeof options === 'number' ? { timeout: options } : (options || {});
+    const controller = createAbortController();
+    const unfollow = followSignal(controller, sendOptions.signal);
+    const unfollowChannel = followSignal(controller, this._controller.signal);
+    const done = () => {
+      unfollow();
+      unfollowChannel();
+    };
+    return this._messenger._send(action, data, {
+      ...sendOptions,
+      signal: controller.signal,
+    }, this).then((result) => {
+      done();
+      return result;
+    }, (e) => {
+      done();
+      if (this._destroyed && e instanceof AbortError) {
+        return Promise.reject(channelDestroyed());
+      }
+      return Promise.reject(e);
+    });
+  }
+
+  /**
+   * Sends a message to the app on the channel and streams the progress frames it sends back
+   *
+   * @param  {string} action - name of the action to invoke
+   * @param  {*} [data] - any data for the action to be interpreted by the app
+   * @param  {Object|number} [options] - same as for `sendMessage`
+   *
+   * @return {Object} async iterator of progress frames, with a `result` Promise
+   */
+  stream(action, data, options) {
+    return streamMessage(sendOptions => this.sendMessage(action, data, sendOptions), options);
+  }
+
+  /**
+   * Adds a listener for events that the app emits on the channel
+   *
+   * Connection state events are only emitted by the instance.
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} listener - function to call when the event is emitted
+   *
+   * @return {WKPostMessengerChannel} this channel, for chaining
+   */
+  on(event, listener) {
+    const isFirstListener = !this._listenerCount(event);
+    this._events.on(event, listener);
+    this._listeners.add(event, listener);
+    if (isFirstListener) {
+      this._messenger._sendSubscription(SUBSCRIBE_ACTION, event, this);
+    }
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on`
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} [listener] - the listener to remove, or omit to remove all listeners
+   *
+   * @return {WKPostMessengerChannel} this channel, for chaining
+   */
+  off(event, listener) {
+    if (this._listeners.remove(event, listener)) {
+      this._events.off(event, listener);
+      if (!this._listenerCount(event)) {
+        this._messenger._sendSubscription(UNSUBSCRIBE_ACTION, event, this);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Sends an event to the app on the channel without waiting for acknowledgment
+   *
+   * @param  {string} event - name of the event
+   * @param  {*} [data] - any data for the event to be interpreted by the app
+   *
+   * @return {Promise} resolves once the event is posted to the app
+   */
+  emit(event, data) {
+    if (this._destroyed) {
+      return Promise.reject(channelDestroyed());
+    }
+    return this._messenger._sendEvent(event, data, this);
+  }
+
+  /**
+   * Tears down the channel without affecting the rest of the connection
+   *
+   * Messages sent on the channel that are still waiting for acknowledgment are cancelled and
+   * rejected with a DestroyedError, and messages from the app that are still being handled are
+   * answered with one. Calling `channel` with the same name afterwards creates a new channel.
+   *
+   * @return {Promise} the `closed` Promise, which resolves once the channel is destroyed
+   */
+  destroy() {
+    if (this._destroyed) {
+      return this.closed;
+    }
+    this._destroyed = true;
+    this._controller.abort();
+    this._messenger._removeChannel(this);
+    this._handlers = {};
+    this._resolveClosed();
+    return this.closed;
+  }
+}
+
+export default WKPostMessengerChannel;
@@ -0,0 +1,752 @@
+import eemit from 'eemit';
+import {
+  TimeoutError,
+  UnknownActionError,
+  DestroyedError,
+  AbortError,
+  serializeError,
+  deserializeError,
+} from './errors';
+import { createAbortController, onAbort } from './abort';
+import { getAsyncIterator } from './stream';
+import { splitPayload, createReassembler } from './chunks';
+import {
+  PROTOCOL_VERSION,
+  FEATURES,
+  HANDSHAKE_ACTION,
+  CALLBACK_ACTION,
+  RESET_ACTION,
+  CANCEL_ACTION,
+  EVENT_ACTION,
+  SUBSCRIBE_ACTION,
+  UNSUBSCRIBE_ACTION,
+  BATCH_ACTION,
+  CHUNK_ACTION,
+  PING_ACTION,
+  PROGRESS_FRAME,
+  clone,
+} from './protocol';
+import { AUTH_MODES, signEnvelope } from './auth';
+import { resolveCodec } from './codec';
+import { replayTrace } from './replay';
+import createListenerRegistry from './listeners';
+
+const DEFAULT_TIMEOUT = 3000;
+
+/**
+ * WKPostMessengerHost plays the part of the iOS app, so that code using WKPostMessenger can run in
+ * unit tests or a desktop browser
+ *
+ * It installs a fake script message handler at `window.webkit.messageHandlers`, acknowledges the
+ * handshake and speaks the rest of the protocol from the app's side. Actions that the app would
+ * handle are registered with `handle`, and messages can be sent to the webview with `sendMessage`.
+ * Latency, dropped acknowledgments and errors can be simulated to test the unhappy paths.
+ */
+class WKPostMessengerHost {
+  _handlers = {};
+  _pending = {};
+  _inbound = {};
+  _failures = [];
+  _destroyed = false;
+  _nextId = 0;
+
+  /**
+   * Every payload the webview has posted, most recent last
+   *
+   * @type {Array}
+   */
+  messages = [];
+
+  /**
+   * Events that the webview subscribed to with `subscribeEvents`
+   *
+   * @type {Array}
+   */
+  subscriptions = [];
+
+  /**
+   * Name of the webview's global handler function, once it has sent the handshake
+   *
+   * @type {string|null}
+   */
+  handlerGlobal = null;
+
+  /**
+   * The `client` metadata from the last handshake
+   *
+   * @type {Object|null}
+   */
+  client = null;
+
+  /**
+   * Creates a host and installs it as a script message handler
+   *
+   * @param  {Object} options - host options
+   * @param  {string} [options.scriptMessageHandler] - name of the script message handler to
+   *         install, matching the WKPostMessenger option of the same name
+   * @param  {number|Function} [options.latency] - milliseconds to wait before delivering anything
+   *         in either direction, or a function that returns the delay for a payload
+   * @param  {number} [options.dropRate] - probability, from 0 to 1, that an acknowledgment to the
+   *         webview is lost
+   * @param  {Function} [options.random] - source of randomness for `dropRate`
+   * @param  {number} [options.protocol] - protocol version to answer the handshake with. Version 1
+   *         sends the bare acknowledgment of older apps.
+   * @param  {Array} [options.features] - features to announce in the handshake
+   * @param  {Object} [options.app] - app metadata to announce in the handshake
+   * @param  {number} [options.chunkSize] - split anything sent to the webview whose data is bigger
+   *         than this many characters into chunks, or 0 to never split
+   * @param  {number} [options.messageTimeout] - milliseconds to wait for the webview to
+   *         acknowledge messages sent with `sendMessage`
+   * @param  {string|boolean} [options.auth] - how to authenticate calls to a hardened webview:
+   *         `secret` to pass along the secret from the handshake, `hmac` to sign each call with it,
+   *         or false to act like a script that doesn't know the secret
+   * @param  {boolean|Object} [options.codec] - codec to decode and encode the data of everything
+   *         exchanged with a webview that turned on its `codec` option, the built-in one by
+   *         default, or false to act like an app that doesn't support codecs
+   * @param  {boolean} [options.install] - set to false to install the host later with `install`
+   */
+  constructor({
+    scriptMessageHandler = 'wkPostMessage',
+    latency = 0,
+    dropRate = 0,
+    random = Math.random,
+    protocol = PROTOCOL_VERSION,
+    features = Object.keys(FEATURES).map(key => FEATURES[key]),
+    app = { platform: 'simulator' },
+    chunkSize = 0,
+    messageTimeout = DEFAULT_TIMEOUT,
+    auth = AUTH_MODES.SECRET,
+    codec = true,
+    install = true,
+  } = {}) {
+    this._events = eemit();
+    this._listeners = createListenerRegistry();
+    this._handshakes = eemit();
+    this._scriptMessageHandler = scriptMessageHandler;
+    this._latency = latency;
+    this._dropRate = dropRate;
+    this._random = random;
+    this._protocol = protocol;
+    this._codec = resolveCodec(codec);
+    this._features = this._codec
+      ? features
+      : features.filter(feature => feature !== FEATURES.CODEC);
+    this._usesCodec = false;
+    this._app = app;
+    this._chunkSize = chunkSize;
+    this._messageTimeout = messageTimeout;
+    this._auth = auth;
+    this._secret = null;
+
+    this._reassembler = createReassembler({
+      timeout: messageTimeout,
+      onComplete: (id, payload) => this._receive({ ...payload, id }),
+      onError: (id, payload, error) => {
+        if (payload && payload.action !== CALLBACK_ACTION && payload.callback) {
+          this._callback(payload.callback, id, undefined, serializeError(error));
+        } else if (this._pending[id]) {
+          this._pending[id].reject(error);
+        }
+      },
+    });
+
+    /**
+     * The script message handler that the webview posts to
+     *
+     * @type {Object}
+     */
+    this.target = {
+      postMessage: (payload) => {
+        const copy = clone(payload);
+        this._deliver(copy, () => this._receive(copy));
+      },
+    };
+
+    if (install) {
+      this.install();
+    }
+  }
+
+  /**
+   * Puts the host at `window.webkit.messageHandlers`, creating it if necessary
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  install() {
+    window.webkit = window.webkit || {};
+    window.webkit.messageHandlers = window.webkit.messageHandlers || {};
+    window.webkit.messageHandlers[this._scriptMessageHandler] = this.target;
+    return this;
+  }
+
+  /**
+   * Removes the host from `window.webkit.messageHandlers`, if it is still there
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  uninstall() {
+    const handlers = window.webkit && window.webkit.messageHandlers;
+    if (handlers && handlers[this._scriptMessageHandler] === this.target) {
+      delete handlers[this._scriptMessageHandler];
+    }
+    return this;
+  }
+
+  /**
+   * Calls a function after the simulated latency
+   *
+   * @param {Object} payload - what is being delivered
+   * @param {Function} deliver - delivers it
+   */
+  _deliver(payload, deliver) {
+    const latency = typeof this._latency === 'function' ? this._latency(payload) : this._latency;
+    setTimeout(() => {
+      if (!this._destroyed) {
+        deliver();
+      }
+    }, latency);
+  }
+
+  /**
+   * Handles a payload posted by the webview
+   *
+   * @param {Object} payload - the message payload
+   */
+  _receive(payload) {
+    const { id, action, data, callback } = payload;
+    this.messages.push(payload);
+
+    switch (action) {
+      case HANDSHAKE_ACTION:
+        this._receiveHandshake(payload);
+        break;
+      case CALLBACK_ACTION:
+        this._receiveCallback(id, this._decode(data), payload.error, payload.frame);
+        break;
+      case CANCEL_ACTION:
+        if (this._inbound[id]) {
+          this._inbound[id].abort();
+          delete this._inbound[id];
+        }
+        break;
+      case EVENT_ACTION:
+        if (data && data.event) {
+          this._events.trigger(data.event, this._decode(data.data));
+        }
+        break;
+      case SUBSCRIBE_ACTION:
+        if (this.subscriptions.indexOf(data) === -1) {
+          this.subscriptions.push(data);
+        }
+        break;
+      case UNSUBSCRIBE_ACTION:
+        this.subscriptions = this.subscriptions.filter(event => event !== data);
+        break;
+      case BATCH_ACTION:
+        (data || []).forEach(batched => this._receive(batched));
+        break;
+      case CHUNK_ACTION:
+        this._reassembler.add(id, data);
+        break;
+      default:
+        this._receiveMessage(id, action, this._decode(data), callback, payload);
+        break;
+    }
+  }
+
+  /**
+   * Acknowledges the handshake the way an app with the configured protocol version would
+   *
+   * @param {Object} payload - the handshake payload
+   */
+  _receiveHandshake({
+    id,
+    callback,
+    data,
+    client,
+    secret,
+    features,
+  }) {
+    this.handlerGlobal = data;
+    this.client = client || null;
+    this._secret = secret || null;
+    const result = this._protocol >= 2 ? {
+      protocol: this._protocol,
+      features: this._features,
+      app: this._app,
+    } : undefined;
+    this._usesCodec = false;
+    this._callback(callback, id, result);
+    this._usesCodec = Boolean(this._codec) && Array.isArray(features) &&
+      features.indexOf(FEATURES.CODEC) !== -1 && this._features.indexOf(FEATURES.CODEC) !== -1;
+    this._handshakes.trigger('handshake', data);
+  }
+
+  /**
+   * Decodes data from the webview, if it encodes what it sends with a codec
+   *
+   * @param  {*} data - the data
+   *
+   * @return {*} the decoded data
+   */
+  _decode(data) {
+    return this._usesCodec ? this._codec.decode(data) : data;
+  }
+
+  /**
+   * Encodes data for the webview, if it decodes what it receives with a codec
+   *
+   * @param  {*} data - the data
+   *
+   * @return {*} the encoded data
+   */
+  _encode(data) {
+    return this._usesCodec ? this._codec.encode(data) : data;
+  }
+
+  /**
+   * Settles a message sent to the webview with `sendMessage`
+   *
+   * @param {string} id - the message identifier
+   * @param {*} [result] - the result from the webview
+   * @param {Object} [error] - serialized error from the webview
+   * @param {string} [frame] - `progress` for progress frames
+   */
+  _receiveCallback(id, result, error, frame) {
+    const pending = this._pending[id];
+    if (!pending) {
+      return;
+    }
+    if (frame === PROGRESS_FRAME && !error) {
+      pending.onProgress(result);
+      return;
+    }
+    if (error) {
+      pending.reject(deserializeError(error));
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  /**
+   * Runs the handler for a message from the webview and acknowledges it
+   *
+   * @param {string} id - the message identifier
+   * @param {string} action - name of the action
+   * @param {*} data - data for the action
+   * @param {string} callback - name of the webview's global callback function
+   * @param {Object} payload - the whole payload
+   */
+  _receiveMessage(id, action, data, callback, payload) {
+    const controller = createAbortController();
+    this._inbound[id] = controller;
+    const respond = (result, error, frame) => {
+      if (this._inbound[id] !== controller) {
+        return;
+      }
+      if (!frame) {
+        delete this._inbound[id];
+        if (this._dropRate > 0 && this._random() < this._dropRate) {
+          return;
+        }
+      }
+      this._callback(callback, id, result, error && serializeError(error), frame);
+    };
+
+    // Simulated failures take the place of the handler
+    const failure = this._takeFailure(action);
+    if (failure) {
+      if (failure.error) {
+        respond(undefined, failure.error);
+      } else {
+        delete this._inbound[id];
+      }
+      return;
+    }
+
+    let result;
+    try {
+      // Heartbeat pings are answered like any other message, so they can be dropped or failed too
+      const handler = this._handlers[action] || (action === PING_ACTION ? () => null : null);
+      if (!handler) {
+        throw new UnknownActionError(action);
+      }
+      result = handler(data, { id, action, payload, signal: controller.signal });
+    } catch (e) {
+      respond(undefined, e);
+      return;
+    }
+
+    const iterator = getAsyncIterator(result);
+    if (iterator) {
+      const step = () => iterator.next().then(({ value, done }) => {
+        if (done) {
+          respond(value);
+        } else {
+          respond(value, undefined, PROGRESS_FRAME);
+          step();
+        }
+      }, e => respond(undefined, e));
+      step();
+    } else {
+      Promise.resolve(result).then(
+        value => respond(value),
+        e => respond(undefined, e),
+      );
+    }
+  }
+
+  /**
+   * Finds and uses up the next simulated failure for an action
+   *
+   * @param  {string} action - name of the action
+   *
+   * @return {Object|null} the failure, with an `error` to respond with or none to drop the
+   *         acknowledgment
+   */
+  _takeFailure(action) {
+    const failure = this._failures.filter(({ action: failing }) => (
+      failing === action || typeof failing === 'undefined'
+    ))[0];
+    if (!failure) {
+      return null;
+    }
+    failure.count -= 1;
+    if (failure.count <= 0) {
+      this._failures.splice(this._failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+
+  /**
+   * Authenticates a call to a hardened webview
+   *
+   * @param  {Object} envelope - the `id`, `action`, `data` and, for callbacks, `error` and `frame`
+   *
+   * @return {string|undefined} the secret or signature to pass along, if the webview sent a secret
+   */
+  _sign(envelope) {
+    if (!this._secret || !this._auth) {
+      return undefined;
+    }
+    return this._auth === AUTH_MODES.HMAC ? signEnvelope(this._secret, envelope) : this._secret;
+  }
+
+  /**
+   * Calls the webview's global callback function, the way the app would with evaluateJavaScript
+   *
+   * @param {string} callback - name of the global callback function
+   * @param {string} id - the message identifier
+   * @param {*} [result] - the result of the message
+   * @param {Object} [error] - serialized error
+   * @param {string} [frame] - `progress` for progress frames
+   */
+  _callback(callback, id, value, error, frame) {
+    const result = this._encode(value);
+    const payload = { action: CALLBACK_ACTION };
+    if (error) {
+      payload.error = error;
+    }
+    if (frame) {
+      payload.frame = frame;
+    }
+    if (this._sendChunks(id, payload, result)) {
+      return;
+    }
+    const args = [id, clone(result), clone(error), frame];
+    const auth = this._sign({
+      id,
+      action: CALLBACK_ACTION,
+      data: args[1],
+      error: args[2],
+      frame,
+    });
+    if (auth) {
+      args.push(auth);
+    }
+    this._deliver(payload, () => {
+      if (typeof window[callback] === 'function') {
+        window[callback](...args);
+      }
+    });
+  }
+
+  /**
+   * Calls the webview's global handler function, the way the app would with evaluateJavaScript
+   *
+   * @param {string} id - the message identifier
+   * @param {string} action - name of the action
+   * @param {*} [data] - data for the action
+   * @param {string} [channel] - name of the channel to send it on
+   */
+  _post(id, action, value, channel) {
+    if (this._destroyed) {
+      throw new DestroyedError();
+    }
+    if (!this.handlerGlobal) {
+      throw new Error('[WKPostMessengerHost] the webview has not sent the handshake yet');
+    }
+    const data = this._encode(value);
+    const envelope = channel ? { action, channel } : { action };
+    if (this._sendChunks(id, envelope, data)) {
+      return;
+    }
+    const { handlerGlobal } = this;
+    const copy = clone(data);
+    const auth = this._sign({ ...envelope, id, data: copy });
+    const args = [id, action, copy, auth];
+    if (channel) {
+      args.push(channel);
+    }
+    this._deliver({ ...envelope, id, data }, () => {
+      if (typeof window[handlerGlobal] === 'function') {
+        window[handlerGlobal](...args);
+      }
+    });
+  }
+
+  /**
+   * Sends a payload to the webview in chunks if its data is bigger than `chunkSize`
+   *
+   * @param  {string} id - the message identifier
+   * @param  {Object} envelope - the payload without its data
+   * @param  {*} data - the data
+   *
+   * @return {boolean} whether the payload was chunked
+   */
+  _sendChunks(id, envelope, data) {
+    const frames = splitPayload({ ...envelope, data }, this._chunkSize);
+    if (!frames || !this.handlerGlobal) {
+      return false;
+    }
+    const { handlerGlobal } = this;
+    frames.forEach((frame) => {
+      const auth = this._sign({ id, action: CHUNK_ACTION, data: frame });
+      this._deliver(frame, () => {
+        if (typeof window[handlerGlobal] === 'function') {
+          window[handlerGlobal](id, CHUNK_ACTION, frame, auth);
+        }
+      });
+    });
+    return true;
+  }
+
+  /**
+   * Registers a handler for an action that the webview sends to the app
+   *
+   * The handler is called with the message data and a context object containing the `id`,
+   * `action`, whole `payload` and an AbortSignal that is aborted if the webview cancels the
+   * message. Its return value (or the value a returned Promise resolves with) is the result. Thrown
+   * errors are sent back as serialized errors, and async iterables send progress frames.
+   *
+   * @param  {string} action - name of the action
+   * @param  {Function} handler - handles the message
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  handle(action, handler) {
+    this._handlers[action] = handler;
+    return this;
+  }
+
+  /**
+   * Removes a handler registered with `handle`
+   *
+   * @param  {string} action - name of the action
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  unhandle(action) {
+    delete this._handlers[action];
+    return this;
+  }
+
+  /**
+   * Answers the next messages for an action with an error instead of calling its handler
+   *
+   * @param  {string} [action] - name of the action, or omit for any action
+   * @param  {*} error - the error to respond with
+   * @param  {number} [count] - number of messages to fail
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  failNext(action, error, count = 1) {
+    this._failures.push({ action, error, count });
+    return this;
+  }
+
+  /**
+   * Never acknowledges the next messages for an action, as if the app lost them
+   *
+   * @param  {string} [action] - name of the action, or omit for any action
+   * @param  {number} [count] - number of messages to drop
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  dropNext(action, count = 1) {
+    this._failures.push({ action, count });
+    return this;
+  }
+
+  /**
+   * Sends a message to the webview
+   *
+   * @param  {string} action - name of the action
+   * @param  {*} [data] - data for the action
+   * @param  {Object} [options] - send options
+   * @param  {number} [options.timeout] - milliseconds to wait for the webview's callback
+   * @param  {Function} [options.onProgress] - called with each progress frame from the webview
+   * @param  {AbortSignal} [options.signal] - cancels the message when aborted
+   * @param  {string} [options.channel] - name of the webview's channel to send it on
+   *
+   * @return {Promise} resolves with the result from the webview, or rejects with a RemoteError if
+   *         it responds with an error
+   */
+  sendMessage(action, data, {
+    timeout = this._messageTimeout,
+    onProgress = () => {},
+    signal,
+    channel,
+  } = {}) {
+    this._nextId += 1;
+    const id = `host:${this._nextId}`;
+    return new Promise((resolve, reject) => {
+      let timer;
+      let removeAbortListener;
+      const settle = () => {
+        clearTimeout(timer);
+        removeAbortListener();
+        delete this._pending[id];
+      };
+      removeAbortListener = onAbort(signal, () => {
+        settle();
+        this._post(id, CANCEL_ACTION);
+        reject(new AbortError('[WKPostMessengerHost] message was aborted', { id, action }));
+      });
+      this._pending[id] = {
+        resolve: (result) => {
+          settle();
+          resolve(result);
+        },
+        reject: (e) => {
+          settle();
+          reject(e);
+        },
+        onProgress,
+      };
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          this._pending[id].reject(new TimeoutError(
+            '[WKPostMessengerHost] message acknowledgment timeout',
+            { id, action, timeout },
+          ));
+        }, timeout);
+      }
+      try {
+        this._post(id, action, data, channel);
+      } catch (e) {
+        this._pending[id].reject(e);
+      }
+    });
+  }
+
+  /**
+   * Emits an event in the webview
+   *
+   * @param  {string} event - name of the event
+   * @param  {*} [data] - data for the event
+   * @param  {Object} [options] - emit options
+   * @param  {string} [options.channel] - name of the webview's channel to emit it on
+   */
+  emit(event, data, { channel } = {}) {
+    this._post(null, EVENT_ACTION, { event, data }, channel);
+  }
+
+  /**
+   * Tells the webview to send the handshake again, as the app would after reloading its side of
+   * the bridge
+   *
+   * @return {Promise} resolves once the webview has sent the handshake again
+   */
+  reset() {
+    const handshake = this.waitForHandshake(true);
+    this.sendMessage(RESET_ACTION).catch(() => {});
+    return handshake;
+  }
+
+  /**
+   * Waits for the webview to send the handshake
+   *
+   * @param  {boolean} [next] - wait for the next handshake even if there already was one
+   *
+   * @return {Promise} resolves with the name of the webview's global handler function
+   */
+  waitForHandshake(next = false) {
+    if (this.handlerGlobal && !next) {
+      return Promise.resolve(this.handlerGlobal);
+    }
+    return new Promise((resolve) => {
+      const listener = (handlerGlobal) => {
+        this._handshakes.off('handshake', listener);
+        resolve(handlerGlobal);
+      };
+      this._handshakes.on('handshake', listener);
+    });
+  }
+
+  /**
+   * Adds a listener for events emitted by the webview
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} listener - called with the event data
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  on(event, listener) {
+    this._events.on(event, listener);
+    this._listeners.add(event, listener);
+    return this;
+  }
+
+  /**
+   * Removes a listener added with `on`
+   *
+   * @param  {string} event - name of the event
+   * @param  {Function} [listener] - the listener to remove, or omit to remove all listeners
+   *
+   * @return {WKPostMessengerHost} this instance, for chaining
+   */
+  off(event, listener) {
+    if (this._listeners.remove(event, listener)) {
+      this._events.off(event, listener);
+    }
+    return this;
+  }
+
+  /**
+   * Uninstalls the host and stops delivering anything
+   *
+   * Messages sent to the webview that are still waiting for a callback are rejected with a
+   * DestroyedError.
+   */
+  destroy() {
+    if (this._destroyed) {
+      return;
+    }
+    this._destroyed = true;
+    this.uninstall();
+    this._reassembler.clear();
+    Object.keys(this._pending).forEach((id) => {
+      this._pending[id].reject(new DestroyedError());
+    });
+    Object.keys(this._inbound).forEach((id) => {
+      this._inbound[id].abort();
+    });
+    this._inbound = {};
+  }
+}
+
+// Replays sessions recorded in the webview, standing in for the app (see replay.js)
+WKPostMessengerHost.replayTrace = replayTrace;
+
+export default WKPostMessengerHost;
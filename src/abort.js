@@ -0,0 +1,83 @@
+/**
+ * Minimal stand-in for AbortSignal in webviews that don't have AbortController
+ */
+const createAbortSignal = () => {
+  const listeners = [];
+  return {
+    aborted: false,
+    onabort: null,
+    addEventListener(type, listener) {
+      if (type === 'abort') {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener(type, listener) {
+      const index = listeners.indexOf(listener);
+      if (type === 'abort' && index !== -1) {
+        listeners.splice(index, 1);
+      }
+    },
+    dispatchEvent(event) {
+      if (typeof this.onabort === 'function') {
+        this.onabort(event);
+      }
+      listeners.slice().forEach(listener => listener.call(this, event));
+      return true;
+    },
+  };
+};
+
+/**
+ * Creates an AbortController, or something that behaves enough like one if the environment
+ * doesn't provide it
+ *
+ * @return {AbortController}
+ */
+export const createAbortController = () => {
+  if (typeof window.AbortController === 'function') {
+    return new window.AbortController();
+  }
+
+  const signal = createAbortSignal();
+  return {
+    signal,
+    abort() {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      signal.dispatchEvent({ type: 'abort', target: signal });
+    },
+  };
+};
+
+/**
+ * Calls a function when a signal is aborted
+ *
+ * @param  {AbortSignal} [signal] - the signal to observe
+ * @param  {Function} callback - function to call when the signal is aborted
+ *
+ * @return {Function} removes the listener
+ */
+export const onAbort = (signal, callback) => {
+  if (!signal) {
+    return () => {};
+  }
+  signal.addEventListener('abort', callback);
+  return () => signal.removeEventListener('abort', callback);
+};
+
+/**
+ * Aborts a controller when a signal is aborted, or right away if it already was
+ *
+ * @param  {AbortController} controller - the controller to abort
+ * @param  {AbortSignal} [signal] - the signal to follow
+ *
+ * @return {Function} stops following the signal
+ */
+export const followSignal = (controller, signal) => {
+  if (signal && signal.aborted) {
+    controller.abort();
+  }
+  return onAbort(signal, () => controller.abort());
+};
@@ -0,0 +1,99 @@
+/**
+ * Joins a method path into an action name, so `api.camera.takePhoto` sends `camera.takePhoto`
+ *
+ * @param  {Array} path - property names leading to the method
+ *
+ * @return {string} the action name
+ */
+export const dotActionName = path => path.join('.');
+
+/**
+ * Properties that are never treated as part of a method path, so the API isn't mistaken for a
+ * Promise or inspected into oblivion by tools that look for these
+ */
+const IGNORED_PROPERTIES = ['then', 'catch', 'finally', 'toJSON', 'constructor', 'inspect'];
+
+/**
+ * Creates an object whose methods send messages to the app
+ *
+ * Where Proxy is available, any property path can be called, like `api.camera.takePhoto(data)`.
+ * Otherwise, only the methods listed by `methods` are there.
+ *
+ * @param  {Object} options - API options
+ * @param  {Function} options.call - called with the action name and the arguments of each method
+ *         call, returning its result
+ * @param  {Function} options.resolve - converts a method path to an action name
+ * @param  {Function} options.methods - lists the dot-separated paths of known methods
+ *
+ * @return {Object} the API
+ */
+export const createApi = ({ call, resolve, methods }) => {
+  const invoke = path => (...args) => call(resolve(path), ...args);
+
+  if (typeof Proxy !== 'function') {
+    const api = {};
+    methods().forEach((method) => {
+      const path = method.split('.');
+      let parent = api;
+      path.slice(0, -1).forEach((key) => {
+        if (!parent[key] || typeof parent[key] !== 'object') {
+          parent[key] = {};
+        }
+        parent = parent[key];
+      });
+      parent[path[path.length - 1]] = invoke(path);
+    });
+    return api;
+  }
+
+  const proxies = {};
+  const createProxy = (path) => {
+    const key = path.join('\u0000');
+    if (!proxies[key]) {
+      proxies[key] = new Proxy(invoke(path), {
+        get(target, property) {
+          if (typeof property !== 'string' || IGNORED_PROPERTIES.indexOf(property) !== -1) {
+            return undefined;
+          }
+          return createProxy(path.concat(property));
+        },
+      });
+    }
+    return proxies[key];
+  };
+  return createProxy([]);
+};
+
+/**
+ * Lists the methods of an object that can be exposed to the app, along with their paths
+ *
+ * Nested plain objects are walked, so `{ camera: { takePhoto() {} } }` has the method
+ * `camera.takePhoto`. Methods inherited from a class are included, but not those of Object itself.
+ *
+ * @param  {Object} object - the object to expose
+ * @param  {Array} [path] - path of the object itself
+ *
+ * @return {Array} objects with the `path` of each method, its `method` and the object it belongs to
+ *         as `context`
+ */
+export const listMethods = (object, path = []) => {
+  const methods = [];
+  const seen = {};
+  let current = object;
+  while (current && current !== Object.prototype && current !== Function.prototype) {
+    Object.getOwnPropertyNames(current).forEach((key) => {
+      if (seen[key] || key === 'constructor' || key.charAt(0) === '_') {
+        return;
+      }
+      seen[key] = true;
+      const value = object[key];
+      if (typeof value === 'function') {
+        methods.push({ path: path.concat(key), method: value, context: object });
+      } else if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        methods.push(...listMethods(value, path.concat(key)));
+      }
+    });
+    current = Object.getPrototypeOf(current);
+  }
+  return methods;
+};
@@ -0,0 +1,267 @@
+/* eslint-disable no-bitwise */
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+const BLOCK_SIZE = 64;
+
+/**
+ * Ways the app can prove that a call came from it, from the weakest to the strongest
+ */
+export const AUTH_MODES = {
+  // The call carries the secret itself
+  SECRET: 'secret',
+  // The call carries an HMAC-SHA256 of its envelope, keyed with the secret
+  HMAC: 'hmac',
+};
+
+/**
+ * Encodes a string as UTF-8
+ *
+ * @param  {string} string - the string
+ *
+ * @return {Array} the bytes
+ */
+export const utf8 = (string) => {
+  const bytes = [];
+  for (let i = 0; i < string.length; i += 1) {
+    let code = string.charCodeAt(i);
+    if (code >= 0xd800 && code < 0xdc00 && i + 1 < string.length) {
+      const next = string.charCodeAt(i + 1);
+      if (next >= 0xdc00 && next < 0xe000) {
+        code = 0x10000 + ((code - 0xd800) << 10) + (next - 0xdc00);
+        i += 1;
+      }
+    }
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (code < 0x800) {
+      bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+    } else if (code < 0x10000) {
+      bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+    } else {
+      bytes.push(
+        0xf0 | (code >> 18),
+        0x80 | ((code >> 12) & 0x3f),
+        0x80 | ((code >> 6) & 0x3f),
+        0x80 | (code & 0x3f),
+      );
+    }
+  }
+  return bytes;
+};
+
+const rotate = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * Hashes bytes with SHA-256
+ *
+ * @param  {Array} bytes - the message
+ *
+ * @return {Array} the 32 bytes of the hash
+ */
+export const sha256 = (bytes) => {
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ];
+
+  const padded = bytes.concat(0x80);
+  while (padded.length % BLOCK_SIZE !== 56) {
+    padded.push(0);
+  }
+  const bits = bytes.length * 8;
+  const high = Math.floor(bits / 0x100000000);
+  padded.push(
+    (high >>> 24) & 0xff, (high >>> 16) & 0xff, (high >>> 8) & 0xff, high & 0xff,
+    (bits >>> 24) & 0xff, (bits >>> 16) & 0xff, (bits >>> 8) & 0xff, bits & 0xff,
+  );
+
+  const w = [];
+  for (let offset = 0; offset < padded.length; offset += BLOCK_SIZE) {
+    for (let i = 0; i < 16; i += 1) {
+      const j = offset + (i * 4);
+      w[i] = (padded[j] << 24) | (padded[j + 1] << 16) | (padded[j + 2] << 8) | padded[j + 3];
+    }
+    for (let i = 16; i < 64; i += 1) {
+      const s0 = rotate(w[i - 15], 7) ^ rotate(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotate(w[i - 2], 17) ^ rotate(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, h] = hash;
+    for (let i = 0; i < 64; i += 1) {
+      const s1 = rotate(e, 6) ^ rotate(e, 11) ^ rotate(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + s1 + ch + K[i] + w[i]) | 0;
+      const s0 = rotate(a, 2) ^ rotate(a, 13) ^ rotate(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    [a, b, c, d, e, f, g, h].forEach((value, i) => {
+      hash[i] = (hash[i] + value) | 0;
+    });
+  }
+
+  return hash.reduce((result, value) => result.concat(
+    (value >>> 24) & 0xff,
+    (value >>> 16) & 0xff,
+    (value >>> 8) & 0xff,
+    value & 0xff,
+  ), []);
+};
+
+/**
+ * Formats bytes as hexadecimal
+ *
+ * @param  {Array} bytes - the bytes
+ *
+ * @return {string}
+ */
+const toHex = bytes => bytes.map(byte => (byte < 16 ? '0' : '') + byte.toString(16)).join('');
+
+/**
+ * Computes the HMAC-SHA256 of a string
+ *
+ * @param  {string} key - the key
+ * @param  {string} message - the message
+ *
+ * @return {string} the HMAC as hexadecimal
+ */
+export const hmacSha256 = (key, message) => {
+  let keyBytes = utf8(key);
+  if (keyBytes.length > BLOCK_SIZE) {
+    keyBytes = sha256(keyBytes);
+  }
+  const inner = [];
+  const outer = [];
+  for (let i = 0; i < BLOCK_SIZE; i += 1) {
+    const byte = keyBytes[i] || 0;
+    inner.push(byte ^ 0x36);
+    outer.push(byte ^ 0x5c);
+  }
+  return toHex(sha256(outer.concat(sha256(inner.concat(utf8(message))))));
+};
+
+/**
+ * Copies a value with the keys of every object sorted, so that it always serializes the same way
+ *
+ * @param  {*} value - anything that can be serialized as JSON
+ *
+ * @return {*} the copy
+ */
+const sortKeys = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(sortKeys);
+  }
+  if (value && typeof value === 'object' && typeof value.toJSON !== 'function') {
+    return Object.keys(value).sort().reduce((sorted, key) => ({
+      ...sorted,
+      [key]: sortKeys(value[key]),
+    }), {});
+  }
+  return value;
+};
+
+/**
+ * Serializes an envelope the way it is signed: as JSON with sorted keys and no whitespace, leaving
+ * out anything undefined
+ *
+ * @param  {Object} envelope - the `id`, `action`, `data`, `channel` and, for callbacks, `error`
+ *         and `frame`
+ *
+ * @return {string}
+ */
+export const canonicalEnvelope = ({
+  id,
+  action,
+  data,
+  channel,
+  error,
+  frame,
+}) => JSON.stringify(sortKeys({
+  id,
+  action,
+  data,
+  channel,
+  error,
+  frame,
+}));
+
+/**
+ * Signs an envelope, the way the app does in `hmac` mode
+ *
+ * @param  {string} secret - the secret from the handshake
+ * @param  {Object} envelope - the `id`, `action`, `data`, `channel` and, for callbacks, `error`
+ *         and `frame`
+ *
+ * @return {string} the HMAC-SHA256 of the canonical envelope as hexadecimal
+ */
+export const signEnvelope = (secret, envelope) => hmacSha256(secret, canonicalEnvelope(envelope));
+
+/**
+ * Compares two strings in an amount of time that doesn't depend on where they differ
+ *
+ * @param  {string} a - a string
+ * @param  {string} b - another string
+ *
+ * @return {boolean}
+ */
+const safeEqual = (a, b) => {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i += 1) {
+    diff |= a.charCodeAt(i) ^ (b.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+};
+
+/**
+ * Checks that a call from the app carries the secret, or the signature of its envelope
+ *
+ * @param  {string} secret - the secret from the handshake
+ * @param  {Object} envelope - what the call is about (see `canonicalEnvelope`)
+ * @param  {string} [auth] - the secret or signature that came with the call
+ * @param  {string} [mode] - `secret` to accept either, or `hmac` to accept only signatures
+ *
+ * @return {string|null} why the call is not authentic, `missing` or `invalid`, or null if it is
+ */
+export const checkAuth = (secret, envelope, auth, mode = AUTH_MODES.SECRET) => {
+  if (typeof auth !== 'string' || !auth) {
+    return 'missing';
+  }
+  if (mode !== AUTH_MODES.HMAC && safeEqual(auth, secret)) {
+    return null;
+  }
+  return safeEqual(auth.toLowerCase(), signEnvelope(secret, envelope)) ? null : 'invalid';
+};
+
+/**
+ * Generates a random secret
+ *
+ * @param  {Crypto} [crypto] - source of random values, which is the Web Crypto API by default
+ *
+ * @return {string} 32 random bytes as hexadecimal
+ */
+export const createSecret = (crypto = window.crypto || window.msCrypto) => {
+  if (!crypto || typeof crypto.getRandomValues !== 'function') {
+    throw new Error('[WKPostMessenger] hardened mode needs crypto.getRandomValues');
+  }
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return toHex(Array.prototype.slice.call(bytes));
+};
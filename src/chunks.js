@@ -0,0 +1,155 @@
+import { ERROR_CODES, TransferError } from './errors';
+
+/**
+ * Calculates a 32-bit FNV-1a hash of a string, which is plenty to notice a corrupted transfer
+ *
+ * @param  {string} string - the string to hash
+ *
+ * @return {string} the hash as hexadecimal
+ */
+export const checksum = (string) => {
+  /* eslint-disable no-bitwise */
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < string.length; i += 1) {
+    hash ^= string.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return (hash >>> 0).toString(16);
+  /* eslint-enable no-bitwise */
+};
+
+/**
+ * Splits a payload into chunk frames if its data is too big to send in one piece
+ *
+ * The data is serialized as JSON and split into strings of at most `chunkSize` characters. Every
+ * frame has the `index` of the chunk, the `total` number of chunks, the `length` and `checksum` of
+ * the whole string and the `chunk` itself. The first frame also has the original `payload` minus
+ * its data, so the receiving side knows what to do once it has reassembled the data.
+ *
+ * @param  {Object} payload - the message payload
+ * @param  {number} chunkSize - maximum number of characters in each chunk
+ *
+ * @return {Array|null} the data of each chunk frame, or null if the payload is small enough
+ */
+export const splitPayload = (payload, chunkSize) => {
+  if (!(chunkSize > 0) || typeof payload.data === 'undefined') {
+    return null;
+  }
+
+  const json = JSON.stringify(payload.data);
+  if (typeof json !== 'string' || json.length <= chunkSize) {
+    return null;
+  }
+
+  const envelope = { ...payload };
+  delete envelope.data;
+
+  const total = Math.ceil(json.length / chunkSize);
+  const hash = checksum(json);
+  const frames = [];
+  for (let index = 0; index < total; index += 1) {
+    const frame = {
+      index,
+      total,
+      length: json.length,
+      checksum: hash,
+      chunk: json.slice(index * chunkSize, (index + 1) * chunkSize),
+    };
+    if (index === 0) {
+      frame.payload = envelope;
+    }
+    frames.push(frame);
+  }
+  return frames;
+};
+
+/**
+ * Creates a store for chunk frames that calls back once every chunk of a transfer has arrived
+ *
+ * If a transfer doesn't complete in time, or the reassembled data doesn't match its length and
+ * checksum, it is dropped and `onError` is called with a TransferError.
+ *
+ * @param  {Object} options - reassembler options
+ * @param  {number} options.timeout - milliseconds to wait for the next chunk before giving up
+ * @param  {Function} options.onComplete - called with the transfer ID and the original payload,
+ *         including its reassembled data
+ * @param  {Function} options.onError - called with the transfer ID, the original payload (if
+ *         its first frame arrived) and the error
+ * @param  {Function} [options.onProgress] - called with the transfer ID, the number of chunks
+ *         received so far and the total number of chunks
+ *
+ * @return {Object} with functions to `add` a frame and `clear` every incomplete transfer
+ */
+export const createReassembler = ({
+  timeout,
+  onComplete,
+  onError,
+  onProgress = () => {},
+}) => {
+  let transfers = {};
+
+  const fail = (id, error) => {
+    const transfer = transfers[id];
+    clearTimeout(transfer.timer);
+    delete transfers[id];
+    onError(id, transfer.payload, error);
+  };
+
+  const restartTimer = (id) => {
+    const transfer = transfers[id];
+    clearTimeout(transfer.timer);
+    if (timeout > 0) {
+      transfer.timer = setTimeout(() => {
+        fail(id, new TransferError(
+          `[WKPostMessenger] lost chunks of message ${id}`,
+          ERROR_CODES.CHUNK_LOST,
+          { id, received: transfer.received, total: transfer.total },
+        ));
+      }, timeout);
+    }
+  };
+
+  return {
+    add(id, frame) {
+      if (!transfers[id]) {
+        transfers[id] = {
+          chunks: [],
+          received: 0,
+          total: frame.total,
+        };
+      }
+      const transfer = transfers[id];
+      if (frame.payload) {
+        transfer.payload = frame.payload;
+      }
+      if (typeof transfer.chunks[frame.index] === 'undefined') {
+        transfer.chunks[frame.index] = frame.chunk;
+        transfer.received += 1;
+      }
+      onProgress(id, transfer.received, transfer.total);
+
+      if (transfer.received < transfer.total || !transfer.payload) {
+        restartTimer(id);
+        return;
+      }
+
+      const json = transfer.chunks.join('');
+      if (json.length !== frame.length || checksum(json) !== frame.checksum) {
+        fail(id, new TransferError(
+          `[WKPostMessenger] chunks of message ${id} do not match the checksum`,
+          ERROR_CODES.CHECKSUM_MISMATCH,
+          { id },
+        ));
+        return;
+      }
+
+      clearTimeout(transfer.timer);
+      delete transfers[id];
+      onComplete(id, { ...transfer.payload, data: JSON.parse(json) });
+    },
+    clear() {
+      Object.keys(transfers).forEach(id => clearTimeout(transfers[id].timer));
+      transfers = {};
+    },
+  };
+};
@@ -0,0 +1,367 @@
+/**
+ * Codecs keep values that JSON can't represent intact across the bridge
+ *
+ * The built-in codec replaces each such value with a tagged object, `{ "$type": name, "value":
+ * encoded }`, where the value is something JSON can represent. Plain objects that happen to have a
+ * `$type` key of their own are wrapped in an `Object` tag, so they can't be mistaken for anything
+ * else. The built-in types are:
+ *
+ * - `Date`: the ISO string, or null for an invalid date
+ * - `Map`: an array of `[key, value]` entries
+ * - `Set`: an array of values
+ * - `ArrayBuffer` and typed arrays like `Uint8Array`: the bytes as base64, in the platform's byte
+ *   order (little-endian on every iOS and Android device)
+ * - `Error`: an object with the `name`, `message` and any `code` and `details`
+ * - `Number`: `NaN`, `Infinity`, `-Infinity` or `-0` as a string
+ * - `undefined`: null, for fields and array items. Top-level undefined data is left out instead.
+ *
+ * Custom types are objects with a `name`, a `test` function that checks whether a value is of the
+ * type, an `encode` function that converts it to something the codec can encode, and a `decode`
+ * function that converts it back.
+ */
+
+const TAG = '$type';
+const OBJECT_TAG = 'Object';
+const BASE64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const TYPED_ARRAYS = [
+  'Int8Array',
+  'Uint8Array',
+  'Uint8ClampedArray',
+  'Int16Array',
+  'Uint16Array',
+  'Int32Array',
+  'Uint32Array',
+  'Float32Array',
+  'Float64Array',
+];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Encodes bytes as base64
+ *
+ * @param  {Uint8Array|Array} bytes - the bytes
+ *
+ * @return {string}
+ */
+export const encodeBase64 = (bytes) => {
+  /* eslint-disable no-bitwise */
+  let result = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    result += BASE64_ALPHABET[(triplet >> 18) & 0x3f] + BASE64_ALPHABET[(triplet >> 12) & 0x3f];
+    result += i + 1 < bytes.length ? BASE64_ALPHABET[(triplet >> 6) & 0x3f] : '=';
+    result += i + 2 < bytes.length ? BASE64_ALPHABET[triplet & 0x3f] : '=';
+  }
+  return result;
+  /* eslint-enable no-bitwise */
+};
+
+/**
+ * Decodes base64 into bytes
+ *
+ * @param  {string} string - the base64 string
+ *
+ * @return {Uint8Array}
+ */
+export const decodeBase64 = (string) => {
+  /* eslint-disable no-bitwise */
+  const clean = `${string}`.replace(/[^A-Za-z0-9+/]/g, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let length = 0;
+  for (let i = 0; i < clean.length; i += 4) {
+    const sextets = [0, 1, 2, 3].map(offset => BASE64_ALPHABET.indexOf(clean[i + offset] || 'A'));
+    const triplet = (sextets[0] << 18) | (sextets[1] << 12) | (sextets[2] << 6) | sextets[3];
+    const remaining = clean.length - i;
+    bytes[length] = (triplet >> 16) & 0xff;
+    length += 1;
+    if (remaining > 2) {
+      bytes[length] = (triplet >> 8) & 0xff;
+      length += 1;
+    }
+    if (remaining > 3) {
+      bytes[length] = triplet & 0xff;
+      length += 1;
+    }
+  }
+  return bytes.subarray(0, length);
+  /* eslint-enable no-bitwise */
+};
+
+/**
+ * Copies bytes into a new ArrayBuffer
+ *
+ * @param  {Uint8Array} bytes - the bytes
+ *
+ * @return {ArrayBuffer}
+ */
+const toArrayBuffer = bytes => (
+  bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+);
+
+/**
+ * Lists the built-in types that the environment has
+ *
+ * @return {Array}
+ */
+const getBuiltInTypes = () => {
+  const types = [{
+    name: 'Date',
+    test: value => value instanceof Date,
+    encode: value => (isNaN(value.getTime()) ? null : value.toISOString()),
+    decode: value => new Date(value === null ? NaN : value),
+  }];
+
+  if (typeof Map === 'function') {
+    types.push({
+      name: 'Map',
+      test: value => value instanceof Map,
+      encode: (value) => {
+        const entries = [];
+        value.forEach((item, key) => entries.push([key, item]));
+        return entries;
+      },
+      decode: (entries) => {
+        const map = new Map();
+        entries.forEach(([key, item]) => map.set(key, item));
+        return map;
+      },
+    });
+  }
+
+  if (typeof Set === 'function') {
+    types.push({
+      name: 'Set',
+      test: value => value instanceof Set,
+      encode: (value) => {
+        const items = [];
+        value.forEach(item => items.push(item));
+        return items;
+      },
+      decode: (items) => {
+        const set = new Set();
+        items.forEach(item => set.add(item));
+        return set;
+      },
+    });
+  }
+
+  if (typeof ArrayBuffer === 'function') {
+    types.push({
+      name: 'ArrayBuffer',
+      test: value => value instanceof ArrayBuffer,
+      encode: value => encodeBase64(new Uint8Array(value)),
+      decode: value => toArrayBuffer(decodeBase64(value)),
+    });
+    TYPED_ARRAYS
+      .filter(name => typeof window[name] === 'function')
+      .forEach((name) => {
+        const TypedArray = window[name];
+        types.push({
+          name,
+          test: value => value instanceof TypedArray,
+          encode: value => encodeBase64(new Uint8Array(
+            value.buffer,
+            value.byteOffset,
+            value.byteLength,
+          )),
+          decode: value => new TypedArray(toArrayBuffer(decodeBase64(value))),
+        });
+      });
+  }
+
+  types.push({
+    name: 'Error',
+    test: value => value instanceof Error,
+    encode: (value) => {
+      const encoded = { name: value.name, message: value.message };
+      if (typeof value.code !== 'undefined') {
+        encoded.code = value.code;
+      }
+      if (typeof value.details !== 'undefined') {
+        encoded.details = value.details;
+      }
+      return encoded;
+    },
+    decode: (value) => {
+      const error = new Error(value.message);
+      error.name = value.name;
+      if (typeof value.code !== 'undefined') {
+        error.code = value.code;
+      }
+      if (typeof value.details !== 'undefined') {
+        error.details = value.details;
+      }
+      return error;
+    },
+  }, {
+    name: 'Number',
+    test: value => (
+      typeof value === 'number' && (!isFinite(value) || (value === 0 && 1 / value < 0))
+    ),
+    encode: value => (value === 0 ? '-0' : String(value)),
+    decode: value => (value === '-0' ? -0 : Number(value)),
+  }, {
+    name: 'undefined',
+    test: value => typeof value === 'undefined',
+    encode: () => null,
+    decode: () => undefined,
+  });
+
+  return types;
+};
+
+/**
+ * Checks that a custom type has everything the codec needs
+ *
+ * @param  {Object} type - the type
+ *
+ * @return {Object} the type
+ */
+export const normalizeType = (type) => {
+  if (!type || typeof type.name !== 'string' || !type.name) {
+    throw new TypeError('[WKPostMessenger] codec types need a name');
+  }
+  if (type.name === OBJECT_TAG) {
+    throw new TypeError(`[WKPostMessenger] the codec type name ${OBJECT_TAG} is reserved`);
+  }
+  ['test', 'encode', 'decode'].forEach((fn) => {
+    if (typeof type[fn] !== 'function') {
+      throw new TypeError(`[WKPostMessenger] codec type ${type.name} needs a ${fn} function`);
+    }
+  });
+  return type;
+};
+
+/**
+ * Creates a codec with the built-in types and any custom types
+ *
+ * @param  {Object} [options] - codec options
+ * @param  {Array} [options.types] - custom types, which take precedence over the built-in types
+ *
+ * @return {Object} the codec, with functions to `encode` and `decode` values and to `register`
+ *         more types
+ */
+export const createCodec = ({ types = [] } = {}) => {
+  let custom = [];
+  const builtIn = getBuiltInTypes();
+
+  const findType = name => custom.concat(builtIn).filter(type => type.name === name)[0];
+
+  const encodeValue = (value, ancestors) => {
+    const all = custom.concat(builtIn);
+    for (let i = 0; i < all.length; i += 1) {
+      if (all[i].test(value)) {
+        return { [TAG]: all[i].name, value: encodeValue(all[i].encode(value), ancestors) };
+      }
+    }
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (ancestors.indexOf(value) !== -1) {
+      throw new TypeError('[WKPostMessenger] the codec can\'t encode circular structures');
+    }
+    const path = ancestors.concat([value]);
+    if (Array.isArray(value)) {
+      return value.map(item => encodeValue(item, path));
+    }
+    if (typeof value.toJSON === 'function') {
+      return encodeValue(value.toJSON(), path);
+    }
+    const encoded = {};
+    Object.keys(value).forEach((key) => {
+      encoded[key] = encodeValue(value[key], path);
+    });
+    return hasOwn(value, TAG) ? { [TAG]: OBJECT_TAG, value: encoded } : encoded;
+  };
+
+  const decodeValue = (value) => {
+    if (!value || typeof value !== 'object') {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(decodeValue);
+    }
+    const decodeFields = (object) => {
+      const decoded = {};
+      Object.keys(object || {}).forEach((key) => {
+        decoded[key] = decodeValue(object[key]);
+      });
+      return decoded;
+    };
+    if (hasOwn(value, TAG)) {
+      if (value[TAG] === OBJECT_TAG) {
+        return decodeFields(value.value);
+      }
+      const type = findType(value[TAG]);
+      if (type) {
+        return type.decode(decodeValue(value.value));
+      }
+    }
+    return decodeFields(value);
+  };
+
+  const codec = {
+    /**
+     * Adds a custom type, replacing any type with the same name
+     *
+     * @param  {Object} type - the type
+     *
+     * @return {Object} the codec, for chaining
+     */
+    register(type) {
+      normalizeType(type);
+      custom = [type].concat(custom.filter(({ name }) => name !== type.name));
+      return codec;
+    },
+
+    /**
+     * Encodes a value so it survives being serialized as JSON
+     *
+     * @param  {*} value - the value
+     *
+     * @return {*} the encoded value
+     */
+    encode(value) {
+      return typeof value === 'undefined' ? value : encodeValue(value, []);
+    },
+
+    /**
+     * Decodes a value encoded by `encode`
+     *
+     * @param  {*} value - the encoded value
+     *
+     * @return {*} the value
+     */
+    decode(value) {
+      return decodeValue(value);
+    },
+  };
+
+  types.forEach(type => codec.register(type));
+  return codec;
+};
+
+/**
+ * Gets the codec to use from the `codec` option
+ *
+ * @param  {boolean|Object} codec - false for none, true for the built-in codec, options for
+ *         `createCodec`, or a codec with `encode` and `decode` functions
+ *
+ * @return {Object|null} the codec
+ */
+export const resolveCodec = (codec) => {
+  if (!codec) {
+    return null;
+  }
+  if (codec === true) {
+    return createCodec();
+  }
+  if (typeof codec.encode === 'function' && typeof codec.decode === 'function') {
+    return codec;
+  }
+  if (typeof codec === 'object' && !('encode' in codec) && !('decode' in codec)) {
+    return createCodec(codec);
+  }
+  throw new TypeError('[WKPostMessenger] codecs must have encode and decode functions');
+};
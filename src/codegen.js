@@ -0,0 +1,1202 @@
+import { normalizeContract, CONTRACT_DIRECTIONS } from './contracts';
+import { PROTOCOL_VERSION, FEATURES } from './protocol';
+
+/**
+ * Languages that code can be generated for
+ */
+export const CODEGEN_LANGUAGES = {
+  SWIFT: 'swift',
+  KOTLIN: 'kotlin',
+  TYPESCRIPT: 'typescript',
+};
+
+const DEFAULT_NAME = 'Bridge';
+const HEADER = 'Generated by wk-postmessenger-codegen. Do not edit.';
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array'];
+const ANY = { kind: 'any', nullable: false };
+
+const SWIFT_KEYWORDS = [
+  'Any', 'as', 'associatedtype', 'break', 'case', 'catch', 'class', 'continue', 'default',
+  'defer', 'deinit', 'do', 'else', 'enum', 'extension', 'fallthrough', 'false', 'fileprivate',
+  'for', 'func', 'guard', 'if', 'import', 'in', 'init', 'inout', 'internal', 'is', 'let', 'nil',
+  'open', 'operator', 'private', 'protocol', 'public', 'repeat', 'rethrows', 'return', 'Self',
+  'self', 'static', 'struct', 'subscript', 'super', 'switch', 'throw', 'throws', 'true', 'try',
+  'typealias', 'var', 'where', 'while',
+];
+
+const KOTLIN_KEYWORDS = [
+  'as', 'break', 'class', 'continue', 'do', 'else', 'false', 'for', 'fun', 'if', 'in',
+  'interface', 'is', 'null', 'object', 'package', 'return', 'super', 'this', 'throw', 'true',
+  'try', 'typealias', 'typeof', 'val', 'var', 'when', 'while',
+];
+
+/**
+ * Splits a name into words at punctuation and at lowercase to uppercase changes
+ *
+ * @param  {string} value - the name
+ *
+ * @return {Array} the words
+ */
+const words = value => String(value)
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .split(/[^A-Za-z0-9]+/)
+  .filter(Boolean);
+
+/**
+ * Makes a name safe to use as an identifier, when it is empty or starts with a digit
+ *
+ * @param  {string} name - the name
+ *
+ * @return {string} the identifier
+ */
+const identifier = name => (/^[0-9]/.test(name) || !name ? `_${name}` : name);
+
+/**
+ * Turns a name like `cart.add` or `first-name` into a type name like `CartAdd` or `FirstName`
+ *
+ * @param  {string} value - the name
+ *
+ * @return {string}
+ */
+export const pascalCase = value => identifier(words(value)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(''));
+
+/**
+ * Turns a name like `cart.add` or `URLPath` into a member name like `cartAdd` or `urlPath`
+ *
+ * @param  {string} value - the name
+ *
+ * @return {string}
+ */
+export const camelCase = value => pascalCase(value)
+  .replace(/^[A-Z]+(?=[A-Z][a-z]|[^A-Za-z]|$)|^[A-Z]/, start => start.toLowerCase());
+
+/**
+ * Turns a name like `inProgress` or `in-progress` into a constant name like `IN_PROGRESS`
+ *
+ * @param  {string} value - the name
+ *
+ * @return {string}
+ */
+const constantCase = value => identifier(words(value).join('_').toUpperCase());
+
+const escapeKeyword = keywords => name => (keywords.indexOf(name) === -1 ? name : `\`${name}\``);
+const swiftName = escapeKeyword(SWIFT_KEYWORDS);
+const kotlinName = escapeKeyword(KOTLIN_KEYWORDS);
+
+const swiftString = value => JSON.stringify(value).replace(/\\u([0-9a-f]{4})/g, '\\u{$1}');
+const kotlinString = value => JSON.stringify(value).replace(/\$/g, '\\$');
+const typeScriptString = value => `'${value.replace(/\\/g, '\\\\').replace(/'/g, '\\\'')}'`;
+const typeScriptKey = key => (/^[A-Za-z_$][A-Za-z0-9_$]*$/.test(key) ? key : typeScriptString(key));
+
+/**
+ * Throws if two things would get the same name in the generated code
+ *
+ * @param {Array} names - the generated names
+ * @param {Array} sources - what each name was generated from
+ * @param {string} what - describes the things being named
+ */
+const ensureUnique = (names, sources, what) => {
+  names.forEach((name, index) => {
+    const first = names.indexOf(name);
+    if (first !== index) {
+      throw new TypeError(
+        `[WKPostMessenger] ${what} ${sources[first]} and ${sources[index]} would both be named ${name}`,
+      );
+    }
+  });
+};
+
+/**
+ * Works out which types a schema allows when it doesn't say
+ *
+ * @param  {Object} schema - the schema
+ *
+ * @return {Array} type names
+ */
+const inferTypes = (schema) => {
+  if (schema.properties) {
+    return ['object'];
+  }
+  if (schema.items) {
+    return ['array'];
+  }
+  if (Array.isArray(schema.enum) &&
+    schema.enum.every(value => typeof value === 'string' || value === null)) {
+    return ['string'];
+  }
+  return [];
+};
+
+/**
+ * Works out the type that the generated code uses for values matching a schema
+ *
+ * Objects with properties and string enums become named types, which are added to `types`.
+ * Anything the languages can't express, like a union of several types or `anyOf`, becomes `any`.
+ *
+ * @param  {Object} [schema] - the schema
+ * @param  {string} name - name for the type, if it needs one
+ * @param  {Array} types - named types so far
+ *
+ * @return {Object} type reference with a `kind`, whether it is `nullable`, and the `name` of a
+ *         named type, `items` of an array or `values` of a map
+ */
+const resolveType = (schema, name, types) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema.anyOf)) {
+    return ANY;
+  }
+  const declared = typeof schema.type !== 'undefined' ? [].concat(schema.type) : inferTypes(schema);
+  const options = Array.isArray(schema.enum) ? schema.enum.filter(value => value !== null) : null;
+  const nullable = declared.indexOf('null') !== -1 ||
+    (!!options && options.length < schema.enum.length);
+  const nonNull = declared.filter(type => type !== 'null');
+  if (nonNull.length !== 1 || SCHEMA_TYPES.indexOf(nonNull[0]) === -1) {
+    return ANY;
+  }
+
+  const [type] = nonNull;
+  const addType = (namedType) => {
+    if (types.some(other => other.name === name)) {
+      throw new TypeError(`[WKPostMessenger] more than one schema would be named ${name}`);
+    }
+    types.push(namedType);
+    return { kind: 'named', name, nullable };
+  };
+
+  if (type === 'string' && options && options.length &&
+    options.every(value => typeof value === 'string')) {
+    return addType({
+      kind: 'enum',
+      name,
+      cases: options.map(value => ({ value })),
+    });
+  }
+
+  if (type === 'object') {
+    const properties = schema.properties && typeof schema.properties === 'object' ?
+      Object.keys(schema.properties) : [];
+    if (!properties.length) {
+      const values = typeof schema.additionalProperties === 'object' ?
+        resolveType(schema.additionalProperties, `${name}Value`, types) : ANY;
+      return { kind: 'map', values, nullable };
+    }
+    const struct = { kind: 'struct', name, fields: [] };
+    const reference = addType(struct);
+    const required = Array.isArray(schema.required) ? schema.required : [];
+    struct.fields = properties.map(key => ({
+      key,
+      type: resolveType(schema.properties[key], `${name}${pascalCase(key)}`, types),
+      optional: required.indexOf(key) === -1,
+    }));
+    return reference;
+  }
+
+  if (type === 'array') {
+    return { kind: 'array', items: resolveType(schema.items, `${name}Item`, types), nullable };
+  }
+
+  return { kind: type, nullable };
+};
+
+/**
+ * Describes contracts in a way that doesn't depend on the language of the generated code
+ *
+ * Every contract becomes an action with the types of its request and response. Actions that the
+ * webview sends (`outbound` or `both`) are handled by the app, and actions that the app sends
+ * (`inbound` or `both`) are handled by the webview.
+ *
+ * @param  {Array} contracts - contract definitions
+ *
+ * @return {Object} with the named `types` and the `actions`
+ */
+export const describeContracts = (contracts) => {
+  if (!Array.isArray(contracts)) {
+    throw new TypeError('[WKPostMessenger] contracts must be an array');
+  }
+  const types = [];
+  const actions = contracts.map((definition) => {
+    const contract = normalizeContract(definition);
+    const typeName = pascalCase(contract.name);
+    return {
+      name: contract.name,
+      method: contract.method,
+      functionName: camelCase(contract.method),
+      request: resolveType(contract.request, `${typeName}Request`, types),
+      response: resolveType(contract.response, `${typeName}Response`, types),
+      native: contract.direction !== CONTRACT_DIRECTIONS.INBOUND,
+      web: contract.direction !== CONTRACT_DIRECTIONS.OUTBOUND,
+    };
+  });
+
+  const names = actions.map(({ name }) => name);
+  ensureUnique(names, names, 'actions');
+  [actions.filter(({ native }) => native), actions.filter(({ web }) => web)].forEach((side) => {
+    ensureUnique(
+      side.map(({ functionName }) => functionName),
+      side.map(({ method }) => method),
+      'methods',
+    );
+  });
+  types.forEach((type) => {
+    if (type.kind === 'struct') {
+      ensureUnique(type.fields.map(({ key }) => camelCase(key)), type.fields.map(({ key }) => key),
+        `properties of ${type.name}`);
+    } else {
+      const values = type.cases.map(({ value }) => value);
+      ensureUnique(values.map(camelCase), values, `values of ${type.name}`);
+    }
+  });
+
+  return { types, actions };
+};
+
+/**
+ * Gets the Swift type for a type reference
+ *
+ * @param  {Object} type - the type reference
+ * @param  {string} name - name of the bridge class
+ *
+ * @return {string}
+ */
+const swiftType = (type, name) => {
+  const optional = type.nullable ? '?' : '';
+  switch (type.kind) {
+    case 'string':
+      return `String${optional}`;
+    case 'integer':
+      return `Int${optional}`;
+    case 'number':
+      return `Double${optional}`;
+    case 'boolean':
+      return `Bool${optional}`;
+    case 'array':
+      return `[${swiftType(type.items, name)}]${optional}`;
+    case 'map':
+      return `[String: ${swiftType(type.values, name)}]${optional}`;
+    case 'named':
+      return `${type.name}${optional}`;
+    default:
+      // JSONValue has a case for null
+      return `${name}.JSONValue`;
+  }
+};
+
+const swiftMetatype = type => (/\?$/.test(type) ? `(${type}).self` : `${type}.self`);
+
+/**
+ * Generates the Swift declaration of a named type
+ *
+ * @param  {Object} type - the named type
+ * @param  {string} name - name of the bridge class
+ *
+ * @return {Array} lines
+ */
+const swiftDeclaration = (type, name) => {
+  if (type.kind === 'enum') {
+    return [`enum ${type.name}: String, Codable {`]
+      .concat(type.cases.map(({ value }) => {
+        const caseName = swiftName(camelCase(value));
+        return caseName.replace(/`/g, '') === value ?
+          `  case ${caseName}` : `  case ${caseName} = ${swiftString(value)}`;
+      }))
+      .concat('}');
+  }
+
+  const fields = type.fields.map(field => ({
+    ...field,
+    name: swiftName(camelCase(field.key)),
+    // A property can be optional (left out) and nullable (null), which Swift can't tell apart
+    declaration: field.optional && !/\?$/.test(swiftType(field.type, name)) ?
+      `${swiftType(field.type, name)}?` : swiftType(field.type, name),
+  }));
+  const lines = [`struct ${type.name}: Codable {`]
+    .concat(fields.map(field => `  let ${field.name}: ${field.declaration}`));
+
+  // Synthesized encoding leaves out nil properties, but required ones have to be sent as null
+  const encodesNull = fields.some(field => !field.optional && /\?$/.test(field.declaration));
+  const renamed = fields.some(field => field.name.replace(/`/g, '') !== field.key);
+  if (encodesNull || renamed) {
+    lines.push('', '  enum CodingKeys: String, CodingKey {');
+    fields.forEach((field) => {
+      lines.push(field.name.replace(/`/g, '') === field.key ?
+        `    case ${field.name}` : `    case ${field.name} = ${swiftString(field.key)}`);
+    });
+    lines.push('  }');
+  }
+  if (encodesNull) {
+    lines.push(
+      '',
+      '  func encode(to encoder: Encoder) throws {',
+      '    var container = encoder.container(keyedBy: CodingKeys.self)',
+    );
+    fields.forEach((field) => {
+      const method = field.optional ? 'encodeIfPresent' : 'encode';
+      const key = field.name.replace(/`/g, '');
+      lines.push(`    try container.${method}(${field.name}, forKey: .${key})`);
+    });
+    lines.push('  }');
+  }
+  return lines.concat('}');
+};
+
+/**
+ * Generates a Swift `WKScriptMessageHandler` that speaks the protocol from the app's side, with
+ * `Codable` types for the data of every action
+ *
+ * Actions that the app handles are methods of a handlers protocol, and actions that the app sends
+ * are methods of the bridge class. Both sides pass results to completion handlers.
+ *
+ * @param  {Array} contracts - contract definitions
+ * @param  {Object} [options] - generator options
+ * @param  {string} [options.name] - name of the bridge class
+ *
+ * @return {string} the Swift source
+ */
+export const generateSwift = (contracts, { name = DEFAULT_NAME } = {}) => {
+  const { types, actions } = describeContracts(contracts);
+  const handlers = `${name}Handlers`;
+  const completion = type => (
+    `@escaping (Result<${swiftType(type, name)}, ${name}.RemoteError>) -> Void`
+  );
+
+  const lines = [
+    `// ${HEADER}`,
+    '',
+    'import Foundation',
+    'import WebKit',
+  ];
+
+  types.forEach((type) => {
+    lines.push('', ...swiftDeclaration(type, name));
+  });
+
+  lines.push(
+    '',
+    '/// Handles the actions that the webview sends to the app',
+    `protocol ${handlers}: AnyObject {`,
+  );
+  actions.filter(({ native }) => native).forEach((action) => {
+    lines.push(
+      `  func ${swiftName(action.functionName)}(`,
+      `    _ data: ${swiftType(action.request, name)},`,
+      `    completion: ${completion(action.response)}`,
+      '  )',
+    );
+  });
+
+  lines.push(
+    '}',
+    '',
+    '/// Speaks version 2 of the WKPostMessenger protocol from the app\'s side. Messages from the webview',
+    '/// arrive as a script message handler, and messages to it are sent with `evaluateJavaScript`.',
+    '///',
+    `///     let bridge = ${name}(webView: webView, handlers: self)`,
+    `///     contentController.add(bridge, name: ${name}.messageHandlerName)`,
+    `final class ${name}: NSObject, WKScriptMessageHandler {`,
+    '  static let messageHandlerName = "wkPostMessage"',
+    `  static let protocolVersion = ${PROTOCOL_VERSION}`,
+    `  static let features = [${swiftString(FEATURES.ERRORS)}]`,
+    '',
+    '  /// Any JSON value, for data without a schema',
+    '  enum JSONValue: Codable, Equatable {',
+    '    case null',
+    '    case bool(Bool)',
+    '    case number(Double)',
+    '    case string(String)',
+    '    case array([JSONValue])',
+    '    case object([String: JSONValue])',
+    '',
+    '    init(from decoder: Decoder) throws {',
+    '      let container = try decoder.singleValueContainer()',
+    '      if container.decodeNil() {',
+    '        self = .null',
+    '      } else if let value = try? container.decode(Bool.self) {',
+    '        self = .bool(value)',
+    '      } else if let value = try? container.decode(Double.self) {',
+    '        self = .number(value)',
+    '      } else if let value = try? container.decode(String.self) {',
+    '        self = .string(value)',
+    '      } else if let value = try? container.decode([JSONValue].self) {',
+    '        self = .array(value)',
+    '      } else {',
+    '        self = .object(try container.decode([String: JSONValue].self))',
+    '      }',
+    '    }',
+    '',
+    '    func encode(to encoder: Encoder) throws {',
+    '      var container = encoder.singleValueContainer()',
+    '      switch self {',
+    '      case .null: try container.encodeNil()',
+    '      case .bool(let value): try container.encode(value)',
+    '      case .number(let value): try container.encode(value)',
+    '      case .string(let value): try container.encode(value)',
+    '      case .array(let value): try container.encode(value)',
+    '      case .object(let value): try container.encode(value)',
+    '      }',
+    '    }',
+    '  }',
+    '',
+    '  /// Serialized error, sent by the webview when it fails to handle a message, or sent to it',
+    '  /// when the app does',
+    '  struct RemoteError: Error, Codable {',
+    '    let name: String',
+    '    let message: String',
+    '    let code: String',
+    '    let details: JSONValue?',
+    '',
+    '    init(name: String = "Error", message: String, code: String = "HANDLER_ERROR", details: JSONValue? = nil) {',
+    '      self.name = name',
+    '      self.message = message',
+    '      self.code = code',
+    '      self.details = details',
+    '    }',
+    '  }',
+    '',
+    '  private struct Envelope: Decodable {',
+    '    let id: String?',
+    '    let action: String',
+    '    let callback: String?',
+    '    let error: RemoteError?',
+    '    let frame: String?',
+    '  }',
+    '',
+    '  private struct Payload<T: Decodable>: Decodable {',
+    '    let data: T',
+    '  }',
+    '',
+    '  private struct Handshake: Encodable {',
+    '    let `protocol`: Int',
+    '    let features: [String]',
+    '  }',
+    '',
+    '  // The global function names come from the webview, so only plain names are called',
+    '  private static let globalName = "^[A-Za-z_$][A-Za-z0-9_$]*(\\\\.[A-Za-z_$][A-Za-z0-9_$]*)*$"',
+    '',
+    '  weak var webView: WKWebView?',
+    `  weak var handlers: ${handlers}?`,
+    '  /// Name of the webview\'s global function for messages, which it sends in the handshake',
+    '  private(set) var handlerGlobal: String?',
+    '  private var pending: [String: (Result<Data, RemoteError>) -> Void] = [:]',
+    '  private let encoder = JSONEncoder()',
+    '  private let decoder = JSONDecoder()',
+    '',
+    `  init(webView: WKWebView? = nil, handlers: ${handlers}? = nil) {`,
+    '    self.webView = webView',
+    '    self.handlers = handlers',
+    '    super.init()',
+    '  }',
+  );
+
+  const sent = actions.filter(({ web }) => web);
+  if (sent.length) {
+    lines.push('', '  // MARK: - Sending messages');
+    sent.forEach((action) => {
+      lines.push(
+        '',
+        `  /// Sends \`${action.name}\` to the webview. Call it on the main thread.`,
+        `  func ${swiftName(action.functionName)}(`,
+        `    _ data: ${swiftType(action.request, name)},`,
+        `    completion: ${completion(action.response)} = { _ in }`,
+        '  ) {',
+        `    send(${swiftString(action.name)}, data, completion: completion)`,
+        '  }',
+      );
+    });
+  }
+
+  lines.push(
+    '',
+    '  // MARK: - Receiving messages',
+    '',
+    '  func userContentController(_ userContentController: WKUserContentController, didReceive message: WKScriptMessage) {',
+    `    guard message.name == ${name}.messageHandlerName, var body = message.body as? [String: Any] else {`,
+    '      return',
+    '    }',
+    '    // Data that is undefined in JavaScript decodes like null',
+    '    if body["data"] == nil {',
+    '      body["data"] = NSNull()',
+    '    }',
+    '    guard',
+    '      let json = try? JSONSerialization.data(withJSONObject: body),',
+    '      let envelope = try? decoder.decode(Envelope.self, from: json)',
+    '    else {',
+    '      return',
+    '    }',
+    '    switch envelope.action {',
+    '    case "__WK_HANDSHAKE__":',
+    '      handlerGlobal = (try? decoder.decode(Payload<String>.self, from: json))?.data',
+    `      reply(envelope, Handshake(protocol: ${name}.protocolVersion, features: ${name}.features))`,
+    '    case "__WK_CALLBACK__":',
+    '      settle(envelope, json)',
+  );
+  actions.filter(({ native }) => native).forEach((action) => {
+    const request = swiftMetatype(swiftType(action.request, name));
+    const response = swiftMetatype(swiftType(action.response, name));
+    lines.push(
+      `    case ${swiftString(action.name)}:`,
+      `      handle(envelope, json, ${request}, ${response}) { handlers, data, completion in`,
+      `        handlers.${swiftName(action.functionName)}(data, completion: completion)`,
+      '      }',
+    );
+  });
+  lines.push(
+    '    default:',
+    '      fail(envelope, RemoteError(',
+    '        name: "UnknownActionError",',
+    '        message: "[WKPostMessenger] no handler for action \\(envelope.action)",',
+    '        code: "UNKNOWN_ACTION"',
+    '      ))',
+    '    }',
+    '  }',
+    '',
+    '  private func handle<Request: Decodable, Response: Encodable>(',
+    '    _ envelope: Envelope,',
+    '    _ json: Data,',
+    '    _ request: Request.Type,',
+    '    _ response: Response.Type,',
+    `    _ call: (${handlers}, Request, @escaping (Result<Response, RemoteError>) -> Void) -> Void`,
+    '  ) {',
+    '    guard let handlers = handlers else {',
+    '      fail(envelope, RemoteError(',
+    '        name: "UnknownActionError",',
+    '        message: "[WKPostMessenger] no handler for action \\(envelope.action)",',
+    '        code: "UNKNOWN_ACTION"',
+    '      ))',
+    '      return',
+    '    }',
+    '    let data: Request',
+    '    do {',
+    '      data = try decoder.decode(Payload<Request>.self, from: json).data',
+    '    } catch {',
+    '      fail(envelope, RemoteError(',
+    '        name: "ValidationError",',
+    '        message: "[WKPostMessenger] request for \\(envelope.action) could not be decoded: \\(error)",',
+    '        code: "VALIDATION_ERROR"',
+    '      ))',
+    '      return',
+    '    }',
+    '    call(handlers, data) { [weak self] result in',
+    '      switch result {',
+    '      case .success(let value):',
+    '        self?.reply(envelope, value)',
+    '      case .failure(let error):',
+    '        self?.fail(envelope, error)',
+    '      }',
+    '    }',
+    '  }',
+    '',
+    '  private func settle(_ envelope: Envelope, _ json: Data) {',
+    '    // Progress frames aren\'t announced in the handshake, so every callback is final',
+    '    guard envelope.frame == nil, let id = envelope.id, let completion = pending.removeValue(forKey: id) else {',
+    '      return',
+    '    }',
+    '    if let error = envelope.error {',
+    '      completion(.failure(error))',
+    '    } else {',
+    '      completion(.success(json))',
+    '    }',
+    '  }',
+    '',
+    '  // MARK: - Calling the webview',
+    '',
+    '  private func send<Request: Encodable, Response: Decodable>(',
+    '    _ action: String,',
+    '    _ data: Request,',
+    '    completion: @escaping (Result<Response, RemoteError>) -> Void',
+    '  ) {',
+    '    guard let handlerGlobal = handlerGlobal else {',
+    '      completion(.failure(RemoteError(',
+    '        name: "WKPostMessengerError",',
+    '        message: "[WKPostMessenger] the webview has not sent the handshake yet",',
+    '        code: "UNKNOWN"',
+    '      )))',
+    '      return',
+    '    }',
+    '    let id = UUID().uuidString',
+    '    pending[id] = { [decoder] result in',
+    '      completion(result.flatMap { json in',
+    '        do {',
+    '          return .success(try decoder.decode(Payload<Response>.self, from: json).data)',
+    '        } catch {',
+    '          return .failure(RemoteError(',
+    '            name: "ValidationError",',
+    '            message: "[WKPostMessenger] result for \\(action) could not be decoded: \\(error)",',
+    '            code: "VALIDATION_ERROR"',
+    '          ))',
+    '        }',
+    '      })',
+    '    }',
+    '    evaluate(handlerGlobal, [literal(id), literal(action), literal(data)])',
+    '  }',
+    '',
+    '  private func reply<Response: Encodable>(_ envelope: Envelope, _ result: Response) {',
+    '    if let id = envelope.id {',
+    '      evaluate(envelope.callback, [literal(id), literal(result)])',
+    '    }',
+    '  }',
+    '',
+    '  private func fail(_ envelope: Envelope, _ error: RemoteError) {',
+    '    if let id = envelope.id {',
+    '      evaluate(envelope.callback, [literal(id), "null", literal(error)])',
+    '    }',
+    '  }',
+    '',
+    '  private func evaluate(_ function: String?, _ arguments: [String]) {',
+    `    guard let function = function, function.range(of: ${name}.globalName, options: .regularExpression) != nil else {`,
+    '      return',
+    '    }',
+    '    let script = "\\(function)(\\(arguments.joined(separator: ", ")));"',
+    '    DispatchQueue.main.async { [weak self] in',
+    '      self?.webView?.evaluateJavaScript(script, completionHandler: nil)',
+    '    }',
+    '  }',
+    '',
+    '  private func literal<T: Encodable>(_ value: T) -> String {',
+    '    // Older versions of JSONEncoder can\'t encode a bare value, so it is encoded in an array',
+    '    guard let data = try? encoder.encode([value]), let json = String(data: data, encoding: .utf8) else {',
+    '      return "null"',
+    '    }',
+    '    // JSON allows line and paragraph separators in strings, but older JavaScript engines don\'t',
+    '    return String(json.dropFirst().dropLast())',
+    '      .replacingOccurrences(of: "\\u{2028}", with: "\\\\u2028")',
+    '      .replacingOccurrences(of: "\\u{2029}", with: "\\\\u2029")',
+    '  }',
+    '}',
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Gets the Kotlin type for a type reference
+ *
+ * @param  {Object} type - the type reference
+ *
+ * @return {string}
+ */
+const kotlinType = (type) => {
+  const optional = type.nullable ? '?' : '';
+  switch (type.kind) {
+    case 'string':
+      return `String${optional}`;
+    case 'integer':
+      return `Long${optional}`;
+    case 'number':
+      return `Double${optional}`;
+    case 'boolean':
+      return `Boolean${optional}`;
+    case 'array':
+      return `List<${kotlinType(type.items)}>${optional}`;
+    case 'map':
+      return `Map<String, ${kotlinType(type.values)}>${optional}`;
+    case 'named':
+      return `${type.name}${optional}`;
+    default:
+      // JsonElement has JsonNull
+      return 'JsonElement';
+  }
+};
+
+/**
+ * Generates the Kotlin declaration of a named type
+ *
+ * @param  {Object} type - the named type
+ *
+ * @return {Array} lines
+ */
+const kotlinDeclaration = (type) => {
+  if (type.kind === 'enum') {
+    return ['@Serializable', `enum class ${type.name} {`]
+      .concat(...type.cases.map(({ value }) => [
+        `  @SerialName(${kotlinString(value)})`,
+        `  ${constantCase(value)},`,
+      ]))
+      .concat('}');
+  }
+
+  return ['@Serializable', `data class ${type.name}(`]
+    .concat(...type.fields.map((field) => {
+      const name = kotlinName(camelCase(field.key));
+      const declared = kotlinType(field.type);
+      // Properties equal to their default aren't encoded, so optional ones are left out when null
+      const declaration = field.optional ?
+        `${/\?$/.test(declared) ? declared : `${declared}?`} = null` : declared;
+      const property = `  val ${name}: ${declaration},`;
+      return name === field.key ?
+        [property] : [`  @SerialName(${kotlinString(field.key)})`, property];
+    }))
+    .concat(')');
+};
+
+/**
+ * Generates a Kotlin JavaScript interface for an Android WebView that speaks the protocol from the
+ * app's side, with kotlinx.serialization types for the data of every action
+ *
+ * Actions that the app handles are methods of a handlers interface, and actions that the app sends
+ * are methods of the bridge class. Both sides pass a `Result` to a callback.
+ *
+ * @param  {Array} contracts - contract definitions
+ * @param  {Object} [options] - generator options
+ * @param  {string} [options.name] - name of the bridge class
+ * @param  {string} [options.packageName] - package of the generated file
+ *
+ * @return {string} the Kotlin source
+ */
+export const generateKotlin = (contracts, { name = DEFAULT_NAME, packageName } = {}) => {
+  const { types, actions } = describeContracts(contracts);
+  const handlers = `${name}Handlers`;
+
+  const lines = [`// ${HEADER}`, ''];
+  if (packageName) {
+    lines.push(`package ${packageName}`, '');
+  }
+  lines.push(
+    'import android.os.Handler',
+    'import android.os.Looper',
+    'import android.webkit.JavascriptInterface',
+    'import android.webkit.WebView',
+    'import java.util.UUID',
+    'import kotlinx.serialization.SerialName',
+    'import kotlinx.serialization.Serializable',
+    'import kotlinx.serialization.json.Json',
+    'import kotlinx.serialization.json.JsonArray',
+    'import kotlinx.serialization.json.JsonElement',
+    'import kotlinx.serialization.json.JsonNull',
+    'import kotlinx.serialization.json.JsonObject',
+    'import kotlinx.serialization.json.JsonPrimitive',
+    'import kotlinx.serialization.json.contentOrNull',
+    'import kotlinx.serialization.json.decodeFromJsonElement',
+    'import kotlinx.serialization.json.encodeToJsonElement',
+    'import kotlinx.serialization.json.jsonObject',
+  );
+
+  types.forEach((type) => {
+    lines.push('', ...kotlinDeclaration(type));
+  });
+
+  lines.push(
+    '',
+    '/** Handles the actions that the webview sends to the app */',
+    `interface ${handlers} {`,
+  );
+  actions.filter(({ native }) => native).forEach((action) => {
+    lines.push(
+      `  fun ${kotlinName(action.functionName)}(`,
+      `    data: ${kotlinType(action.request)},`,
+      `    callback: (Result<${kotlinType(action.response)}>) -> Unit,`,
+      '  )',
+    );
+  });
+
+  lines.push(
+    '}',
+    '',
+    '/**',
+    ' * Speaks version 2 of the WKPostMessenger protocol from the app\'s side. Messages from the webview',
+    ' * arrive through a JavaScript interface, and messages to it are sent with `evaluateJavascript`.',
+    ' *',
+    ' * ```',
+    ` * val bridge = ${name}(webView, handlers)`,
+    ` * webView.addJavascriptInterface(bridge, ${name}.INTERFACE_NAME)`,
+    ' * ```',
+    ' */',
+    `class ${name}(`,
+    '  private val webView: WebView,',
+    `  var handlers: ${handlers}? = null,`,
+    ') {',
+    '  companion object {',
+    '    const val INTERFACE_NAME = "wkPostMessage"',
+    `    const val PROTOCOL_VERSION = ${PROTOCOL_VERSION}`,
+    `    val FEATURES = listOf(${kotlinString(FEATURES.ERRORS)})`,
+    '',
+    '    // The global function names come from the webview, so only plain names are called',
+    '    private val GLOBAL_NAME = Regex("^[A-Za-z_\\$][A-Za-z0-9_\\$]*(\\\\.[A-Za-z_\\$][A-Za-z0-9_\\$]*)*\\$")',
+    '  }',
+    '',
+    '  /**',
+    '   * Serialized error, sent by the webview when it fails to handle a message, or sent to it when',
+    '   * the app does',
+    '   */',
+    '  class RemoteError(',
+    '    val name: String = "Error",',
+    '    override val message: String,',
+    '    val code: String = "HANDLER_ERROR",',
+    '    val details: JsonElement? = null,',
+    '  ) : Exception(message)',
+    '',
+    '  @Serializable',
+    '  private class SerializedError(',
+    '    val name: String = "Error",',
+    '    val message: String = "",',
+    '    val code: String = "UNKNOWN",',
+    '    val details: JsonElement? = null,',
+    '  )',
+    '',
+    '  /** Name of the webview\'s global function for messages, which it sends in the handshake */',
+    '  var handlerGlobal: String? = null',
+    '    private set',
+    '',
+    '  private val json = Json { ignoreUnknownKeys = true }',
+    '  private val mainHandler = Handler(Looper.getMainLooper())',
+    '  private val pending = mutableMapOf<String, (Result<JsonElement>) -> Unit>()',
+  );
+
+  actions.filter(({ web }) => web).forEach((action) => {
+    lines.push(
+      '',
+      `  /** Sends \`${action.name}\` to the webview. Call it on the main thread. */`,
+      `  fun ${kotlinName(action.functionName)}(`,
+      `    data: ${kotlinType(action.request)},`,
+      `    callback: (Result<${kotlinType(action.response)}>) -> Unit = {},`,
+      `  ) = send(${kotlinString(action.name)}, data, callback)`,
+    );
+  });
+
+  lines.push(
+    '',
+    '  @JavascriptInterface',
+    '  fun postMessage(message: String) {',
+    '    // JavaScript interfaces are called on a background thread',
+    '    mainHandler.post { receive(message) }',
+    '  }',
+    '',
+    '  private fun receive(message: String) {',
+    '    val payload = try {',
+    '      json.parseToJsonElement(message).jsonObject',
+    '    } catch (e: IllegalArgumentException) {',
+    '      return',
+    '    }',
+    '    val action = payload.string("action") ?: return',
+    '    val id = payload.string("id")',
+    '    val callback = payload.string("callback")',
+    '    val data = payload["data"] ?: JsonNull',
+    '    when (action) {',
+    '      "__WK_HANDSHAKE__" -> {',
+    '        handlerGlobal = payload.string("data")',
+    '        reply(callback, id, JsonObject(mapOf(',
+    '          "protocol" to JsonPrimitive(PROTOCOL_VERSION),',
+    '          "features" to JsonArray(FEATURES.map { JsonPrimitive(it) }),',
+    '        )))',
+    '      }',
+    '      "__WK_CALLBACK__" -> settle(id, payload)',
+  );
+  actions.filter(({ native }) => native).forEach((action) => {
+    lines.push(
+      `      ${kotlinString(action.name)} -> handle<${kotlinType(action.request)}, ${kotlinType(action.response)}>(`,
+      '        callback,',
+      '        id,',
+      '        action,',
+      '        data,',
+      `      ) { target, request, done -> target.${kotlinName(action.functionName)}(request, done) }`,
+    );
+  });
+  lines.push(
+    '      else -> fail(callback, id, unknownAction(action))',
+    '    }',
+    '  }',
+    '',
+    '  private inline fun <reified Request, reified Response> handle(',
+    '    callback: String?,',
+    '    id: String?,',
+    '    action: String,',
+    '    data: JsonElement,',
+    `    crossinline call: (${handlers}, Request, (Result<Response>) -> Unit) -> Unit,`,
+    '  ) {',
+    '    val handlers = handlers ?: return fail(callback, id, unknownAction(action))',
+    '    val request = try {',
+    '      json.decodeFromJsonElement<Request>(data)',
+    '    } catch (e: IllegalArgumentException) {',
+    '      return fail(callback, id, RemoteError(',
+    '        "ValidationError",',
+    '        "[WKPostMessenger] request for $action could not be decoded: " + e.message,',
+    '        "VALIDATION_ERROR",',
+    '      ))',
+    '    }',
+    '    call(handlers, request) { result ->',
+    '      result.fold(',
+    '        onSuccess = { reply(callback, id, json.encodeToJsonElement(it)) },',
+    '        onFailure = { fail(callback, id, it as? RemoteError ?: RemoteError(message = it.message ?: it.toString())) },',
+    '      )',
+    '    }',
+    '  }',
+    '',
+    '  private fun settle(id: String?, payload: JsonObject) {',
+    '    // Progress frames aren\'t announced in the handshake, so every callback is final',
+    '    if (payload.string("frame") != null) {',
+    '      return',
+    '    }',
+    '    val callback = pending.remove(id ?: return) ?: return',
+    '    val error = payload["error"]',
+    '    if (error == null || error is JsonNull) {',
+    '      callback(Result.success(payload["data"] ?: JsonNull))',
+    '      return',
+    '    }',
+    '    val serialized = try {',
+    '      json.decodeFromJsonElement<SerializedError>(error)',
+    '    } catch (e: IllegalArgumentException) {',
+    '      SerializedError(message = error.toString())',
+    '    }',
+    '    callback(Result.failure(RemoteError(serialized.name, serialized.message, serialized.code, serialized.details)))',
+    '  }',
+    '',
+    '  private inline fun <reified Request, reified Response> send(',
+    '    action: String,',
+    '    data: Request,',
+    '    noinline callback: (Result<Response>) -> Unit,',
+    '  ) {',
+    '    val global = handlerGlobal ?: return callback(Result.failure(RemoteError(',
+    '      "WKPostMessengerError",',
+    '      "[WKPostMessenger] the webview has not sent the handshake yet",',
+    '      "UNKNOWN",',
+    '    )))',
+    '    val id = UUID.randomUUID().toString()',
+    '    pending[id] = { result ->',
+    '      callback(result.mapCatching { json.decodeFromJsonElement<Response>(it) })',
+    '    }',
+    '    evaluate(global, JsonPrimitive(id), JsonPrimitive(action), json.encodeToJsonElement(data))',
+    '  }',
+    '',
+    '  private fun reply(callback: String?, id: String?, result: JsonElement) {',
+    '    evaluate(callback, JsonPrimitive(id ?: return), result)',
+    '  }',
+    '',
+    '  private fun fail(callback: String?, id: String?, error: RemoteError) {',
+    '    val serialized = SerializedError(error.name, error.message, error.code, error.details)',
+    '    evaluate(callback, JsonPrimitive(id ?: return), JsonNull, json.encodeToJsonElement(serialized))',
+    '  }',
+    '',
+    '  private fun unknownAction(action: String) = RemoteError(',
+    '    "UnknownActionError",',
+    '    "[WKPostMessenger] no handler for action $action",',
+    '    "UNKNOWN_ACTION",',
+    '  )',
+    '',
+    '  private fun evaluate(function: String?, vararg arguments: JsonElement) {',
+    '    if (function == null || !GLOBAL_NAME.matches(function)) {',
+    '      return',
+    '    }',
+    '    // JSON allows line and paragraph separators in strings, but older JavaScript engines don\'t',
+    '    val script = arguments.joinToString(", ", "$function(", ");") {',
+    '      it.toString().replace("\\u2028", "\\\\u2028").replace("\\u2029", "\\\\u2029")',
+    '    }',
+    '    mainHandler.post { webView.evaluateJavascript(script, null) }',
+    '  }',
+    '',
+    '  private fun JsonObject.string(key: String) = (this[key] as? JsonPrimitive)?.contentOrNull',
+    '}',
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Gets the TypeScript type for a type reference
+ *
+ * @param  {Object} type - the type reference
+ *
+ * @return {string}
+ */
+const typeScriptType = (type) => {
+  let base;
+  switch (type.kind) {
+    case 'string':
+    case 'number':
+    case 'boolean':
+      base = type.kind;
+      break;
+    case 'integer':
+      base = 'number';
+      break;
+    case 'array': {
+      const items = typeScriptType(type.items);
+      base = /[ |]/.test(items) ? `Array<${items}>` : `${items}[]`;
+      break;
+    }
+    case 'map':
+      base = `{ [key: string]: ${typeScriptType(type.values)} }`;
+      break;
+    case 'named':
+      base = type.name;
+      break;
+    default:
+      return 'any';
+  }
+  return type.nullable ? `${base} | null` : base;
+};
+
+/**
+ * Generates the TypeScript declaration of a named type
+ *
+ * @param  {Object} type - the named type
+ *
+ * @return {Array} lines
+ */
+const typeScriptDeclaration = (type) => {
+  if (type.kind === 'enum') {
+    return [`export type ${type.name} =`]
+      .concat(type.cases.map(({ value }, index) => (
+        `  | ${typeScriptString(value)}${index === type.cases.length - 1 ? ';' : ''}`
+      )));
+  }
+  return [`export interface ${type.name} {`]
+    .concat(type.fields.map(field => (
+      `  ${typeScriptKey(field.key)}${field.optional ? '?' : ''}: ${typeScriptType(field.type)};`
+    )))
+    .concat('}');
+};
+
+/**
+ * Generates the members of an API interface, nesting methods with dot-separated paths
+ *
+ * @param  {Array} actions - the actions in the API
+ * @param  {string} indent - indentation of the members
+ *
+ * @return {Array} lines
+ */
+const typeScriptMembers = (actions, indent) => {
+  const groups = [];
+  actions.forEach((action) => {
+    const [key, ...rest] = action.path;
+    let group = groups.filter(other => other.key === key)[0];
+    if (!group) {
+      group = { key, methods: [], namespaced: [] };
+      groups.push(group);
+    }
+    (rest.length ? group.namespaced : group.methods).push({ ...action, path: rest });
+  });
+
+  const lines = [];
+  groups.forEach(({ key, methods, namespaced }) => {
+    if (methods.length && namespaced.length) {
+      throw new TypeError(
+        `[WKPostMessenger] methods ${methods[0].method} and ${namespaced[0].method} conflict`,
+      );
+    }
+    if (methods.length) {
+      const [action] = methods;
+      lines.push(
+        `${indent}${typeScriptKey(key)}(data: ${typeScriptType(action.request)}): ${typeScriptType(action.response)};`,
+      );
+    } else {
+      lines.push(`${indent}${typeScriptKey(key)}: {`);
+      lines.push(...typeScriptMembers(namespaced, `${indent}  `));
+      lines.push(`${indent}};`);
+    }
+  });
+  return lines;
+};
+
+/**
+ * Generates TypeScript types for the webview: the data of every action, and interfaces of the
+ * actions that each side handles for `new WKPostMessenger<Native, Web>()`
+ *
+ * @param  {Array} contracts - contract definitions
+ * @param  {Object} [options] - generator options
+ * @param  {string} [options.name] - prefix of the API interfaces
+ *
+ * @return {string} the TypeScript source
+ */
+export const generateTypeScript = (contracts, { name = DEFAULT_NAME } = {}) => {
+  const { types, actions } = describeContracts(contracts);
+  const api = side => actions
+    .filter(action => action[side])
+    .map(action => ({ ...action, path: action.method.split('.') }));
+
+  const lines = [`// ${HEADER}`];
+  types.forEach((type) => {
+    lines.push('', ...typeScriptDeclaration(type));
+  });
+  lines.push(
+    '',
+    '/**',
+    ` * Actions the app handles, for \`api\` in \`new WKPostMessenger<${name}NativeApi, ${name}WebApi>()\``,
+    ' */',
+    `export interface ${name}NativeApi {`,
+    ...typeScriptMembers(api('native'), '  '),
+    '}',
+    '',
+    '/**',
+    ` * Actions the webview handles, for \`expose\` in \`new WKPostMessenger<${name}NativeApi, ${name}WebApi>()\``,
+    ' */',
+    `export interface ${name}WebApi {`,
+    ...typeScriptMembers(api('web'), '  '),
+    '}',
+  );
+
+  return `${lines.join('\n')}\n`;
+};
+
+const GENERATORS = {
+  [CODEGEN_LANGUAGES.SWIFT]: generateSwift,
+  [CODEGEN_LANGUAGES.KOTLIN]: generateKotlin,
+  [CODEGEN_LANGUAGES.TYPESCRIPT]: generateTypeScript,
+};
+
+/**
+ * Generates code in one of the languages
+ *
+ * @param  {string} language - one of CODEGEN_LANGUAGES
+ * @param  {Array} contracts - contract definitions
+ * @param  {Object} [options] - generator options
+ *
+ * @return {string} the source
+ */
+export const generate = (language, contracts, options) => {
+  if (!Object.prototype.hasOwnProperty.call(GENERATORS, language)) {
+    throw new TypeError(`[WKPostMessenger] can't generate code for ${language}`);
+  }
+  return GENERATORS[language](contracts, options);
+};
+
+/**
+ * Reads the command line arguments of `wk-postmessenger-codegen`
+ *
+ * @param  {Array} args - arguments after the command
+ *
+ * @return {Object} with the `input` file of contracts, the `outputs` to generate, each with a
+ *         `language` and a `file` (`-` for standard output), and the generator `options`
+ */
+export const parseCodegenArgs = (args) => {
+  const outputs = [];
+  const options = {};
+  let input;
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    const flag = /^--(.+)$/.exec(arg);
+    if (!flag) {
+      if (input) {
+        throw new TypeError(`[WKPostMessenger] unexpected argument ${arg}`);
+      }
+      input = arg;
+    } else {
+      const value = args[i + 1];
+      if (typeof value === 'undefined' || /^--/.test(value)) {
+        throw new TypeError(`[WKPostMessenger] ${arg} needs a value`);
+      }
+      i += 1;
+      const [, key] = flag;
+      if (key === 'name') {
+        options.name = value;
+      } else if (key === 'package') {
+        options.packageName = value;
+      } else if (Object.prototype.hasOwnProperty.call(GENERATORS, key)) {
+        outputs.push({ language: key, file: value });
+      } else {
+        throw new TypeError(`[WKPostMessenger] unknown option ${arg}`);
+      }
+    }
+  }
+  if (!input) {
+    throw new TypeError('[WKPostMessenger] missing the file of contracts');
+  }
+  if (!outputs.length) {
+    throw new TypeError(
+      '[WKPostMessenger] nothing to generate, pass --swift, --kotlin or --typescript',
+    );
+  }
+  if (typeof options.name !== 'undefined' && !/^[A-Z][A-Za-z0-9]*$/.test(options.name)) {
+    throw new TypeError(`[WKPostMessenger] ${options.name} is not a valid type name`);
+  }
+  return { input, outputs, options };
+};
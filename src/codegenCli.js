@@ -0,0 +1,63 @@
+// Entry point of the wk-postmessenger-codegen command, which `npm run rollup-codegen` bundles into
+// dist/wk-postmessenger-codegen.js
+import fs from 'fs';
+import path from 'path';
+import { parseCodegenArgs, generate } from './codegen';
+
+const USAGE = `Usage: wk-postmessenger-codegen <contracts> [options]
+
+Generates code from an array of action contracts in a JSON file or a CommonJS module.
+
+Options:
+  --swift <file>       Swift WKScriptMessageHandler and Codable types for iOS
+  --kotlin <file>      Kotlin JavaScript interface and serializable types for Android
+  --typescript <file>  TypeScript types for the webview
+  --name <name>        name of the generated bridge (default: Bridge)
+  --package <name>     package of the Kotlin file
+
+Pass - as the file to write to standard output.
+`;
+
+/**
+ * Loads the contracts from a JSON file or a module that exports them, either on their own or as
+ * the `contracts` property of an object
+ *
+ * @param  {string} file - path to the file
+ *
+ * @return {Array} contract definitions
+ */
+const loadContracts = (file) => {
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const loaded = require(path.resolve(file));
+  const exported = loaded && loaded.default ? loaded.default : loaded;
+  const contracts = Array.isArray(exported) ? exported : exported && exported.contracts;
+  if (!Array.isArray(contracts)) {
+    throw new TypeError(`[WKPostMessenger] ${file} doesn't export an array of contracts`);
+  }
+  return contracts;
+};
+
+const args = process.argv.slice(2);
+if (!args.length || args.indexOf('--help') !== -1) {
+  process.stdout.write(USAGE);
+  process.exit(args.length ? 0 : 1);
+}
+
+try {
+  const { input, outputs, options } = parseCodegenArgs(args);
+  const contracts = loadContracts(input);
+  // Generate everything before writing anything, so that a bad contract doesn't leave some files
+  // out of date
+  outputs
+    .map(({ language, file }) => ({ file, source: generate(language, contracts, options) }))
+    .forEach(({ file, source }) => {
+      if (file === '-') {
+        process.stdout.write(source);
+      } else {
+        fs.writeFileSync(file, source);
+      }
+    });
+} catch (e) {
+  process.stderr.write(`${e.message}\n\n${USAGE}`);
+  process.exit(1);
+}
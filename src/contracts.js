@@ -0,0 +1,87 @@
+import { ValidationError } from './errors';
+import { validate } from './schema';
+
+/**
+ * Which side can send the message described by a contract
+ */
+export const CONTRACT_DIRECTIONS = {
+  // From the webview to the app
+  OUTBOUND: 'outbound',
+  // From the app to the webview
+  INBOUND: 'inbound',
+  BOTH: 'both',
+};
+
+const DIRECTIONS = Object.keys(CONTRACT_DIRECTIONS).map(key => CONTRACT_DIRECTIONS[key]);
+
+/**
+ * Checks a contract definition and fills in its defaults
+ *
+ * @param  {Object} contract - contract definition
+ * @param  {string} contract.name - name of the action
+ * @param  {Object} [contract.request] - schema for the message data
+ * @param  {Object} [contract.response] - schema for the result
+ * @param  {string} [contract.direction] - `outbound`, `inbound` or `both`
+ * @param  {number} [contract.timeout] - default timeout when sending the message
+ * @param  {string} [contract.method] - dot-separated path of the method for the action in the
+ *         `api` client and in objects passed to `expose`. Defaults to the action name.
+ *
+ * @return {Object} the contract
+ */
+export const normalizeContract = ({
+  name,
+  request,
+  response,
+  direction = CONTRACT_DIRECTIONS.BOTH,
+  timeout,
+  method = name,
+} = {}) => {
+  if (!name || typeof name !== 'string') {
+    throw new TypeError('[WKPostMessenger] contracts must have an action name');
+  }
+  if (DIRECTIONS.indexOf(direction) === -1) {
+    throw new TypeError(`[WKPostMessenger] unknown direction ${direction} for contract ${name}`);
+  }
+  return {
+    name,
+    request,
+    response,
+    direction,
+    timeout,
+    method,
+  };
+};
+
+/**
+ * Checks the data or result of a message against its contract
+ *
+ * @param  {Object} contract - the contract for the action
+ * @param  {string} origin - `outbound` if the webview sent the message, or `inbound` if the app
+ *         did
+ * @param  {string} part - `request` to check the message data or `response` to check the result
+ * @param  {*} value - the data or result
+ *
+ * @return {ValidationError|null} describes every violation, or null if there are none
+ */
+export const checkContract = (contract, origin, part, value) => {
+  let violations;
+  if (
+    part === 'request' &&
+    contract.direction !== CONTRACT_DIRECTIONS.BOTH &&
+    contract.direction !== origin
+  ) {
+    const sender = contract.direction === CONTRACT_DIRECTIONS.INBOUND ? 'the app' : 'the webview';
+    violations = [{ path: 'action', message: `can only be sent by ${sender}` }];
+  } else {
+    violations = validate(contract[part], value, part === 'request' ? 'data' : 'result');
+  }
+
+  if (!violations.length) {
+    return null;
+  }
+  const summary = violations.map(({ path, message }) => `${path} ${message}`).join('; ');
+  return new ValidationError(
+    `[WKPostMessenger] ${part} for ${contract.name} breaks its contract: ${summary}`,
+    { action: contract.name, part, violations },
+  );
+};
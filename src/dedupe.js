@@ -0,0 +1,105 @@
+/**
+ * Default options for remembering inbound messages
+ */
+export const DEFAULT_DEDUPE = {
+  ttl: 60000,
+  maxSize: 500,
+};
+
+/**
+ * Creates a cache of recent inbound messages by ID, so that a message the app sends again can be
+ * answered with the reply to the first one instead of being handled twice
+ *
+ * Each message is remembered from when it arrives until `ttl` milliseconds after it is answered,
+ * and only the latest `maxSize` messages are remembered. Messages that are still being handled are
+ * never forgotten to make room, since a duplicate would otherwise be handled a second time.
+ *
+ * @param  {Object} [options] - cache options
+ * @param  {number} [options.ttl] - milliseconds to remember a message after it is answered
+ * @param  {number} [options.maxSize] - number of messages to remember
+ * @param  {Function} [options.now] - source of the current time in milliseconds
+ *
+ * @return {Object} with functions to `get` the reply to an earlier message with an ID, `add` a
+ *         new one, and `clear` the cache
+ */
+export const createInboundCache = ({
+  ttl = DEFAULT_DEDUPE.ttl,
+  maxSize = DEFAULT_DEDUPE.maxSize,
+  now = Date.now,
+} = {}) => {
+  let entries = {};
+  let ids = [];
+
+  const has = id => Object.prototype.hasOwnProperty.call(entries, id);
+
+  const prune = () => {
+    const time = now();
+    const answered = id => entries[id].expires !== Infinity;
+    const expired = ids.filter(id => entries[id].expires <= time);
+    const kept = ids.filter(id => entries[id].expires > time);
+    // The oldest answered messages make room, and messages still being handled stay
+    const excess = kept.filter(answered).slice(0, Math.max(0, kept.length - maxSize));
+    expired.concat(excess).forEach((id) => {
+      delete entries[id];
+    });
+    ids = kept.filter(id => excess.indexOf(id) === -1);
+  };
+
+  return {
+    /**
+     * Gets the reply to an earlier message
+     *
+     * @param  {string} id - the message identifier
+     *
+     * @return {Promise|null} resolves with the `result`, serialized `error` and `envelope` of the
+     *         reply once the earlier message is answered, or null if there was no earlier message
+     */
+    get(id) {
+      prune();
+      return has(id) ? entries[id].reply : null;
+    },
+
+    /**
+     * Remembers a new message
+     *
+     * @param  {string} id - the message identifier
+     *
+     * @return {Function} to call with the `result`, serialized `error` and `envelope` of the reply
+     *         once the message is answered
+     */
+    add(id) {
+      let settle;
+      let reject;
+      const reply = new Promise((resolve, rejectReply) => {
+        settle = resolve;
+        reject = rejectReply;
+      });
+      // Nothing waits on the reply unless the message arrives again
+      reply.catch(() => {});
+      const entry = { reply, reject, expires: Infinity };
+      if (has(id)) {
+        ids = ids.filter(other => other !== id);
+      }
+      entries[id] = entry;
+      ids.push(id);
+      prune();
+      return (result, error, envelope) => {
+        entry.expires = now() + ttl;
+        settle({ result, error, envelope });
+      };
+    },
+
+    /**
+     * Forgets every message
+     *
+     * @param {Error} [error] - the error to reject the replies that are still awaited with
+     */
+    clear(error) {
+      ids.filter(id => entries[id].expires === Infinity).forEach((id) => {
+        entries[id].reject(error);
+      });
+      entries = {};
+      ids = [];
+    },
+  };
+};
@@ -0,0 +1,162 @@
+/**
+ * Error codes used by WKPostMessenger errors, both when rejecting local Promises and when
+ * serializing errors for the app.
+ */
+export const ERROR_CODES = {
+  UNKNOWN: 'UNKNOWN',
+  TIMEOUT: 'TIMEOUT',
+  HANDLER_ERROR: 'HANDLER_ERROR',
+  UNKNOWN_ACTION: 'UNKNOWN_ACTION',
+  REMOTE_ERROR: 'REMOTE_ERROR',
+  DESTROYED: 'DESTROYED',
+  ABORTED: 'ABORTED',
+  CHUNK_LOST: 'CHUNK_LOST',
+  CHECKSUM_MISMATCH: 'CHECKSUM_MISMATCH',
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+};
+
+/**
+ * Base class for all errors created by WKPostMessenger
+ *
+ * This is set up by hand rather than with `class ... extends Error` because the transpiled
+ * version of the latter loses the prototype chain, which would break `instanceof` checks.
+ *
+ * @param {string} message - human-readable description of the error
+ * @param {string} [code] - machine-readable error code
+ * @param {*} [details] - any additional data describing the error
+ */
+export function WKPostMessengerError(message, code = ERROR_CODES.UNKNOWN, details) {
+  this.name = 'WKPostMessengerError';
+  this.message = message;
+  this.code = code;
+  if (typeof details !== 'undefined') {
+    this.details = details;
+  }
+  this.stack = (new Error(message)).stack;
+}
+
+WKPostMessengerError.prototype = Object.create(Error.prototype, {
+  constructor: {
+    value: WKPostMessengerError,
+    writable: true,
+    configurable: true,
+  },
+});
+
+/**
+ * Rejection for messages that the other side did not acknowledge in time
+ */
+export class TimeoutError extends WKPostMessengerError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.TIMEOUT, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Error for messages from the app that have no handler in the webview
+ */
+export class UnknownActionError extends WKPostMessengerError {
+  constructor(action) {
+    super(`[WKPostMessenger] no handler for action ${action}`, ERROR_CODES.UNKNOWN_ACTION, {
+      action,
+    });
+    this.name = 'UnknownActionError';
+  }
+}
+
+/**
+ * Rejection for anything attempted on, or still pending when calling `destroy` on, an instance
+ */
+export class DestroyedError extends WKPostMessengerError {
+  constructor(message = '[WKPostMessenger] instance was destroyed') {
+    super(message, ERROR_CODES.DESTROYED);
+    this.name = 'DestroyedError';
+  }
+}
+
+/**
+ * Rejection for messages cancelled with an AbortSignal
+ */
+export class AbortError extends WKPostMessengerError {
+  constructor(message = '[WKPostMessenger] message was aborted', details) {
+    super(message, ERROR_CODES.ABORTED, details);
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Error for chunked messages that could not be reassembled
+ */
+export class TransferError extends WKPostMessengerError {
+  constructor(message, code, details) {
+    super(message, code, details);
+    this.name = 'TransferError';
+  }
+}
+
+/**
+ * Error for messages or results that break the contract declared for their action
+ */
+export class ValidationError extends WKPostMessengerError {
+  constructor(message, details) {
+    super(message, ERROR_CODES.VALIDATION_ERROR, details);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Rejection for messages that the app answered with an error
+ */
+export class RemoteError extends WKPostMessengerError {
+  constructor(message, code = ERROR_CODES.REMOTE_ERROR, details, remoteName) {
+    super(message, code, details);
+    this.name = 'RemoteError';
+    this.remoteName = remoteName;
+  }
+}
+
+/**
+ * Converts anything thrown by a handler into a plain object that can be sent across the bridge
+ *
+ * @param  {*} error - thrown value or rejection reason
+ *
+ * @return {Object} serialized error with `name`, `message`, `code` and optional `details`
+ */
+export const serializeError = (error) => {
+  if (error && typeof error === 'object') {
+    const serialized = {
+      name: error.name || 'Error',
+      message: typeof error.message === 'string' ? error.message : String(error),
+      code: error.code || ERROR_CODES.HANDLER_ERROR,
+    };
+    if (typeof error.details !== 'undefined') {
+      serialized.details = error.details;
+    }
+    return serialized;
+  }
+  return {
+    name: 'Error',
+    message: String(error),
+    code: ERROR_CODES.HANDLER_ERROR,
+  };
+};
+
+/**
+ * Converts a serialized error sent by the app into a RemoteError
+ *
+ * @param  {Object|string} error - serialized error, or just a message
+ *
+ * @return {RemoteError}
+ */
+export const deserializeError = (error) => {
+  if (error && typeof error === 'object') {
+    return new RemoteError(
+      error.message || '[WKPostMessenger] the app responded with an error',
+      error.code || ERROR_CODES.REMOTE_ERROR,
+      error.details,
+      error.name,
+    );
+  }
+  return new RemoteError(String(error));
+};
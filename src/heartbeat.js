@@ -0,0 +1,164 @@
+/**
+ * Default heartbeat options
+ */
+export const DEFAULT_HEARTBEAT = {
+  interval: 15000,
+  maxMissed: 2,
+};
+
+/**
+ * Checks whether the page is in the background
+ *
+ * @return {boolean}
+ */
+const isPageHidden = () => typeof document !== 'undefined' && document.visibilityState === 'hidden';
+
+/**
+ * Creates a heartbeat that pings the other side at an interval and keeps track of whether it is
+ * still answering
+ *
+ * Only one ping is in flight at a time, and the next one is sent `interval` milliseconds after the
+ * last one settles. The heartbeat pauses while the page is hidden, so that it doesn't keep the app
+ * busy in the background, and pings right away once the page is visible again.
+ *
+ * @param  {Object} options - heartbeat options
+ * @param  {Function} options.ping - sends a ping, and returns a Promise that resolves with whether
+ *         the other side answered it
+ * @param  {number} [options.interval] - milliseconds between pings
+ * @param  {number} [options.maxMissed] - number of consecutive unanswered pings after which the
+ *         connection is unhealthy
+ * @param  {Function} [options.onHealthy] - called when the other side answers again after the
+ *         connection was unhealthy
+ * @param  {Function} [options.onUnhealthy] - called with the number of missed pings when the
+ *         connection becomes unhealthy
+ * @param  {Function} [options.isHidden] - checks whether the page is hidden
+ * @param  {EventTarget} [options.visibilityTarget] - emits `visibilitychange` events, which is the
+ *         document by default
+ *
+ * @return {Object} with functions to `start` and `stop` pinging, to mark the other side as `alive`
+ *         when it shows signs of life some other way, and the current `healthy` and `missed` count
+ */
+export const createHeartbeat = ({
+  ping,
+  interval = DEFAULT_HEARTBEAT.interval,
+  maxMissed = DEFAULT_HEARTBEAT.maxMissed,
+  onHealthy = () => {},
+  onUnhealthy = () => {},
+  isHidden = isPageHidden,
+  visibilityTarget = typeof document !== 'undefined' ? document : null,
+}) => {
+  let running = false;
+  let pinging = false;
+  let timer = null;
+  let missed = 0;
+  let healthy = true;
+
+  const alive = () => {
+    missed = 0;
+    if (!healthy) {
+      healthy = true;
+      onHealthy();
+    }
+  };
+
+  const miss = () => {
+    missed += 1;
+    if (healthy && missed >= maxMissed) {
+      healthy = false;
+      onUnhealthy(missed);
+    }
+  };
+
+  const pause = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  let schedule;
+  const beat = () => {
+    timer = null;
+    if (!running || pinging || isHidden()) {
+      return;
+    }
+    pinging = true;
+    ping().then(answered => answered, () => false).then((answered) => {
+      pinging = false;
+      if (!running) {
+        return;
+      }
+      if (answered) {
+        alive();
+      } else {
+        miss();
+      }
+      schedule();
+    });
+  };
+
+  schedule = () => {
+    pause();
+    if (running && !pinging && !isHidden()) {
+      timer = setTimeout(beat, interval);
+    }
+  };
+
+  const onVisibilityChange = () => {
+    pause();
+    if (!isHidden()) {
+      beat();
+    }
+  };
+
+  return {
+    /**
+     * Starts pinging, unless it already has
+     */
+    start() {
+      if (running) {
+        return;
+      }
+      running = true;
+      if (visibilityTarget) {
+        visibilityTarget.addEventListener('visibilitychange', onVisibilityChange);
+      }
+      schedule();
+    },
+
+    /**
+     * Stops pinging, ignoring the ping in flight
+     */
+    stop() {
+      if (!running) {
+        return;
+      }
+      running = false;
+      pause();
+      if (visibilityTarget) {
+        visibilityTarget.removeEventListener('visibilitychange', onVisibilityChange);
+      }
+    },
+
+    /**
+     * Resets the missed count, like an answered ping
+     */
+    alive,
+
+    /**
+     * Whether the other side answered recently enough
+     *
+     * @type {boolean}
+     */
+    get healthy() {
+      return healthy;
+    },
+
+    /**
+     * Number of consecutive pings the other side didn't answer
+     *
+     * @type {number}
+     */
+    get missed() {
+      return missed;
+    },
+  };
+};
@@ -0,0 +1,202 @@
+/**
+ * Outcomes of a message in the inspector log
+ */
+export const OUTCOMES = {
+  // Still waiting for the callback
+  PENDING: 'pending',
+  RESOLVED: 'resolved',
+  // Answered with an error
+  REJECTED: 'rejected',
+  TIMEOUT: 'timeout',
+  // The callback arrived after the message timed out
+  LATE: 'late',
+  ABORTED: 'aborted',
+  DESTROYED: 'destroyed',
+};
+
+/**
+ * Measures how big a payload is when serialized
+ *
+ * @param  {Object} payload - the payload
+ *
+ * @return {number|null} number of characters, or null if it can't be serialized
+ */
+const measure = (payload) => {
+  try {
+    const json = JSON.stringify(payload);
+    return typeof json === 'string' ? json.length : 0;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Creates a log of the payloads going in both directions, for debugging
+ *
+ * The log is a ring buffer that keeps only the latest entries. Each entry has a `seq` number that
+ * keeps counting up, the `id`, `action` and `direction` of the payload, its `size` in characters
+ * and the `time` it was posted or received. Messages that expect a callback also get an `outcome`
+ * (see OUTCOMES), and once they are settled, the time they were `settledAt` and their `latency` in
+ * milliseconds. Callbacks have their `frame`, events have their `event` name, errors have their
+ * `error` code and anything sent on a channel has its `channel` name. The data itself is left out
+ * so that the log can be shared.
+ *
+ * @param  {Object} [options] - inspector options
+ * @param  {number} [options.size] - maximum number of entries to keep
+ * @param  {Function} [options.now] - returns the current time in milliseconds
+ * @param  {Function} [options.info] - returns metadata to include in the JSON export
+ *
+ * @return {Object} the inspector
+ */
+export const createInspector = ({
+  size = 200,
+  now = Date.now,
+  info = () => ({}),
+} = {}) => {
+  if (!(size > 0)) {
+    throw new TypeError('[WKPostMessenger] the inspector needs room for at least one entry');
+  }
+
+  const buffer = [];
+  let start = 0;
+  let seq = 0;
+  let listeners = [];
+
+  const notify = (entry) => {
+    listeners.forEach(listener => listener({ ...entry }));
+  };
+
+  const findLast = (predicate) => {
+    for (let i = buffer.length - 1; i >= 0; i -= 1) {
+      const entry = buffer[(start + i) % buffer.length];
+      if (predicate(entry)) {
+        return entry;
+      }
+    }
+    return null;
+  };
+
+  const settleEntry = (entry, outcome, error) => {
+    /* eslint-disable no-param-reassign */
+    entry.outcome = outcome;
+    entry.settledAt = now();
+    entry.latency = entry.settledAt - entry.time;
+    if (error) {
+      entry.error = error;
+    }
+    /* eslint-enable no-param-reassign */
+    notify(entry);
+  };
+
+  return {
+    /**
+     * Adds a payload to the log
+     *
+     * @param  {string} direction - `outbound` or `inbound`
+     * @param  {Object} payload - the payload
+     * @param  {Object} [details] - extra fields for the entry, like its `outcome`
+     *
+     * @return {Object} a copy of the entry
+     */
+    record(direction, payload, details) {
+      seq += 1;
+      const entry = {
+        seq,
+        id: payload.id,
+        action: payload.action,
+        direction,
+        size: measure(payload),
+        time: now(),
+        ...details,
+      };
+      if (buffer.length < size) {
+        buffer.push(entry);
+      } else {
+        buffer[start] = entry;
+        start = (start + 1) % size;
+      }
+      notify(entry);
+      return { ...entry };
+    },
+
+    /**
+     * Settles the latest pending message with an ID
+     *
+     * @param  {string} direction - direction of the message
+     * @param  {string} id - the message identifier
+     * @param  {string} outcome - one of OUTCOMES
+     * @param  {string} [error] - error code, if the message failed
+     */
+    settle(direction, id, outcome, error) {
+      const entry = findLast(item => (
+        item.id === id && item.direction === direction && item.outcome === OUTCOMES.PENDING
+      ));
+      if (entry) {
+        settleEntry(entry, outcome, error);
+      }
+    },
+
+    /**
+     * Marks the latest timed out message with an ID as late, when its callback finally arrives
+     *
+     * @param  {string} direction - direction of the message
+     * @param  {string} id - the message identifier
+     *
+     * @return {boolean} whether there was a message that timed out
+     */
+    late(direction, id) {
+      const entry = findLast(item => (
+        item.id === id && item.direction === direction && item.outcome === OUTCOMES.TIMEOUT
+      ));
+      if (!entry) {
+        return false;
+      }
+      settleEntry(entry, OUTCOMES.LATE);
+      return true;
+    },
+
+    /**
+     * Gets a copy of every entry in the log, from oldest to newest
+     *
+     * @return {Array}
+     */
+    entries() {
+      return buffer.map((entry, i) => ({ ...buffer[(start + i) % buffer.length] }));
+    },
+
+    /**
+     * Empties the log
+     */
+    clear() {
+      buffer.length = 0;
+      start = 0;
+    },
+
+    /**
+     * Calls a listener with a copy of every entry as it is added or settled
+     *
+     * @param  {Function} listener - the listener
+     *
+     * @return {Function} removes the listener
+     */
+    subscribe(listener) {
+      listeners = listeners.concat(listener);
+      return () => {
+        listeners = listeners.filter(item => item !== listener);
+      };
+    },
+
+    /**
+     * Exports the log along with the metadata from `info`, for `JSON.stringify`
+     *
+     * @return {Object}
+     */
+    toJSON() {
+      return {
+        ...info(),
+        exportedAt: new Date(now()).toISOString(),
+        entries: this.entries(),
+      };
+    },
+  };
+};
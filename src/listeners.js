@@ -0,0 +1,73 @@
+/**
+ * Creates a record of the listeners added to an event emitter, so that they can be counted
+ * without reading the emitter's internals
+ *
+ * The emitter throws when removing listeners for an event that has none, and removes the wrong
+ * listener when asked to remove one it doesn't have, so `remove` says whether there was anything
+ * to remove before the emitter is asked to.
+ *
+ * @return {Object} with functions to `add` and `remove` listeners, `count` the listeners for an
+ *         event and list the `events` that have listeners
+ */
+const createListenerRegistry = () => {
+  const listeners = {};
+
+  return {
+    /**
+     * Records a listener
+     *
+     * @param  {string} event - name of the event
+     * @param  {Function} listener - the listener
+     */
+    add(event, listener) {
+      if (!Object.prototype.hasOwnProperty.call(listeners, event)) {
+        listeners[event] = [];
+      }
+      listeners[event].push(listener);
+    },
+
+    /**
+     * Forgets a listener, or every listener for an event
+     *
+     * @param  {string} event - name of the event
+     * @param  {Function} [listener] - the listener, or omit to forget every listener
+     *
+     * @return {boolean} whether there was a listener to forget
+     */
+    remove(event, listener) {
+      const count = this.count(event);
+      const index = listener ? (listeners[event] || []).indexOf(listener) : -1;
+      if (!count || (listener && index === -1)) {
+        return false;
+      }
+      if (listener && count > 1) {
+        listeners[event].splice(index, 1);
+      } else {
+        delete listeners[event];
+      }
+      return true;
+    },
+
+    /**
+     * Counts the listeners for an event
+     *
+     * @param  {string} event - name of the event
+     *
+     * @return {number}
+     */
+    count(event) {
+      return Object.prototype.hasOwnProperty.call(listeners, event) ? listeners[event].length : 0;
+    },
+
+    /**
+     * Lists the events that have listeners
+     *
+     * @return {Array} names of the events
+     */
+    events() {
+      return Object.keys(listeners);
+    },
+  };
+};
+
+export default createListenerRegistry;
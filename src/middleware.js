@@ -0,0 +1,83 @@
+/**
+ * Directions that middleware can hook into
+ */
+export const MIDDLEWARE_DIRECTIONS = {
+  // Messages the webview sends to the app
+  OUTBOUND: 'outbound',
+  // Messages the app sends to the webview
+  INBOUND: 'inbound',
+};
+
+/**
+ * Checks that middleware has a hook for at least one direction
+ *
+ * @param  {Object} middleware - object with `outbound` and/or `inbound` hooks
+ *
+ * @return {Object} the middleware
+ */
+export const normalizeMiddleware = (middleware) => {
+  if (
+    !middleware ||
+    (
+      typeof middleware[MIDDLEWARE_DIRECTIONS.OUTBOUND] !== 'function' &&
+      typeof middleware[MIDDLEWARE_DIRECTIONS.INBOUND] !== 'function'
+    )
+  ) {
+    throw new TypeError('[WKPostMessenger] middleware must have an outbound or inbound function');
+  }
+  return middleware;
+};
+
+/**
+ * Calls a function, turning whatever it returns or throws into a Promise
+ *
+ * @param  {Function} fn - the function
+ * @param  {...*} args - arguments for the function
+ *
+ * @return {Promise}
+ */
+const attempt = (fn, ...args) => {
+  try {
+    return Promise.resolve(fn(...args));
+  } catch (e) {
+    return Promise.reject(e);
+  }
+};
+
+/**
+ * Runs a message through the hooks for one direction of every middleware, in order
+ *
+ * Each hook is called with the context and a `next` function that passes the message along to the
+ * next hook, or to `last` after the last hook. `next` returns a Promise for the response, so a
+ * hook can change the context on the way in and the response on the way back. A hook that resolves
+ * without calling `next` answers the message itself, and one that throws or rejects fails it.
+ *
+ * @param  {Array} middleware - every middleware, in the order they were added
+ * @param  {string} direction - `outbound` or `inbound`
+ * @param  {Object} context - the message, which the hooks are allowed to change
+ * @param  {Function} last - sends or handles the message once every hook has called `next`
+ *
+ * @return {Promise} resolves with the response
+ */
+export const runMiddleware = (middleware, direction, context, last) => {
+  const hooks = middleware
+    .map(item => item[direction])
+    .filter(hook => typeof hook === 'function');
+
+  const dispatch = (index) => {
+    if (index >= hooks.length) {
+      return attempt(last);
+    }
+    let called = false;
+    const next = () => {
+      if (called) {
+        return Promise.reject(new Error('[WKPostMessenger] next was called more than once'));
+      }
+      called = true;
+      return dispatch(index + 1);
+    };
+    return attempt(hooks[index], context, next);
+  };
+
+  return dispatch(0);
+};
@@ -0,0 +1,150 @@
+const PANEL_STYLE = [
+  'position: fixed',
+  'right: 0',
+  'bottom: 0',
+  'z-index: 2147483647',
+  'width: 100%',
+  'max-width: 480px',
+  'max-height: 40%',
+  'overflow: auto',
+  'background: rgba(0, 0, 0, 0.85)',
+  'color: #fff',
+  'font: 11px/1.4 Menlo, monospace',
+].join(';');
+
+const OUTCOME_COLORS = {
+  pending: '#ccc',
+  resolved: '#6c6',
+  rejected: '#f66',
+  timeout: '#fc3',
+  late: '#f93',
+  aborted: '#999',
+  destroyed: '#999',
+};
+
+/**
+ * Creates an element with some text
+ *
+ * @param  {string} tagName - the tag name
+ * @param  {string} [text] - text content
+ * @param  {string} [style] - inline style
+ *
+ * @return {Element}
+ */
+const createElement = (tagName, text, style) => {
+  const element = document.createElement(tagName);
+  if (text) {
+    element.textContent = text;
+  }
+  if (style) {
+    element.style.cssText = style;
+  }
+  return element;
+};
+
+/**
+ * Describes an inspector entry in one line
+ *
+ * @param  {Object} entry - the entry
+ *
+ * @return {string}
+ */
+export const describeEntry = ({
+  direction,
+  channel,
+  action,
+  event,
+  frame,
+  id,
+  size,
+  outcome,
+  latency,
+  error,
+}) => [
+  direction === 'outbound' ? '→' : '←',
+  channel ? `[${channel}]` : '',
+  event ? `${action} ${event}` : action,
+  frame ? `(${frame})` : '',
+  id ? `#${id}` : '',
+  size === null ? '' : `${size}b`,
+  outcome || '',
+  typeof latency === 'number' ? `${latency}ms` : '',
+  error || '',
+].filter(Boolean).join(' ');
+
+/**
+ * Shows the latest entries of an inspector in a panel on top of the page
+ *
+ * The panel has buttons to clear the log and to download it as JSON, and updates as entries are
+ * added and settled.
+ *
+ * @param  {Object} inspector - the inspector from `createInspector`
+ * @param  {Object} [options] - overlay options
+ * @param  {Element} [options.container] - where to put the panel, the body by default
+ * @param  {number} [options.rows] - number of entries to show
+ *
+ * @return {Object} with the panel `element` and a function to `destroy` it
+ */
+export const createInspectorOverlay = (inspector, {
+  container = document.body,
+  rows = 50,
+} = {}) => {
+  const panel = createElement('div', '', PANEL_STYLE);
+  panel.setAttribute('data-wk-postmessenger-inspector', '');
+
+  const toolbar = createElement('div', '', 'display: flex; padding: 4px; background: #333');
+  toolbar.appendChild(createElement('strong', 'WKPostMessenger', 'flex: 1'));
+  const clearButton = createElement('button', 'Clear');
+  const exportButton = createElement('button', 'Export');
+  toolbar.appendChild(clearButton);
+  toolbar.appendChild(exportButton);
+  panel.appendChild(toolbar);
+
+  const list = createElement('ol', '', 'margin: 0; padding: 4px; list-style: none');
+  panel.appendChild(list);
+
+  let scheduled = false;
+  const render = () => {
+    scheduled = false;
+    while (list.firstChild) {
+      list.removeChild(list.firstChild);
+    }
+    inspector.entries().slice(-rows).reverse().forEach((entry) => {
+      const color = OUTCOME_COLORS[entry.outcome] || '#fff';
+      list.appendChild(createElement('li', describeEntry(entry), `color: ${color}`));
+    });
+  };
+  const scheduleRender = () => {
+    if (!scheduled) {
+      scheduled = true;
+      setTimeout(render, 50);
+    }
+  };
+
+  clearButton.addEventListener('click', () => {
+    inspector.clear();
+    render();
+  });
+  exportButton.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(inspector, null, 2)], { type: 'application/json' });
+    const link = createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `wk-postmessenger-${Date.now()}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+
+  const unsubscribe = inspector.subscribe(scheduleRender);
+  render();
+  container.appendChild(panel);
+
+  return {
+    element: panel,
+    destroy() {
+      unsubscribe();
+      if (panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+      }
+    },
+  };
+};
@@ -0,0 +1,104 @@
+/**
+ * Latest version of the protocol that this library speaks
+ */
+export const PROTOCOL_VERSION = 2;
+
+/**
+ * Optional parts of the protocol, which each side announces during the handshake if it can handle
+ * them
+ */
+export const FEATURES = {
+  ERRORS: 'errors',
+  PROGRESS: 'progress',
+  CANCEL: 'cancel',
+  EVENTS: 'events',
+  SUBSCRIPTIONS: 'subscriptions',
+  BATCH: 'batch',
+  CHUNK: 'chunk',
+  RESET: 'reset',
+  CHANNELS: 'channels',
+  CODEC: 'codec',
+  HEARTBEAT: 'heartbeat',
+};
+
+/**
+ * Reserved actions, which carry the protocol itself rather than messages between the app and the
+ * web app. Both sides of the bridge use these, so they are only declared here.
+ */
+export const HANDSHAKE_ACTION = '__WK_HANDSHAKE__';
+export const CALLBACK_ACTION = '__WK_CALLBACK__';
+export const RESET_ACTION = '__WK_RESET__';
+export const CANCEL_ACTION = '__WK_CANCEL__';
+export const EVENT_ACTION = '__WK_EVENT__';
+export const SUBSCRIBE_ACTION = '__WK_SUBSCRIBE__';
+export const UNSUBSCRIBE_ACTION = '__WK_UNSUBSCRIBE__';
+export const BATCH_ACTION = '__WK_BATCH__';
+export const CHUNK_ACTION = '__WK_CHUNK__';
+export const PING_ACTION = '__WK_PING__';
+
+/**
+ * Frame of a callback that reports progress before the final result
+ */
+export const PROGRESS_FRAME = 'progress';
+
+/**
+ * Copies a payload the way postMessage does, so that anything that wouldn't survive the trip
+ * across the bridge doesn't survive here either
+ *
+ * @param  {*} value - anything
+ *
+ * @return {*} the copy
+ */
+export const clone = value => (
+  typeof value === 'undefined' ? value : JSON.parse(JSON.stringify(value))
+);
+
+/**
+ * Gets the MIME type that identifies payloads for a version of the protocol
+ *
+ * @param  {number} version - protocol version
+ *
+ * @return {string}
+ */
+export const getMessageType = version => `application/x-wkpostmessenger-v${version}+json`;
+
+/**
+ * Reads what the app sent back to acknowledge the handshake
+ *
+ * Apps that only speak version 1 acknowledge the handshake without a result (or with anything
+ * other than an object with a `protocol` number), in which case nothing is known about them.
+ *
+ * @param  {*} result - the handshake acknowledgment
+ *
+ * @return {Object} with the `protocol` version that both sides speak, the `features` the app
+ *         supports and any `app` metadata, like its version and platform
+ */
+export const parseHandshakeResult = (result) => {
+  if (!result || typeof result !== 'object' || typeof result.protocol !== 'number') {
+    return {
+      protocol: 1,
+      features: [],
+      app: {},
+    };
+  }
+  return {
+    protocol: Math.max(1, Math.min(result.protocol, PROTOCOL_VERSION)),
+    features: Array.isArray(result.features) ? result.features.slice() : [],
+    app: result.app && typeof result.app === 'object' ? { ...result.app } : {},
+  };
+};
+
+/**
+ * Checks whether an opt-in part of the protocol can be used with the app
+ *
+ * Version 1 apps don't announce their features, so whoever turned the option on is trusted to know
+ * that the app supports it. The same goes for anything sent before the handshake.
+ *
+ * @param  {Object} [remote] - the result of `parseHandshakeResult`, if the handshake is done
+ * @param  {string} feature - one of FEATURES
+ *
+ * @return {boolean}
+ */
+export const canUseFeature = (remote, feature) => (
+  !remote || remote.protocol < 2 || remote.features.indexOf(feature) !== -1
+);
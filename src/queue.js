@@ -0,0 +1,70 @@
+/**
+ * Finds the Storage to use for the durable message queue
+ *
+ * @param  {string|Storage} [persist] - `session` for sessionStorage, `local` for localStorage, or
+ *         any object with the Storage methods `getItem`, `setItem` and `removeItem`
+ * @param  {Object} [scope] - where to find sessionStorage and localStorage
+ *
+ * @return {Storage|null} the storage, or null if it is not available
+ */
+export const resolveStorage = (persist, scope = window) => {
+  try {
+    if (persist === 'session') {
+      return scope.sessionStorage || null;
+    }
+    if (persist === 'local') {
+      return scope.localStorage || null;
+    }
+  } catch (e) {
+    // Accessing storage can throw, such as when cookies are blocked
+    return null;
+  }
+  if (persist && typeof persist.getItem === 'function') {
+    return persist;
+  }
+  return null;
+};
+
+/**
+ * Creates a queue of messages kept in storage until the app acknowledges them
+ *
+ * Storage errors, such as exceeding the quota, are ignored, in which case the message simply isn't
+ * durable.
+ *
+ * @param  {Storage} storage - where to keep the queue
+ * @param  {string} key - storage key for the queue
+ *
+ * @return {Object} with functions to `read`, `add` to and `remove` from the queue
+ */
+export const createDurableQueue = (storage, key) => {
+  const read = () => {
+    try {
+      const entries = JSON.parse(storage.getItem(key));
+      return Array.isArray(entries) ? entries : [];
+    } catch (e) {
+      return [];
+    }
+  };
+
+  const write = (entries) => {
+    try {
+      if (entries.length) {
+        storage.setItem(key, JSON.stringify(entries));
+      } else {
+        storage.removeItem(key);
+      }
+    } catch (e) {
+      // Nothing else to do
+    }
+  };
+
+  return {
+    read,
+    add(entry) {
+      write(read().filter(({ id }) => id !== entry.id).concat(entry));
+    },
+    remove(id) {
+      write(read().filter(entry => entry.id !== id));
+    },
+  };
+};
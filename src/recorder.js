@@ -0,0 +1,157 @@
+/**
+ * Version of the trace format, bumped when traces from older versions can't be replayed
+ */
+export const TRACE_VERSION = 1;
+
+/**
+ * Ways a payload can arrive from the app
+ */
+export const INBOUND_ROUTES = {
+  // The app called the global handler function with a message
+  HANDLER: 'handler',
+  // The app called the global callback function
+  CALLBACK: 'callback',
+  // The transport delivered the payload itself
+  TRANSPORT: 'transport',
+};
+
+/**
+ * What secrets are replaced with in a trace
+ */
+export const REDACTED = '[redacted]';
+
+/**
+ * Copies a payload as it would be written to the trace, without the secret of hardened mode
+ *
+ * The secret is left out of the handshake, the `auth` of calls from the app is left out whether
+ * it is the secret or a signature, and any other string that is one of the `secrets` is replaced
+ * wherever it appears.
+ *
+ * @param  {string} direction - `outbound` or `inbound`
+ * @param  {*} payload - the payload
+ * @param  {Array} [secrets] - strings to leave out
+ *
+ * @return {*} the copy, or null if it can't be serialized
+ */
+export const snapshot = (direction, payload, secrets = []) => {
+  let redacted = payload;
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    redacted = { ...payload };
+    if (typeof redacted.secret !== 'undefined') {
+      redacted.secret = REDACTED;
+    }
+    if (direction === 'inbound' && typeof redacted.auth !== 'undefined') {
+      redacted.auth = REDACTED;
+    }
+  }
+  try {
+    const json = JSON.stringify(redacted, (key, value) => (
+      typeof value === 'string' && secrets.indexOf(value) !== -1 ? REDACTED : value
+    ));
+    return typeof json === 'string' ? JSON.parse(json) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Creates a recorder that captures the traffic across the bridge, so that a session can be
+ * replayed later (see replay.js)
+ *
+ * Unlike the inspector, the recorder keeps the data and the order of everything, exactly as it
+ * went over the wire. Each entry has a `seq` number, the `time` in milliseconds since recording
+ * started, its `direction` and the `payload` itself. Inbound entries also have the `route` the
+ * payload arrived by (see INBOUND_ROUTES), with the arguments the app passed to the global
+ * function as the payload. Once `maxEntries` are recorded, the rest of the session is left out
+ * and the trace is marked as `truncated`, since a trace is only useful from its start. Traces are
+ * meant to be shared, so the secret of hardened mode is left out (see `snapshot`).
+ *
+ * @param  {Object} [options] - recorder options
+ * @param  {number} [options.maxEntries] - maximum number of entries to record
+ * @param  {Function} [options.now] - returns the current time in milliseconds
+ * @param  {Function} [options.info] - returns metadata to include in the trace
+ * @param  {Function} [options.secrets] - returns the strings to leave out of the trace
+ *
+ * @return {Object} the recorder
+ */
+export const createRecorder = ({
+  maxEntries = 10000,
+  now = Date.now,
+  info = () => ({}),
+  secrets = () => [],
+} = {}) => {
+  if (!(maxEntries > 0)) {
+    throw new TypeError('[WKPostMessenger] the recorder needs room for at least one entry');
+  }
+
+  let startedAt = now();
+  let entries = [];
+  let truncated = false;
+
+  const add = (entry) => {
+    if (entries.length >= maxEntries) {
+      truncated = true;
+      return;
+    }
+    entries.push({
+      seq: entries.length + 1,
+      time: now() - startedAt,
+      ...entry,
+    });
+  };
+
+  return {
+    /**
+     * Records a payload posted to the app
+     *
+     * @param  {Object} payload - the payload
+     */
+    outbound(payload) {
+      add({ direction: 'outbound', payload: snapshot('outbound', payload, secrets()) });
+    },
+
+    /**
+     * Records a payload received from the app
+     *
+     * @param  {string} route - how the payload arrived (see INBOUND_ROUTES)
+     * @param  {Object} payload - the payload, or the arguments of the global function by name
+     */
+    inbound(route, payload) {
+      add({ direction: 'inbound', route, payload: snapshot('inbound', payload, secrets()) });
+    },
+
+    /**
+     * Gets the recorded entries, oldest first
+     *
+     * @return {Array} copies of the entries
+     */
+    entries() {
+      return entries.map(entry => ({ ...entry }));
+    },
+
+    /**
+     * Throws away everything recorded so far and starts over
+     */
+    clear() {
+      entries = [];
+      truncated = false;
+      startedAt = now();
+    },
+
+    /**
+     * Exports the trace, for `JSON.stringify`
+     *
+     * @return {Object} the metadata from `info`, the trace `version`, when recording `startedAt`,
+     *         whether it was `truncated` and the `entries`
+     */
+    toJSON() {
+      return {
+        ...info(),
+        version: TRACE_VERSION,
+        startedAt: new Date(startedAt).toISOString(),
+        truncated,
+        entries: this.entries(),
+      };
+    },
+  };
+};
@@ -0,0 +1,335 @@
+import { signEnvelope } from './auth';
+import {
+  HANDSHAKE_ACTION,
+  CALLBACK_ACTION,
+  BATCH_ACTION,
+  clone,
+} from './protocol';
+import {
+  TRACE_VERSION,
+  INBOUND_ROUTES,
+  REDACTED,
+  snapshot,
+} from './recorder';
+
+/**
+ * Kinds of differences between a replay and its trace
+ */
+export const DIFFERENCES = {
+  // The payload was posted, but not as recorded
+  CHANGED: 'changed',
+  // The payload was recorded, but never posted
+  MISSING: 'missing',
+  // The payload was posted after everything recorded was
+  UNEXPECTED: 'unexpected',
+};
+
+const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isObject = value => !!value && typeof value === 'object';
+
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, Math.max(0, delay)));
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+const without = (object, keys) => Object.keys(object)
+  .filter(key => keys.indexOf(key) === -1)
+  .reduce((copy, key) => ({ ...copy, [key]: object[key] }), {});
+
+/**
+ * Finds the first place where two JSON values differ
+ *
+ * @param  {*} expected - the recorded value
+ * @param  {*} actual - the replayed value
+ * @param  {string} path - path of the values in the payload
+ * @param  {Array} ignore - keys to skip wherever they appear
+ *
+ * @return {string|null} the path where they differ, or null if they don't
+ */
+const findDifference = (expected, actual, path, ignore) => {
+  if (expected === actual) {
+    return null;
+  }
+  if (!isObject(expected) || !isObject(actual)) {
+    return path;
+  }
+  if (Array.isArray(expected) !== Array.isArray(actual)) {
+    return path;
+  }
+  if (Array.isArray(expected)) {
+    if (expected.length !== actual.length) {
+      return path;
+    }
+    for (let i = 0; i < expected.length; i += 1) {
+      const found = findDifference(expected[i], actual[i], `${path}[${i}]`, ignore);
+      if (found !== null) {
+        return found;
+      }
+    }
+    return null;
+  }
+  const keys = Object.keys(expected)
+    .concat(Object.keys(actual).filter(key => !has(expected, key)))
+    .filter(key => ignore.indexOf(key) === -1);
+  for (let i = 0; i < keys.length; i += 1) {
+    const key = keys[i];
+    const found = findDifference(expected[key], actual[key], join(path, key), ignore);
+    if (found !== null) {
+      return found;
+    }
+  }
+  return null;
+};
+
+/**
+ * Replays a recorded session against a fresh WKPostMessenger, standing in for the app
+ *
+ * The instance gets a transport that collects everything it posts, and the payloads that the app
+ * sent are fed back in the recorded order, through the same global functions or transport they
+ * arrived by. Each recorded outbound payload is waited for before going on, so the replay keeps
+ * the same interleaving, and is compared with what the instance actually posts.
+ *
+ * Message IDs made up by the webview differ between runs, so the first time a recorded ID shows
+ * up, it is paired with the ID posted in its place, and the app's callbacks are addressed to the
+ * new ID. Traces leave out the secret of hardened mode, so to replay a hardened session, pass the
+ * instance's `hardened.secret` as the `secret` option too, and the app's calls are signed with it
+ * again, which works in either `auth` mode. What the instance posts is compared without the
+ * secret.
+ *
+ * The instance is destroyed once the replay is done.
+ *
+ * @param  {Object|string} trace - the trace exported from a recorder, or its JSON
+ * @param  {Function} createMessenger - called with the transport, returns the instance to replay
+ *         against, which needs to use that transport
+ * @param  {Object} [options] - replay options
+ * @param  {number} [options.speed] - 1 to keep the recorded timing, 2 to go twice as fast and so
+ *         on, or 0 to go as fast as possible
+ * @param  {number} [options.timeout] - milliseconds to wait for a recorded payload after it was
+ *         due, before calling it missing
+ * @param  {Array} [options.ignore] - keys to leave out of the comparison wherever they appear,
+ *         for data that isn't expected to be the same in every run
+ * @param  {string} [options.secret] - the secret of the replayed instance in hardened mode
+ *
+ * @return {Promise} resolves with a report of whether the replay `matched` the trace, the
+ *         `differences`, and the number of `outbound` payloads `expected` and `actual`ly posted
+ */
+export const replayTrace = (trace, createMessenger, {
+  speed = 1,
+  timeout = 1000,
+  ignore = [],
+  secret,
+} = {}) => {
+  const parsed = typeof trace === 'string' ? JSON.parse(trace) : trace;
+  if (!isObject(parsed) || !Array.isArray(parsed.entries)) {
+    throw new TypeError('[WKPostMessenger] a trace needs to have entries');
+  }
+  if (parsed.version > TRACE_VERSION) {
+    throw new TypeError(`[WKPostMessenger] trace version ${parsed.version} is not supported`);
+  }
+  if (typeof createMessenger !== 'function') {
+    throw new TypeError('[WKPostMessenger] the replay needs a function to create the instance');
+  }
+
+  const { entries } = parsed;
+  const globals = { handler: parsed.handlerGlobal, callback: parsed.callbackGlobal };
+  const posted = [];
+  const differences = [];
+  // Recorded IDs paired with the replayed ones, and the replayed IDs already taken
+  const ids = {};
+  const taken = {};
+  let actual = 0;
+  let receive = null;
+  let wake = null;
+
+  const transport = {
+    name: parsed.transport || 'replay',
+    target: null,
+    send(payload) {
+      // Left out the same way as in the trace, so that the two compare
+      const copy = snapshot('outbound', payload, secret ? [secret] : []);
+      actual += 1;
+      if (copy && copy.action === HANDSHAKE_ACTION && typeof copy.data === 'string') {
+        globals.handler = copy.data;
+      }
+      if (copy && copy.callback) {
+        globals.callback = copy.callback;
+      }
+      posted.push(copy);
+      if (wake) {
+        wake();
+      }
+    },
+    listen(callback) {
+      receive = callback;
+      return () => {
+        receive = null;
+      };
+    },
+  };
+
+  const messenger = createMessenger(transport);
+  if (!messenger || messenger.transport !== transport) {
+    if (messenger && typeof messenger.destroy === 'function') {
+      messenger.destroy();
+    }
+    throw new TypeError('[WKPostMessenger] the replayed instance needs to use the transport');
+  }
+
+  const pairIds = (expected, replayed) => {
+    if (expected == null || replayed == null) {
+      return expected === replayed;
+    }
+    if (has(ids, expected)) {
+      return ids[expected] === replayed;
+    }
+    if (has(taken, replayed)) {
+      return false;
+    }
+    ids[expected] = replayed;
+    taken[replayed] = true;
+    return true;
+  };
+
+  const compare = (expected, replayed, path) => {
+    if (!isObject(expected) || !isObject(replayed)) {
+      return findDifference(expected, replayed, path, ignore);
+    }
+    if (!pairIds(expected.id, replayed.id)) {
+      return join(path, 'id');
+    }
+    // Batches carry whole payloads, each with its own ID
+    const batched = expected.action === BATCH_ACTION
+      && Array.isArray(expected.data)
+      && Array.isArray(replayed.data)
+      && expected.data.length === replayed.data.length;
+    const skipped = batched ? ['id', 'data'] : ['id'];
+    const found = findDifference(
+      without(expected, skipped),
+      without(replayed, skipped),
+      path,
+      ignore,
+    );
+    if (found !== null || !batched) {
+      return found;
+    }
+    for (let i = 0; i < expected.data.length; i += 1) {
+      const inner = compare(expected.data[i], replayed.data[i], `${join(path, 'data')}[${i}]`);
+      if (inner !== null) {
+        return inner;
+      }
+    }
+    return null;
+  };
+
+  const nextPayload = deadline => new Promise((resolve) => {
+    if (posted.length) {
+      resolve(posted.shift());
+      return;
+    }
+    const timer = setTimeout(() => {
+      wake = null;
+      resolve(null);
+    }, Math.max(0, deadline - Date.now()));
+    wake = () => {
+      wake = null;
+      clearTimeout(timer);
+      resolve(posted.shift());
+    };
+  });
+
+  /**
+   * Signs a call from the app again, if it was authenticated when recorded
+   *
+   * @param  {Object} envelope - the replayed `id`, `action`, `data`, `channel`, `error` and
+   *         `frame`
+   * @param  {string} [recorded] - the `auth` in the trace
+   *
+   * @return {string|undefined} the signature to call with
+   */
+  const authenticate = (envelope, recorded) => {
+    if (recorded !== REDACTED) {
+      return recorded;
+    }
+    return secret ? signEnvelope(secret, envelope) : undefined;
+  };
+
+  const deliver = ({ route, payload }) => {
+    const {
+      id,
+      action,
+      data,
+      error,
+      frame,
+      auth: recorded,
+      channel,
+    } = clone(payload) || {};
+    const replayedId = has(ids, id) ? ids[id] : id;
+    const auth = authenticate({
+      id: replayedId,
+      action: route === INBOUND_ROUTES.CALLBACK ? CALLBACK_ACTION : action,
+      data,
+      channel,
+      error,
+      frame,
+    }, recorded);
+    if (route === INBOUND_ROUTES.HANDLER) {
+      if (typeof window[globals.handler] === 'function') {
+        window[globals.handler](replayedId, action, data, auth, channel);
+      }
+    } else if (route === INBOUND_ROUTES.CALLBACK) {
+      if (typeof window[globals.callback] === 'function') {
+        window[globals.callback](replayedId, data, error, frame, auth);
+      }
+    } else if (receive) {
+      receive({ ...clone(payload), id: replayedId, auth });
+    }
+  };
+
+  const startedAt = Date.now();
+  const due = ({ time = 0 }) => startedAt + (speed > 0 ? time / speed : 0);
+
+  const replayEntry = (entry, index) => {
+    if (entry.direction === 'outbound') {
+      return nextPayload(due(entry) + timeout).then((replayed) => {
+        if (!replayed) {
+          differences.push({ index, kind: DIFFERENCES.MISSING, expected: entry.payload });
+          return;
+        }
+        const path = compare(entry.payload, replayed, '');
+        if (path !== null) {
+          differences.push({
+            index,
+            kind: DIFFERENCES.CHANGED,
+            path,
+            expected: entry.payload,
+            actual: replayed,
+          });
+        }
+      });
+    }
+    return waitFor(due(entry) - Date.now()).then(() => deliver(entry));
+  };
+
+  const finish = () => {
+    posted.splice(0).forEach((replayed) => {
+      differences.push({ index: entries.length, kind: DIFFERENCES.UNEXPECTED, actual: replayed });
+    });
+    return Promise.resolve(messenger.destroy()).then(() => ({
+      matched: differences.length === 0,
+      differences,
+      outbound: {
+        expected: entries.filter(({ direction }) => direction === 'outbound').length,
+        actual,
+      },
+    }));
+  };
+
+  return entries
+    .reduce((previous, entry, index) => previous.then(() => replayEntry(entry, index)), waitFor(0))
+    // Give the instance a moment to post anything that wasn't recorded
+    .then(() => waitFor(0))
+    .then(finish, (e) => {
+      messenger.destroy();
+      throw e;
+    });
+};
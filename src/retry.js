@@ -0,0 +1,72 @@
+import { AbortError } from './errors';
+import { onAbort } from './abort';
+
+/**
+ * Default retry policy, which doesn't retry at all
+ */
+export const DEFAULT_RETRY_POLICY = {
+  attempts: 1,
+  delay: 200,
+  maxDelay: 5000,
+  factor: 2,
+  jitter: 0.5,
+};
+
+/**
+ * Fills in a retry policy with defaults
+ *
+ * @param  {Object|number} [policy] - retry policy, or just the maximum number of attempts
+ * @param  {number} [policy.attempts] - maximum number of times to send the message, including the
+ *         first time
+ * @param  {number} [policy.delay] - milliseconds to wait before the first retry
+ * @param  {number} [policy.maxDelay] - upper limit for the delay between retries
+ * @param  {number} [policy.factor] - multiplier applied to the delay after each retry
+ * @param  {number} [policy.jitter] - fraction of each delay, between 0 and 1, that is randomized
+ *         so that many clients don't retry in lockstep
+ *
+ * @return {Object} the complete retry policy
+ */
+export const normalizeRetryPolicy = (policy) => {
+  if (typeof policy === 'number') {
+    return { ...DEFAULT_RETRY_POLICY, attempts: policy };
+  }
+  return { ...DEFAULT_RETRY_POLICY, ...policy };
+};
+
+/**
+ * Calculates how long to wait before a retry
+ *
+ * @param  {Object} policy - complete retry policy
+ * @param  {number} retry - which retry this is, starting at 1
+ * @param  {Function} [random] - source of randomness for the jitter
+ *
+ * @return {number} milliseconds to wait
+ */
+export const getRetryDelay = (policy, retry, random = Math.random) => {
+  let delay = policy.delay;
+  for (let i = 1; i < retry; i += 1) {
+    delay *= policy.factor;
+  }
+  delay = Math.min(delay, policy.maxDelay);
+  return Math.round(delay * (1 - (policy.jitter * random())));
+};
+
+/**
+ * Waits before resolving, unless the signal is aborted first
+ *
+ * @param  {number} delay - milliseconds to wait
+ * @param  {AbortSignal} [signal] - rejects with an AbortError when aborted
+ *
+ * @return {Promise}
+ */
+export const wait = (delay, signal) => new Promise((resolve, reject) => {
+  let timer;
+  const removeAbortListener = onAbort(signal, () => {
+    clearTimeout(timer);
+    reject(new AbortError());
+  });
+  timer = setTimeout(() => {
+    removeAbortListener();
+    resolve();
+  }, delay);
+});
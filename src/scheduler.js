@@ -0,0 +1,205 @@
+import { AbortError } from './errors';
+import { onAbort } from './abort';
+
+/**
+ * Named priority levels for outbound messages. Numbers work too, and higher numbers go first.
+ */
+export const PRIORITIES = {
+  HIGH: 'high',
+  NORMAL: 'normal',
+  LOW: 'low',
+};
+
+const PRIORITY_LEVELS = {
+  [PRIORITIES.HIGH]: 1,
+  [PRIORITIES.NORMAL]: 0,
+  [PRIORITIES.LOW]: -1,
+};
+
+/**
+ * Gets the numeric level of a priority
+ *
+ * @param  {string|number} [priority] - one of PRIORITIES, or a number
+ *
+ * @return {number}
+ */
+export const getPriorityLevel = (priority = PRIORITIES.NORMAL) => {
+  if (typeof priority === 'number' && !isNaN(priority)) {
+    return priority;
+  }
+  if (Object.prototype.hasOwnProperty.call(PRIORITY_LEVELS, priority)) {
+    return PRIORITY_LEVELS[priority];
+  }
+  throw new TypeError(`[WKPostMessenger] unknown priority ${priority}`);
+};
+
+/**
+ * Gets the name of a priority level, or the level itself if it doesn't have one
+ *
+ * @param  {number} level - the level
+ *
+ * @return {string|number}
+ */
+const getPriorityName = level => Object.keys(PRIORITY_LEVELS)
+  .filter(name => PRIORITY_LEVELS[name] === level)[0] || level;
+
+/**
+ * Creates a scheduler that limits how many tasks run at once
+ *
+ * Tasks that can't start right away wait in a queue ordered by priority, and then by when they
+ * were scheduled. Tasks that share a serial key run one at a time in the order they were
+ * scheduled, whatever their priority, without holding up tasks with other keys.
+ *
+ * @param  {Object} [options] - scheduler options
+ * @param  {number} [options.maxInFlight] - number of tasks that can run at once, or 0 for no limit
+ * @param  {Function} [options.now] - source of the current time in milliseconds
+ *
+ * @return {Object} with functions to `schedule` a task, `clear` the queue and get its `stats`
+ */
+export const createScheduler = ({ maxInFlight = 0, now = Date.now } = {}) => {
+  if (typeof maxInFlight !== 'number' || !(maxInFlight >= 0)) {
+    throw new TypeError('[WKPostMessenger] maxInFlight must be a number, or 0 for no limit');
+  }
+
+  let queue = [];
+  let sequence = 0;
+  let inFlight = 0;
+  const busyKeys = {};
+  let started = 0;
+  let totalWait = 0;
+  let maxWait = 0;
+
+  const hasRoom = () => maxInFlight === 0 || inFlight < maxInFlight;
+
+  // A task with a key waits for the earlier tasks with the same key
+  const isReady = entry => typeof entry.key === 'undefined' || (
+    !busyKeys[entry.key] &&
+    queue.every(other => other.key !== entry.key || other.sequence >= entry.sequence)
+  );
+
+  let drain;
+  const start = (entry) => {
+    inFlight += 1;
+    if (typeof entry.key !== 'undefined') {
+      busyKeys[entry.key] = true;
+    }
+    const waited = now() - entry.queuedAt;
+    started += 1;
+    totalWait += waited;
+    maxWait = Math.max(maxWait, waited);
+
+    let result;
+    try {
+      result = Promise.resolve(entry.run());
+    } catch (e) {
+      result = Promise.reject(e);
+    }
+    const finish = () => {
+      inFlight -= 1;
+      if (typeof entry.key !== 'undefined') {
+        delete busyKeys[entry.key];
+      }
+      drain();
+    };
+    result.then(finish, finish);
+    result.then(entry.resolve, entry.reject);
+  };
+
+  drain = () => {
+    let i = 0;
+    while (i < queue.length && hasRoom()) {
+      const entry = queue[i];
+      if (isReady(entry)) {
+        queue.splice(i, 1);
+        entry.removeAbortListener();
+        start(entry);
+      } else {
+        i += 1;
+      }
+    }
+  };
+
+  return {
+    /**
+     * Runs a task as soon as there is room for it
+     *
+     * @param  {Function} run - starts the task, and returns a Promise that settles when it is done
+     * @param  {Object} [options] - task options
+     * @param  {string|number} [options.priority] - one of PRIORITIES, or a number
+     * @param  {string} [options.key] - serial key
+     * @param  {AbortSignal} [options.signal] - takes the task out of the queue when aborted, if it
+     *         hasn't started yet
+     *
+     * @return {Promise} settles with the task's Promise
+     */
+    schedule(run, { priority, key, signal } = {}) {
+      const level = getPriorityLevel(priority);
+      if (signal && signal.aborted) {
+        return Promise.reject(new AbortError());
+      }
+      return new Promise((resolve, reject) => {
+        const entry = {
+          run,
+          level,
+          key,
+          sequence,
+          queuedAt: now(),
+          resolve,
+          reject,
+        };
+        sequence += 1;
+        entry.removeAbortListener = onAbort(signal, () => {
+          queue = queue.filter(other => other !== entry);
+          entry.removeAbortListener();
+          reject(new AbortError('[WKPostMessenger] message was aborted while queued'));
+          drain();
+        });
+        let index = queue.length;
+        while (index > 0 && queue[index - 1].level < level) {
+          index -= 1;
+        }
+        queue.splice(index, 0, entry);
+        drain();
+      });
+    },
+
+    /**
+     * Rejects every task still in the queue
+     *
+     * @param {Error} error - the error to reject them with
+     */
+    clear(error) {
+      const cleared = queue;
+      queue = [];
+      cleared.forEach((entry) => {
+        entry.removeAbortListener();
+        entry.reject(error);
+      });
+    },
+
+    /**
+     * Describes the queue
+     *
+     * @return {Object} with the number of tasks `inFlight` and `queued`, the number queued at each
+     *         priority `byPriority`, how long the `oldestWait` has been queued, and the
+     *         `averageWait` and `maxWait` of the tasks that have started, all in milliseconds
+     */
+    stats() {
+      const time = now();
+      const byPriority = {};
+      queue.forEach(({ level }) => {
+        const name = getPriorityName(level);
+        byPriority[name] = (byPriority[name] || 0) + 1;
+      });
+      return {
+        maxInFlight,
+        inFlight,
+        queued: queue.length,
+        byPriority,
+        oldestWait: queue.reduce((oldest, { queuedAt }) => Math.max(oldest, time - queuedAt), 0),
+        averageWait: started ? Math.round(totalWait / started) : 0,
+        maxWait,
+      };
+    },
+  };
+};
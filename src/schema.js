@@ -0,0 +1,136 @@
+/**
+ * Gets the JSON type of a value, telling integers, arrays and null apart from other numbers and
+ * objects
+ *
+ * @param  {*} value - anything
+ *
+ * @return {string} the type name
+ */
+export const typeOf = (value) => {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  if (type === 'integer') {
+    return actual === 'number' && Math.floor(value) === value;
+  }
+  if (type === 'any') {
+    return true;
+  }
+  return actual === type;
+};
+
+const describe = value => JSON.stringify(value);
+
+/**
+ * Checks a value against a schema
+ *
+ * Schemas are a small subset of JSON Schema, which covers what usually goes across the bridge:
+ *
+ * - `type`: `string`, `number`, `integer`, `boolean`, `object`, `array`, `null` or `any`, or an
+ *   array of them
+ * - `enum`: array of allowed values
+ * - `properties`, `required` and `additionalProperties` for objects
+ * - `items`, `minItems` and `maxItems` for arrays
+ * - `minLength`, `maxLength` and `pattern` for strings
+ * - `minimum` and `maximum` for numbers
+ * - `anyOf`: array of schemas, at least one of which must match
+ *
+ * Unknown keywords are ignored.
+ *
+ * @param  {Object} schema - the schema
+ * @param  {*} value - the value to check
+ * @param  {string} [path] - where the value is, used to describe violations
+ *
+ * @return {Array} objects with the `path` and `message` of each violation, empty if the value is
+ *         valid
+ */
+export const validate = (schema, value, path = 'data') => {
+  if (!schema || typeof schema !== 'object') {
+    return [];
+  }
+
+  const violation = message => [{ path, message }];
+
+  if (typeof schema.type !== 'undefined') {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return violation(`must be ${types.join(' or ')}, not ${typeOf(value)}`);
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => option === value)) {
+    return violation(`must be one of ${schema.enum.map(describe).join(', ')}`);
+  }
+
+  if (Array.isArray(schema.anyOf)) {
+    if (!schema.anyOf.some(option => !validate(option, value, path).length)) {
+      return violation('does not match any of the allowed schemas');
+    }
+  }
+
+  const violations = [];
+
+  if (typeof value === 'string') {
+    if (typeof schema.minLength === 'number' && value.length < schema.minLength) {
+      violations.push({ path, message: `must have at least ${schema.minLength} characters` });
+    }
+    if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) {
+      violations.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      violations.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (typeof schema.minimum === 'number' && value < schema.minimum) {
+      violations.push({ path, message: `must be at least ${schema.minimum}` });
+    }
+    if (typeof schema.maximum === 'number' && value > schema.maximum) {
+      violations.push({ path, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems === 'number' && value.length < schema.minItems) {
+      violations.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+      violations.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        violations.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((key) => {
+      if (typeof value[key] === 'undefined') {
+        violations.push({ path: `${path}.${key}`, message: 'is required' });
+      }
+    });
+    Object.keys(value).forEach((key) => {
+      const keyPath = `${path}.${key}`;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        violations.push(...validate(properties[key], value[key], keyPath));
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: keyPath, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        violations.push(...validate(schema.additionalProperties, value[key], keyPath));
+      }
+    });
+  }
+
+  return violations;
+};
@@ -0,0 +1,126 @@
+import { createAbortController, followSignal } from './abort';
+
+const ASYNC_ITERATOR = typeof Symbol === 'function' && Symbol.asyncIterator;
+
+/**
+ * Gets an async iterator from an async iterable, like the result of calling an async generator
+ *
+ * @param  {*} value - anything
+ *
+ * @return {Object|null} the iterator, or null if the value is not async iterable
+ */
+export const getAsyncIterator = (value) => {
+  if (ASYNC_ITERATOR && value && typeof value[ASYNC_ITERATOR] === 'function') {
+    return value[ASYNC_ITERATOR]();
+  }
+  return null;
+};
+
+/**
+ * Creates an async iterator that is fed by pushing values into it
+ *
+ * Values pushed before anyone calls `next` are buffered. Once the stream ends or fails, any
+ * buffered values are still delivered before the iterator finishes or rejects.
+ *
+ * @param  {Function} [onReturn] - called if the consumer stops iterating before the stream ends
+ *
+ * @return {Object} with the `iterator` and functions to `push`, `end` and `fail` the stream
+ */
+export const createStream = (onReturn) => {
+  const values = [];
+  const readers = [];
+  let done = false;
+  let error = null;
+
+  const flush = () => {
+    while (readers.length && (values.length || done)) {
+      const reader = readers.shift();
+      if (values.length) {
+        reader.resolve({ value: values.shift(), done: false });
+      } else if (error) {
+        reader.reject(error);
+        error = null;
+      } else {
+        reader.resolve({ value: undefined, done: true });
+      }
+    }
+  };
+
+  const iterator = {
+    next() {
+      return new Promise((resolve, reject) => {
+        readers.push({ resolve, reject });
+        flush();
+      });
+    },
+    return(value) {
+      if (!done) {
+        done = true;
+        values.length = 0;
+        flush();
+        if (typeof onReturn === 'function') {
+          onReturn();
+        }
+      }
+      return Promise.resolve({ value, done: true });
+    },
+  };
+
+  if (ASYNC_ITERATOR) {
+    iterator[ASYNC_ITERATOR] = () => iterator;
+  }
+
+  return {
+    iterator,
+    push(value) {
+      if (!done) {
+        values.push(value);
+        flush();
+      }
+    },
+    end() {
+      done = true;
+      flush();
+    },
+    fail(e) {
+      if (!done) {
+        done = true;
+        error = e;
+        flush();
+      }
+    },
+  };
+};
+
+/**
+ * Sends a message and streams the progress frames that come back
+ *
+ * @param  {Function} send - sends the message with the options it is given, returning a Promise
+ *         for the final result
+ * @param  {Object|number} [options] - send options, or just the timeout
+ *
+ * @return {Object} async iterator of progress frames, with a `result` Promise
+ */
+export const streamMessage = (send, options) => {
+  const sendOptions = typeof options === 'number' ? { timeout: options } : (options || {});
+  const controller = createAbortController();
+  const unfollow = followSignal(controller, sendOptions.signal);
+
+  const stream = createStream(() => controller.abort());
+  const { iterator } = stream;
+  iterator.result = send({
+    ...sendOptions,
+    signal: controller.signal,
+    onProgress: stream.push,
+  });
+  // The caller's signal can outlive the stream, so stop listening to it once there is a result
+  iterator.result.then((result) => {
+    unfollow();
+    stream.end(result);
+  }, (e) => {
+    unfollow();
+    stream.fail(e);
+  });
+
+  return iterator;
+};
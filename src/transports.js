@@ -0,0 +1,244 @@
+/**
+ * Transports carry payloads between WKPostMessenger and the host it is embedded in
+ *
+ * A transport is an object with a `name`, a `send` function that posts a payload to the host, and
+ * optionally a `listen` function that is called with a function to receive payloads from the host
+ * and returns a function that stops listening. Hosts that call the global handler and callback
+ * functions with evaluateJavaScript (or its equivalent) don't need `listen`.
+ *
+ * Payloads received by `listen` look like the ones sent by the webview: `id`, `action` and `data`
+ * for messages, and `__WK_CALLBACK__` as the action along with the `id`, `data`, `error` and
+ * `frame` for callbacks. They need a `type` starting with `application/x-wkpostmessenger-` so
+ * that other messages on the same channel are ignored.
+ */
+
+const TYPE_PREFIX = 'application/x-wkpostmessenger-';
+
+/**
+ * Checks whether something received from the host is a WKPostMessenger payload, parsing it first if
+ * it is a string
+ *
+ * @param  {*} message - the message
+ *
+ * @return {Object|null} the payload, or null if the message is something else
+ */
+export const parsePayload = (message) => {
+  let payload = message;
+  if (typeof message === 'string') {
+    try {
+      payload = JSON.parse(message);
+    } catch (e) {
+      return null;
+    }
+  }
+  if (
+    !payload ||
+    typeof payload !== 'object' ||
+    typeof payload.type !== 'string' ||
+    payload.type.indexOf(TYPE_PREFIX) !== 0
+  ) {
+    return null;
+  }
+  return payload;
+};
+
+/**
+ * Listens for message events on a target and passes along the WKPostMessenger payloads
+ *
+ * @param  {Array} targets - objects with addEventListener, like window and document
+ * @param  {Function} receive - called with each payload
+ * @param  {Function} [accept] - called with each event, returning false to ignore it
+ *
+ * @return {Function} stops listening
+ */
+const listenForMessages = (targets, receive, accept = () => true) => {
+  const listener = (event) => {
+    if (!accept(event)) {
+      return;
+    }
+    const payload = parsePayload(event.data);
+    if (payload) {
+      receive(payload);
+    }
+  };
+  targets.forEach(target => target.addEventListener('message', listener));
+  return () => targets.forEach(target => target.removeEventListener('message', listener));
+};
+
+/**
+ * Posts to a WKWebView script message handler at `window.webkit.messageHandlers`
+ *
+ * @param  {Object} [options] - transport options
+ * @param  {string} [options.scriptMessageHandler] - message handler registered on the iOS side
+ *
+ * @return {Object} the transport, whose `target` is the script message handler
+ */
+export const webkitTransport = ({ scriptMessageHandler = 'wkPostMessage' } = {}) => {
+  let target;
+  try {
+    target = window.webkit.messageHandlers[scriptMessageHandler];
+  } catch (e) {
+    throw new Error(`Can't add message handler ${scriptMessageHandler}`);
+  }
+  return {
+    name: 'webkit',
+    target,
+    send(payload) {
+      this.target.postMessage(payload);
+    },
+  };
+};
+
+webkitTransport.isAvailable = ({ scriptMessageHandler = 'wkPostMessage' } = {}) => !!(
+  window.webkit &&
+  window.webkit.messageHandlers &&
+  window.webkit.messageHandlers[scriptMessageHandler]
+);
+
+/**
+ * Posts to an object that an Android app added with `addJavascriptInterface`
+ *
+ * Methods annotated with `@JavascriptInterface` can only take strings, so payloads are sent as
+ * JSON. The app answers by calling the global handler and callback functions with
+ * `evaluateJavascript`, just like on iOS.
+ *
+ * @param  {Object} [options] - transport options
+ * @param  {string} [options.interfaceName] - name of the JavaScript interface
+ *
+ * @return {Object} the transport
+ */
+export const androidTransport = ({ interfaceName = 'wkPostMessage' } = {}) => ({
+  name: 'android',
+  send(payload) {
+    window[interfaceName].postMessage(JSON.stringify(payload));
+  },
+});
+
+androidTransport.isAvailable = ({ interfaceName = 'wkPostMessage' } = {}) => !!(
+  window[interfaceName] &&
+  typeof window[interfaceName].postMessage === 'function' &&
+  window[interfaceName] !== window
+);
+
+/**
+ * Posts to a React Native WebView, which receives the payloads as JSON in `onMessage`
+ *
+ * The app can answer with `injectJavaScript` to call the global functions, or with `postMessage`,
+ * which arrives as a message event on `window` (or on `document` on Android). Those events have no
+ * source, so message events from frames, which could forge callbacks, are ignored.
+ *
+ * @return {Object} the transport
+ */
+export const reactNativeTransport = () => ({
+  name: 'react-native',
+  send(payload) {
+    window.ReactNativeWebView.postMessage(JSON.stringify(payload));
+  },
+  listen(receive) {
+    const targets = [window];
+    if (typeof document !== 'undefined' && document.addEventListener) {
+      targets.push(document);
+    }
+    return listenForMessages(targets, receive, event => !event.source || event.source === window);
+  },
+});
+
+reactNativeTransport.isAvailable = () => !!(
+  window.ReactNativeWebView && typeof window.ReactNativeWebView.postMessage === 'function'
+);
+
+/**
+ * Posts to another window with `window.postMessage`, such as the page that embeds the webview in
+ * an iframe
+ *
+ * Payloads are only sent to `targetOrigin`, and only messages from the target window whose origin
+ * is allowed are received.
+ *
+ * @param  {Object} options - transport options
+ * @param  {string} options.targetOrigin - origin of the other window
+ * @param  {Window} [options.target] - the other window, the parent window by default
+ * @param  {Array} [options.allowedOrigins] - origins to accept messages from, which defaults to
+ *         just the target origin. Include `*` to accept messages from anywhere.
+ *
+ * @return {Object} the transport
+ */
+export const postMessageTransport = ({
+  targetOrigin,
+  target = window.parent,
+  allowedOrigins = [targetOrigin],
+} = {}) => {
+  if (!targetOrigin) {
+    throw new TypeError('[WKPostMessenger] the postMessage transport needs a targetOrigin');
+  }
+  return {
+    name: 'postmessage',
+    target,
+    send(payload) {
+      this.target.postMessage(payload, targetOrigin);
+    },
+    listen(receive) {
+      return listenForMessages([window], receive, event => (
+        event.source === this.target &&
+        (allowedOrigins.indexOf('*') !== -1 || allowedOrigins.indexOf(event.origin) !== -1)
+      ));
+    },
+  };
+};
+
+postMessageTransport.isAvailable = ({ targetOrigin } = {}) => !!(
+  targetOrigin && window.parent && window.parent !== window
+);
+
+/**
+ * Built-in transports by name
+ */
+export const TRANSPORTS = {
+  webkit: webkitTransport,
+  android: androidTransport,
+  'react-native': reactNativeTransport,
+  postmessage: postMessageTransport,
+};
+
+/**
+ * Finds the transport for wherever the webview is running, in order of preference: WebKit, an
+ * Android JavaScript interface, React Native, and then the parent window if there is a
+ * `targetOrigin`
+ *
+ * @param  {Object} [options] - options for every transport
+ *
+ * @return {Object} the transport
+ */
+export const detectTransport = (options = {}) => {
+  const names = ['webkit', 'android', 'react-native', 'postmessage'];
+  for (let i = 0; i < names.length; i += 1) {
+    const create = TRANSPORTS[names[i]];
+    if (create.isAvailable(options)) {
+      return create(options);
+    }
+  }
+  throw new Error(`Can't add message handler ${options.scriptMessageHandler || 'wkPostMessage'}`);
+};
+
+/**
+ * Gets the transport to use from the `transport` option
+ *
+ * @param  {string|Object} transport - `auto`, the name of a built-in transport, or a transport
+ * @param  {Object} [options] - options for built-in transports
+ *
+ * @return {Object} the transport
+ */
+export const resolveTransport = (transport, options = {}) => {
+  if (transport && typeof transport === 'object') {
+    if (typeof transport.send !== 'function') {
+      throw new TypeError('[WKPostMessenger] transports must have a send function');
+    }
+    return transport;
+  }
+  if (transport === 'auto') {
+    return detectTransport(options);
+  }
+  if (!Object.prototype.hasOwnProperty.call(TRANSPORTS, transport)) {
+    throw new TypeError(`[WKPostMessenger] unknown transport ${transport}`);
+  }
+  return TRANSPORTS[transport](options);
+};
@@ -1,4 +1,9 @@
 import WKPostMessenger from '../src/WKPostMessenger';
+import { createAbortController } from '../src/abort';
+import { checksum } from '../src/chunks';
+import createMemoryStorage from './helpers/createMemoryStorage';
+import mockMessageEvents from './helpers/mockMessageEvents';
+import trackUnhandledRejections from './helpers/trackUnhandledRejections';
 
 const mockPostMessageTarget = (
   handshakeTimeout = 0,
@@ -18,9 +23,19 @@ const mockPostMessageTarget = (
       case '__WK_CALLBACK__':
         wkParentCallback(payload);
         break;
+      case '__WK_CANCEL__':
+      case '__WK_EVENT__':
+      case '__WK_SUBSCRIBE__':
+      case '__WK_UNSUBSCRIBE__':
+        break;
       default:
         if (messageTimeout) {
-          setTimeout(() => { window[callback](id, { action, data }); }, messageTimeout);
+          setTimeout(() => {
+            // The test might be over by now
+            if (window[callback]) {
+              window[callback](id, { action, data });
+            }
+          }, messageTimeout);
         } else {
           window[callback](id, { action, data });
         }
@@ -32,6 +47,7 @@ const mockPostMessageTarget = (
 const prepareEnv = (messageHandlers = { wkPostMessage: mockPostMessageTarget() }) => {
   window.webkit = { messageHandlers };
 };
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, delay));
 const destroyEnv = () => {
   delete window.webkit;
   delete window.wkPostMessengerHandleMessage;
@@ -128,6 +144,84 @@ describe('WKPostMessenger', () => {
       });
     });
 
+    describe('transports', () => {
+      afterEach(() => {
+        destroyEnv();
+        delete window.ReactNativeWebView;
+      });
+
+      it('uses the WebKit transport when it is available', () => {
+        prepareEnv();
+        const postMessenger = new WKPostMessenger({ autoHandshake: false });
+        assert.strictEqual(postMessenger.transport.name, 'webkit');
+      });
+
+      it('detects other hosts', () => {
+        const events = mockMessageEvents(window);
+        window.ReactNativeWebView = { postMessage: sinon.spy() };
+        const postMessenger = new WKPostMessenger();
+        assert.strictEqual(postMessenger.transport.name, 'react-native');
+        sinon.assert.calledWithMatch(window.ReactNativeWebView.postMessage, '__WK_HANDSHAKE__');
+        postMessenger.destroy();
+        events.restore();
+      });
+
+      it('sends and receives with a custom transport', () => {
+        let receive;
+        const unlisten = sinon.spy();
+        const transport = {
+          name: 'custom',
+          send(payload) {
+            const { id, action, data } = payload;
+            // Answer through the transport instead of the global callback
+            setTimeout(() => receive({
+              type: payload.type,
+              id,
+              action: '__WK_CALLBACK__',
+              data: action === '__WK_HANDSHAKE__' ? undefined : { echo: data },
+            }), 0);
+          },
+          listen(callback) {
+            receive = callback;
+            return unlisten;
+          },
+        };
+        const postMessenger = new WKPostMessenger({ transport });
+        return postMessenger.sendMessage('ping', 1)
+          .then((result) => {
+            assert.deepEqual(result, { echo: 1 });
+            postMessenger.destroy();
+            sinon.assert.calledOnce(unlisten);
+          });
+      });
+
+      it('receives messages from the app through the transport', (done) => {
+        let receive;
+        const transport = {
+          name: 'custom',
+          send(payload) {
+            if (payload.action === '__WK_CALLBACK__') {
+              assert.strictEqual(payload.id, '1');
+              assert.strictEqual(payload.data, 2);
+              done();
+            }
+          },
+          listen(callback) {
+            receive = callback;
+            return () => {};
+          },
+        };
+        const postMessenger = new WKPostMessenger({ transport, autoHandshake: false });
+        postMessenger.handle('double', data => data * 2);
+        receive({
+          type: 'application/x-wkpostmessenger-v2+json',
+          id: '1',
+          action: 'double',
+          data: 1,
+        });
+      });
+    });
+
     it('throws an error if the parent handler cannot be found', () => {
       assert.throws(() => {
         new WKPostMessenger();
@@ -174,9 +268,9 @@ describe('WKPostMessenger', () => {
         .then(() => Promise.reject('Handshake did not timeout'))
         .catch((e) => {
           destroyEnv();
-          if (e !== '[WKPostMessenger] handshake acknowledgment timeout') {
-            assert.fail(e);
-          }
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.code, 'TIMEOUT');
+          assert.strictEqual(e.message, '[WKPostMessenger] handshake acknowledgment timeout');
         });
     });
 
@@ -197,6 +291,140 @@ describe('WKPostMessenger', () => {
         });
     });
 
+    describe('protocol negotiation', () => {
+      const v2PostMessageTarget = (ack = {
+        protocol: 2,
+        features: ['errors', 'chunk'],
+        app: { version: '3.1.0', platform: 'ios' },
+      }) => ({
+        postMessage({ id, callback, action, data }) {
+          if (action === '__WK_HANDSHAKE__') {
+            window[callback](id, ack);
+          } else if (callback) {
+            window[callback](id, { action, data });
+          }
+        },
+      });
+
+      afterEach(() => {
+        destroyEnv();
+      });
+
+      it('sends the protocol version, features and client metadata', () => {
+        prepareEnv();
+        const sandbox = sinon.sandbox.create();
+        const { wkPostMessage: target } = window.webkit.messageHandlers;
+        const wkPostMessage = sandbox.spy(target, 'postMessage');
+        new WKPostMessenger({ clientInfo: { build: 42 } });
+        sandbox.restore();
+        const payload = wkPostMessage.firstCall.args[0];
+        assert.strictEqual(payload.protocol, WKPostMessenger.PROTOCOL_VERSION);
+        assert.includeMembers(payload.features, ['errors', 'progress', 'batch', 'chunk']);
+        assert.deepEqual(payload.client, {
+          build: 42,
+          library: WKPostMessenger.VERSION,
+          transport: 'webkit',
+        });
+      });
+
+      it('only announces the codec feature when there is a codec', () => {
+        prepareEnv();
+        const sandbox = sinon.sandbox.create();
+        const { wkPostMessage: target } = window.webkit.messageHandlers;
+        const wkPostMessage = sandbox.spy(target, 'postMessage');
+        const plain = new WKPostMessenger();
+        plain.destroy();
+        const encoded = new WKPostMessenger({ codec: true });
+        encoded.destroy();
+        sandbox.restore();
+        assert.notInclude(wkPostMessage.firstCall.args[0].features, 'codec');
+        assert.include(wkPostMessage.secondCall.args[0].features, 'codec');
+        assert.isNull(plain.codec);
+        assert.isFunction(encoded.codec.encode);
+        destroyEnv();
+      });
+
+      it('has no remote until the handshake is acknowledged', () => {
+        prepareEnv();
+        const postMessenger = new WKPostMessenger({ autoHandshake: false });
+        assert.isNull(postMessenger.remote);
+      });
+
+      it('exposes what the app announced as remote', () => {
+        prepareEnv({ wkPostMessage: v2PostMessageTarget() });
+        const postMessenger = new WKPostMessenger({ autoHandshake: false });
+        return postMessenger.sendHandshake()
+          .then(() => {
+            assert.deepEqual(postMessenger.remote, {
+              protocol: 2,
+              features: ['errors', 'chunk'],
+              app: { version: '3.1.0', platform: 'ios' },
+            });
+          });
+      });
+
+      it('falls back to version 1 when the app sends a bare acknowledgment', () => {
+        prepareEnv();
+        const postMessenger = new WKPostMessenger({ autoHandshake: false });
+        return postMessenger.sendHandshake()
+          .then(() => {
+            assert.deepEqual(postMessenger.remote, { protocol: 1, features: [], app: {} });
+          });
+      });
+
+      it('uses the negotiated version in the type of later messages', () => {
+        prepareEnv({ wkPostMessage: v2PostMessageTarget() });
+        const sandbox = sinon.sandbox.create();
+        const { wkPostMessage: target } = window.webkit.messageHandlers;
+        const wkPostMessage = sandbox.spy(target, 'postMessage');
+        const postMessenger = new WKPostMessenger();
+        return postMessenger.sendMessage('ping')
+          .then(() => {
+            sandbox.restore();
+            assert.strictEqual(
+              wkPostMessage.firstCall.args[0].type,
+              'application/x-wkpostmessenger-v1+json',
+            );
+            assert.strictEqual(
+              wkPostMessage.secondCall.args[0].type,
+              'application/x-wkpostmessenger-v2+json',
+            );
+          });
+      });
+
+      it('does not batch messages for apps that do not support it', () => {
+        prepareEnv({ wkPostMessage: v2PostMessageTarget() });
+        const sandbox = sinon.sandbox.create();
+        const { wkPostMessage: target } = window.webkit.messageHandlers;
+        const wkPostMessage = sandbox.spy(target, 'postMessage');
+        const postMessenger = new WKPostMessenger({ batch: true });
+        return postMessenger.sendHandshake()
+          .then(() => Promise.all([
+            postMessenger.sendMessage('first'),
+            postMessenger.sendMessage('second'),
+          ]))
+          .then(() => {
+            sandbox.restore();
+            sinon.assert.calledThrice(wkPostMessage);
+            sinon.assert.neverCalledWithMatch(wkPostMessage, { action: '__WK_BATCH__' });
+          });
+      });
+
+      it('does not send subscriptions to apps that do not support them', () => {
+        prepareEnv({ wkPostMessage: v2PostMessageTarget() });
+        const sandbox = sinon.sandbox.create();
+        const { wkPostMessage: target } = window.webkit.messageHandlers;
+        const wkPostMessage = sandbox.spy(target, 'postMessage');
+        const postMessenger = new WKPostMessenger({ subscribeEvents: true });
+        return postMessenger.sendHandshake()
+          .then(() => {
+            postMessenger.on('cartUpdated', () => {});
+            sandbox.restore();
+            sinon.assert.calledOnce(wkPostMessage);
+          });
+      });
+    });
+
     it('throws an error if trying to send the handshake after already being connected', () => {
       prepareEnv();
       const postMessenger = new WKPostMessenger({ autoHandshake: false });
@@ -313,9 +541,9 @@ describe('WKPostMessenger', () => {
         .then(() => Promise.reject('Message did not timeout'))
         .catch((e) => {
           destroyEnv();
-          if (e !== '[WKPostMessenger] message acknowledgment timeout') {
-            assert.fail(e);
-          }
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.code, 'TIMEOUT');
+          assert.strictEqual(e.message, '[WKPostMessenger] message acknowledgment timeout');
         });
     });
 
@@ -329,9 +557,172 @@ describe('WKPostMessenger', () => {
         .then(() => Promise.reject('Message did not timeout'))
         .catch((e) => {
           destroyEnv();
-          if (e !== '[WKPostMessenger] message acknowledgment timeout') {
-            assert.fail(e);
-          }
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.code, 'TIMEOUT');
+          assert.strictEqual(e.message, '[WKPostMessenger] message acknowledgment timeout');
+        });
+    });
+
+    it('rejects with a RemoteError when the app responds with an error', () => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+            } else {
+              window[callback](id, undefined, {
+                name: 'PermissionError',
+                message: 'Camera access denied',
+                code: 'PERMISSION_DENIED',
+                details: { permission: 'camera' },
+              });
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('testRemoteError')
+        .then(() => Promise.reject('Message did not reject'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, Error);
+          assert.instanceOf(e, WKPostMessenger.WKPostMessengerError);
+          assert.instanceOf(e, WKPostMessenger.RemoteError);
+          assert.strictEqual(e.message, 'Camera access denied');
+          assert.strictEqual(e.code, 'PERMISSION_DENIED');
+          assert.strictEqual(e.remoteName, 'PermissionError');
+          assert.deepEqual(e.details, { permission: 'camera' });
+        });
+    });
+
+    it('accepts an options object', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 10) });
+      const postMessenger = new WKPostMessenger();
+      const promise = postMessenger.sendMessage('testOptionsTimeout', {}, { timeout: 1 });
+      return promise
+        .then(() => Promise.reject('Message did not timeout'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+        });
+    });
+
+    it('can be cancelled with an AbortSignal', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 100, wkParentCallback) });
+      const postMessenger = new WKPostMessenger();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const controller = createAbortController();
+      const promise = postMessenger.sendMessage('testAbort', {}, { signal: controller.signal });
+      return postMessenger.sendHandshake()
+        .then(() => new Promise(resolve => setTimeout(resolve, 0)))
+        .then(() => {
+          const { id } = wkPostMessage.lastCall.args[0];
+          controller.abort();
+          sinon.assert.calledWithMatch(wkPostMessage, {
+            type: 'application/x-wkpostmessenger-v1+json',
+            action: '__WK_CANCEL__',
+            id,
+          });
+          assert.deepEqual(postMessenger._pending, {});
+          assert.isUndefined(postMessenger._emitter._eemitEvents[id]);
+          return promise;
+        })
+        .then(() => Promise.reject('Message was not aborted'))
+        .catch((e) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+          assert.strictEqual(e.code, 'ABORTED');
+        });
+    });
+
+    it('does not send a message that is aborted while waiting for the handshake', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(10) });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger();
+      const controller = createAbortController();
+      const promise = postMessenger.sendMessage('testAbort', {}, { signal: controller.signal });
+      controller.abort();
+      return promise
+        .then(() => Promise.reject('Message was not aborted'))
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+          return postMessenger.sendHandshake();
+        })
+        .then(() => {
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.calledOnce(wkPostMessage);
+          sinon.assert.neverCalledWithMatch(wkPostMessage, { action: 'testAbort' });
+        });
+    });
+
+    it('rejects right away if the signal is already aborted', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      const controller = createAbortController();
+      controller.abort();
+      return postMessenger.sendMessage('testAbort', {}, { signal: controller.signal })
+        .then(() => Promise.reject('Message was not aborted'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+        });
+    });
+
+    it('calls onProgress for each progress frame before resolving', () => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action, stream }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+            } else if (stream) {
+              setTimeout(() => {
+                window[callback](id, { percent: 50 }, null, 'progress');
+                window[callback](id, { percent: 100 }, null, 'progress');
+                window[callback](id, 'downloaded');
+              }, 0);
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger();
+      const onProgress = sinon.spy(() => {});
+      return postMessenger.sendMessage('testProgress', {}, { onProgress })
+        .then((result) => {
+          destroyEnv();
+          assert.strictEqual(result, 'downloaded');
+          sinon.assert.calledTwice(onProgress);
+          sinon.assert.calledWithExactly(onProgress.firstCall, { percent: 50 });
+          sinon.assert.calledWithExactly(onProgress.secondCall, { percent: 100 });
+        });
+    });
+
+    it('restarts the timeout with each progress frame', () => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+            } else {
+              setTimeout(() => window[callback](id, 1, null, 'progress'), 10);
+              setTimeout(() => window[callback](id, 2, null, 'progress'), 20);
+              setTimeout(() => window[callback](id, 'done'), 30);
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('testProgressTimeout', {}, {
+        timeout: 15,
+        onProgress: () => {},
+      })
+        .then((result) => {
+          destroyEnv();
+          assert.strictEqual(result, 'done');
         });
     });
 
@@ -362,89 +753,2474 @@ describe('WKPostMessenger', () => {
     });
   });
 
-  describe('#handleMessage', () => {
-    it('is invoked when receiving messages from the parent', () => {
-      prepareEnv({ wkPostMessage: mockPostMessageTarget() });
-      const handleMessage = sinon.spy(() => {});
-      new WKPostMessenger({ handleMessage });
-      const id = 'some-ios-uuid';
-      const action = 'testHandle';
-      const data = ['dogs', 'are', 'cool'];
-      window.wkPostMessengerHandleMessage(id, action, data);
-      sinon.assert.calledOnce(handleMessage);
-      sinon.assert.calledWithMatch(handleMessage, action, data);
+  describe('scheduling', () => {
+    const manualPostMessageTarget = () => ({
+      sent: [],
+      postMessage(payload) {
+        if (payload.action === '__WK_HANDSHAKE__') {
+          window[payload.callback](payload.id);
+        } else {
+          this.sent.push(payload);
+        }
+      },
     });
+    const answer = ({ id, callback, data }) => window[callback](id, data);
 
-    it('invokes a callback on the parent with the ID and data', () => {
-      const wkParentCallback = sinon.spy(() => {});
-      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
-      const handleMessage = (action, data) => ({
-        action,
-        data: data.reverse(),
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('limits the messages waiting for acknowledgment and sends the rest by priority', () => {
+      const target = manualPostMessageTarget();
+      prepareEnv({ wkPostMessage: target });
+      const postMessenger = new WKPostMessenger({ maxInFlight: 2 });
+      const results = [
+        postMessenger.sendMessage('track', 1, { priority: 'low' }),
+        postMessenger.sendMessage('track', 2, { priority: 'low' }),
+        postMessenger.sendMessage('track', 3, { priority: 'low' }),
+        postMessenger.sendMessage('checkout', 4, { priority: 'high' }),
+      ];
+      return waitFor(0)
+        .then(() => {
+          assert.deepEqual(target.sent.map(({ data }) => data), [1, 2]);
+          const stats = postMessenger.getQueueStats();
+          assert.strictEqual(stats.maxInFlight, 2);
+          assert.strictEqual(stats.inFlight, 2);
+          assert.strictEqual(stats.queued, 2);
+          assert.deepEqual(stats.byPriority, { high: 1, low: 1 });
+          answer(target.sent[0]);
+          return waitFor(0);
+        })
+        .then(() => {
+          assert.deepEqual(target.sent.map(({ data }) => data), [1, 2, 4]);
+          target.sent.slice(1).forEach(answer);
+          return waitFor(0);
+        })
+        .then(() => {
+          answer(target.sent[3]);
+          return Promise.all(results);
+        })
+        .then((values) => {
+          assert.deepEqual(values, [1, 2, 3, 4]);
+          assert.strictEqual(postMessenger.getQueueStats().queued, 0);
+          postMessenger.destroy();
+        });
+    });
+
+    it('sends messages with the same serial key one at a time', () => {
+      const target = manualPostMessageTarget();
+      prepareEnv({ wkPostMessage: target });
+      const postMessenger = new WKPostMessenger();
+      postMessenger.sendMessage('save', 1, { serial: true });
+      postMessenger.sendMessage('save', 2, { serial: true });
+      postMessenger.sendMessage('save', 3);
+      postMessenger.sendMessage('upload', 4, { serial: 'files' });
+      postMessenger.sendMessage('delete', 5, { serial: 'files' });
+      return waitFor(0)
+        .then(() => {
+          assert.deepEqual(target.sent.map(({ data }) => data), [1, 3, 4]);
+          answer(target.sent[0]);
+          answer(target.sent[2]);
+          return waitFor(0);
+        })
+        .then(() => {
+          assert.deepEqual(target.sent.map(({ data }) => data), [1, 3, 4, 2, 5]);
+          postMessenger.destroy();
+        });
+    });
+
+    it('rejects queued messages when the instance is destroyed', () => {
+      const target = manualPostMessageTarget();
+      prepareEnv({ wkPostMessage: target });
+      const postMessenger = new WKPostMessenger({ maxInFlight: 1 });
+      postMessenger.sendMessage('first').catch(() => {});
+      const queued = postMessenger.sendMessage('second');
+      postMessenger.destroy();
+      return queued.then(() => {
+        assert.fail('should not resolve');
+      }, (e) => {
+        assert.instanceOf(e, WKPostMessenger.DestroyedError);
       });
-      new WKPostMessenger({ handleMessage });
-      const id = 'some-ios-uuid';
-      const action = 'testHandleCallback';
-      const data = ['cats', 'are', 'ok'];
-      window.wkPostMessengerHandleMessage(id, action, data);
-      sinon.assert.calledOnce(wkParentCallback);
-      sinon.assert.calledWithMatch(wkParentCallback, {
-        type: 'application/x-wkpostmessenger-v1+json',
-        action: '__WK_CALLBACK__',
-        id,
-        data: {
-          action,
-          data: ['ok', 'are', 'cats'],
+    });
+  });
+
+  describe('retries', () => {
+    const flakyPostMessageTarget = (dropped) => {
+      let count = 0;
+      return {
+        postMessage({ id, callback, action, data }) {
+          if (action === '__WK_HANDSHAKE__') {
+            window[callback](id);
+          } else if (count >= dropped) {
+            setTimeout(() => window[callback](id, { action, data }), 0);
+          } else {
+            count += 1;
+          }
         },
+      };
+    };
+
+    it('resends a message that times out with the same id', () => {
+      prepareEnv({ wkPostMessage: flakyPostMessageTarget(2) });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ reconnectAfterTimeouts: 0 });
+      return postMessenger.sendMessage('testRetry', { draft: 1 }, {
+        timeout: 5,
+        retry: { attempts: 3, delay: 1 },
+      })
+        .then((result) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.deepEqual(result, { action: 'testRetry', data: { draft: 1 } });
+          const sent = wkPostMessage.args
+            .map(([payload]) => payload)
+            .filter(({ action }) => action === 'testRetry');
+          assert.lengthOf(sent, 3);
+          assert.strictEqual(sent[1].id, sent[0].id);
+          assert.strictEqual(sent[2].id, sent[0].id);
+        });
+    });
+
+    it('uses the default retry policy', () => {
+      prepareEnv({ wkPostMessage: flakyPostMessageTarget(1) });
+      const postMessenger = new WKPostMessenger({
+        reconnectAfterTimeouts: 0,
+        messageTimeout: 5,
+        retry: { attempts: 2, delay: 1 },
       });
+      return postMessenger.sendMessage('testDefaultRetry')
+        .then(destroyEnv);
     });
 
-    it('can return Promises', () => (
-     new Promise((resolve, reject) => {
-       const timeout = setTimeout(reject, 20);
-       const wkParentCallback = sinon.spy((payload) => {
-         if (payload.action === '__WK_CALLBACK__') {
-           clearTimeout(timeout);
-           resolve(wkParentCallback);
-         }
-       });
-       prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
-       const handleMessage = (action, data) => new Promise((resolveMessage) => {
-         setTimeout(() => resolveMessage({ action, data }), 10);
-       });
-       new WKPostMessenger({ handleMessage });
-       const id = 'some-ios-uuid';
-       const action = 'testHandleCallbackPromise';
-       const data = ['wawa', 'hoagie', 'fest'];
-       window.wkPostMessengerHandleMessage(id, action, data);
-     })
-        .then((wkParentCallback) => {
-          sinon.assert.calledOnce(wkParentCallback);
-          sinon.assert.calledWithMatch(wkParentCallback, {
-            type: 'application/x-wkpostmessenger-v1+json',
-            action: '__WK_CALLBACK__',
-            id: 'some-ios-uuid',
-            data: {
-              action: 'testHandleCallbackPromise',
-              data: ['wawa', 'hoagie', 'fest'],
-            },
-          });
-        })
-    ));
+    it('gives up after the maximum number of attempts', () => {
+      prepareEnv({ wkPostMessage: flakyPostMessageTarget(3) });
+      const postMessenger = new WKPostMessenger({ reconnectAfterTimeouts: 0 });
+      return postMessenger.sendMessage('testRetryLimit', {}, {
+        timeout: 5,
+        retry: { attempts: 2, delay: 1 },
+      })
+        .then(() => Promise.reject('Message did not timeout'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+        });
+    });
 
-    it('still invokes callback without handleMessage', () => {
-      const wkParentCallback = sinon.spy(() => {});
-      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
-      new WKPostMessenger();
-      const id = 'some-ios-uuid';
-      const action = 'testNoHandlerCallback';
-      window.wkPostMessengerHandleMessage(id, action, {});
-      sinon.assert.calledOnce(wkParentCallback);
-      sinon.assert.calledWithMatch(wkParentCallback, {
-        type: 'application/x-wkpostmessenger-v1+json',
-        action: '__WK_CALLBACK__',
-        id,
+    it('does not retry errors from the app', () => {
+      let count = 0;
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+            } else {
+              count += 1;
+              window[callback](id, null, { message: 'Nope' });
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('testNoRetry', {}, { retry: 3 })
+        .then(() => Promise.reject('Message did not reject'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.RemoteError);
+          assert.strictEqual(count, 1);
+        });
+    });
+  });
+
+  describe('durable messages', () => {
+    it('are stored until acknowledged', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 1) });
+      const storage = createMemoryStorage();
+      const postMessenger = new WKPostMessenger({ persist: storage });
+      const promise = postMessenger.sendMessage('testDurable', { order: 42 }, { durable: true });
+      const defaultKey = 'wkPostMessenger:wkPostMessengerHandleMessage:queue';
+      const stored = JSON.parse(storage.getItem(defaultKey));
+      assert.lengthOf(stored, 1);
+      assert.deepEqual(stored[0].data, { order: 42 });
+      return promise.then(() => {
+        destroyEnv();
+        assert.isNull(storage.getItem(defaultKey));
+      });
+    });
+
+    it('are not stored without the durable option', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 1) });
+      const storage = createMemoryStorage();
+      const postMessenger = new WKPostMessenger({ persist: storage, persistKey: 'testKey' });
+      postMessenger.sendMessage('testNotDurable');
+      assert.isNull(storage.getItem('testKey'));
+      return postMessenger.destroy().then(destroyEnv);
+    });
+
+    it('are resent after the next handshake if they timed out', () => {
+      prepareEnv({ wkPostMessage: { postMessage() {} } });
+      const storage = createMemoryStorage();
+      const lostMessenger = new WKPostMessenger({
+        persist: storage,
+        persistKey: 'testKey',
+        handshakeTimeout: 1,
       });
+      const sent = lostMessenger.sendMessage('testResend', { order: 42 }, { durable: true });
+      return sent
+        .then(() => Promise.reject('Message did not timeout'), () => {
+          lostMessenger.destroy();
+          assert.lengthOf(JSON.parse(storage.getItem('testKey')), 1);
+          const { id } = JSON.parse(storage.getItem('testKey'))[0];
+          prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 1) });
+          const sandbox = sinon.sandbox.create();
+          const { wkPostMessage } = window.webkit.messageHandlers;
+          const postMessage = sandbox.spy(wkPostMessage, 'postMessage');
+          const postMessenger = new WKPostMessenger({ persist: storage, persistKey: 'testKey' });
+          return postMessenger.sendHandshake()
+            .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+            .then(() => {
+              sandbox.restore();
+              destroyEnv();
+              sinon.assert.calledWithMatch(postMessage, {
+                id,
+                action: 'testResend',
+                data: { order: 42 },
+              });
+              assert.isNull(storage.getItem('testKey'));
+            });
+        });
+    });
+  });
+
+  describe('batching', () => {
+    const batchingPostMessageTarget = () => ({
+      postMessage({ id, callback, action, data }) {
+        const acknowledge = message => setTimeout(() => {
+          window[message.callback || callback](message.id, { action: message.action });
+        }, 0);
+        if (action === '__WK_BATCH__') {
+          data.forEach(acknowledge);
+        } else if (action === '__WK_HANDSHAKE__') {
+          window[callback](id);
+        } else {
+          acknowledge({ id, action });
+        }
+      },
+    });
+
+    it('combines messages sent in the same tick into one batch', () => {
+      prepareEnv({ wkPostMessage: batchingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ batch: true });
+      return postMessenger.sendHandshake()
+        .then(() => Promise.all([
+          postMessenger.sendMessage('first'),
+          postMessenger.sendMessage('second'),
+          postMessenger.emit('third'),
+        ]))
+        .then(([first, second]) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.deepEqual(first, { action: 'first' });
+          assert.deepEqual(second, { action: 'second' });
+          sinon.assert.calledTwice(wkPostMessage);
+          const batch = wkPostMessage.secondCall.args[0];
+          assert.strictEqual(batch.action, '__WK_BATCH__');
+          assert.strictEqual(batch.callback, 'wkPostMessengerCallback');
+          assert.sameMembers(batch.data.map(({ action }) => action), [
+            'first',
+            'second',
+            '__WK_EVENT__',
+          ]);
+        });
+    });
+
+    it('posts a batch of one on its own', () => {
+      prepareEnv({ wkPostMessage: batchingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ batch: true });
+      return postMessenger.sendMessage('lonely')
+        .then(() => {
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.calledTwice(wkPostMessage);
+          sinon.assert.calledWithMatch(wkPostMessage.secondCall, { action: 'lonely' });
+        });
+    });
+
+    it('collects messages for the batch window', () => {
+      prepareEnv({ wkPostMessage: batchingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ batch: { window: 10 } });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const first = postMessenger.sendMessage('first');
+          return new Promise(resolve => setTimeout(resolve, 1))
+            .then(() => Promise.all([first, postMessenger.sendMessage('second')]));
+        })
+        .then(() => {
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.calledTwice(wkPostMessage);
+          assert.lengthOf(wkPostMessage.secondCall.args[0].data, 2);
+        });
+    });
+
+    it('sends a batch right away when it reaches the maximum size', () => {
+      prepareEnv({ wkPostMessage: batchingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ batch: { maxSize: 2 } });
+      return postMessenger.sendHandshake()
+        .then(() => Promise.all([
+          postMessenger.sendMessage('first'),
+          postMessenger.sendMessage('second'),
+          postMessenger.sendMessage('third'),
+        ]))
+        .then(() => {
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.calledThrice(wkPostMessage);
+          assert.lengthOf(wkPostMessage.secondCall.args[0].data, 2);
+          assert.strictEqual(wkPostMessage.thirdCall.args[0].action, 'third');
+        });
+    });
+  });
+
+  describe('chunked transfers', () => {
+    const image = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR4';
+
+    // Reassembles chunked messages and acknowledges them with the data it received
+    const chunkingPostMessageTarget = (onFrame = () => true) => {
+      const transfers = {};
+      return {
+        postMessage({ id, callback, action, data }) {
+          if (action === '__WK_HANDSHAKE__') {
+            window[callback](id);
+          } else if (action === '__WK_CHUNK__' && onFrame(data)) {
+            transfers[id] = transfers[id] || { chunks: [] };
+            if (data.payload) {
+              transfers[id].payload = data.payload;
+            }
+            transfers[id].chunks[data.index] = data.chunk;
+            if (transfers[id].chunks.filter(Boolean).length === data.total) {
+              const { payload, chunks } = transfers[id];
+              const result = { action: payload.action, data: JSON.parse(chunks.join('')) };
+              window[payload.callback](id, result);
+            }
+          } else if (action !== '__WK_CHUNK__' && callback) {
+            window[callback](id, { action, data });
+          }
+        },
+      };
+    };
+
+    it('splits messages with large data into chunks', () => {
+      prepareEnv({ wkPostMessage: chunkingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ chunkSize: 20 });
+      return postMessenger.sendMessage('upload', { image })
+        .then((result) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.deepEqual(result, { action: 'upload', data: { image } });
+          const frames = wkPostMessage.args.slice(1).map(([payload]) => payload);
+          assert.lengthOf(frames, Math.ceil(JSON.stringify({ image }).length / 20));
+          frames.forEach((frame, index) => {
+            assert.strictEqual(frame.action, '__WK_CHUNK__');
+            assert.strictEqual(frame.callback, 'wkPostMessengerCallback');
+            assert.strictEqual(frame.data.index, index);
+          });
+          assert.deepEqual(frames[0].data.payload, {
+            type: 'application/x-wkpostmessenger-v1+json',
+            callback: 'wkPostMessengerCallback',
+            id: frames[0].id,
+            action: 'upload',
+          });
+        });
+    });
+
+    it('does not split messages with small data', () => {
+      prepareEnv({ wkPostMessage: chunkingPostMessageTarget() });
+      const postMessenger = new WKPostMessenger({ chunkSize: 1000 });
+      return postMessenger.sendMessage('upload', { image })
+        .then((result) => {
+          destroyEnv();
+          assert.deepEqual(result, { action: 'upload', data: { image } });
+        });
+    });
+
+    it('emits transferprogress for outbound chunks', () => {
+      prepareEnv({ wkPostMessage: chunkingPostMessageTarget() });
+      const postMessenger = new WKPostMessenger({ chunkSize: 40 });
+      const listener = sinon.spy();
+      postMessenger.on('transferprogress', listener);
+      return postMessenger.sendMessage('upload', { image })
+        .then(() => {
+          destroyEnv();
+          sinon.assert.calledThrice(listener);
+          sinon.assert.calledWithMatch(listener.firstCall, {
+            direction: 'outbound',
+            loaded: 1,
+            total: 3,
+          });
+          sinon.assert.calledWithMatch(listener.thirdCall, { loaded: 3, total: 3 });
+        });
+    });
+
+    it('stops sending chunks when the message is aborted', () => {
+      prepareEnv({ wkPostMessage: chunkingPostMessageTarget() });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ chunkSize: 20 });
+      const controller = createAbortController();
+      postMessenger.on('transferprogress', () => controller.abort());
+      return postMessenger.sendMessage('upload', { image }, { signal: controller.signal })
+        .catch(e => waitFor(10).then(() => e))
+        .then((e) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+          const actions = wkPostMessage.args.map(([{ action }]) => action);
+          assert.deepEqual(actions, ['__WK_HANDSHAKE__', '__WK_CHUNK__', '__WK_CANCEL__']);
+        });
+    });
+
+    it('rejects with a TransferError when the app loses a chunk of the callback', () => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+              return;
+            }
+            window.wkPostMessengerHandleMessage(id, '__WK_CHUNK__', {
+              index: 0,
+              total: 2,
+              length: 20,
+              checksum: '0',
+              chunk: '"0123456',
+              payload: { action: '__WK_CALLBACK__' },
+            });
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ chunkTimeout: 5 });
+      return postMessenger.sendMessage('download')
+        .then(() => {
+          throw new Error('Expected a TransferError');
+        }, (e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.TransferError);
+          assert.strictEqual(e.code, 'CHUNK_LOST');
+        });
+    });
+
+    it('resolves with a chunked callback from the app', () => {
+      const json = JSON.stringify({ image });
+      const frames = [0, 1, 2].map(index => ({
+        index,
+        total: 3,
+        length: json.length,
+        checksum: checksum(json),
+        chunk: json.slice(index * 40, (index + 1) * 40),
+      }));
+      frames[0].payload = { action: '__WK_CALLBACK__' };
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, callback, action }) {
+            if (action === '__WK_HANDSHAKE__') {
+              window[callback](id);
+              return;
+            }
+            // Out of order, and slow enough to add up to more than the message timeout
+            frames.reverse().forEach((frame, i) => {
+              setTimeout(() => {
+                window.wkPostMessengerHandleMessage(id, '__WK_CHUNK__', frame);
+              }, 20 * (i + 1));
+            });
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ messageTimeout: 30 });
+      const listener = sinon.spy();
+      postMessenger.on('transferprogress', listener);
+      return postMessenger.sendMessage('download')
+        .then((result) => {
+          destroyEnv();
+          assert.deepEqual(result, { image });
+          sinon.assert.calledThrice(listener);
+          sinon.assert.calledWithMatch(listener.thirdCall, {
+            direction: 'inbound',
+            loaded: 3,
+            total: 3,
+          });
+        });
+    });
+
+    it('passes chunked messages from the app to their handler', (done) => {
+      const json = JSON.stringify({ image });
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, action, data }) {
+            if (action === '__WK_CALLBACK__') {
+              destroyEnv();
+              assert.strictEqual(id, 'big');
+              assert.deepEqual(data, { size: image.length });
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.handle('upload', ({ image: received }) => ({ size: received.length }));
+      window.wkPostMessengerHandleMessage('big', '__WK_CHUNK__', {
+        index: 1,
+        total: 2,
+        length: json.length,
+        checksum: checksum(json),
+        chunk: json.slice(30),
+      });
+      window.wkPostMessengerHandleMessage('big', '__WK_CHUNK__', {
+        index: 0,
+        total: 2,
+        length: json.length,
+        checksum: checksum(json),
+        chunk: json.slice(0, 30),
+        payload: { action: 'upload' },
+      });
+    });
+
+    it('answers chunked messages that fail the checksum with an error', (done) => {
+      const handler = sinon.spy();
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, action, error }) {
+            if (action === '__WK_CALLBACK__') {
+              destroyEnv();
+              assert.strictEqual(id, 'big');
+              assert.strictEqual(error.name, 'TransferError');
+              assert.strictEqual(error.code, 'CHECKSUM_MISMATCH');
+              sinon.assert.notCalled(handler);
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.handle('upload', handler);
+      window.wkPostMessengerHandleMessage('big', '__WK_CHUNK__', {
+        index: 0,
+        total: 1,
+        length: 4,
+        checksum: 'nope',
+        chunk: 'null',
+        payload: { action: 'upload' },
+      });
+    });
+  });
+
+  describe('#stream', () => {
+    const streamingPostMessageTarget = frames => ({
+      postMessage({ id, callback, action }) {
+        if (action === '__WK_HANDSHAKE__') {
+          window[callback](id);
+        } else if (action !== '__WK_CANCEL__') {
+          frames.forEach((frame, i) => {
+            setTimeout(() => {
+              if (window[callback]) {
+                window[callback](id, ...frame);
+              }
+            }, i + 1);
+          });
+        }
+      },
+    });
+
+    it('returns an async iterator of progress frames with the final result', () => {
+      prepareEnv({
+        wkPostMessage: streamingPostMessageTarget([
+          ['first', null, 'progress'],
+          ['second', null, 'progress'],
+          ['final'],
+        ]),
+      });
+      const postMessenger = new WKPostMessenger();
+      const iterator = postMessenger.stream('testStream');
+      const values = [];
+      const read = () => iterator.next().then(({ value, done }) => {
+        if (done) {
+          return iterator.result;
+        }
+        values.push(value);
+        return read();
+      });
+      return read()
+        .then((result) => {
+          destroyEnv();
+          assert.deepEqual(values, ['first', 'second']);
+          assert.strictEqual(result, 'final');
+        });
+    });
+
+    it('rejects the iterator if the app responds with an error', () => {
+      prepareEnv({
+        wkPostMessage: streamingPostMessageTarget([
+          ['first', null, 'progress'],
+          [null, { message: 'Lost signal', code: 'GPS_LOST' }],
+        ]),
+      });
+      const postMessenger = new WKPostMessenger();
+      const iterator = postMessenger.stream('testStreamError');
+      iterator.result.catch(() => {});
+      return iterator.next()
+        .then((step) => {
+          assert.deepEqual(step, { value: 'first', done: false });
+          return iterator.next();
+        })
+        .then(() => Promise.reject('Stream did not reject'), (e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.RemoteError);
+          assert.strictEqual(e.code, 'GPS_LOST');
+        });
+    });
+
+    it('cancels the message when the consumer stops early', () => {
+      prepareEnv({
+        wkPostMessage: streamingPostMessageTarget([
+          ['first', null, 'progress'],
+          ['second', null, 'progress'],
+        ]),
+      });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger();
+      const iterator = postMessenger.stream('testStreamCancel');
+      return iterator.next()
+        .then(() => iterator.return())
+        .then(() => iterator.result)
+        .then(() => Promise.reject('Message was not cancelled'), (e) => {
+          sandbox.restore();
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+          sinon.assert.calledWithMatch(wkPostMessage, { action: '__WK_CANCEL__' });
+        });
+    });
+  });
+
+  describe('#handleMessage', () => {
+    it('is invoked when receiving messages from the parent', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget() });
+      const handleMessage = sinon.spy(() => {});
+      new WKPostMessenger({ handleMessage });
+      const id = 'some-ios-uuid';
+      const action = 'testHandle';
+      const data = ['dogs', 'are', 'cool'];
+      window.wkPostMessengerHandleMessage(id, action, data);
+      sinon.assert.calledOnce(handleMessage);
+      sinon.assert.calledWithMatch(handleMessage, action, data);
+    });
+
+    it('invokes a callback on the parent with the ID and data', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      const handleMessage = (action, data) => ({
+        action,
+        data: data.reverse(),
+      });
+      new WKPostMessenger({ handleMessage });
+      const id = 'some-ios-uuid';
+      const action = 'testHandleCallback';
+      const data = ['cats', 'are', 'ok'];
+      window.wkPostMessengerHandleMessage(id, action, data);
+      sinon.assert.calledOnce(wkParentCallback);
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        type: 'application/x-wkpostmessenger-v1+json',
+        action: '__WK_CALLBACK__',
+        id,
+        data: {
+          action,
+          data: ['ok', 'are', 'cats'],
+        },
+      });
+    });
+
+    it('can return Promises', () => (
+     new Promise((resolve, reject) => {
+       const timeout = setTimeout(reject, 20);
+       const wkParentCallback = sinon.spy((payload) => {
+         if (payload.action === '__WK_CALLBACK__') {
+           clearTimeout(timeout);
+           resolve(wkParentCallback);
+         }
+       });
+       prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+       const handleMessage = (action, data) => new Promise((resolveMessage) => {
+         setTimeout(() => resolveMessage({ action, data }), 10);
+       });
+       new WKPostMessenger({ handleMessage });
+       const id = 'some-ios-uuid';
+       const action = 'testHandleCallbackPromise';
+       const data = ['wawa', 'hoagie', 'fest'];
+       window.wkPostMessengerHandleMessage(id, action, data);
+     })
+        .then((wkParentCallback) => {
+          sinon.assert.calledOnce(wkParentCallback);
+          sinon.assert.calledWithMatch(wkParentCallback, {
+            type: 'application/x-wkpostmessenger-v1+json',
+            action: '__WK_CALLBACK__',
+            id: 'some-ios-uuid',
+            data: {
+              action: 'testHandleCallbackPromise',
+              data: ['wawa', 'hoagie', 'fest'],
+            },
+          });
+        })
+    ));
+
+    it('invokes a callback with a serialized error when handleMessage throws', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      const handleMessage = () => {
+        const error = new Error('Nope');
+        error.code = 'NOPE';
+        error.details = { reason: 'testing' };
+        throw error;
+      };
+      new WKPostMessenger({ handleMessage });
+      const id = 'some-ios-uuid';
+      window.wkPostMessengerHandleMessage(id, 'testHandleThrow', {});
+      sinon.assert.calledOnce(wkParentCallback);
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        type: 'application/x-wkpostmessenger-v1+json',
+        action: '__WK_CALLBACK__',
+        id,
+        error: {
+          name: 'Error',
+          message: 'Nope',
+          code: 'NOPE',
+          details: { reason: 'testing' },
+        },
+      });
+      destroyEnv();
+    });
+
+    it('invokes a callback with a serialized error when a returned Promise rejects', () => (
+      new Promise((resolve, reject) => {
+        const timeout = setTimeout(reject, 20);
+        const wkParentCallback = sinon.spy(() => {
+          clearTimeout(timeout);
+          resolve(wkParentCallback);
+        });
+        prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+        const handleMessage = () => Promise.reject(new TypeError('Bad input'));
+        new WKPostMessenger({ handleMessage });
+        window.wkPostMessengerHandleMessage('some-ios-uuid', 'testHandleReject', {});
+      })
+        .then((wkParentCallback) => {
+          destroyEnv();
+          sinon.assert.calledWithMatch(wkParentCallback, {
+            action: '__WK_CALLBACK__',
+            id: 'some-ios-uuid',
+            error: {
+              name: 'TypeError',
+              message: 'Bad input',
+              code: 'HANDLER_ERROR',
+            },
+          });
+        })
+    ));
+
+    it('aborts the signal and responds with an error when the app cancels the message', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      const postMessenger = new WKPostMessenger();
+      let signal;
+      let resolveMessage;
+      postMessenger.handle('testCancel', (data, context) => {
+        signal = context.signal;
+        return new Promise((resolve) => {
+          resolveMessage = resolve;
+        });
+      });
+      const aborted = sinon.spy(() => {});
+      window.wkPostMessengerHandleMessage('some-ios-uuid', 'testCancel', {});
+      signal.addEventListener('abort', aborted);
+      assert.isFalse(signal.aborted);
+      window.wkPostMessengerHandleMessage('some-ios-uuid', '__WK_CANCEL__');
+      assert.isTrue(signal.aborted);
+      sinon.assert.calledOnce(aborted);
+      sinon.assert.calledOnce(wkParentCallback);
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        action: '__WK_CALLBACK__',
+        id: 'some-ios-uuid',
+        error: { code: 'ABORTED' },
+      });
+      resolveMessage('too late');
+      return Promise.resolve().then(() => {
+        destroyEnv();
+        sinon.assert.calledOnce(wkParentCallback);
+      });
+    });
+
+    it('sends a progress frame for each value of a returned async iterable', () => (
+      new Promise((resolve, reject) => {
+        const timeout = setTimeout(reject, 20);
+        const wkParentCallback = sinon.spy((payload) => {
+          if (!payload.frame) {
+            clearTimeout(timeout);
+            resolve(wkParentCallback);
+          }
+        });
+        prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+        const postMessenger = new WKPostMessenger();
+        postMessenger.handle('testIterable', (data) => {
+          const values = data.slice();
+          return {
+            [Symbol.asyncIterator]: () => ({
+              next: () => Promise.resolve(values.length
+                ? { value: values.shift(), done: false }
+                : { value: 'all done', done: true }),
+            }),
+          };
+        });
+        window.wkPostMessengerHandleMessage('some-ios-uuid', 'testIterable', ['a', 'b']);
+      })
+        .then((wkParentCallback) => {
+          destroyEnv();
+          sinon.assert.calledThrice(wkParentCallback);
+          sinon.assert.calledWithMatch(wkParentCallback.firstCall, {
+            action: '__WK_CALLBACK__',
+            id: 'some-ios-uuid',
+            data: 'a',
+            frame: 'progress',
+          });
+          sinon.assert.calledWithMatch(wkParentCallback.secondCall, {
+            data: 'b',
+            frame: 'progress',
+          });
+          sinon.assert.calledWithMatch(wkParentCallback.thirdCall, {
+            id: 'some-ios-uuid',
+            data: 'all done',
+          });
+        })
+    ));
+
+    it('acknowledges a batch of messages in a single callback', () => (
+      new Promise((resolve, reject) => {
+        const timeout = setTimeout(reject, 20);
+        const wkParentCallback = sinon.spy(() => {
+          clearTimeout(timeout);
+          resolve(wkParentCallback);
+        });
+        prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+        const postMessenger = new WKPostMessenger();
+        const eventListener = sinon.spy(() => {});
+        postMessenger
+          .handle('double', data => data * 2)
+          .handle('later', data => new Promise(resolveLater => setTimeout(() => {
+            resolveLater(data);
+          }, 5)))
+          .on('ping', eventListener);
+        window.wkPostMessengerHandleMessage('some-batch-uuid', '__WK_BATCH__', [
+          { id: 'one', action: 'double', data: 21 },
+          { id: 'two', action: 'later', data: 'eventually' },
+          { id: 'three', action: 'missing' },
+          { action: '__WK_EVENT__', data: { event: 'ping' } },
+        ]);
+        sinon.assert.calledOnce(eventListener);
+      })
+        .then((wkParentCallback) => {
+          destroyEnv();
+          sinon.assert.calledOnce(wkParentCallback);
+          const { action, id, data } = wkParentCallback.firstCall.args[0];
+          assert.strictEqual(action, '__WK_CALLBACK__');
+          assert.strictEqual(id, 'some-batch-uuid');
+          assert.lengthOf(data, 3);
+          assert.deepEqual(data[0], { id: 'one', data: 42 });
+          assert.deepEqual(data[1], { id: 'two', data: 'eventually' });
+          assert.strictEqual(data[2].id, 'three');
+          assert.strictEqual(data[2].error.code, 'UNKNOWN_ACTION');
+        })
+    ));
+
+    it('still invokes callback without handleMessage', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      new WKPostMessenger();
+      const id = 'some-ios-uuid';
+      const action = 'testNoHandlerCallback';
+      window.wkPostMessengerHandleMessage(id, action, {});
+      sinon.assert.calledOnce(wkParentCallback);
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        type: 'application/x-wkpostmessenger-v1+json',
+        action: '__WK_CALLBACK__',
+        id,
+        error: {
+          name: 'UnknownActionError',
+          code: 'UNKNOWN_ACTION',
+          details: { action },
+        },
+      });
+    });
+  });
+
+  describe('#handle', () => {
+    let wkParentCallback;
+    let postMessenger;
+    beforeEach(() => {
+      wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      postMessenger = new WKPostMessenger();
+    });
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('registers a handler for an action', () => {
+      const handler = sinon.spy(data => data.toUpperCase());
+      postMessenger.handle('shout', handler);
+      window.wkPostMessengerHandleMessage('some-ios-uuid', 'shout', 'hello');
+      sinon.assert.calledOnce(handler);
+      sinon.assert.calledWithMatch(handler, 'hello', { action: 'shout', id: 'some-ios-uuid' });
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        action: '__WK_CALLBACK__',
+        id: 'some-ios-uuid',
+        data: 'HELLO',
+      });
+    });
+
+    it('returns the instance for chaining', () => {
+      assert.strictEqual(postMessenger.handle('chain', () => {}), postMessenger);
+      assert.strictEqual(postMessenger.unhandle('chain'), postMessenger);
+    });
+
+    it('throws if the handler is not a function', () => {
+      assert.throws(() => {
+        postMessenger.handle('broken', 'not a function');
+      }, TypeError);
+    });
+
+    it('matches namespace patterns from most to least specific', () => {
+      const cartHandler = sinon.spy(() => 'cart');
+      const itemsHandler = sinon.spy(() => 'items');
+      const wildcardHandler = sinon.spy(() => 'wildcard');
+      postMessenger
+        .handle('cart.*', cartHandler)
+        .handle('cart.items.*', itemsHandler)
+        .handle('*', wildcardHandler);
+      window.wkPostMessengerHandleMessage('1', 'cart.checkout', {});
+      window.wkPostMessengerHandleMessage('2', 'cart.items.add', {});
+      window.wkPostMessengerHandleMessage('3', 'wishlist.add', {});
+      sinon.assert.calledWithMatch(cartHandler, {}, { action: 'cart.checkout' });
+      sinon.assert.calledWithMatch(itemsHandler, {}, { action: 'cart.items.add' });
+      sinon.assert.calledWithMatch(wildcardHandler, {}, { action: 'wishlist.add' });
+      sinon.assert.calledOnce(cartHandler);
+      sinon.assert.calledOnce(itemsHandler);
+      sinon.assert.calledOnce(wildcardHandler);
+    });
+
+    it('prefers an exact match over a pattern', () => {
+      const exactHandler = sinon.spy(() => {});
+      const patternHandler = sinon.spy(() => {});
+      postMessenger
+        .handle('cart.*', patternHandler)
+        .handle('cart.checkout', exactHandler);
+      window.wkPostMessengerHandleMessage('1', 'cart.checkout', {});
+      sinon.assert.calledOnce(exactHandler);
+      sinon.assert.notCalled(patternHandler);
+    });
+
+    it('uses handleMessage as the fallback', () => {
+      const handler = sinon.spy(() => {});
+      const handleMessage = sinon.spy(() => {});
+      postMessenger.handleMessage = handleMessage;
+      postMessenger.handle('handled', handler);
+      window.wkPostMessengerHandleMessage('1', 'handled', 'a');
+      window.wkPostMessengerHandleMessage('2', 'unhandled', 'b');
+      sinon.assert.calledOnce(handler);
+      sinon.assert.calledOnce(handleMessage);
+      sinon.assert.calledWithMatch(handleMessage, 'unhandled', 'b', { id: '2' });
+    });
+
+    it('removes handlers with unhandle', () => {
+      const handler = sinon.spy(() => {});
+      postMessenger.handle('temporary', handler);
+      postMessenger.unhandle('temporary');
+      window.wkPostMessengerHandleMessage('some-ios-uuid', 'temporary', {});
+      sinon.assert.notCalled(handler);
+      sinon.assert.calledWithMatch(wkParentCallback, {
+        id: 'some-ios-uuid',
+        error: { code: 'UNKNOWN_ACTION' },
+      });
+    });
+  });
+
+  describe('duplicate messages', () => {
+    let wkParentCallback;
+    let postMessenger;
+    const callbacksFor = id => wkParentCallback.args
+      .map(([payload]) => payload)
+      .filter(payload => payload.id === id);
+
+    beforeEach(() => {
+      wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+    });
+    afterEach(() => {
+      postMessenger.destroy();
+      destroyEnv();
+    });
+
+    it('handles a message again with the same id by default', () => {
+      postMessenger = new WKPostMessenger();
+      const handler = sinon.spy(() => 'paid');
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      sinon.assert.calledTwice(handler);
+    });
+
+    it('answers a message sent again with the reply to the first one', () => {
+      postMessenger = new WKPostMessenger({ dedupe: true });
+      let count = 0;
+      const handler = sinon.spy(() => {
+        count += 1;
+        return `receipt ${count}`;
+      });
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay', { amount: 5 });
+      window.wkPostMessengerHandleMessage('1', 'pay', { amount: 5 });
+      return waitFor(0).then(() => {
+        sinon.assert.calledOnce(handler);
+        assert.deepEqual(callbacksFor('1').map(({ data }) => data), ['receipt 1', 'receipt 1']);
+      });
+    });
+
+    it('waits for the first message to be answered', () => {
+      postMessenger = new WKPostMessenger({ dedupe: true });
+      let finish;
+      const handler = sinon.spy(() => new Promise((resolve) => {
+        finish = resolve;
+      }));
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      return waitFor(0)
+        .then(() => {
+          assert.lengthOf(callbacksFor('1'), 0);
+          finish('paid');
+          return waitFor(0);
+        })
+        .then(() => {
+          sinon.assert.calledOnce(handler);
+          assert.deepEqual(callbacksFor('1').map(({ data }) => data), ['paid', 'paid']);
+        });
+    });
+
+    it('sends errors again too', () => {
+      postMessenger = new WKPostMessenger({ dedupe: true });
+      const handler = sinon.spy(() => {
+        throw new Error('declined');
+      });
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      return waitFor(0).then(() => {
+        sinon.assert.calledOnce(handler);
+        const errors = callbacksFor('1').map(({ error }) => error.message);
+        assert.deepEqual(errors, ['declined', 'declined']);
+      });
+    });
+
+    it('keeps messages that are still being handled when more arrive', () => {
+      postMessenger = new WKPostMessenger({ dedupe: { maxSize: 1 } });
+      const handler = sinon.spy(() => new Promise(() => {}));
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      window.wkPostMessengerHandleMessage('2', 'pay');
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      sinon.assert.calledTwice(handler);
+    });
+
+    it('stops waiting for the first message when destroyed', () => {
+      const unhandled = trackUnhandledRejections();
+      postMessenger = new WKPostMessenger({ dedupe: true, inspect: true });
+      postMessenger.handle('pay', () => new Promise(() => {}));
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      // What the second message waits for
+      const reply = postMessenger._dedupe.get('1');
+      postMessenger.destroy();
+      return reply
+        .then(() => {
+          throw new Error('Expected the reply to be rejected');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+          return waitFor(10);
+        })
+        .then(() => {
+          unhandled.restore();
+          assert.deepEqual(unhandled.reasons, []);
+          assert.lengthOf(callbacksFor('1'), 0);
+          const duplicate = postMessenger.inspector.entries()
+            .filter(({ direction, action }) => direction === 'inbound' && action === 'pay')
+            .pop();
+          assert.strictEqual(duplicate.outcome, 'destroyed');
+        });
+    });
+
+    it('forgets messages after the ttl', () => {
+      postMessenger = new WKPostMessenger({ dedupe: { ttl: 5 } });
+      const handler = sinon.spy(() => 'paid');
+      postMessenger.handle('pay', handler);
+      window.wkPostMessengerHandleMessage('1', 'pay');
+      return waitFor(20).then(() => {
+        window.wkPostMessengerHandleMessage('1', 'pay');
+        sinon.assert.calledTwice(handler);
+      });
+    });
+  });
+
+  describe('#contract', () => {
+    const getUser = {
+      name: 'getUser',
+      request: {
+        type: 'object',
+        required: ['id'],
+        properties: { id: { type: 'integer' } },
+      },
+      response: {
+        type: 'object',
+        required: ['action'],
+        properties: { action: { type: 'string' } },
+      },
+    };
+
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('returns the instance for chaining', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.strictEqual(postMessenger.contract(getUser), postMessenger);
+    });
+
+    it('sends messages that match the contract', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ contracts: [getUser] });
+      return postMessenger.sendMessage('getUser', { id: 1 })
+        .then((result) => {
+          assert.deepEqual(result, { action: 'getUser', data: { id: 1 } });
+        });
+    });
+
+    it('rejects messages that break the contract without sending them', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.contract(getUser);
+      return postMessenger.sendMessage('getUser', { id: 'one' })
+        .then(() => {
+          throw new Error('Expected a ValidationError');
+        }, (e) => {
+          sandbox.restore();
+          assert.instanceOf(e, WKPostMessenger.ValidationError);
+          assert.strictEqual(e.code, 'VALIDATION_ERROR');
+          assert.deepEqual(e.details.violations, [
+            { path: 'data.id', message: 'must be integer, not string' },
+          ]);
+          sinon.assert.notCalled(wkPostMessage);
+        });
+    });
+
+    it('rejects results that break the contract', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({
+        contracts: [{ ...getUser, response: { type: 'string' } }],
+      });
+      return postMessenger.sendMessage('getUser', { id: 1 })
+        .then(() => {
+          throw new Error('Expected a ValidationError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.ValidationError);
+          assert.strictEqual(e.details.part, 'response');
+        });
+    });
+
+    it('uses the timeout from the contract', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 20) });
+      const postMessenger = new WKPostMessenger({
+        contracts: [{ ...getUser, timeout: 5 }],
+        reconnectAfterTimeouts: 0,
+      });
+      return postMessenger.sendMessage('getUser', { id: 1 })
+        .then(() => {
+          throw new Error('Expected a TimeoutError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.details.timeout, 5);
+        });
+    });
+
+    it('rejects messages sent in the wrong direction', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({
+        contracts: [{ name: 'refresh', direction: 'inbound' }],
+      });
+      return postMessenger.sendMessage('refresh')
+        .then(() => {
+          throw new Error('Expected a ValidationError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.ValidationError);
+          assert.include(e.message, 'can only be sent by the app');
+        });
+    });
+
+    it('answers messages from the app that break the contract without handling them', (done) => {
+      const handler = sinon.spy();
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ id, action, error }) {
+            if (action === '__WK_CALLBACK__') {
+              assert.strictEqual(id, '1');
+              assert.strictEqual(error.name, 'ValidationError');
+              assert.strictEqual(error.code, 'VALIDATION_ERROR');
+              assert.deepEqual(error.details.violations, [
+                { path: 'data.id', message: 'is required' },
+              ]);
+              sinon.assert.notCalled(handler);
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, contracts: [getUser] });
+      postMessenger.handle('getUser', handler);
+      window.wkPostMessengerHandleMessage('1', 'getUser', {});
+    });
+
+    it('answers with an error if the handler result breaks the contract', (done) => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage({ action, data, error }) {
+            if (action === '__WK_CALLBACK__') {
+              assert.isUndefined(data);
+              assert.strictEqual(error.code, 'VALIDATION_ERROR');
+              assert.strictEqual(error.details.part, 'response');
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, contracts: [getUser] });
+      postMessenger.handle('getUser', () => Promise.resolve({ action: 42 }));
+      window.wkPostMessengerHandleMessage('1', 'getUser', { id: 1 });
+    });
+
+    it('emits validationerror for every violation', () => {
+      prepareEnv();
+      const listener = sinon.spy();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, contracts: [getUser] });
+      postMessenger.on('validationerror', listener);
+      return postMessenger.sendMessage('getUser', {})
+        .catch(() => {
+          sinon.assert.calledOnce(listener);
+          assert.instanceOf(listener.firstCall.args[0], WKPostMessenger.ValidationError);
+        });
+    });
+
+    it('only warns about violations in warn mode', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const warn = sandbox.stub(console, 'warn');
+      const listener = sinon.spy();
+      const postMessenger = new WKPostMessenger({ contracts: [getUser], validation: 'warn' });
+      postMessenger.on('validationerror', listener);
+      return postMessenger.sendMessage('getUser', { id: 'one' })
+        .then((result) => {
+          sandbox.restore();
+          assert.deepEqual(result, { action: 'getUser', data: { id: 'one' } });
+          sinon.assert.calledOnce(warn);
+          sinon.assert.calledOnce(listener);
+        });
+    });
+
+    it('skips validation when turned off', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ contracts: [getUser], validation: false });
+      return postMessenger.sendMessage('getUser', { id: 'one' });
+    });
+
+    it('throws after the instance is destroyed', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.destroy();
+      assert.throws(() => postMessenger.contract(getUser), WKPostMessenger.DestroyedError);
+    });
+  });
+
+  describe('#use', () => {
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('returns the instance for chaining', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.strictEqual(postMessenger.use({ outbound: (context, next) => next() }), postMessenger);
+      assert.throws(() => postMessenger.use({}), TypeError);
+    });
+
+    it('lets outbound middleware change the data and envelope of messages', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({
+        middleware: [{
+          outbound(context, next) {
+            /* eslint-disable no-param-reassign */
+            context.envelope.auth = 'token';
+            context.data = { ...context.data, password: undefined };
+            /* eslint-enable no-param-reassign */
+            return next();
+          },
+        }],
+      });
+      return postMessenger.sendMessage('login', { user: 'me', password: 'secret' })
+        .then((result) => {
+          sandbox.restore();
+          assert.deepEqual(result, { action: 'login', data: { user: 'me', password: undefined } });
+          const payload = wkPostMessage.lastCall.args[0];
+          assert.strictEqual(payload.auth, 'token');
+          assert.strictEqual(payload.action, 'login');
+          // The handshake skips the middleware
+          assert.isUndefined(wkPostMessage.firstCall.args[0].auth);
+        });
+    });
+
+    it('runs middleware in order and lets it change the result', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      const tag = name => ({
+        outbound: (context, next) => next().then(result => ({
+          ...result,
+          tags: [...(result.tags || []), name],
+        })),
+      });
+      postMessenger.use(tag('first')).use(tag('second'));
+      return postMessenger.sendMessage('ping')
+        .then((result) => {
+          assert.deepEqual(result.tags, ['second', 'first']);
+        });
+    });
+
+    it('lets outbound middleware answer messages without sending them', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger();
+      postMessenger.use({
+        outbound: (context, next) => (context.action === 'getFlags' ? { beta: true } : next()),
+      });
+      return postMessenger.sendMessage('getFlags')
+        .then((result) => {
+          sandbox.restore();
+          assert.deepEqual(result, { beta: true });
+          sinon.assert.neverCalledWithMatch(wkPostMessage, { action: 'getFlags' });
+        });
+    });
+
+    it('lets outbound middleware reject messages', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      postMessenger.use({
+        outbound() {
+          throw new Error('Feature is turned off');
+        },
+      });
+      return postMessenger.sendMessage('beta.feature')
+        .then(() => {
+          throw new Error('Expected an error');
+        }, (e) => {
+          assert.strictEqual(e.message, 'Feature is turned off');
+        });
+    });
+
+    it('sees errors from the app', () => {
+      prepareEnv({
+        wkPostMessage: mockPostMessageTarget(0, 1),
+      });
+      const seen = sinon.spy();
+      const postMessenger = new WKPostMessenger({ messageTimeout: 1 });
+      postMessenger.use({
+        outbound: (context, next) => next().catch((e) => {
+          seen(e);
+          throw e;
+        }),
+      });
+      return postMessenger.sendMessage('slow', undefined, { timeout: 0.5 })
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          sinon.assert.calledWith(seen, e);
+        });
+    });
+
+    it('lets inbound middleware change messages from the app and their callbacks', (done) => {
+      prepareEnv({
+        wkPostMessage: {
+          postMessage(payload) {
+            if (payload.action === '__WK_CALLBACK__') {
+              assert.strictEqual(payload.id, '1');
+              assert.strictEqual(payload.data, 'HELLO!');
+              assert.strictEqual(payload.trace, 'abc');
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.handle('shout', data => `${data}!`);
+      postMessenger.use({
+        inbound(context, next) {
+          context.data = context.data.toUpperCase(); // eslint-disable-line no-param-reassign
+          context.envelope.trace = 'abc'; // eslint-disable-line no-param-reassign
+          return next();
+        },
+      });
+      window.wkPostMessengerHandleMessage('1', 'shout', 'hello');
+    });
+
+    it('lets inbound middleware answer or reject messages from the app', (done) => {
+      const handler = sinon.spy();
+      const callbacks = {};
+      prepareEnv({
+        wkPostMessage: {
+          postMessage(payload) {
+            if (payload.action === '__WK_CALLBACK__') {
+              callbacks[payload.id] = payload;
+            }
+            if (Object.keys(callbacks).length === 2) {
+              assert.strictEqual(callbacks['1'].data, 'cached');
+              assert.strictEqual(callbacks['2'].error.message, 'Not allowed');
+              sinon.assert.notCalled(handler);
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.handle('*', handler);
+      postMessenger.use({
+        inbound(context) {
+          if (context.action === 'cached') {
+            return 'cached';
+          }
+          throw new Error('Not allowed');
+        },
+      });
+      window.wkPostMessengerHandleMessage('1', 'cached');
+      window.wkPostMessengerHandleMessage('2', 'secret');
+    });
+
+    it('sends progress frames before inbound middleware sees the result', (done) => {
+      const frames = [];
+      prepareEnv({
+        wkPostMessage: {
+          postMessage(payload) {
+            if (payload.action !== '__WK_CALLBACK__') {
+              return;
+            }
+            frames.push(payload.frame ? payload.data : `final ${payload.data}`);
+            if (!payload.frame) {
+              assert.deepEqual(frames, [1, 2, 'final done (checked)']);
+              done();
+            }
+          },
+        },
+      });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.handle('count', () => {
+        let count = 0;
+        return {
+          [Symbol.asyncIterator]: () => ({
+            next: () => {
+              count += 1;
+              return Promise.resolve(count <= 2
+                ? { value: count, done: false }
+                : { value: 'done', done: true });
+            },
+          }),
+        };
+      });
+      postMessenger.use({
+        inbound: (context, next) => next().then(result => `${result} (checked)`),
+      });
+      window.wkPostMessengerHandleMessage('1', 'count');
+    });
+
+    it('throws after the instance is destroyed', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.destroy();
+      assert.throws(
+        () => postMessenger.use({ outbound: (context, next) => next() }),
+        WKPostMessenger.DestroyedError,
+      );
+    });
+  });
+
+  describe('#api', () => {
+    const itWithProxy = typeof Proxy === 'function' ? it : it.skip;
+
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    itWithProxy('sends a message for any method path', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      return postMessenger.api.camera.takePhoto({ quality: 0.8 })
+        .then((result) => {
+          assert.deepEqual(result, { action: 'camera.takePhoto', data: { quality: 0.8 } });
+        });
+    });
+
+    itWithProxy('uses apiActionName for paths without a contract', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({
+        apiActionName: path => path.join('_'),
+      });
+      return postMessenger.api.camera.takePhoto()
+        .then(({ action }) => {
+          assert.strictEqual(action, 'camera_takePhoto');
+        });
+    });
+
+    it('uses the action and timeout from a contract', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 20) });
+      const postMessenger = new WKPostMessenger({
+        contracts: [{ name: 'cameraTakePhoto', method: 'camera.takePhoto', timeout: 5 }],
+        reconnectAfterTimeouts: 0,
+      });
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      return postMessenger.api.camera.takePhoto({ quality: 0.8 })
+        .then(() => {
+          throw new Error('Expected a TimeoutError');
+        }, (e) => {
+          sandbox.restore();
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.details.timeout, 5);
+          sinon.assert.calledWithMatch(wkPostMessage, { action: 'cameraTakePhoto' });
+        });
+    });
+
+    it('passes options to sendMessage', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 20) });
+      const postMessenger = new WKPostMessenger({
+        contracts: [{ name: 'ping' }],
+        reconnectAfterTimeouts: 0,
+      });
+      return postMessenger.api.ping(null, { timeout: 5 })
+        .then(() => {
+          throw new Error('Expected a TimeoutError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+        });
+    });
+  });
+
+  describe('#expose', () => {
+    // Sends a message from the app and resolves with the callback
+    const receive = (postMessenger, action, data) => new Promise((resolve) => {
+      // eslint-disable-next-line no-param-reassign
+      postMessenger.parent = { postMessage: resolve };
+      window.wkPostMessengerHandleMessage('1', action, data);
+    });
+
+    beforeEach(() => {
+      prepareEnv();
+    });
+
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('handles actions with the methods of an object', () => {
+      const cart = {
+        items: [],
+        add(item) {
+          this.items.push(item);
+          return this.items.length;
+        },
+      };
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.strictEqual(postMessenger.expose('cart', cart), postMessenger);
+      return receive(postMessenger, 'cart.add', 'apple')
+        .then(({ data }) => {
+          assert.strictEqual(data, 1);
+          assert.deepEqual(cart.items, ['apple']);
+        });
+    });
+
+    it('exposes nested objects without a namespace', () => {
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.expose({ camera: { takePhoto: ({ quality }) => quality * 2 } });
+      return receive(postMessenger, 'camera.takePhoto', { quality: 0.5 })
+        .then(({ data }) => {
+          assert.strictEqual(data, 1);
+        });
+    });
+
+    it('uses the action from a contract', () => {
+      const postMessenger = new WKPostMessenger({
+        autoHandshake: false,
+        contracts: [{ name: 'refreshCart', method: 'cart.refresh' }],
+      });
+      postMessenger.expose('cart', { refresh: () => 'refreshed' });
+      return receive(postMessenger, 'refreshCart')
+        .then(({ data }) => {
+          assert.strictEqual(data, 'refreshed');
+        });
+    });
+
+    it('only exposes objects', () => {
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.throws(() => postMessenger.expose('cart', 'nope'), TypeError);
+    });
+  });
+
+  describe('#on', () => {
+    it('emits connection state events during the handshake', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      const stateChange = sinon.spy(() => {});
+      const connecting = sinon.spy(() => {});
+      const connected = sinon.spy(() => {});
+      postMessenger
+        .on('statechange', stateChange)
+        .on('connecting', connecting)
+        .on('connected', connected);
+      assert.strictEqual(postMessenger.state, 'disconnected');
+      return postMessenger.sendHandshake()
+        .then(() => {
+          destroyEnv();
+          assert.strictEqual(postMessenger.state, 'connected');
+          sinon.assert.calledWithExactly(stateChange, 'connecting', 'disconnected');
+          sinon.assert.calledWithExactly(stateChange, 'connected', 'connecting');
+          sinon.assert.calledWithExactly(connecting, 'disconnected');
+          sinon.assert.calledWithExactly(connected, 'connecting');
+          sinon.assert.callOrder(connecting, connected);
+        });
+    });
+
+    it('emits disconnected when the handshake fails', () => {
+      prepareEnv({ wkPostMessage: { postMessage() {} } });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, handshakeTimeout: 1 });
+      const disconnected = sinon.spy(() => {});
+      postMessenger.on('disconnected', disconnected);
+      return postMessenger.sendHandshake()
+        .then(() => Promise.reject('Handshake did not fail'))
+        .catch(() => {
+          destroyEnv();
+          assert.strictEqual(postMessenger.state, 'disconnected');
+          sinon.assert.calledOnce(disconnected);
+        });
+    });
+
+    it('emits closed when the instance is destroyed', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      const closed = sinon.spy(() => {});
+      postMessenger.on('closed', closed);
+      postMessenger.destroy();
+      destroyEnv();
+      assert.strictEqual(postMessenger.state, 'closed');
+      sinon.assert.calledOnce(closed);
+    });
+
+    it('removes listeners with off', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      const connecting = sinon.spy(() => {});
+      const otherListener = sinon.spy(() => {});
+      postMessenger.on('connecting', connecting);
+      postMessenger.on('connecting', otherListener);
+      postMessenger.off('connecting', connecting);
+      assert.doesNotThrow(() => {
+        postMessenger.off('connecting', () => {});
+        postMessenger.off('neverAdded', () => {});
+      });
+      postMessenger.sendHandshake();
+      destroyEnv();
+      sinon.assert.notCalled(connecting);
+      sinon.assert.calledOnce(otherListener);
+    });
+  });
+
+  describe('#emit', () => {
+    it('posts an event to the app after the handshake without waiting for acknowledgment', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      return postMessenger.emit('pageViewed', { path: '/cart' })
+        .then(() => {
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.calledTwice(wkPostMessage);
+          sinon.assert.calledWithMatch(wkPostMessage.firstCall, { action: '__WK_HANDSHAKE__' });
+          sinon.assert.calledWithMatch(wkPostMessage.secondCall, {
+            type: 'application/x-wkpostmessenger-v1+json',
+            action: '__WK_EVENT__',
+            data: { event: 'pageViewed', data: { path: '/cart' } },
+          });
+          assert.notProperty(wkPostMessage.secondCall.args[0], 'id');
+          assert.deepEqual(postMessenger._pending, {});
+        });
+    });
+
+    it('rejects after the instance is destroyed', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      postMessenger.destroy();
+      return postMessenger.emit('tooLate')
+        .then(() => Promise.reject('Event was not rejected'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+        });
+    });
+  });
+
+  describe('events from the app', () => {
+    it('are passed to listeners without sending a callback', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      const postMessenger = new WKPostMessenger();
+      const listener = sinon.spy(() => {});
+      postMessenger.on('cartUpdated', listener);
+      window.wkPostMessengerHandleMessage(null, '__WK_EVENT__', {
+        event: 'cartUpdated',
+        data: { items: 3 },
+      });
+      destroyEnv();
+      sinon.assert.calledOnce(listener);
+      sinon.assert.calledWithExactly(listener, { items: 3 });
+      sinon.assert.notCalled(wkParentCallback);
+    });
+
+    it('cannot emit the events reserved for connection states', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      const listener = sinon.spy(() => {});
+      postMessenger.on('connected', listener);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          window.wkPostMessengerHandleMessage(null, '__WK_EVENT__', { event: 'connected' });
+          destroyEnv();
+          sinon.assert.calledOnce(listener);
+        });
+    });
+
+    it('sends subscribe and unsubscribe messages if subscribeEvents is set', () => {
+      prepareEnv();
+      const sandbox = sinon.sandbox.create();
+      const wkPostMessage = sandbox.spy(window.webkit.messageHandlers.wkPostMessage, 'postMessage');
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, subscribeEvents: true });
+      const listener = () => {};
+      const otherListener = () => {};
+      postMessenger.on('priceChanged', listener);
+      sinon.assert.notCalled(wkPostMessage);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          sinon.assert.calledWithMatch(wkPostMessage, {
+            action: '__WK_SUBSCRIBE__',
+            data: 'priceChanged',
+          });
+          postMessenger.on('priceChanged', otherListener);
+          postMessenger.on('connected', () => {});
+          postMessenger.off('priceChanged', listener);
+          sinon.assert.calledTwice(wkPostMessage);
+          postMessenger.off('priceChanged', otherListener);
+          sinon.assert.calledThrice(wkPostMessage);
+          sinon.assert.calledWithMatch(wkPostMessage.thirdCall, {
+            action: '__WK_UNSUBSCRIBE__',
+            data: 'priceChanged',
+          });
+          sandbox.restore();
+          destroyEnv();
+        });
+    });
+
+    it('does not send subscribe messages by default', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger.on('priceChanged', () => {});
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const sandbox = sinon.sandbox.create();
+          const { wkPostMessage } = window.webkit.messageHandlers;
+          const postMessage = sandbox.spy(wkPostMessage, 'postMessage');
+          postMessenger.on('stockChanged', () => {});
+          postMessenger.off('priceChanged');
+          sandbox.restore();
+          destroyEnv();
+          sinon.assert.notCalled(postMessage);
+        });
+    });
+  });
+
+  describe('#reconnect', () => {
+    const unreliablePostMessageTarget = isReachable => ({
+      postMessage({ id, callback, action, data }) {
+        if (!isReachable(action)) {
+          return;
+        }
+        if (action === '__WK_HANDSHAKE__') {
+          setTimeout(() => { window[callback](id, data); }, 0);
+        } else {
+          setTimeout(() => { window[callback](id, { action, data }); }, 0);
+        }
+      },
+    });
+
+    it('sends the handshake again after consecutive message timeouts', () => {
+      let reachable = true;
+      prepareEnv({ wkPostMessage: unreliablePostMessageTarget(() => reachable) });
+      const postMessenger = new WKPostMessenger({
+        handshakeTimeout: 5,
+        messageTimeout: 5,
+        reconnectAfterTimeouts: 2,
+        reconnectDelay: 1,
+      });
+      const reconnecting = sinon.spy(() => {});
+      postMessenger.on('reconnecting', reconnecting);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          reachable = false;
+          return Promise.all([
+            postMessenger.sendMessage('testLost').catch(() => {}),
+            postMessenger.sendMessage('testLost').catch(() => {}),
+          ]);
+        })
+        .then(() => {
+          sinon.assert.calledOnce(reconnecting);
+          assert.strictEqual(postMessenger.state, 'reconnecting');
+          reachable = true;
+          return postMessenger.sendMessage('testQueued', { patient: true });
+        })
+        .then((result) => {
+          destroyEnv();
+          assert.strictEqual(postMessenger.state, 'connected');
+          assert.deepEqual(result, { action: 'testQueued', data: { patient: true } });
+        });
+    });
+
+    it('does not reconnect automatically if reconnectAfterTimeouts is 0', () => {
+      let reachable = true;
+      prepareEnv({ wkPostMessage: unreliablePostMessageTarget(() => reachable) });
+      const postMessenger = new WKPostMessenger({ messageTimeout: 1, reconnectAfterTimeouts: 0 });
+      const reconnecting = sinon.spy(() => {});
+      postMessenger.on('reconnecting', reconnecting);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          reachable = false;
+          return Promise.all([
+            postMessenger.sendMessage('testLost').catch(() => {}),
+            postMessenger.sendMessage('testLost').catch(() => {}),
+          ]);
+        })
+        .then(() => {
+          destroyEnv();
+          sinon.assert.notCalled(reconnecting);
+          assert.strictEqual(postMessenger.state, 'connected');
+        });
+    });
+
+    it('reconnects when the app sends a reset message', () => {
+      const wkParentCallback = sinon.spy(() => {});
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 0, wkParentCallback) });
+      const postMessenger = new WKPostMessenger();
+      const sendHandshake = sinon.spy(postMessenger, '_handshake');
+      return postMessenger.sendHandshake()
+        .then(() => {
+          window.wkPostMessengerHandleMessage('some-ios-uuid', '__WK_RESET__');
+          sinon.assert.calledWithMatch(wkParentCallback, {
+            action: '__WK_CALLBACK__',
+            id: 'some-ios-uuid',
+          });
+          sinon.assert.calledOnce(sendHandshake);
+          return postMessenger._whenReady;
+        })
+        .then(() => {
+          destroyEnv();
+          assert.strictEqual(postMessenger.state, 'connected');
+        });
+    });
+
+    it('retries the handshake with backoff', () => {
+      let handshakes = 0;
+      prepareEnv({
+        wkPostMessage: unreliablePostMessageTarget((action) => {
+          if (action === '__WK_HANDSHAKE__') {
+            handshakes += 1;
+            return handshakes === 1 || handshakes > 3;
+          }
+          return true;
+        }),
+      });
+      const postMessenger = new WKPostMessenger({
+        handshakeTimeout: 5,
+        reconnectDelay: 1,
+        reconnectMaxDelay: 2,
+      });
+      return postMessenger.sendHandshake()
+        .then(() => postMessenger.reconnect())
+        .then(() => {
+          destroyEnv();
+          assert.strictEqual(handshakes, 4);
+          assert.strictEqual(postMessenger.state, 'connected');
+        });
+    });
+
+    it('rejects queued messages if every attempt fails', () => {
+      let reachable = true;
+      prepareEnv({ wkPostMessage: unreliablePostMessageTarget(() => reachable) });
+      const postMessenger = new WKPostMessenger({
+        handshakeTimeout: 1,
+        reconnectAttempts: 2,
+        reconnectDelay: 1,
+      });
+      const disconnected = sinon.spy(() => {});
+      postMessenger.on('disconnected', disconnected);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          reachable = false;
+          postMessenger.reconnect().catch(() => {});
+          return postMessenger.sendMessage('testQueued');
+        })
+        .then(() => Promise.reject('Message was not rejected'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(postMessenger.state, 'disconnected');
+          sinon.assert.calledOnce(disconnected);
+        });
+    });
+
+    it('rejects queued messages when destroyed while reconnecting', () => {
+      const isReachable = action => action !== '__WK_HANDSHAKE__';
+      prepareEnv({ wkPostMessage: unreliablePostMessageTarget(isReachable) });
+      const postMessenger = new WKPostMessenger({ autoHandshake: false, handshakeTimeout: 50 });
+      postMessenger.reconnect().catch(() => {});
+      const promise = postMessenger.sendMessage('testQueued');
+      postMessenger.destroy();
+      return promise
+        .then(() => Promise.reject('Message was not rejected'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+        });
+    });
+  });
+
+  describe('inspector', () => {
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('is off by default', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.isNull(postMessenger.inspector);
+    });
+
+    it('records messages to the app and their callbacks', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ inspect: true });
+      return postMessenger.sendMessage('ping', 'hi')
+        .then(() => {
+          const entries = postMessenger.inspector.entries();
+          assert.deepEqual(entries.map(({ direction, action }) => `${direction} ${action}`), [
+            'outbound __WK_HANDSHAKE__',
+            'inbound __WK_CALLBACK__',
+            'outbound ping',
+            'inbound __WK_CALLBACK__',
+          ]);
+          assert.strictEqual(entries[0].outcome, 'resolved');
+          assert.strictEqual(entries[2].outcome, 'resolved');
+          assert.strictEqual(entries[2].id, entries[3].id);
+          assert.isAbove(entries[2].size, 0);
+          assert.isAtLeast(entries[2].latency, 0);
+          assert.isUndefined(entries[3].outcome);
+        });
+    });
+
+    it('records timeouts and callbacks that arrive after them', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 10) });
+      const postMessenger = new WKPostMessenger({ inspect: true });
+      return postMessenger.sendMessage('slow', undefined, { timeout: 1 })
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          const entry = postMessenger.inspector.entries()[2];
+          assert.strictEqual(entry.outcome, 'timeout');
+          assert.strictEqual(entry.error, 'TIMEOUT');
+          return new Promise(resolve => setTimeout(resolve, 20));
+        })
+        .then(() => {
+          const entries = postMessenger.inspector.entries();
+          assert.strictEqual(entries[2].outcome, 'late');
+          assert.strictEqual(entries[3].action, '__WK_CALLBACK__');
+          assert.strictEqual(entries[3].outcome, 'late');
+        });
+    });
+
+    it('records messages from the app and the callbacks sent back', (done) => {
+      let postMessenger;
+      prepareEnv({
+        wkPostMessage: {
+          postMessage(payload) {
+            if (payload.action !== '__WK_CALLBACK__') {
+              return;
+            }
+            const entries = postMessenger.inspector.entries();
+            assert.deepEqual(entries.map(({ direction, action }) => `${direction} ${action}`), [
+              'inbound broken',
+              'outbound __WK_CALLBACK__',
+            ]);
+            assert.strictEqual(entries[0].outcome, 'rejected');
+            assert.strictEqual(entries[0].error, 'HANDLER_ERROR');
+            assert.strictEqual(entries[1].error, 'HANDLER_ERROR');
+            done();
+          },
+        },
+      });
+      postMessenger = new WKPostMessenger({ autoHandshake: false, inspect: { size: 10 } });
+      postMessenger.handle('broken', () => {
+        throw new Error('Broken');
+      });
+      window.wkPostMessengerHandleMessage('1', 'broken');
+    });
+
+    it('exports the log with details about the connection', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ inspect: true });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const exported = JSON.parse(JSON.stringify(postMessenger.inspector));
+          assert.strictEqual(exported.library, WKPostMessenger.VERSION);
+          assert.strictEqual(exported.transport, 'webkit');
+          assert.strictEqual(exported.state, 'connected');
+          assert.strictEqual(exported.entries.length, 2);
+        });
+    });
+  });
+
+  describe('recorder', () => {
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('is off by default', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      assert.isNull(postMessenger.recorder);
+    });
+
+    it('records payloads to the app and the callbacks from it', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ record: true });
+      return postMessenger.sendMessage('ping', { text: 'hi' })
+        .then(() => {
+          const entries = postMessenger.recorder.entries();
+          assert.deepEqual(entries.map(({ direction, route }) => [direction, route]), [
+            ['outbound', undefined],
+            ['inbound', 'callback'],
+            ['outbound', undefined],
+            ['inbound', 'callback'],
+          ]);
+          assert.strictEqual(entries[0].payload.action, '__WK_HANDSHAKE__');
+          assert.deepEqual(entries[2].payload.data, { text: 'hi' });
+          assert.strictEqual(entries[3].payload.id, entries[2].payload.id);
+          assert.deepEqual(entries[3].payload.data, { action: 'ping', data: { text: 'hi' } });
+        });
+    });
+
+    it('records messages from the app with their arguments', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ record: true, autoHandshake: false });
+      postMessenger.handle('greet', () => {});
+      window.wkPostMessengerHandleMessage('app-1', 'greet', 'app', undefined, 'settings');
+      const { time, ...entry } = postMessenger.recorder.entries()[0];
+      assert.isAtLeast(time, 0);
+      assert.deepEqual(entry, {
+        seq: 1,
+        direction: 'inbound',
+        route: 'handler',
+        payload: {
+          id: 'app-1',
+          action: 'greet',
+          data: 'app',
+          channel: 'settings',
+        },
+      });
+    });
+
+    it('records payloads from transports that deliver them', () => {
+      let receive;
+      const postMessenger = new WKPostMessenger({
+        record: true,
+        autoHandshake: false,
+        transport: {
+          send() {},
+          listen(callback) {
+            receive = callback;
+          },
+        },
+      });
+      receive({ id: 'app-1', action: 'greet', data: 'app' });
+      const [entry] = postMessenger.recorder.entries();
+      assert.strictEqual(entry.route, 'transport');
+      assert.deepEqual(entry.payload, { id: 'app-1', action: 'greet', data: 'app' });
+    });
+
+    it('stops after the maximum number of entries', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ record: { maxEntries: 1 } });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          assert.lengthOf(postMessenger.recorder.entries(), 1);
+          assert.isTrue(postMessenger.recorder.toJSON().truncated);
+        });
+    });
+
+    it('exports a trace with the global functions', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger({ record: true });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const trace = JSON.parse(JSON.stringify(postMessenger.recorder));
+          assert.strictEqual(trace.library, WKPostMessenger.VERSION);
+          assert.strictEqual(trace.transport, 'webkit');
+          assert.strictEqual(trace.handlerGlobal, 'wkPostMessengerHandleMessage');
+          assert.strictEqual(trace.callbackGlobal, 'wkPostMessengerCallback');
+          assert.lengthOf(trace.entries, 2);
+        });
+    });
+  });
+
+  describe('hardened mode', () => {
+    let globalCount = 0;
+    // Locked globals can't be removed, so every test needs its own
+    const createGlobals = () => {
+      globalCount += 1;
+      return {
+        handlerGlobal: `hardenedHandleMessage${globalCount}`,
+        callbackGlobal: `hardenedCallback${globalCount}`,
+      };
+    };
+    const createHardenedTarget = (auth = ({ secret }) => secret) => ({
+      postMessage(payload) {
+        const { id, callback, action, data } = payload;
+        if (action === '__WK_HANDSHAKE__') {
+          this.secret = payload.secret;
+          window[callback](id, undefined, undefined, undefined, auth({
+            secret: payload.secret,
+            envelope: { id, action: '__WK_CALLBACK__' },
+          }));
+        } else if (callback) {
+          const result = { action, data };
+          setTimeout(() => {
+            window[callback](id, result, undefined, undefined, auth({
+              secret: this.secret,
+              envelope: { id, action: '__WK_CALLBACK__', data: result },
+            }));
+          }, 1);
+        }
+      },
+    });
+
+    afterEach(() => {
+      destroyEnv();
+    });
+
+    it('sends the secret with the handshake and accepts callbacks that carry it', () => {
+      const wkPostMessage = createHardenedTarget();
+      prepareEnv({ wkPostMessage });
+      const postMessenger = new WKPostMessenger({
+        ...createGlobals(),
+        hardened: { secret: 's3cret' },
+      });
+      return postMessenger.sendMessage('ping', 1)
+        .then((result) => {
+          assert.strictEqual(wkPostMessage.secret, 's3cret');
+          assert.deepEqual(result, { action: 'ping', data: 1 });
+        });
+    });
+
+    it('drops spoofed callbacks and reports them', () => {
+      prepareEnv({ wkPostMessage: createHardenedTarget() });
+      const globals = createGlobals();
+      const security = sinon.spy();
+      const postMessenger = new WKPostMessenger({
+        ...globals,
+        hardened: { secret: 's3cret' },
+      });
+      postMessenger.on('security', security);
+      const promise = postMessenger.sendMessage('ping', 1);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          // Another script tries to answer every message it can think of
+          window[globals.callbackGlobal]('anything', { forged: true });
+          window[globals.callbackGlobal]('anything', { forged: true }, null, null, 'guess');
+          return promise;
+        })
+        .then((result) => {
+          assert.deepEqual(result, { action: 'ping', data: 1 });
+          sinon.assert.calledTwice(security);
+          sinon.assert.calledWith(security.firstCall, {
+            reason: 'missing',
+            id: 'anything',
+            action: '__WK_CALLBACK__',
+          });
+          assert.strictEqual(security.secondCall.args[0].reason, 'invalid');
+        });
+    });
+
+    it('drops messages that other scripts send to handlers', () => {
+      prepareEnv({ wkPostMessage: createHardenedTarget() });
+      const globals = createGlobals();
+      const handler = sinon.spy();
+      const security = sinon.spy();
+      const postMessenger = new WKPostMessenger({
+        ...globals,
+        autoHandshake: false,
+        hardened: { secret: 's3cret' },
+      });
+      postMessenger.handle('pay', handler).on('security', security);
+      window[globals.handlerGlobal]('1', 'pay', { amount: 100 });
+      window[globals.handlerGlobal]('2', 'pay', { amount: 100 }, 'wrong');
+      sinon.assert.notCalled(handler);
+      sinon.assert.calledTwice(security);
+      window[globals.handlerGlobal]('3', 'pay', { amount: 100 }, 's3cret');
+      sinon.assert.calledOnce(handler);
+    });
+
+    it('only accepts signatures in hmac mode', () => {
+      prepareEnv({ wkPostMessage: createHardenedTarget() });
+      const globals = createGlobals();
+      const handler = sinon.spy();
+      const postMessenger = new WKPostMessenger({
+        ...globals,
+        autoHandshake: false,
+        hardened: { secret: 's3cret', auth: 'hmac' },
+      });
+      postMessenger.handle('pay', handler);
+      const data = { amount: 100 };
+      window[globals.handlerGlobal]('1', 'pay', data, 's3cret');
+      sinon.assert.notCalled(handler);
+      const signature = WKPostMessenger.signEnvelope('s3cret', { id: '2', action: 'pay', data });
+      window[globals.handlerGlobal]('2', 'pay', { amount: 1000 }, signature);
+      sinon.assert.notCalled(handler);
+      window[globals.handlerGlobal]('2', 'pay', data, signature);
+      sinon.assert.calledOnce(handler);
+    });
+
+    it('connects to apps that sign every call', () => {
+      prepareEnv({
+        wkPostMessage: createHardenedTarget(({ secret, envelope }) => (
+          WKPostMessenger.signEnvelope(secret, envelope)
+        )),
+      });
+      const postMessenger = new WKPostMessenger({
+        ...createGlobals(),
+        hardened: { secret: 's3cret', auth: 'hmac' },
+      });
+      return postMessenger.sendMessage('ping', { nested: { b: 2, a: 1 } })
+        .then((result) => {
+          assert.deepEqual(result, { action: 'ping', data: { nested: { b: 2, a: 1 } } });
+        });
+    });
+
+    it('leaves the secret and signatures out of recordings', () => {
+      const sign = ({ secret, envelope }) => WKPostMessenger.signEnvelope(secret, envelope);
+      prepareEnv({ wkPostMessage: createHardenedTarget(sign) });
+      const globals = createGlobals();
+      const postMessenger = new WKPostMessenger({
+        ...globals,
+        record: true,
+        hardened: { secret: 's3cret', auth: 'hmac' },
+      });
+      const data = { text: 's3cret' };
+      const signature = WKPostMessenger.signEnvelope('s3cret', { id: 'app-1', action: 'greet' });
+      postMessenger.handle('greet', () => {});
+      return postMessenger.sendMessage('ping', data)
+        .then(() => {
+          window[globals.handlerGlobal]('app-1', 'greet', undefined, signature);
+          const trace = JSON.stringify(postMessenger.recorder);
+          assert.notInclude(trace, 's3cret');
+          assert.notInclude(trace, signature);
+          const entries = postMessenger.recorder.entries();
+          assert.strictEqual(entries[0].payload.secret, '[redacted]');
+          assert.strictEqual(entries[0].payload.auth, 'hmac');
+          assert.deepEqual(entries[2].payload.data, { text: '[redacted]' });
+          entries.filter(({ direction }) => direction === 'inbound').forEach(({ payload }) => {
+            assert.strictEqual(payload.auth, '[redacted]');
+          });
+        });
+    });
+
+    it('locks the globals', () => {
+      prepareEnv({ wkPostMessage: createHardenedTarget() });
+      const globals = createGlobals();
+      const postMessenger = new WKPostMessenger({
+        ...globals,
+        autoHandshake: false,
+        hardened: { secret: 's3cret' },
+      });
+      const handler = window[globals.handlerGlobal];
+      assert.throws(() => {
+        window[globals.handlerGlobal] = () => {};
+      }, TypeError);
+      assert.throws(() => {
+        delete window[globals.callbackGlobal];
+      }, TypeError);
+      postMessenger.destroy();
+      assert.strictEqual(window[globals.handlerGlobal], handler);
+    });
+
+    it('throws if another script already locked a global', () => {
+      prepareEnv({ wkPostMessage: createHardenedTarget() });
+      const globals = createGlobals();
+      Object.defineProperty(window, globals.callbackGlobal, { value: () => {} });
+      assert.throws(() => new WKPostMessenger({
+        ...globals,
+        autoHandshake: false,
+        hardened: { secret: 's3cret' },
+      }), `can't lock the global ${globals.callbackGlobal}`);
+    });
+
+    it('checks payloads from transports too', () => {
+      let receive;
+      const handler = sinon.spy();
+      const security = sinon.spy();
+      const transport = {
+        name: 'custom',
+        send() {},
+        listen(callback) {
+          receive = callback;
+          return () => {};
+        },
+      };
+      const postMessenger = new WKPostMessenger({
+        ...createGlobals(),
+        transport,
+        autoHandshake: false,
+        hardened: { secret: 's3cret' },
+      });
+      postMessenger.handle('pay', handler).on('security', security);
+      const type = 'application/x-wkpostmessenger-v1+json';
+      receive({ type, id: '1', action: 'pay' });
+      sinon.assert.notCalled(handler);
+      sinon.assert.calledOnce(security);
+      receive({ type, id: '2', action: 'pay', auth: 's3cret' });
+      sinon.assert.calledOnce(handler);
+    });
+  });
+
+  describe('#destroy', () => {
+    it('removes the global functions', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      postMessenger.destroy();
+      assert.isUndefined(window.wkPostMessengerHandleMessage);
+      assert.isUndefined(window.wkPostMessengerCallback);
+      destroyEnv();
+    });
+
+    it('leaves no unhandled rejection when destroyed before the handshake is acknowledged', () => {
+      prepareEnv({ wkPostMessage: { postMessage() {} } });
+      const unhandled = trackUnhandledRejections();
+      new WKPostMessenger().destroy();
+      return waitFor(10)
+        .then(() => {
+          unhandled.restore();
+          assert.deepEqual(unhandled.reasons, []);
+          destroyEnv();
+        });
+    });
+
+    it('leaves global functions that belong to another instance', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      new WKPostMessenger();
+      const { wkPostMessengerHandleMessage, wkPostMessengerCallback } = window;
+      postMessenger.destroy();
+      assert.strictEqual(window.wkPostMessengerHandleMessage, wkPostMessengerHandleMessage);
+      assert.strictEqual(window.wkPostMessengerCallback, wkPostMessengerCallback);
+      destroyEnv();
+    });
+
+    it('rejects messages that are waiting for acknowledgment', () => {
+      prepareEnv({ wkPostMessage: mockPostMessageTarget(0, 100) });
+      const postMessenger = new WKPostMessenger({ messageTimeout: 200 });
+      const promise = postMessenger.sendMessage('testDestroyPending', {});
+      return postMessenger.sendHandshake()
+        .then(() => {
+          postMessenger.destroy();
+          return promise;
+        })
+        .then(() => Promise.reject('Message was not rejected'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+          assert.strictEqual(e.code, 'DESTROYED');
+          assert.deepEqual(postMessenger._pending, {});
+        });
+    });
+
+    it('clears acknowledgment timers', () => {
+      prepareEnv({ wkPostMessage: { postMessage() {} } });
+      const clock = sinon.useFakeTimers();
+      const postMessenger = new WKPostMessenger({ autoHandshake: false });
+      postMessenger._sendMessage('testDestroyTimers', {}, { timeout: 1000 }).catch(() => {});
+      assert.strictEqual(Object.keys(clock.timers).length, 1);
+      postMessenger.destroy();
+      assert.strictEqual(Object.keys(clock.timers).length, 0);
+      clock.restore();
+      destroyEnv();
+    });
+
+    it('makes later calls fail fast', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      postMessenger.destroy();
+      assert.throws(() => {
+        postMessenger.handle('tooLate', () => {});
+      }, WKPostMessenger.DestroyedError);
+      return postMessenger.sendMessage('tooLate')
+        .then(() => Promise.reject('Message was not rejected'))
+        .catch((e) => {
+          destroyEnv();
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+        });
+    });
+
+    it('resolves the closed Promise', () => {
+      prepareEnv();
+      const postMessenger = new WKPostMessenger();
+      const promise = postMessenger.destroy();
+      assert.strictEqual(promise, postMessenger.closed);
+      assert.strictEqual(postMessenger.destroy(), postMessenger.closed);
+      return postMessenger.closed.then(destroyEnv);
     });
   });
 });
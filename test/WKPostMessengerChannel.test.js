@@ -0,0 +1,339 @@
+import WKPostMessenger from '../src/WKPostMessenger';
+import WKPostMessengerChannel from '../src/WKPostMessengerChannel';
+import WKPostMessengerHost from '../src/WKPostMessengerHost';
+
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+describe('WKPostMessengerChannel', () => {
+  let host;
+  let postMessenger;
+
+  beforeEach(() => {
+    host = new WKPostMessengerHost();
+  });
+
+  afterEach(() => {
+    if (postMessenger) {
+      postMessenger.destroy();
+      postMessenger = null;
+    }
+    host.destroy();
+    delete window.webkit;
+  });
+
+  describe('WKPostMessenger#channel', () => {
+    it('creates each channel once', () => {
+      postMessenger = new WKPostMessenger();
+      const payments = postMessenger.channel('payments');
+      assert.isTrue(payments instanceof WKPostMessengerChannel);
+      assert.strictEqual(payments.name, 'payments');
+      assert.strictEqual(postMessenger.channel('payments'), payments);
+      assert.notStrictEqual(postMessenger.channel('profile'), payments);
+    });
+
+    it('only accepts non-empty strings as names', () => {
+      postMessenger = new WKPostMessenger();
+      assert.throws(() => postMessenger.channel(''), TypeError);
+      assert.throws(() => postMessenger.channel(), TypeError);
+    });
+
+    it('throws after the instance is destroyed', () => {
+      postMessenger = new WKPostMessenger();
+      postMessenger.destroy();
+      assert.throws(() => postMessenger.channel('payments'), WKPostMessenger.DestroyedError);
+    });
+
+    it('shares the handshake of the instance', () => {
+      postMessenger = new WKPostMessenger({ autoHandshake: false });
+      host.handle('charge', data => data);
+      return Promise.all([
+        postMessenger.channel('payments').sendMessage('charge', 1),
+        postMessenger.channel('profile').sendMessage('charge', 2),
+      ])
+        .then(() => {
+          const handshakes = host.messages.filter(({ action }) => action === '__WK_HANDSHAKE__');
+          assert.lengthOf(handshakes, 1);
+          assert.include(handshakes[0].features, 'channels');
+        });
+    });
+  });
+
+  describe('#sendMessage', () => {
+    it('carries the channel name in the envelope', () => {
+      postMessenger = new WKPostMessenger();
+      host.handle('charge', (data, { payload }) => ({
+        amount: data.amount,
+        channel: payload.channel,
+      }));
+      return postMessenger.channel('payments').sendMessage('charge', { amount: 5 })
+        .then((result) => {
+          assert.deepEqual(result, { amount: 5, channel: 'payments' });
+          return postMessenger.sendMessage('charge', { amount: 6 });
+        })
+        .then((result) => {
+          assert.deepEqual(result, { amount: 6 });
+        });
+    });
+
+    it('uses the timeout of the channel', () => {
+      postMessenger = new WKPostMessenger({ reconnectAfterTimeouts: 0 });
+      const payments = postMessenger.channel('payments', { messageTimeout: 10 });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          host.dropNext('charge');
+          return payments.sendMessage('charge');
+        })
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          assert.strictEqual(e.details.timeout, 10);
+        });
+    });
+
+    it('streams progress frames', () => {
+      postMessenger = new WKPostMessenger();
+      host.handle('download', (data, { payload }) => {
+        let count = 0;
+        return {
+          [Symbol.asyncIterator]() {
+            return {
+              next() {
+                count += 1;
+                return Promise.resolve(count < 3
+                  ? { value: count, done: false }
+                  : { value: payload.channel, done: true });
+              },
+            };
+          },
+        };
+      });
+      const iterator = postMessenger.channel('files').stream('download');
+      const values = [];
+      const read = () => iterator.next().then((step) => {
+        if (!step.done) {
+          values.push(step.value);
+          return read();
+        }
+        return values;
+      });
+      return Promise.all([read(), iterator.result])
+        .then(([streamed, result]) => {
+          assert.deepEqual(streamed, [1, 2]);
+          assert.strictEqual(result, 'files');
+        });
+    });
+  });
+
+  describe('#handle', () => {
+    it('handles messages from the app that were sent on the channel', () => {
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('ping', () => 'instance');
+      postMessenger.channel('payments').handle('ping', (data, { channel }) => `${channel} pong`);
+      postMessenger.channel('profile').handle('*', () => 'profile');
+      return postMessenger.sendHandshake()
+        .then(() => Promise.all([
+          host.sendMessage('ping'),
+          host.sendMessage('ping', null, { channel: 'payments' }),
+          host.sendMessage('ping', null, { channel: 'profile' }),
+        ]))
+        .then((results) => {
+          assert.deepEqual(results, ['instance', 'payments pong', 'profile']);
+          const callbacks = host.messages.filter(({ action }) => action === '__WK_CALLBACK__');
+          assert.deepEqual(callbacks.map(({ channel }) => channel), [
+            undefined,
+            'payments',
+            'profile',
+          ]);
+        });
+    });
+
+    it('never falls back to the handlers of the instance', () => {
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('ping', () => 'instance');
+      postMessenger.channel('payments');
+      return postMessenger.sendHandshake()
+        .then(() => host.sendMessage('ping', null, { channel: 'payments' }))
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.strictEqual(e.code, 'UNKNOWN_ACTION');
+        });
+    });
+
+    it('answers messages for channels that do not exist with an error', () => {
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('ping', () => 'instance');
+      return postMessenger.sendHandshake()
+        .then(() => host.sendMessage('ping', null, { channel: 'payments' }))
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.strictEqual(e.code, 'UNKNOWN_ACTION');
+        });
+    });
+
+    it('uses the handleMessage fallback of the channel', () => {
+      postMessenger = new WKPostMessenger();
+      postMessenger.channel('payments', {
+        handleMessage: (action, data, { channel }) => `${channel} ${action}`,
+      });
+      return postMessenger.sendHandshake()
+        .then(() => host.sendMessage('refund', null, { channel: 'payments' }))
+        .then((result) => {
+          assert.strictEqual(result, 'payments refund');
+        });
+    });
+  });
+
+  describe('events', () => {
+    it('emits events on the channel', () => {
+      postMessenger = new WKPostMessenger();
+      return postMessenger.channel('payments').emit('paid', 5)
+        .then(() => waitFor(0))
+        .then(() => {
+          const event = host.messages.filter(({ action }) => action === '__WK_EVENT__')[0];
+          assert.strictEqual(event.channel, 'payments');
+          assert.deepEqual(event.data, { event: 'paid', data: 5 });
+        });
+    });
+
+    it('passes along events from the app to the channel they were emitted on', () => {
+      postMessenger = new WKPostMessenger();
+      const instanceListener = sinon.spy();
+      const channelListener = sinon.spy();
+      postMessenger.on('refresh', instanceListener);
+      postMessenger.channel('payments').on('refresh', channelListener);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          host.emit('refresh', 1, { channel: 'payments' });
+          host.emit('refresh', 2);
+          host.emit('refresh', 3, { channel: 'profile' });
+          return waitFor(0);
+        })
+        .then(() => {
+          sinon.assert.calledOnce(channelListener);
+          sinon.assert.calledWith(channelListener, 1);
+          sinon.assert.calledOnce(instanceListener);
+          sinon.assert.calledWith(instanceListener, 2);
+        });
+    });
+
+    it('subscribes to events on the channel', () => {
+      postMessenger = new WKPostMessenger({ subscribeEvents: true });
+      postMessenger.channel('payments').on('paid', () => {});
+      return postMessenger.sendHandshake()
+        .then(() => {
+          postMessenger.channel('payments').off('paid');
+          return waitFor(0);
+        })
+        .then(() => {
+          const subscriptions = host.messages
+            .filter(({ action }) => /SUBSCRIBE/.test(action))
+            .map(({ action, data, channel }) => [action, data, channel]);
+          assert.deepEqual(subscriptions, [
+            ['__WK_SUBSCRIBE__', 'paid', 'payments'],
+            ['__WK_UNSUBSCRIBE__', 'paid', 'payments'],
+          ]);
+        });
+    });
+  });
+
+  describe('#destroy', () => {
+    it('cancels the messages still waiting on the channel', () => {
+      postMessenger = new WKPostMessenger();
+      host.handle('charge', () => new Promise(() => {}));
+      host.handle('load', () => 'loaded');
+      const payments = postMessenger.channel('payments');
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const charge = payments.sendMessage('charge');
+          return waitFor(0).then(() => {
+            payments.destroy();
+            return charge;
+          });
+        })
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+          return waitFor(0);
+        })
+        .then(() => {
+          const cancel = host.messages.filter(({ action }) => action === '__WK_CANCEL__');
+          assert.lengthOf(cancel, 1);
+          assert.strictEqual(payments.state, 'closed');
+          return postMessenger.channel('profile').sendMessage('load');
+        })
+        .then((result) => {
+          assert.strictEqual(result, 'loaded');
+        });
+    });
+
+    it('answers the messages from the app that the channel is still handling', () => {
+      postMessenger = new WKPostMessenger();
+      const payments = postMessenger.channel('payments');
+      payments.handle('confirm', () => new Promise(() => {}));
+      return postMessenger.sendHandshake()
+        .then(() => {
+          const confirm = host.sendMessage('confirm', null, { channel: 'payments' });
+          return waitFor(0).then(() => {
+            payments.destroy();
+            return confirm;
+          });
+        })
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.strictEqual(e.code, 'DESTROYED');
+        });
+    });
+
+    it('fails anything attempted afterwards', () => {
+      postMessenger = new WKPostMessenger();
+      const payments = postMessenger.channel('payments');
+      return payments.destroy()
+        .then(() => {
+          assert.throws(() => payments.handle('ping', () => {}), WKPostMessenger.DestroyedError);
+          assert.notStrictEqual(postMessenger.channel('payments'), payments);
+          return payments.sendMessage('ping');
+        })
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+        });
+    });
+
+    it('is destroyed along with the instance', () => {
+      postMessenger = new WKPostMessenger();
+      const payments = postMessenger.channel('payments');
+      postMessenger.destroy();
+      return payments.closed
+        .then(() => {
+          assert.strictEqual(payments.state, 'closed');
+        });
+    });
+  });
+
+  describe('hardened mode', () => {
+    it('signs the channel name along with the message', () => {
+      host.destroy();
+      host = new WKPostMessengerHost({ auth: 'hmac' });
+      postMessenger = new WKPostMessenger({
+        handlerGlobal: 'channelHardenedHandleMessage',
+        callbackGlobal: 'channelHardenedCallback',
+        hardened: { auth: 'hmac', secret: 's3cret' },
+      });
+      const security = sinon.spy();
+      postMessenger.on('security', security);
+      postMessenger.channel('payments').handle('ping', () => 'pong');
+      return postMessenger.sendHandshake()
+        .then(() => host.sendMessage('ping', null, { channel: 'payments' }))
+        .then((result) => {
+          assert.strictEqual(result, 'pong');
+          sinon.assert.notCalled(security);
+        });
+    });
+  });
+});
@@ -0,0 +1,525 @@
+import WKPostMessenger from '../src/WKPostMessenger';
+import WKPostMessengerHost from '../src/WKPostMessengerHost';
+import { createAbortController } from '../src/abort';
+
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+describe('WKPostMessengerHost', () => {
+  let host;
+  let postMessenger;
+
+  afterEach(() => {
+    if (postMessenger) {
+      postMessenger.destroy();
+      postMessenger = null;
+    }
+    host.destroy();
+    delete window.webkit;
+  });
+
+  describe('#constructor', () => {
+    it('installs itself as the script message handler', () => {
+      host = new WKPostMessengerHost();
+      assert.strictEqual(window.webkit.messageHandlers.wkPostMessage, host.target);
+    });
+
+    it('can be installed later', () => {
+      host = new WKPostMessengerHost({ install: false, scriptMessageHandler: 'bridge' });
+      assert.isUndefined(window.webkit);
+      host.install();
+      assert.strictEqual(window.webkit.messageHandlers.bridge, host.target);
+      host.uninstall();
+      assert.isUndefined(window.webkit.messageHandlers.bridge);
+    });
+  });
+
+  describe('handshake', () => {
+    it('acknowledges the handshake with its protocol, features and app metadata', () => {
+      host = new WKPostMessengerHost({ features: ['errors'], app: { version: '1.0.0' } });
+      postMessenger = new WKPostMessenger({ clientInfo: { build: 7 } });
+      return postMessenger.sendHandshake()
+        .then(() => {
+          assert.deepEqual(postMessenger.remote, {
+            protocol: WKPostMessenger.PROTOCOL_VERSION,
+            features: ['errors'],
+            app: { version: '1.0.0' },
+          });
+          assert.strictEqual(host.handlerGlobal, 'wkPostMessengerHandleMessage');
+          assert.strictEqual(host.client.build, 7);
+        });
+    });
+
+    it('can act like a version 1 app', () => {
+      host = new WKPostMessengerHost({ protocol: 1 });
+      postMessenger = new WKPostMessenger();
+      return postMessenger.sendHandshake()
+        .then(() => {
+          assert.strictEqual(postMessenger.remote.protocol, 1);
+        });
+    });
+
+    it('waits for the handshake', () => {
+      host = new WKPostMessengerHost();
+      const handshake = host.waitForHandshake();
+      postMessenger = new WKPostMessenger();
+      return handshake.then((handlerGlobal) => {
+        assert.strictEqual(handlerGlobal, 'wkPostMessengerHandleMessage');
+      });
+    });
+  });
+
+  describe('#handle', () => {
+    it('answers messages from the webview', () => {
+      host = new WKPostMessengerHost();
+      host.handle('add', ({ a, b }) => a + b);
+      postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('add', { a: 1, b: 2 })
+        .then((result) => {
+          assert.strictEqual(result, 3);
+          assert.deepEqual(host.messages.map(({ action }) => action), ['__WK_HANDSHAKE__', 'add']);
+        });
+    });
+
+    it('answers with handler errors', () => {
+      host = new WKPostMessengerHost();
+      host.handle('fail', () => Promise.reject(new Error('nope')));
+      postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('fail')
+        .then(() => {
+          throw new Error('Expected a RemoteError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.RemoteError);
+          assert.strictEqual(e.message, 'nope');
+        });
+    });
+
+    it('answers actions without a handler with an UNKNOWN_ACTION error', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      return postMessenger.sendMessage('missing')
+        .catch((e) => {
+          assert.strictEqual(e.code, 'UNKNOWN_ACTION');
+        });
+    });
+
+    it('sends progress frames for async iterables', () => {
+      host = new WKPostMessengerHost();
+      host.handle('download', () => {
+        let count = 0;
+        return {
+          [Symbol.asyncIterator]() {
+            return {
+              next() {
+                count += 1;
+                return Promise.resolve(count < 3
+                  ? { value: count, done: false }
+                  : { value: 'done', done: true });
+              },
+            };
+          },
+        };
+      });
+      postMessenger = new WKPostMessenger();
+      const onProgress = sinon.spy();
+      return postMessenger.sendMessage('download', null, { onProgress })
+        .then((result) => {
+          assert.strictEqual(result, 'done');
+          assert.deepEqual(onProgress.args, [[1], [2]]);
+        });
+    });
+
+    it('aborts the handler signal when the webview cancels the message', (done) => {
+      host = new WKPostMessengerHost();
+      const controller = createAbortController();
+      host.handle('slow', (data, { signal }) => {
+        signal.addEventListener('abort', () => done());
+        controller.abort();
+        return new Promise(() => {});
+      });
+      postMessenger = new WKPostMessenger();
+      postMessenger.sendMessage('slow', null, { signal: controller.signal }).catch(() => {});
+    });
+
+    it('handles batches and chunks', () => {
+      host = new WKPostMessengerHost();
+      host.handle('echo', data => data);
+      postMessenger = new WKPostMessenger({ batch: true, chunkSize: 10 });
+      const big = { text: 'a long piece of text' };
+      return postMessenger.sendHandshake()
+        .then(() => Promise.all([
+          postMessenger.sendMessage('echo', 1),
+          postMessenger.sendMessage('echo', 2),
+          postMessenger.sendMessage('echo', big),
+        ]))
+        .then((results) => {
+          assert.deepEqual(results, [1, 2, big]);
+          const actions = host.messages.map(({ action }) => action);
+          assert.include(actions, '__WK_BATCH__');
+          assert.include(actions, '__WK_CHUNK__');
+        });
+    });
+  });
+
+  describe('simulated failures', () => {
+    it('delays delivery by the latency', () => {
+      host = new WKPostMessengerHost({ latency: 20 });
+      host.handle('ping', () => 'pong');
+      postMessenger = new WKPostMessenger();
+      const start = Date.now();
+      return postMessenger.sendMessage('ping')
+        .then(() => {
+          // Handshake and message, there and back
+          assert.isAtLeast(Date.now() - start, 70);
+        });
+    });
+
+    it('drops the next acknowledgments', () => {
+      host = new WKPostMessengerHost();
+      host.handle('ping', () => 'pong');
+      host.dropNext('ping');
+      postMessenger = new WKPostMessenger({ reconnectAfterTimeouts: 0 });
+      return postMessenger.sendMessage('ping', null, { timeout: 20 })
+        .then(() => {
+          throw new Error('Expected a TimeoutError');
+        }, (e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+          return postMessenger.sendMessage('ping');
+        })
+        .then((result) => {
+          assert.strictEqual(result, 'pong');
+        });
+    });
+
+    it('drops acknowledgments at the drop rate', () => {
+      host = new WKPostMessengerHost({ dropRate: 0.5, random: () => 0.2 });
+      host.handle('ping', () => 'pong');
+      postMessenger = new WKPostMessenger({ reconnectAfterTimeouts: 0 });
+      return postMessenger.sendMessage('ping', null, { timeout: 20 })
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+        });
+    });
+
+    it('fails the next messages with an error', () => {
+      host = new WKPostMessengerHost();
+      host.handle('ping', () => 'pong');
+      host.failNext('ping', { name: 'PermissionError', message: 'denied', code: 'DENIED' }, 2);
+      postMessenger = new WKPostMessenger();
+      const settle = promise => promise.then(result => result, e => e.code);
+      return Promise.all([
+        settle(postMessenger.sendMessage('ping')),
+        settle(postMessenger.sendMessage('ping')),
+      ])
+        .then((results) => {
+          assert.deepEqual(results, ['DENIED', 'DENIED']);
+          return postMessenger.sendMessage('ping');
+        })
+        .then((result) => {
+          assert.strictEqual(result, 'pong');
+        });
+    });
+  });
+
+  describe('#sendMessage', () => {
+    it('sends messages to the webview', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('greet', name => `hello ${name}`);
+      return host.waitForHandshake()
+        .then(() => host.sendMessage('greet', 'app'))
+        .then((result) => {
+          assert.strictEqual(result, 'hello app');
+        });
+    });
+
+    it('rejects with the error from the webview', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      return host.waitForHandshake()
+        .then(() => host.sendMessage('missing'))
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.RemoteError);
+          assert.strictEqual(e.code, 'UNKNOWN_ACTION');
+        });
+    });
+
+    it('sends large messages in chunks', () => {
+      host = new WKPostMessengerHost({ chunkSize: 8 });
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('measure', ({ text }) => text.length);
+      return host.waitForHandshake()
+        .then(() => host.sendMessage('measure', { text: 'a long piece of text' }))
+        .then((result) => {
+          assert.strictEqual(result, 20);
+        });
+    });
+
+    it('cancels messages with an AbortSignal', (done) => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      const controller = createAbortController();
+      postMessenger.handle('slow', (data, { signal }) => {
+        signal.addEventListener('abort', () => done());
+        return new Promise(() => {});
+      });
+      host.waitForHandshake()
+        .then(() => {
+          const promise = host.sendMessage('slow', null, { signal: controller.signal });
+          setTimeout(() => controller.abort(), 5);
+          return promise;
+        })
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.AbortError);
+        });
+    });
+
+    it('rejects before the handshake', () => {
+      host = new WKPostMessengerHost();
+      return host.sendMessage('greet')
+        .catch((e) => {
+          assert.include(e.message, 'handshake');
+        });
+    });
+
+    it('times out', () => {
+      host = new WKPostMessengerHost({ messageTimeout: 5 });
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('slow', () => new Promise(() => {}));
+      return host.waitForHandshake()
+        .then(() => host.sendMessage('slow'))
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.TimeoutError);
+        });
+    });
+  });
+
+  describe('events', () => {
+    it('emits events in the webview', (done) => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      postMessenger.on('cartUpdated', (data) => {
+        assert.deepEqual(data, { items: 2 });
+        done();
+      });
+      host.waitForHandshake().then(() => host.emit('cartUpdated', { items: 2 }));
+    });
+
+    it('receives events from the webview', (done) => {
+      host = new WKPostMessengerHost();
+      host.on('pageViewed', (data) => {
+        assert.deepEqual(data, { path: '/cart' });
+        done();
+      });
+      postMessenger = new WKPostMessenger();
+      postMessenger.emit('pageViewed', { path: '/cart' });
+    });
+
+    it('keeps track of subscriptions', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger({ subscribeEvents: true });
+      const listener = () => {};
+      postMessenger.on('cartUpdated', listener);
+      return postMessenger.sendHandshake()
+        .then(() => waitFor(5))
+        .then(() => {
+          assert.deepEqual(host.subscriptions, ['cartUpdated']);
+          postMessenger.off('cartUpdated', listener);
+          return waitFor(5);
+        })
+        .then(() => {
+          assert.deepEqual(host.subscriptions, []);
+        });
+    });
+  });
+
+  describe('#reset', () => {
+    it('makes the webview send the handshake again', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      const reconnecting = sinon.spy();
+      postMessenger.on('reconnecting', reconnecting);
+      return postMessenger.sendHandshake()
+        .then(() => host.reset())
+        .then(() => {
+          sinon.assert.calledOnce(reconnecting);
+          assert.lengthOf(host.messages.filter(({ action }) => action === '__WK_HANDSHAKE__'), 2);
+        });
+    });
+  });
+
+  describe('hardened webviews', () => {
+    let globalCount = 0;
+    // Locked globals can't be removed, so every test needs its own
+    const createHardened = (hardened, options) => {
+      globalCount += 1;
+      return new WKPostMessenger({
+        handlerGlobal: `hostHardenedHandleMessage${globalCount}`,
+        callbackGlobal: `hostHardenedCallback${globalCount}`,
+        hardened,
+        ...options,
+      });
+    };
+
+    it('passes along the secret from the handshake', () => {
+      host = new WKPostMessengerHost({ chunkSize: 10 });
+      host.handle('echo', data => data);
+      postMessenger = createHardened({ secret: 's3cret' });
+      postMessenger.handle('double', data => data * 2);
+      return postMessenger.sendMessage('echo', { text: 'long enough to be chunked' })
+        .then((result) => {
+          assert.deepEqual(result, { text: 'long enough to be chunked' });
+          return host.sendMessage('double', 21);
+        })
+        .then((result) => {
+          assert.strictEqual(result, 42);
+        });
+    });
+
+    it('signs every call', () => {
+      host = new WKPostMessengerHost({ auth: 'hmac' });
+      host.handle('echo', data => data);
+      postMessenger = createHardened({ secret: 's3cret', auth: 'hmac' });
+      postMessenger.handle('double', data => data * 2);
+      return postMessenger.sendMessage('echo', { b: 2, a: 1 })
+        .then((result) => {
+          assert.deepEqual(result, { b: 2, a: 1 });
+          return host.sendMessage('double', 21);
+        })
+        .then((result) => {
+          assert.strictEqual(result, 42);
+        });
+    });
+
+    it('can act like a script that does not know the secret', () => {
+      host = new WKPostMessengerHost({ auth: false });
+      const security = sinon.spy();
+      postMessenger = createHardened({ secret: 's3cret' }, { handshakeTimeout: 10 });
+      postMessenger.on('security', security);
+      return postMessenger.sendHandshake()
+        .then(() => {
+          throw new Error('Expected the handshake to time out');
+        }, () => {
+          sinon.assert.calledWithMatch(security, {
+            reason: 'missing',
+            action: '__WK_CALLBACK__',
+          });
+        });
+    });
+  });
+
+  describe('codec', () => {
+    it('keeps rich values intact in both directions', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger({ codec: true });
+      host.handle('save', data => new Map([['saved', data.at], ['size', data.bytes.length]]));
+      postMessenger.handle('tags', tags => new Date(tags.size));
+      return postMessenger.sendMessage('save', {
+        at: new Date(0),
+        bytes: new Uint8Array([1, 2, 3]),
+      })
+        .then((result) => {
+          assert.instanceOf(result, Map);
+          assert.instanceOf(result.get('saved'), Date);
+          assert.strictEqual(result.get('size'), 3);
+          const save = host.messages.filter(({ action }) => action === 'save')[0];
+          assert.deepEqual(save.data.bytes, { $type: 'Uint8Array', value: 'AQID' });
+          return host.sendMessage('tags', new Set(['a', 'b']));
+        })
+        .then((result) => {
+          assert.instanceOf(result, Date);
+          assert.strictEqual(result.getTime(), 2);
+        });
+    });
+
+    it('decodes chunked data once it is reassembled', () => {
+      host = new WKPostMessengerHost({ chunkSize: 16 });
+      postMessenger = new WKPostMessenger({ codec: true, chunkSize: 16 });
+      host.handle('echo', data => data);
+      const bytes = new Uint8Array(64);
+      bytes[63] = 255;
+      return postMessenger.sendMessage('echo', bytes)
+        .then((result) => {
+          assert.instanceOf(result, Uint8Array);
+          assert.strictEqual(result.length, 64);
+          assert.strictEqual(result[63], 255);
+        });
+    });
+
+    it('falls back to plain JSON unless both sides support it', () => {
+      host = new WKPostMessengerHost({ codec: false });
+      postMessenger = new WKPostMessenger({ codec: true });
+      host.handle('save', data => data);
+      return postMessenger.sendMessage('save', { at: new Date(0) })
+        .then((result) => {
+          assert.deepEqual(result, { at: '1970-01-01T00:00:00.000Z' });
+          assert.notInclude(postMessenger.remote.features, 'codec');
+        });
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('pings the app while connected', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger({ heartbeat: { interval: 5 } });
+      return host.waitForHandshake()
+        .then(() => waitFor(30))
+        .then(() => {
+          const pings = host.messages.filter(({ action }) => action === '__WK_PING__');
+          assert.isAbove(pings.length, 1);
+          assert.isTrue(postMessenger.healthy);
+        });
+    });
+
+    it('emits unhealthy when the app stops answering, and healthy once it answers again', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger({
+        heartbeat: { interval: 5, timeout: 10, maxMissed: 2 },
+      });
+      const healthy = sinon.spy();
+      const unhealthy = sinon.spy();
+      postMessenger.on('healthy', healthy).on('unhealthy', unhealthy);
+      return host.waitForHandshake()
+        .then(() => {
+          host.dropNext('__WK_PING__', 2);
+          return waitFor(60);
+        })
+        .then(() => {
+          sinon.assert.calledOnce(unhealthy);
+          sinon.assert.calledWith(unhealthy, { missed: 2 });
+          sinon.assert.calledOnce(healthy);
+          assert.isTrue(postMessenger.healthy);
+          // Missed pings don't count toward reconnecting
+          assert.strictEqual(postMessenger.state, 'connected');
+        });
+    });
+
+    it('answers pings from the app', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      return host.waitForHandshake()
+        .then(() => host.sendMessage('__WK_PING__'))
+        .then((result) => {
+          assert.isNull(result);
+          assert.isTrue(postMessenger.healthy);
+        });
+    });
+  });
+
+  describe('#destroy', () => {
+    it('uninstalls the host and rejects pending messages', () => {
+      host = new WKPostMessengerHost();
+      postMessenger = new WKPostMessenger();
+      postMessenger.handle('slow', () => new Promise(() => {}));
+      return host.waitForHandshake()
+        .then(() => {
+          const promise = host.sendMessage('slow');
+          host.destroy();
+          assert.isUndefined(window.webkit.messageHandlers.wkPostMessage);
+          return promise;
+        })
+        .catch((e) => {
+          assert.instanceOf(e, WKPostMessenger.DestroyedError);
+        });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+import { createAbortController, onAbort, followSignal } from '../src/abort';
+
+describe('abort', () => {
+  describe('createAbortController', () => {
+    it('creates a controller with a signal that can be aborted', () => {
+      const controller = createAbortController();
+      const listener = sinon.spy(() => {});
+      controller.signal.addEventListener('abort', listener);
+      assert.isFalse(controller.signal.aborted);
+      controller.abort();
+      assert.isTrue(controller.signal.aborted);
+      sinon.assert.calledOnce(listener);
+    });
+
+    it('works without a native AbortController', () => {
+      const NativeAbortController = window.AbortController;
+      window.AbortController = undefined;
+      const controller = createAbortController();
+      window.AbortController = NativeAbortController;
+      const listener = sinon.spy(() => {});
+      const removedListener = sinon.spy(() => {});
+      controller.signal.onabort = sinon.spy(() => {});
+      controller.signal.addEventListener('abort', listener);
+      controller.signal.addEventListener('abort', removedListener);
+      controller.signal.removeEventListener('abort', removedListener);
+      controller.abort();
+      controller.abort();
+      assert.isTrue(controller.signal.aborted);
+      sinon.assert.calledOnce(listener);
+      sinon.assert.calledOnce(controller.signal.onabort);
+      sinon.assert.notCalled(removedListener);
+    });
+  });
+
+  describe('onAbort', () => {
+    it('calls the function when the signal is aborted', () => {
+      const controller = createAbortController();
+      const callback = sinon.spy(() => {});
+      onAbort(controller.signal, callback);
+      controller.abort();
+      sinon.assert.calledOnce(callback);
+    });
+
+    it('returns a function that removes the listener', () => {
+      const controller = createAbortController();
+      const callback = sinon.spy(() => {});
+      const remove = onAbort(controller.signal, callback);
+      remove();
+      controller.abort();
+      sinon.assert.notCalled(callback);
+    });
+
+    it('ignores a missing signal', () => {
+      assert.isFunction(onAbort(undefined, () => {}));
+    });
+  });
+
+  describe('followSignal', () => {
+    it('aborts the controller when the signal is aborted', () => {
+      const source = createAbortController();
+      const controller = createAbortController();
+      followSignal(controller, source.signal);
+      assert.isFalse(controller.signal.aborted);
+      source.abort();
+      assert.isTrue(controller.signal.aborted);
+    });
+
+    it('aborts the controller right away if the signal was already aborted', () => {
+      const source = createAbortController();
+      source.abort();
+      const controller = createAbortController();
+      followSignal(controller, source.signal);
+      assert.isTrue(controller.signal.aborted);
+    });
+
+    it('returns a function that stops following the signal', () => {
+      const source = createAbortController();
+      const controller = createAbortController();
+      followSignal(controller, source.signal)();
+      source.abort();
+      assert.isFalse(controller.signal.aborted);
+    });
+  });
+});
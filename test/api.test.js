@@ -0,0 +1,81 @@
+import { dotActionName, createApi, listMethods } from '../src/api';
+
+const itWithProxy = typeof Proxy === 'function' ? it : it.skip;
+
+describe('api', () => {
+  describe('dotActionName', () => {
+    it('joins the path with dots', () => {
+      assert.strictEqual(dotActionName(['camera', 'takePhoto']), 'camera.takePhoto');
+    });
+  });
+
+  describe('createApi', () => {
+    const create = (methods = []) => {
+      const call = sinon.spy((action, data) => Promise.resolve({ action, data }));
+      const api = createApi({ call, resolve: dotActionName, methods: () => methods });
+      return { api, call };
+    };
+
+    itWithProxy('calls any method path', () => {
+      const { api, call } = create();
+      return api.camera.takePhoto({ quality: 0.8 }, { timeout: 10 })
+        .then((result) => {
+          assert.deepEqual(result, { action: 'camera.takePhoto', data: { quality: 0.8 } });
+          sinon.assert.calledWith(call, 'camera.takePhoto', { quality: 0.8 }, { timeout: 10 });
+        });
+    });
+
+    itWithProxy('returns the same method for the same path', () => {
+      const { api } = create();
+      assert.strictEqual(api.camera.takePhoto, api.camera.takePhoto);
+    });
+
+    itWithProxy('is not mistaken for a Promise', () => {
+      const { api } = create();
+      assert.isUndefined(api.then);
+      assert.isUndefined(api.camera.then);
+    });
+
+    it('has the listed methods', () => {
+      const { api, call } = create(['ping', 'camera.takePhoto']);
+      assert.isFunction(api.ping);
+      assert.isFunction(api.camera.takePhoto);
+      return api.camera.takePhoto().then(() => {
+        sinon.assert.calledWith(call, 'camera.takePhoto');
+      });
+    });
+  });
+
+  describe('listMethods', () => {
+    it('lists methods with their paths', () => {
+      const cart = { add() {}, count: 2 };
+      assert.deepEqual(listMethods(cart, ['cart']), [
+        { path: ['cart', 'add'], method: cart.add, context: cart },
+      ]);
+    });
+
+    it('walks nested plain objects', () => {
+      const module = { camera: { takePhoto() {} } };
+      assert.deepEqual(listMethods(module).map(({ path }) => path), [['camera', 'takePhoto']]);
+      assert.strictEqual(listMethods(module)[0].context, module.camera);
+    });
+
+    it('includes methods inherited from a class but skips private ones', () => {
+      class Base {
+        reset() {
+          this.items = [];
+        }
+      }
+      class Cart extends Base {
+        add(item) {
+          this.items.push(item);
+        }
+        _save() {
+          return this.items;
+        }
+      }
+      const cart = new Cart();
+      assert.sameMembers(listMethods(cart).map(({ path }) => path.join('.')), ['add', 'reset']);
+    });
+  });
+});
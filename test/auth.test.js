@@ -0,0 +1,145 @@
+import {
+  utf8,
+  sha256,
+  hmacSha256,
+  canonicalEnvelope,
+  signEnvelope,
+  checkAuth,
+  createSecret,
+} from '../src/auth';
+
+const hex = bytes => bytes.map(byte => (byte < 16 ? '0' : '') + byte.toString(16)).join('');
+
+describe('auth', () => {
+  describe('utf8', () => {
+    it('encodes strings as UTF-8', () => {
+      assert.deepEqual(utf8('a'), [0x61]);
+      assert.deepEqual(utf8('é'), [0xc3, 0xa9]);
+      assert.deepEqual(utf8('€'), [0xe2, 0x82, 0xac]);
+      assert.deepEqual(utf8('😀'), [0xf0, 0x9f, 0x98, 0x80]);
+    });
+  });
+
+  describe('sha256', () => {
+    it('hashes bytes', () => {
+      assert.strictEqual(
+        hex(sha256([])),
+        'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855',
+      );
+      assert.strictEqual(
+        hex(sha256(utf8('abc'))),
+        'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+      );
+    });
+
+    it('hashes messages longer than a block', () => {
+      let message = '';
+      for (let i = 0; i < 1000; i += 1) {
+        message += 'a';
+      }
+      assert.strictEqual(
+        hex(sha256(utf8(message))),
+        '41edece42d63e8d9bf515a9ba6932e1c20cbc9f5a5d134645adb5db1b9737ea3',
+      );
+    });
+  });
+
+  describe('hmacSha256', () => {
+    it('computes the HMAC of a message', () => {
+      assert.strictEqual(
+        hmacSha256('Jefe', 'what do ya want for nothing?'),
+        '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843',
+      );
+    });
+
+    it('hashes keys longer than a block', () => {
+      let key = '';
+      for (let i = 0; i < 100; i += 1) {
+        key += 'k';
+      }
+      assert.strictEqual(
+        hmacSha256(key, 'héllo 😀'),
+        'db5b8d4e2d9d9bacc3780bc34fcb908a6b9297b1c77e4e43453c9d0d18458994',
+      );
+    });
+  });
+
+  describe('canonicalEnvelope', () => {
+    it('serializes with sorted keys and without undefined fields', () => {
+      assert.strictEqual(
+        canonicalEnvelope({ id: '1', action: 'ping', data: { b: [{ d: 3, c: 2 }], a: 1 } }),
+        '{"action":"ping","data":{"a":1,"b":[{"c":2,"d":3}]},"id":"1"}',
+      );
+      assert.strictEqual(
+        canonicalEnvelope({ id: '1', action: '__WK_CALLBACK__', error: null }),
+        '{"action":"__WK_CALLBACK__","error":null,"id":"1"}',
+      );
+      assert.strictEqual(
+        canonicalEnvelope({ id: '1', action: 'charge', data: 5, channel: 'payments' }),
+        '{"action":"charge","channel":"payments","data":5,"id":"1"}',
+      );
+    });
+  });
+
+  describe('signEnvelope', () => {
+    it('signs the canonical envelope', () => {
+      assert.strictEqual(
+        signEnvelope('secret', { id: '1', action: 'ping', data: { b: [{ d: 3, c: 2 }], a: 1 } }),
+        '0ba3073e2a3bfc6195c2ea379e7951ad517c70c44340a993d1b3794308de6635',
+      );
+    });
+  });
+
+  describe('checkAuth', () => {
+    const envelope = { id: '1', action: 'ping', data: 'hi' };
+
+    it('accepts the secret or the signature', () => {
+      assert.isNull(checkAuth('secret', envelope, 'secret'));
+      assert.isNull(checkAuth('secret', envelope, signEnvelope('secret', envelope)));
+      assert.isNull(checkAuth(
+        'secret',
+        envelope,
+        signEnvelope('secret', envelope).toUpperCase(),
+      ));
+    });
+
+    it('only accepts the signature in hmac mode', () => {
+      assert.strictEqual(checkAuth('secret', envelope, 'secret', 'hmac'), 'invalid');
+      assert.isNull(checkAuth('secret', envelope, signEnvelope('secret', envelope), 'hmac'));
+    });
+
+    it('rejects calls without the secret', () => {
+      assert.strictEqual(checkAuth('secret', envelope), 'missing');
+      assert.strictEqual(checkAuth('secret', envelope, ''), 'missing');
+      assert.strictEqual(checkAuth('secret', envelope, 'guess'), 'invalid');
+      assert.strictEqual(checkAuth('secret', envelope, 'secret!'), 'invalid');
+    });
+
+    it('rejects signatures of other envelopes', () => {
+      const forged = signEnvelope('secret', { ...envelope, data: 'bye' });
+      assert.strictEqual(checkAuth('secret', envelope, forged), 'invalid');
+      assert.strictEqual(checkAuth('other', envelope, signEnvelope('secret', envelope)), 'invalid');
+    });
+  });
+
+  describe('createSecret', () => {
+    it('generates 32 random bytes', () => {
+      const crypto = {
+        getRandomValues(bytes) {
+          for (let i = 0; i < bytes.length; i += 1) {
+            bytes[i] = i; // eslint-disable-line no-param-reassign
+          }
+          return bytes;
+        },
+      };
+      assert.strictEqual(
+        createSecret(crypto),
+        '000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f',
+      );
+    });
+
+    it('needs a source of random values', () => {
+      assert.throws(() => createSecret(null), /crypto\.getRandomValues/);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+import { checksum, splitPayload, createReassembler } from '../src/chunks';
+import { TransferError } from '../src/errors';
+
+describe('chunks', () => {
+  describe('checksum', () => {
+    it('hashes strings consistently', () => {
+      assert.strictEqual(checksum('hello'), checksum('hello'));
+      assert.notStrictEqual(checksum('hello'), checksum('hellp'));
+    });
+
+    it('returns a hexadecimal string', () => {
+      assert.match(checksum(''), /^[0-9a-f]+$/);
+      assert.strictEqual(checksum(''), '811c9dc5');
+    });
+  });
+
+  describe('splitPayload', () => {
+    const payload = { id: '1', action: 'upload', data: { image: 'abcdefghij' } };
+
+    it('does not split small payloads', () => {
+      assert.isNull(splitPayload(payload, 100));
+    });
+
+    it('does not split anything without a chunk size', () => {
+      assert.isNull(splitPayload(payload, 0));
+    });
+
+    it('does not split payloads without data', () => {
+      assert.isNull(splitPayload({ id: '1', action: 'ping' }, 1));
+    });
+
+    it('splits the serialized data into frames', () => {
+      const json = JSON.stringify(payload.data);
+      const frames = splitPayload(payload, 10);
+      assert.lengthOf(frames, Math.ceil(json.length / 10));
+      assert.strictEqual(frames.map(({ chunk }) => chunk).join(''), json);
+      frames.forEach((frame, index) => {
+        assert.strictEqual(frame.index, index);
+        assert.strictEqual(frame.total, frames.length);
+        assert.strictEqual(frame.length, json.length);
+        assert.strictEqual(frame.checksum, checksum(json));
+      });
+    });
+
+    it('includes the payload without its data in the first frame', () => {
+      const frames = splitPayload(payload, 10);
+      assert.deepEqual(frames[0].payload, { id: '1', action: 'upload' });
+      assert.notProperty(frames[1], 'payload');
+    });
+  });
+
+  describe('createReassembler', () => {
+    const payload = { id: '1', action: 'upload', data: { image: 'abcdefghijklmnopqrstuvwxyz' } };
+
+    it('calls back with the payload once every chunk has arrived', () => {
+      const onComplete = sinon.spy();
+      const onProgress = sinon.spy();
+      const reassembler = createReassembler({ timeout: 0, onComplete, onError() {}, onProgress });
+      const frames = splitPayload(payload, 8);
+      frames.slice().reverse().forEach(frame => reassembler.add('1', frame));
+      sinon.assert.calledOnce(onComplete);
+      sinon.assert.calledWith(onComplete, '1', payload);
+      sinon.assert.callCount(onProgress, frames.length);
+      sinon.assert.calledWith(onProgress.lastCall, '1', frames.length, frames.length);
+    });
+
+    it('ignores duplicate chunks', () => {
+      const onComplete = sinon.spy();
+      const reassembler = createReassembler({ timeout: 0, onComplete, onError() {} });
+      const frames = splitPayload(payload, 8);
+      reassembler.add('1', frames[1]);
+      reassembler.add('1', frames[1]);
+      frames.forEach(frame => reassembler.add('1', frame));
+      sinon.assert.calledOnce(onComplete);
+      sinon.assert.calledWith(onComplete, '1', payload);
+    });
+
+    it('fails transfers that do not match the checksum', () => {
+      const onComplete = sinon.spy();
+      const onError = sinon.spy();
+      const reassembler = createReassembler({ timeout: 0, onComplete, onError });
+      const frames = splitPayload(payload, 8);
+      frames[1] = { ...frames[1], chunk: frames[1].chunk.toUpperCase() };
+      frames.forEach(frame => reassembler.add('1', frame));
+      sinon.assert.notCalled(onComplete);
+      sinon.assert.calledOnce(onError);
+      const [id, envelope, error] = onError.firstCall.args;
+      assert.strictEqual(id, '1');
+      assert.deepEqual(envelope, { id: '1', action: 'upload' });
+      assert.instanceOf(error, TransferError);
+      assert.strictEqual(error.code, 'CHECKSUM_MISMATCH');
+    });
+
+    it('fails transfers when the next chunk does not arrive in time', (done) => {
+      const onComplete = sinon.spy();
+      const reassembler = createReassembler({
+        timeout: 5,
+        onComplete,
+        onError(id, envelope, error) {
+          assert.strictEqual(id, '1');
+          assert.instanceOf(error, TransferError);
+          assert.strictEqual(error.code, 'CHUNK_LOST');
+          assert.deepEqual(error.details, { id: '1', received: 1, total: 5 });
+          sinon.assert.notCalled(onComplete);
+          done();
+        },
+      });
+      reassembler.add('1', splitPayload(payload, 8)[0]);
+    });
+
+    it('clears incomplete transfers', (done) => {
+      const onError = sinon.spy();
+      const reassembler = createReassembler({ timeout: 1, onComplete() {}, onError });
+      reassembler.add('1', splitPayload(payload, 8)[0]);
+      reassembler.clear();
+      setTimeout(() => {
+        sinon.assert.notCalled(onError);
+        done();
+      }, 5);
+    });
+  });
+});
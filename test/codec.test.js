@@ -0,0 +1,183 @@
+import {
+  encodeBase64,
+  decodeBase64,
+  normalizeType,
+  createCodec,
+  resolveCodec,
+} from '../src/codec';
+
+const roundTrip = (codec, value) => codec.decode(JSON.parse(JSON.stringify(codec.encode(value))));
+
+describe('codec', () => {
+  describe('encodeBase64', () => {
+    it('encodes bytes with padding', () => {
+      assert.strictEqual(encodeBase64([]), '');
+      assert.strictEqual(encodeBase64([102]), 'Zg==');
+      assert.strictEqual(encodeBase64([102, 111]), 'Zm8=');
+      assert.strictEqual(encodeBase64([102, 111, 111]), 'Zm9v');
+      assert.strictEqual(encodeBase64(new Uint8Array([0, 255, 128, 7])), 'AP+ABw==');
+    });
+  });
+
+  describe('decodeBase64', () => {
+    it('decodes what encodeBase64 encodes', () => {
+      assert.deepEqual(Array.prototype.slice.call(decodeBase64('Zm9v')), [102, 111, 111]);
+      assert.deepEqual(Array.prototype.slice.call(decodeBase64('Zm8=')), [102, 111]);
+      assert.deepEqual(Array.prototype.slice.call(decodeBase64('AP+ABw==')), [0, 255, 128, 7]);
+      assert.strictEqual(decodeBase64('').length, 0);
+    });
+
+    it('ignores whitespace', () => {
+      assert.deepEqual(Array.prototype.slice.call(decodeBase64('Zm\n9v')), [102, 111, 111]);
+    });
+  });
+
+  describe('normalizeType', () => {
+    it('requires a name and functions', () => {
+      assert.throws(() => normalizeType({}), TypeError);
+      assert.throws(() => normalizeType({ name: 'Point', test() {}, encode() {} }), TypeError);
+      assert.throws(() => normalizeType({
+        name: 'Object',
+        test() {},
+        encode() {},
+        decode() {},
+      }), TypeError);
+    });
+  });
+
+  describe('createCodec', () => {
+    let codec;
+
+    beforeEach(() => {
+      codec = createCodec();
+    });
+
+    it('leaves plain JSON values alone', () => {
+      const value = { a: [1, 'two', true, null], b: { c: 3.5 } };
+      assert.deepEqual(codec.encode(value), value);
+      assert.deepEqual(codec.decode(value), value);
+      assert.isUndefined(codec.encode(undefined));
+    });
+
+    it('keeps Dates', () => {
+      const date = new Date(Date.UTC(2020, 1, 29, 12));
+      assert.deepEqual(codec.encode(date), { $type: 'Date', value: '2020-02-29T12:00:00.000Z' });
+      const decoded = roundTrip(codec, { at: date });
+      assert.instanceOf(decoded.at, Date);
+      assert.strictEqual(decoded.at.getTime(), date.getTime());
+      assert.isTrue(isNaN(roundTrip(codec, new Date(NaN)).getTime()));
+    });
+
+    it('keeps Maps and Sets, including what is in them', () => {
+      const map = new Map([['a', new Date(0)], [1, new Set([1, 2])]]);
+      const decoded = roundTrip(codec, map);
+      assert.instanceOf(decoded, Map);
+      assert.strictEqual(decoded.get('a').getTime(), 0);
+      assert.instanceOf(decoded.get(1), Set);
+      assert.isTrue(decoded.get(1).has(2));
+    });
+
+    it('keeps binary data as base64', () => {
+      const bytes = new Uint8Array([1, 2, 3, 250]);
+      assert.deepEqual(codec.encode(bytes), { $type: 'Uint8Array', value: 'AQID+g==' });
+      const decoded = roundTrip(codec, {
+        bytes,
+        buffer: bytes.buffer,
+        floats: new Float32Array([1.5, -2]),
+        view: bytes.subarray(1, 3),
+      });
+      assert.instanceOf(decoded.bytes, Uint8Array);
+      assert.deepEqual(Array.prototype.slice.call(decoded.bytes), [1, 2, 3, 250]);
+      assert.instanceOf(decoded.buffer, ArrayBuffer);
+      assert.strictEqual(decoded.buffer.byteLength, 4);
+      assert.instanceOf(decoded.floats, Float32Array);
+      assert.deepEqual(Array.prototype.slice.call(decoded.floats), [1.5, -2]);
+      assert.deepEqual(Array.prototype.slice.call(decoded.view), [2, 3]);
+    });
+
+    it('keeps errors', () => {
+      const error = new TypeError('nope');
+      error.code = 'NOPE';
+      error.details = { at: new Date(0) };
+      const decoded = roundTrip(codec, error);
+      assert.instanceOf(decoded, Error);
+      assert.strictEqual(decoded.name, 'TypeError');
+      assert.strictEqual(decoded.message, 'nope');
+      assert.strictEqual(decoded.code, 'NOPE');
+      assert.instanceOf(decoded.details.at, Date);
+    });
+
+    it('keeps numbers that JSON can not represent and nested undefined', () => {
+      const decoded = roundTrip(codec, {
+        nan: NaN,
+        infinity: Infinity,
+        negative: -Infinity,
+        zero: -0,
+        missing: undefined,
+        list: [undefined, 1],
+      });
+      assert.isTrue(isNaN(decoded.nan));
+      assert.strictEqual(decoded.infinity, Infinity);
+      assert.strictEqual(decoded.negative, -Infinity);
+      assert.strictEqual(1 / decoded.zero, -Infinity);
+      assert.isTrue('missing' in decoded);
+      assert.isUndefined(decoded.missing);
+      assert.deepEqual(decoded.list, [undefined, 1]);
+    });
+
+    it('escapes objects that have a $type key of their own', () => {
+      const value = { $type: 'Date', value: 'not a date' };
+      assert.deepEqual(roundTrip(codec, value), value);
+    });
+
+    it('leaves unknown tags alone', () => {
+      const value = { $type: 'Unknown', value: 1 };
+      assert.deepEqual(codec.decode(value), value);
+    });
+
+    it('throws for circular structures', () => {
+      const value = { a: 1 };
+      value.self = value;
+      assert.throws(() => codec.encode(value), TypeError, /circular/);
+    });
+
+    it('uses custom types before the built-in ones', () => {
+      class Point {
+        constructor(x, y) {
+          this.x = x;
+          this.y = y;
+        }
+      }
+      codec = createCodec({
+        types: [{
+          name: 'Point',
+          test: value => value instanceof Point,
+          encode: ({ x, y }) => [x, y],
+          decode: ([x, y]) => new Point(x, y),
+        }],
+      });
+      const decoded = roundTrip(codec, { points: [new Point(1, 2)] });
+      assert.instanceOf(decoded.points[0], Point);
+      assert.deepEqual(decoded.points[0], new Point(1, 2));
+
+      codec.register({
+        name: 'Date',
+        test: value => value instanceof Date,
+        encode: value => value.getTime(),
+        decode: value => new Date(value),
+      });
+      assert.deepEqual(codec.encode(new Date(5)), { $type: 'Date', value: 5 });
+    });
+  });
+
+  describe('resolveCodec', () => {
+    it('resolves the codec option', () => {
+      assert.isNull(resolveCodec(false));
+      assert.isFunction(resolveCodec(true).register);
+      const custom = { encode: value => value, decode: value => value };
+      assert.strictEqual(resolveCodec(custom), custom);
+      assert.isFunction(resolveCodec({ types: [] }).encode);
+      assert.throws(() => resolveCodec({ encode: value => value }), TypeError);
+    });
+  });
+});
@@ -0,0 +1,167 @@
+import {
+  CODEGEN_LANGUAGES,
+  pascalCase,
+  camelCase,
+  describeContracts,
+  generateSwift,
+  generateKotlin,
+  generateTypeScript,
+  generate,
+  parseCodegenArgs,
+} from '../src/codegen';
+import contracts from './snapshots/contracts.json'; // eslint-disable-line import/extensions
+import snapshots from './snapshots/codegen.json'; // eslint-disable-line import/extensions
+
+// The snapshots are the files generated for contracts.json, split into lines. After changing what
+// the generators output on purpose, write them again with `npm run update-snapshots`.
+const lines = source => source.split('\n');
+
+describe('codegen', () => {
+  describe('names', () => {
+    it('turns action and property names into identifiers', () => {
+      assert.strictEqual(pascalCase('cart.add'), 'CartAdd');
+      assert.strictEqual(pascalCase('getDogProperties'), 'GetDogProperties');
+      assert.strictEqual(pascalCase('first-name'), 'FirstName');
+      assert.strictEqual(pascalCase('3d'), '_3d');
+      assert.strictEqual(camelCase('cart.items.clear'), 'cartItemsClear');
+      assert.strictEqual(camelCase('URLPath'), 'urlPath');
+      assert.strictEqual(camelCase('ID'), 'id');
+    });
+  });
+
+  describe('describeContracts', () => {
+    it('describes the types of every action', () => {
+      const { types, actions } = describeContracts([{
+        name: 'pay',
+        direction: 'outbound',
+        request: {
+          type: 'object',
+          properties: {
+            amount: { type: 'integer' },
+            note: { type: ['string', 'null'] },
+            method: { enum: ['card', 'cash', null] },
+          },
+          required: ['amount'],
+        },
+        response: { type: 'array', items: { anyOf: [{ type: 'string' }, { type: 'number' }] } },
+      }]);
+      assert.deepEqual(types.map(({ kind, name }) => [kind, name]), [
+        ['struct', 'PayRequest'],
+        ['enum', 'PayRequestMethod'],
+      ]);
+      assert.deepEqual(types[0].fields.map(({ key, optional, type }) => [key, optional, type]), [
+        ['amount', false, { kind: 'integer', nullable: false }],
+        ['note', true, { kind: 'string', nullable: true }],
+        ['method', true, { kind: 'named', name: 'PayRequestMethod', nullable: true }],
+      ]);
+      assert.deepEqual(actions[0].response, {
+        kind: 'array',
+        items: { kind: 'any', nullable: false },
+        nullable: false,
+      });
+      assert.isTrue(actions[0].native);
+      assert.isFalse(actions[0].web);
+    });
+
+    it('throws when two things would get the same name', () => {
+      assert.throws(() => describeContracts([{ name: 'a.b' }, { name: 'a.b' }]), TypeError);
+      assert.throws(() => describeContracts([{ name: 'a.b' }, { name: 'aB' }]), TypeError);
+      assert.throws(() => describeContracts([
+        { name: 'a.b', request: { properties: { x: { type: 'string' } } } },
+        { name: 'aB', method: 'other', request: { properties: { x: { type: 'string' } } } },
+      ]), TypeError);
+      assert.throws(() => describeContracts([{
+        name: 'pay',
+        request: { properties: { 'first-name': {}, firstName: {} } },
+      }]), TypeError);
+    });
+
+    it('only takes an array of valid contracts', () => {
+      assert.throws(() => describeContracts({ name: 'pay' }), TypeError);
+      assert.throws(() => describeContracts([{ name: 'pay', direction: 'sideways' }]), TypeError);
+    });
+  });
+
+  describe('generators', () => {
+    it('generates Swift', () => {
+      assert.deepEqual(lines(generateSwift(contracts)), snapshots.swift);
+    });
+
+    it('generates Kotlin', () => {
+      const source = generateKotlin(contracts, { packageName: 'com.example.bridge' });
+      assert.deepEqual(lines(source), snapshots.kotlin);
+    });
+
+    it('generates TypeScript', () => {
+      assert.deepEqual(lines(generateTypeScript(contracts)), snapshots.typescript);
+    });
+
+    it('names the bridge', () => {
+      const options = { name: 'Payments' };
+      assert.include(generateSwift(contracts, options), 'final class Payments: NSObject');
+      assert.include(generateKotlin(contracts, options), 'interface PaymentsHandlers {');
+      assert.include(generateTypeScript(contracts, options), 'PaymentsNativeApi');
+      assert.notInclude(generateKotlin(contracts), 'package ');
+    });
+
+    it('escapes names and strings for each language', () => {
+      const escaped = [{
+        name: 'say',
+        request: {
+          properties: {
+            'a\'b': { type: 'string' },
+            class: { enum: ['$x', 'default'] },
+          },
+        },
+      }];
+      const swift = generateSwift(escaped);
+      assert.include(swift, 'let `class`: SayRequestClass?');
+      assert.include(swift, 'case `default`\n');
+      assert.include(swift, 'case ab = "a\'b"');
+      const kotlin = generateKotlin(escaped);
+      assert.include(kotlin, 'val `class`: SayRequestClass? = null');
+      assert.include(kotlin, '@SerialName("\\$x")');
+      assert.include(generateTypeScript(escaped), '\'a\\\'b\'?: string;');
+    });
+
+    it('generates any of the languages by name', () => {
+      assert.strictEqual(
+        generate(CODEGEN_LANGUAGES.TYPESCRIPT, contracts),
+        generateTypeScript(contracts),
+      );
+      assert.throws(() => generate('java', contracts), TypeError);
+    });
+  });
+
+  describe('parseCodegenArgs', () => {
+    it('reads the input, outputs and options', () => {
+      assert.deepEqual(parseCodegenArgs([
+        'contracts.json',
+        '--swift',
+        'Bridge.swift',
+        '--typescript',
+        '-',
+        '--name',
+        'Payments',
+        '--package',
+        'com.example',
+      ]), {
+        input: 'contracts.json',
+        outputs: [
+          { language: 'swift', file: 'Bridge.swift' },
+          { language: 'typescript', file: '-' },
+        ],
+        options: { name: 'Payments', packageName: 'com.example' },
+      });
+    });
+
+    it('throws for bad arguments', () => {
+      assert.throws(() => parseCodegenArgs(['--swift', 'Bridge.swift']), TypeError);
+      assert.throws(() => parseCodegenArgs(['contracts.json']), TypeError);
+      assert.throws(() => parseCodegenArgs(['contracts.json', '--swift']), TypeError);
+      assert.throws(() => parseCodegenArgs(['contracts.json', '--java', 'A.java']), TypeError);
+      assert.throws(() => parseCodegenArgs(['a.json', 'b.json', '--swift', '-']), TypeError);
+      assert.throws(() => parseCodegenArgs(['a.json', '--swift', '-', '--name', 'x']), TypeError);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+import { normalizeContract, checkContract } from '../src/contracts';
+import { ValidationError } from '../src/errors';
+
+describe('contracts', () => {
+  describe('normalizeContract', () => {
+    it('can be sent in both directions by default', () => {
+      assert.deepEqual(normalizeContract({ name: 'ping' }), {
+        name: 'ping',
+        request: undefined,
+        response: undefined,
+        direction: 'both',
+        timeout: undefined,
+        method: 'ping',
+      });
+    });
+
+    it('requires a name', () => {
+      assert.throws(() => normalizeContract({ request: {} }), TypeError);
+    });
+
+    it('requires a known direction', () => {
+      assert.throws(() => normalizeContract({ name: 'ping', direction: 'sideways' }), TypeError);
+    });
+  });
+
+  describe('checkContract', () => {
+    const contract = normalizeContract({
+      name: 'getUser',
+      request: { type: 'object', required: ['id'] },
+      response: { type: 'object', properties: { name: { type: 'string' } } },
+      direction: 'outbound',
+    });
+
+    it('returns null for valid data', () => {
+      assert.isNull(checkContract(contract, 'outbound', 'request', { id: 1 }));
+      assert.isNull(checkContract(contract, 'outbound', 'response', { name: 'Ann' }));
+    });
+
+    it('describes every violation in a ValidationError', () => {
+      const error = checkContract(contract, 'outbound', 'request', {});
+      assert.instanceOf(error, ValidationError);
+      assert.strictEqual(error.code, 'VALIDATION_ERROR');
+      assert.include(error.message, 'data.id is required');
+      assert.deepEqual(error.details, {
+        action: 'getUser',
+        part: 'request',
+        violations: [{ path: 'data.id', message: 'is required' }],
+      });
+    });
+
+    it('checks results against the response schema', () => {
+      const error = checkContract(contract, 'outbound', 'response', { name: 1 });
+      assert.deepEqual(error.details.violations, [
+        { path: 'result.name', message: 'must be string, not number' },
+      ]);
+    });
+
+    it('rejects messages sent in the wrong direction', () => {
+      const error = checkContract(contract, 'inbound', 'request', { id: 1 });
+      assert.deepEqual(error.details.violations, [
+        { path: 'action', message: 'can only be sent by the webview' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+import { createInboundCache } from '../src/dedupe';
+
+describe('dedupe', () => {
+  describe('createInboundCache', () => {
+    let time;
+    let cache;
+
+    beforeEach(() => {
+      time = 1000;
+      cache = createInboundCache({ ttl: 100, maxSize: 2, now: () => time });
+    });
+
+    it('resolves with the reply once the message is answered', () => {
+      assert.isNull(cache.get('1'));
+      const settle = cache.add('1');
+      const reply = cache.get('1');
+      assert.instanceOf(reply, Promise);
+      settle('result', undefined, { channel: 'payments' });
+      return reply.then((value) => {
+        assert.deepEqual(value, {
+          result: 'result',
+          error: undefined,
+          envelope: { channel: 'payments' },
+        });
+      });
+    });
+
+    it('remembers messages until the ttl after they are answered', () => {
+      const settle = cache.add('1');
+      time += 500;
+      assert.isNotNull(cache.get('1'));
+      settle('result');
+      time += 99;
+      assert.isNotNull(cache.get('1'));
+      time += 1;
+      assert.isNull(cache.get('1'));
+    });
+
+    it('only remembers the latest messages', () => {
+      cache.add('1')('result');
+      cache.add('2')('result');
+      cache.add('3');
+      assert.isNull(cache.get('1'));
+      assert.isNotNull(cache.get('2'));
+      assert.isNotNull(cache.get('3'));
+    });
+
+    it('remembers messages that are still being handled beyond the maximum', () => {
+      cache.add('1');
+      cache.add('2')('result');
+      cache.add('3');
+      cache.add('4');
+      assert.isNotNull(cache.get('1'));
+      assert.isNull(cache.get('2'));
+      assert.isNotNull(cache.get('3'));
+      assert.isNotNull(cache.get('4'));
+    });
+
+    it('forgets everything when cleared', () => {
+      cache.add('1');
+      cache.clear();
+      assert.isNull(cache.get('1'));
+    });
+
+    it('rejects the replies that are still awaited when cleared', () => {
+      cache.add('1');
+      const reply = cache.get('1');
+      const error = new Error('destroyed');
+      cache.clear(error);
+      return reply.then(() => Promise.reject(new Error('the reply was not rejected')), (e) => {
+        assert.strictEqual(e, error);
+      });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  WKPostMessengerError,
+  TimeoutError,
+  RemoteError,
+  serializeError,
+  deserializeError,
+} from '../src/errors';
+
+describe('errors', () => {
+  describe('WKPostMessengerError', () => {
+    it('is an Error with a code and details', () => {
+      const error = new WKPostMessengerError('Something broke', 'BROKEN', { part: 'bridge' });
+      assert.instanceOf(error, Error);
+      assert.strictEqual(error.name, 'WKPostMessengerError');
+      assert.strictEqual(error.message, 'Something broke');
+      assert.strictEqual(error.code, 'BROKEN');
+      assert.deepEqual(error.details, { part: 'bridge' });
+    });
+
+    it('can be subclassed', () => {
+      const error = new TimeoutError('Too slow');
+      assert.instanceOf(error, Error);
+      assert.instanceOf(error, WKPostMessengerError);
+      assert.instanceOf(error, TimeoutError);
+      assert.strictEqual(error.name, 'TimeoutError');
+      assert.strictEqual(error.code, 'TIMEOUT');
+    });
+  });
+
+  describe('serializeError', () => {
+    it('serializes the name, message, code and details of an Error', () => {
+      const error = new RangeError('Out of range');
+      error.code = 'RANGE';
+      error.details = { max: 10 };
+      assert.deepEqual(serializeError(error), {
+        name: 'RangeError',
+        message: 'Out of range',
+        code: 'RANGE',
+        details: { max: 10 },
+      });
+    });
+
+    it('uses a default code for errors without one', () => {
+      assert.deepEqual(serializeError(new Error('Oops')), {
+        name: 'Error',
+        message: 'Oops',
+        code: 'HANDLER_ERROR',
+      });
+    });
+
+    it('serializes thrown values that are not errors', () => {
+      assert.deepEqual(serializeError('just a string'), {
+        name: 'Error',
+        message: 'just a string',
+        code: 'HANDLER_ERROR',
+      });
+    });
+  });
+
+  describe('deserializeError', () => {
+    it('creates a RemoteError from a serialized error', () => {
+      const error = deserializeError({
+        name: 'NativeError',
+        message: 'It failed',
+        code: 'FAILED',
+        details: [1, 2, 3],
+      });
+      assert.instanceOf(error, RemoteError);
+      assert.strictEqual(error.message, 'It failed');
+      assert.strictEqual(error.code, 'FAILED');
+      assert.strictEqual(error.remoteName, 'NativeError');
+      assert.deepEqual(error.details, [1, 2, 3]);
+    });
+
+    it('creates a RemoteError from a bare message', () => {
+      const error = deserializeError('It failed');
+      assert.instanceOf(error, RemoteError);
+      assert.strictEqual(error.message, 'It failed');
+      assert.strictEqual(error.code, 'REMOTE_ERROR');
+    });
+  });
+});
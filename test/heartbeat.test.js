@@ -0,0 +1,137 @@
+import { createHeartbeat } from '../src/heartbeat';
+
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+const createVisibility = () => {
+  const visibility = {
+    hidden: false,
+    listener: null,
+    isHidden: () => visibility.hidden,
+    target: {
+      addEventListener: (type, listener) => {
+        visibility.listener = listener;
+      },
+      removeEventListener: () => {
+        visibility.listener = null;
+      },
+    },
+    change(hidden) {
+      visibility.hidden = hidden;
+      visibility.listener();
+    },
+  };
+  return visibility;
+};
+
+describe('heartbeat', () => {
+  describe('createHeartbeat', () => {
+    let heartbeat;
+    let visibility;
+
+    const create = options => createHeartbeat({
+      interval: 5,
+      isHidden: visibility.isHidden,
+      visibilityTarget: visibility.target,
+      ...options,
+    });
+
+    beforeEach(() => {
+      visibility = createVisibility();
+    });
+
+    afterEach(() => {
+      heartbeat.stop();
+    });
+
+    it('pings at the interval once started', () => {
+      const ping = sinon.spy(() => Promise.resolve(true));
+      heartbeat = create({ ping });
+      return waitFor(20)
+        .then(() => {
+          sinon.assert.notCalled(ping);
+          heartbeat.start();
+          return waitFor(30);
+        })
+        .then(() => {
+          assert.isAbove(ping.callCount, 1);
+          assert.isTrue(heartbeat.healthy);
+          heartbeat.stop();
+          const count = ping.callCount;
+          return waitFor(20).then(() => {
+            assert.strictEqual(ping.callCount, count);
+          });
+        });
+    });
+
+    it('only has one ping in flight at a time', () => {
+      const ping = sinon.spy(() => new Promise(() => {}));
+      heartbeat = create({ ping });
+      heartbeat.start();
+      return waitFor(30)
+        .then(() => {
+          sinon.assert.calledOnce(ping);
+        });
+    });
+
+    it('becomes unhealthy after too many missed pings, and healthy again once answered', () => {
+      let answering = false;
+      const onHealthy = sinon.spy();
+      const onUnhealthy = sinon.spy();
+      heartbeat = create({
+        ping: () => (answering ? Promise.resolve(true) : Promise.reject(new Error('timeout'))),
+        maxMissed: 2,
+        onHealthy,
+        onUnhealthy,
+      });
+      heartbeat.start();
+      return waitFor(40)
+        .then(() => {
+          sinon.assert.calledOnce(onUnhealthy);
+          sinon.assert.calledWith(onUnhealthy, 2);
+          assert.isFalse(heartbeat.healthy);
+          assert.isAtLeast(heartbeat.missed, 2);
+          sinon.assert.notCalled(onHealthy);
+          answering = true;
+          return waitFor(20);
+        })
+        .then(() => {
+          sinon.assert.calledOnce(onHealthy);
+          assert.isTrue(heartbeat.healthy);
+          assert.strictEqual(heartbeat.missed, 0);
+        });
+    });
+
+    it('is healthy again when the other side is alive some other way', () => {
+      const onHealthy = sinon.spy();
+      heartbeat = create({
+        ping: () => Promise.resolve(false),
+        maxMissed: 1,
+        onHealthy,
+      });
+      heartbeat.start();
+      return waitFor(15)
+        .then(() => {
+          assert.isFalse(heartbeat.healthy);
+          heartbeat.stop();
+          heartbeat.alive();
+          sinon.assert.calledOnce(onHealthy);
+          assert.isTrue(heartbeat.healthy);
+        });
+    });
+
+    it('pauses while the page is hidden and pings as soon as it is visible', () => {
+      const ping = sinon.spy(() => Promise.resolve(true));
+      heartbeat = create({ ping, interval: 50 });
+      heartbeat.start();
+      visibility.change(true);
+      return waitFor(80)
+        .then(() => {
+          sinon.assert.notCalled(ping);
+          visibility.change(false);
+          sinon.assert.calledOnce(ping);
+          heartbeat.stop();
+          assert.isNull(visibility.listener);
+        });
+    });
+  });
+});
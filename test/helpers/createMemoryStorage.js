@@ -0,0 +1,15 @@
+/**
+ * Creates an in-memory stand-in for sessionStorage or localStorage
+ */
+export default () => {
+  const items = {};
+  return {
+    getItem: key => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = `${value}`;
+    },
+    removeItem: (key) => {
+      delete items[key];
+    },
+  };
+};
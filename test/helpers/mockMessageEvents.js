@@ -0,0 +1,36 @@
+/**
+ * Replaces addEventListener and removeEventListener on an event target with versions that keep
+ * track of message listeners, so that tests can dispatch message events without a real window
+ */
+export default (target) => {
+  const originals = {
+    addEventListener: target.addEventListener,
+    removeEventListener: target.removeEventListener,
+  };
+  let listeners = [];
+  /* eslint-disable no-param-reassign */
+  target.addEventListener = (type, listener) => {
+    if (type === 'message') {
+      listeners.push(listener);
+    }
+  };
+  target.removeEventListener = (type, listener) => {
+    listeners = listeners.filter(l => l !== listener);
+  };
+  /* eslint-enable no-param-reassign */
+  return {
+    dispatch(event) {
+      listeners.slice().forEach(listener => listener(event));
+    },
+    count: () => listeners.length,
+    restore() {
+      Object.keys(originals).forEach((key) => {
+        if (originals[key]) {
+          target[key] = originals[key]; // eslint-disable-line no-param-reassign
+        } else {
+          delete target[key]; // eslint-disable-line no-param-reassign
+        }
+      });
+    },
+  };
+};
@@ -0,0 +1,32 @@
+/**
+ * Collects the reasons of Promise rejections that nothing handles, in browsers and in Node
+ *
+ * In browsers, the Promise polyfill only calls `window.onunhandledrejection` rather than
+ * dispatching an event, so the handler is replaced until `restore` is called.
+ */
+export default () => {
+  const reasons = [];
+  const onRejection = (reason) => {
+    reasons.push(reason);
+  };
+  const inNode = typeof process !== 'undefined' && typeof process.on === 'function';
+  let original;
+  if (inNode) {
+    process.on('unhandledRejection', onRejection);
+  } else {
+    original = window.onunhandledrejection;
+    window.onunhandledrejection = (event) => {
+      onRejection(event.reason);
+    };
+  }
+  return {
+    reasons,
+    restore() {
+      if (inNode) {
+        process.removeListener('unhandledRejection', onRejection);
+      } else {
+        window.onunhandledrejection = original;
+      }
+    },
+  };
+};
@@ -0,0 +1,110 @@
+import { OUTCOMES, createInspector } from '../src/inspector';
+
+describe('inspector', () => {
+  describe('createInspector', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+      time = 1000;
+    });
+
+    it('records payloads with their size and time', () => {
+      const inspector = createInspector({ now });
+      const entry = inspector.record('outbound', { id: '1', action: 'ping', data: 'hi' });
+      assert.deepEqual(entry, {
+        seq: 1,
+        id: '1',
+        action: 'ping',
+        direction: 'outbound',
+        size: JSON.stringify({ id: '1', action: 'ping', data: 'hi' }).length,
+        time: 1000,
+      });
+      assert.deepEqual(inspector.entries(), [entry]);
+    });
+
+    it('keeps only the latest entries', () => {
+      const inspector = createInspector({ size: 2, now });
+      inspector.record('outbound', { id: '1', action: 'a' });
+      inspector.record('outbound', { id: '2', action: 'b' });
+      inspector.record('inbound', { id: '3', action: 'c' });
+      const entries = inspector.entries();
+      assert.deepEqual(entries.map(({ id }) => id), ['2', '3']);
+      assert.deepEqual(entries.map(({ seq }) => seq), [2, 3]);
+    });
+
+    it('requires room for an entry', () => {
+      assert.throws(() => createInspector({ size: 0 }), TypeError);
+    });
+
+    it('settles the latest pending message with the ID', () => {
+      const inspector = createInspector({ now });
+      inspector.record('outbound', { id: '1', action: 'ping' }, { outcome: OUTCOMES.PENDING });
+      inspector.record('inbound', { id: '1', action: 'ping' }, { outcome: OUTCOMES.PENDING });
+      time = 1250;
+      inspector.settle('outbound', '1', OUTCOMES.REJECTED, 'REMOTE_ERROR');
+      const [outbound, inbound] = inspector.entries();
+      assert.strictEqual(outbound.outcome, 'rejected');
+      assert.strictEqual(outbound.settledAt, 1250);
+      assert.strictEqual(outbound.latency, 250);
+      assert.strictEqual(outbound.error, 'REMOTE_ERROR');
+      assert.strictEqual(inbound.outcome, 'pending');
+    });
+
+    it('marks timed out messages as late', () => {
+      const inspector = createInspector({ now });
+      inspector.record('outbound', { id: '1', action: 'ping' }, { outcome: OUTCOMES.PENDING });
+      time = 1100;
+      inspector.settle('outbound', '1', OUTCOMES.TIMEOUT);
+      time = 1500;
+      assert.isTrue(inspector.late('outbound', '1'));
+      assert.isFalse(inspector.late('outbound', '2'));
+      const [entry] = inspector.entries();
+      assert.strictEqual(entry.outcome, 'late');
+      assert.strictEqual(entry.latency, 500);
+    });
+
+    it('returns copies of the entries', () => {
+      const inspector = createInspector();
+      inspector.record('outbound', { id: '1', action: 'ping' });
+      inspector.entries()[0].action = 'changed';
+      assert.strictEqual(inspector.entries()[0].action, 'ping');
+    });
+
+    it('clears the log', () => {
+      const inspector = createInspector();
+      inspector.record('outbound', { id: '1', action: 'ping' });
+      inspector.clear();
+      assert.deepEqual(inspector.entries(), []);
+    });
+
+    it('tells subscribers about new and settled entries', () => {
+      const inspector = createInspector();
+      const listener = sinon.spy();
+      const unsubscribe = inspector.subscribe(listener);
+      inspector.record('outbound', { id: '1', action: 'ping' }, { outcome: OUTCOMES.PENDING });
+      inspector.settle('outbound', '1', OUTCOMES.RESOLVED);
+      sinon.assert.calledTwice(listener);
+      assert.strictEqual(listener.secondCall.args[0].outcome, 'resolved');
+      unsubscribe();
+      inspector.record('outbound', { id: '2', action: 'ping' });
+      sinon.assert.calledTwice(listener);
+    });
+
+    it('exports the log as JSON along with its metadata', () => {
+      const inspector = createInspector({ now, info: () => ({ library: '1.0.0' }) });
+      inspector.record('outbound', { id: '1', action: 'ping' });
+      const exported = JSON.parse(JSON.stringify(inspector));
+      assert.strictEqual(exported.library, '1.0.0');
+      assert.strictEqual(exported.exportedAt, new Date(1000).toISOString());
+      assert.deepEqual(exported.entries, inspector.entries());
+    });
+
+    it('handles payloads that cannot be serialized', () => {
+      const inspector = createInspector();
+      const data = {};
+      data.self = data;
+      assert.isNull(inspector.record('outbound', { id: '1', action: 'ping', data }).size);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import createListenerRegistry from '../src/listeners';
+
+describe('listeners', () => {
+  describe('createListenerRegistry', () => {
+    it('counts the listeners for each event', () => {
+      const registry = createListenerRegistry();
+      const listener = () => {};
+      registry.add('ready', listener);
+      registry.add('ready', listener);
+      registry.add('done', () => {});
+      assert.strictEqual(registry.count('ready'), 2);
+      assert.strictEqual(registry.count('done'), 1);
+      assert.strictEqual(registry.count('never'), 0);
+      assert.strictEqual(registry.count('toString'), 0);
+      assert.deepEqual(registry.events(), ['ready', 'done']);
+    });
+
+    it('forgets one listener at a time', () => {
+      const registry = createListenerRegistry();
+      const listener = () => {};
+      registry.add('ready', listener);
+      registry.add('ready', listener);
+      assert.isTrue(registry.remove('ready', listener));
+      assert.strictEqual(registry.count('ready'), 1);
+      assert.isTrue(registry.remove('ready', listener));
+      assert.strictEqual(registry.count('ready'), 0);
+      assert.deepEqual(registry.events(), []);
+    });
+
+    it('forgets every listener for an event', () => {
+      const registry = createListenerRegistry();
+      registry.add('ready', () => {});
+      registry.add('ready', () => {});
+      assert.isTrue(registry.remove('ready'));
+      assert.strictEqual(registry.count('ready'), 0);
+    });
+
+    it('says when there is nothing to forget', () => {
+      const registry = createListenerRegistry();
+      registry.add('ready', () => {});
+      assert.isFalse(registry.remove('ready', () => {}));
+      assert.isFalse(registry.remove('never'));
+      assert.isFalse(registry.remove('never', () => {}));
+      assert.strictEqual(registry.count('ready'), 1);
+    });
+  });
+});
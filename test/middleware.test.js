@@ -0,0 +1,114 @@
+import { normalizeMiddleware, runMiddleware } from '../src/middleware';
+
+describe('middleware', () => {
+  describe('normalizeMiddleware', () => {
+    it('accepts middleware with a hook for either direction', () => {
+      const outbound = { outbound: (context, next) => next() };
+      const inbound = { inbound: (context, next) => next() };
+      assert.strictEqual(normalizeMiddleware(outbound), outbound);
+      assert.strictEqual(normalizeMiddleware(inbound), inbound);
+    });
+
+    it('throws for anything else', () => {
+      assert.throws(() => normalizeMiddleware(), TypeError);
+      assert.throws(() => normalizeMiddleware({}), TypeError);
+      assert.throws(() => normalizeMiddleware(() => {}), TypeError);
+    });
+  });
+
+  describe('runMiddleware', () => {
+    it('runs the hooks in order around the last step', () => {
+      const calls = [];
+      const track = name => ({
+        outbound(context, next) {
+          calls.push(`${name} in`);
+          return next().then((result) => {
+            calls.push(`${name} out`);
+            return `${result} ${name}`;
+          });
+        },
+      });
+      const last = () => {
+        calls.push('last');
+        return 'result';
+      };
+      return runMiddleware([track('a'), track('b')], 'outbound', {}, last)
+        .then((result) => {
+          assert.strictEqual(result, 'result b a');
+          assert.deepEqual(calls, ['a in', 'b in', 'last', 'b out', 'a out']);
+        });
+    });
+
+    it('only runs hooks for the direction', () => {
+      const inbound = sinon.spy((context, next) => next());
+      return runMiddleware([{ inbound }], 'outbound', {}, () => 'result')
+        .then((result) => {
+          assert.strictEqual(result, 'result');
+          sinon.assert.notCalled(inbound);
+        });
+    });
+
+    it('lets hooks change the context', () => {
+      const context = { data: 1 };
+      const double = {
+        outbound(ctx, next) {
+          ctx.data *= 2; // eslint-disable-line no-param-reassign
+          return next();
+        },
+      };
+      return runMiddleware([double, double], 'outbound', context, () => context.data)
+        .then((result) => {
+          assert.strictEqual(result, 4);
+        });
+    });
+
+    it('short-circuits when a hook does not call next', () => {
+      const last = sinon.spy();
+      const cache = { outbound: () => 'cached' };
+      const after = { outbound: sinon.spy((context, next) => next()) };
+      return runMiddleware([cache, after], 'outbound', {}, last)
+        .then((result) => {
+          assert.strictEqual(result, 'cached');
+          sinon.assert.notCalled(last);
+          sinon.assert.notCalled(after.outbound);
+        });
+    });
+
+    it('rejects when a hook throws', () => {
+      const last = sinon.spy();
+      const gate = {
+        outbound() {
+          throw new Error('Nope');
+        },
+      };
+      return runMiddleware([gate], 'outbound', {}, last)
+        .then(() => {
+          throw new Error('Expected an error');
+        }, (e) => {
+          assert.strictEqual(e.message, 'Nope');
+          sinon.assert.notCalled(last);
+        });
+    });
+
+    it('passes errors from the last step back through the hooks', () => {
+      const recover = {
+        inbound: (context, next) => next().catch(e => `recovered from ${e.message}`),
+      };
+      const last = () => Promise.reject(new Error('Broken'));
+      return runMiddleware([recover], 'inbound', {}, last)
+        .then((result) => {
+          assert.strictEqual(result, 'recovered from Broken');
+        });
+    });
+
+    it('rejects if a hook calls next more than once', () => {
+      const twice = { outbound: (context, next) => next().then(next) };
+      return runMiddleware([twice], 'outbound', {}, () => 'result')
+        .then(() => {
+          throw new Error('Expected an error');
+        }, (e) => {
+          assert.match(e.message, /more than once/);
+        });
+    });
+  });
+});
@@ -0,0 +1,55 @@
+import { createInspector } from '../src/inspector';
+import { describeEntry, createInspectorOverlay } from '../src/overlay';
+
+const itWithDocument = typeof document !== 'undefined' ? it : it.skip;
+
+describe('overlay', () => {
+  describe('describeEntry', () => {
+    it('describes an entry in one line', () => {
+      assert.strictEqual(describeEntry({
+        direction: 'outbound',
+        action: 'ping',
+        id: '1',
+        size: 42,
+        outcome: 'resolved',
+        latency: 12,
+      }), '→ ping #1 42b resolved 12ms');
+      assert.strictEqual(describeEntry({
+        direction: 'inbound',
+        action: '__WK_EVENT__',
+        event: 'cart',
+        size: null,
+      }), '← __WK_EVENT__ cart');
+      assert.strictEqual(describeEntry({
+        direction: 'outbound',
+        channel: 'payments',
+        action: 'charge',
+        id: '2',
+        size: 10,
+        outcome: 'pending',
+      }), '→ [payments] charge #2 10b pending');
+    });
+  });
+
+  describe('createInspectorOverlay', () => {
+    itWithDocument('shows the latest entries on top of the page', (done) => {
+      const inspector = createInspector();
+      const container = document.createElement('div');
+      const overlay = createInspectorOverlay(inspector, { container, rows: 2 });
+      assert.strictEqual(overlay.element.parentNode, container);
+
+      inspector.record('outbound', { id: '1', action: 'first' });
+      inspector.record('outbound', { id: '2', action: 'second' });
+      inspector.record('outbound', { id: '3', action: 'third' });
+      setTimeout(() => {
+        const items = overlay.element.querySelectorAll('li');
+        assert.strictEqual(items.length, 2);
+        assert.match(items[0].textContent, /third/);
+        assert.match(items[1].textContent, /second/);
+        overlay.destroy();
+        assert.isNull(overlay.element.parentNode);
+        done();
+      }, 60);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import {
+  PROTOCOL_VERSION,
+  FEATURES,
+  getMessageType,
+  parseHandshakeResult,
+  canUseFeature,
+  HANDSHAKE_ACTION,
+  CALLBACK_ACTION,
+  clone,
+} from '../src/protocol';
+
+describe('protocol', () => {
+  describe('getMessageType', () => {
+    it('includes the protocol version', () => {
+      assert.strictEqual(getMessageType(1), 'application/x-wkpostmessenger-v1+json');
+      assert.strictEqual(getMessageType(2), 'application/x-wkpostmessenger-v2+json');
+    });
+  });
+
+  describe('parseHandshakeResult', () => {
+    it('treats a bare acknowledgment as version 1', () => {
+      const v1 = { protocol: 1, features: [], app: {} };
+      assert.deepEqual(parseHandshakeResult(), v1);
+      assert.deepEqual(parseHandshakeResult('wkPostMessengerHandleMessage'), v1);
+      assert.deepEqual(parseHandshakeResult({ ok: true }), v1);
+    });
+
+    it('reads the protocol, features and app metadata', () => {
+      assert.deepEqual(parseHandshakeResult({
+        protocol: 2,
+        features: ['batch'],
+        app: { version: '3.1.0', platform: 'ios' },
+      }), {
+        protocol: 2,
+        features: ['batch'],
+        app: { version: '3.1.0', platform: 'ios' },
+      });
+    });
+
+    it('settles on the latest version both sides speak', () => {
+      assert.strictEqual(parseHandshakeResult({ protocol: 99 }).protocol, PROTOCOL_VERSION);
+    });
+
+    it('ignores malformed features and metadata', () => {
+      assert.deepEqual(parseHandshakeResult({ protocol: 2, features: 'batch', app: 'ios' }), {
+        protocol: 2,
+        features: [],
+        app: {},
+      });
+    });
+  });
+
+  describe('canUseFeature', () => {
+    it('trusts the options before the handshake and with version 1 apps', () => {
+      assert.isTrue(canUseFeature(null, FEATURES.BATCH));
+      assert.isTrue(canUseFeature(parseHandshakeResult(), FEATURES.BATCH));
+    });
+
+    it('checks the features announced by version 2 apps', () => {
+      const remote = parseHandshakeResult({ protocol: 2, features: [FEATURES.CHUNK] });
+      assert.isTrue(canUseFeature(remote, FEATURES.CHUNK));
+      assert.isFalse(canUseFeature(remote, FEATURES.BATCH));
+    });
+  });
+
+  describe('reserved actions', () => {
+    it('keeps the names that apps already speak', () => {
+      assert.strictEqual(HANDSHAKE_ACTION, '__WK_HANDSHAKE__');
+      assert.strictEqual(CALLBACK_ACTION, '__WK_CALLBACK__');
+    });
+  });
+
+  describe('clone', () => {
+    it('copies payloads the way postMessage does', () => {
+      const data = { when: new Date(0), skipped: undefined, list: [1] };
+      const copy = clone(data);
+      assert.deepEqual(copy, { when: '1970-01-01T00:00:00.000Z', list: [1] });
+      assert.notStrictEqual(copy.list, data.list);
+      assert.isUndefined(clone(undefined));
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { resolveStorage, createDurableQueue } from '../src/queue';
+import createMemoryStorage from './helpers/createMemoryStorage';
+
+
+describe('queue', () => {
+  describe('resolveStorage', () => {
+    it('uses a Storage object as-is', () => {
+      const storage = createMemoryStorage();
+      assert.strictEqual(resolveStorage(storage), storage);
+    });
+
+    it('finds sessionStorage and localStorage', () => {
+      const scope = {
+        sessionStorage: createMemoryStorage(),
+        localStorage: createMemoryStorage(),
+      };
+      assert.strictEqual(resolveStorage('session', scope), scope.sessionStorage);
+      assert.strictEqual(resolveStorage('local', scope), scope.localStorage);
+    });
+
+    it('returns null when storage is blocked', () => {
+      const scope = {
+        get sessionStorage() {
+          throw new Error('SecurityError');
+        },
+      };
+      assert.isNull(resolveStorage('session', scope));
+      assert.isNull(resolveStorage('local', {}));
+    });
+
+    it('returns null without storage', () => {
+      assert.isNull(resolveStorage());
+      assert.isNull(resolveStorage('nonsense'));
+    });
+  });
+
+  describe('createDurableQueue', () => {
+    it('adds and removes messages', () => {
+      const storage = createMemoryStorage();
+      const queue = createDurableQueue(storage, 'testQueue');
+      assert.deepEqual(queue.read(), []);
+      queue.add({ id: '1', action: 'first' });
+      queue.add({ id: '2', action: 'second' });
+      queue.add({ id: '1', action: 'first' });
+      assert.deepEqual(queue.read(), [
+        { id: '2', action: 'second' },
+        { id: '1', action: 'first' },
+      ]);
+      queue.remove('2');
+      assert.deepEqual(JSON.parse(storage.getItem('testQueue')), [{ id: '1', action: 'first' }]);
+      queue.remove('1');
+      assert.isNull(storage.getItem('testQueue'));
+    });
+
+    it('ignores corrupt data', () => {
+      const storage = createMemoryStorage();
+      storage.setItem('testQueue', '{not json');
+      assert.deepEqual(createDurableQueue(storage, 'testQueue').read(), []);
+    });
+
+    it('ignores storage errors', () => {
+      const storage = createMemoryStorage();
+      storage.setItem = () => {
+        throw new Error('QuotaExceededError');
+      };
+      const queue = createDurableQueue(storage, 'testQueue');
+      assert.doesNotThrow(() => {
+        queue.add({ id: '1' });
+      });
+      assert.deepEqual(queue.read(), []);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import {
+  TRACE_VERSION,
+  INBOUND_ROUTES,
+  REDACTED,
+  createRecorder,
+} from '../src/recorder';
+
+describe('recorder', () => {
+  describe('createRecorder', () => {
+    let time;
+    const now = () => time;
+
+    beforeEach(() => {
+      time = 1000;
+    });
+
+    it('records payloads in both directions with their time since recording started', () => {
+      const recorder = createRecorder({ now });
+      recorder.outbound({ id: '1', action: 'ping', data: { text: 'hi' } });
+      time = 1025;
+      recorder.inbound(INBOUND_ROUTES.CALLBACK, { id: '1', data: 'pong' });
+      assert.deepEqual(recorder.entries(), [
+        {
+          seq: 1,
+          time: 0,
+          direction: 'outbound',
+          payload: { id: '1', action: 'ping', data: { text: 'hi' } },
+        },
+        {
+          seq: 2,
+          time: 25,
+          direction: 'inbound',
+          route: 'callback',
+          payload: { id: '1', data: 'pong' },
+        },
+      ]);
+    });
+
+    it('copies payloads the way they would be serialized', () => {
+      const recorder = createRecorder({ now });
+      const data = { list: [1], skipped: undefined };
+      recorder.outbound({ id: '1', action: 'a', data });
+      data.list.push(2);
+      const circular = {};
+      circular.self = circular;
+      recorder.outbound({ id: '2', action: 'b', data: circular });
+      const entries = recorder.entries();
+      assert.deepEqual(entries[0].payload, { id: '1', action: 'a', data: { list: [1] } });
+      assert.isNull(entries[1].payload);
+    });
+
+    it('leaves secrets out', () => {
+      const recorder = createRecorder({ now, secrets: () => ['s3cret'] });
+      recorder.outbound({
+        id: '1',
+        action: '__WK_HANDSHAKE__',
+        secret: 's3cret',
+        auth: 'hmac',
+      });
+      recorder.outbound({ id: '2', action: 'a', data: ['s3cret', 'other'] });
+      recorder.inbound(INBOUND_ROUTES.HANDLER, { id: '3', action: 'b', auth: 'signature' });
+      assert.deepEqual(recorder.entries().map(({ payload }) => payload), [
+        {
+          id: '1',
+          action: '__WK_HANDSHAKE__',
+          secret: REDACTED,
+          auth: 'hmac',
+        },
+        { id: '2', action: 'a', data: [REDACTED, 'other'] },
+        { id: '3', action: 'b', auth: REDACTED },
+      ]);
+      assert.notInclude(JSON.stringify(recorder), 's3cret');
+    });
+
+    it('stops recording once it is full', () => {
+      const recorder = createRecorder({ maxEntries: 2, now });
+      recorder.outbound({ id: '1', action: 'a' });
+      recorder.outbound({ id: '2', action: 'b' });
+      recorder.outbound({ id: '3', action: 'c' });
+      assert.deepEqual(recorder.entries().map(({ payload }) => payload.id), ['1', '2']);
+      assert.isTrue(recorder.toJSON().truncated);
+    });
+
+    it('requires room for an entry', () => {
+      assert.throws(() => createRecorder({ maxEntries: 0 }), TypeError);
+    });
+
+    it('starts over when cleared', () => {
+      const recorder = createRecorder({ maxEntries: 1, now });
+      recorder.outbound({ id: '1', action: 'a' });
+      recorder.outbound({ id: '2', action: 'b' });
+      time = 2000;
+      recorder.clear();
+      recorder.outbound({ id: '3', action: 'c' });
+      const trace = recorder.toJSON();
+      assert.isFalse(trace.truncated);
+      assert.strictEqual(trace.startedAt, new Date(2000).toISOString());
+      assert.deepEqual(trace.entries.map(entry => [entry.seq, entry.time]), [[1, 0]]);
+    });
+
+    it('exports a trace with its metadata', () => {
+      const recorder = createRecorder({ now, info: () => ({ transport: 'webkit' }) });
+      recorder.outbound({ id: '1', action: 'a' });
+      const trace = JSON.parse(JSON.stringify(recorder));
+      assert.strictEqual(trace.transport, 'webkit');
+      assert.strictEqual(trace.version, TRACE_VERSION);
+      assert.strictEqual(trace.startedAt, new Date(1000).toISOString());
+      assert.isFalse(trace.truncated);
+      assert.deepEqual(trace.entries, recorder.entries());
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import WKPostMessenger from '../src/WKPostMessenger';
+import WKPostMessengerHost from '../src/WKPostMessengerHost';
+import { TRACE_VERSION, REDACTED } from '../src/recorder';
+import { DIFFERENCES, replayTrace } from '../src/replay';
+
+// What the web app does in every session, so that the same code runs while recording and replaying
+const startApp = (postMessenger, data = { a: 1, b: 2 }) => {
+  postMessenger.handle('greet', name => `hello ${name}`);
+  return postMessenger.sendMessage('add', data);
+};
+
+const recordSession = () => {
+  const host = new WKPostMessengerHost();
+  host.handle('add', ({ a, b }) => a + b);
+  const postMessenger = new WKPostMessenger({ record: true });
+  return startApp(postMessenger)
+    .then(() => host.sendMessage('greet', 'app'))
+    .then(() => {
+      const trace = JSON.parse(JSON.stringify(postMessenger.recorder));
+      postMessenger.destroy();
+      host.destroy();
+      delete window.webkit;
+      return trace;
+    });
+};
+
+const handTrace = entries => ({
+  version: TRACE_VERSION,
+  transport: 'webkit',
+  handlerGlobal: 'wkPostMessengerHandleMessage',
+  callbackGlobal: 'wkPostMessengerCallback',
+  entries,
+});
+
+describe('replay', () => {
+  describe('replayTrace', () => {
+    it('replays a session against a fresh instance', () => {
+      let added;
+      return recordSession()
+        .then(trace => replayTrace(trace, (transport) => {
+          const postMessenger = new WKPostMessenger({ transport });
+          added = startApp(postMessenger);
+          return postMessenger;
+        }, { speed: 0 }))
+        .then((report) => {
+          assert.isTrue(report.matched);
+          assert.deepEqual(report.differences, []);
+          assert.deepEqual(report.outbound, { expected: 3, actual: 3 });
+          return added;
+        })
+        .then((result) => {
+          assert.strictEqual(result, 3);
+        });
+    });
+
+    it('takes the trace as JSON', () => recordSession()
+      .then(trace => replayTrace(JSON.stringify(trace), (transport) => {
+        const postMessenger = new WKPostMessenger({ transport });
+        startApp(postMessenger);
+        return postMessenger;
+      }, { speed: 0 }))
+      .then((report) => {
+        assert.isTrue(report.matched);
+      }));
+
+    it('reports where the replay differs from the trace', () => recordSession()
+      .then(trace => replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport });
+        startApp(postMessenger, { a: 1, b: 5 });
+        return postMessenger;
+      }, { speed: 0 }))
+      .then((report) => {
+        assert.isFalse(report.matched);
+        assert.lengthOf(report.differences, 1);
+        const [difference] = report.differences;
+        assert.strictEqual(difference.kind, DIFFERENCES.CHANGED);
+        assert.strictEqual(difference.index, 2);
+        assert.strictEqual(difference.path, 'data.b');
+        assert.deepEqual(difference.expected.data, { a: 1, b: 2 });
+        assert.deepEqual(difference.actual.data, { a: 1, b: 5 });
+      }));
+
+    it('ignores keys that are expected to differ', () => recordSession()
+      .then(trace => replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport });
+        startApp(postMessenger, { a: 1, b: 5 });
+        return postMessenger;
+      }, { speed: 0, ignore: ['b'] }))
+      .then((report) => {
+        assert.isTrue(report.matched);
+      }));
+
+    it('reports payloads that are never posted', () => recordSession()
+      .then(trace => replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport });
+        postMessenger.handle('greet', name => `hello ${name}`);
+        return postMessenger;
+      }, { speed: 0, timeout: 10 }))
+      .then((report) => {
+        assert.deepEqual(report.differences.map(({ kind, index }) => [kind, index]), [
+          [DIFFERENCES.MISSING, 2],
+        ]);
+        assert.strictEqual(report.differences[0].expected.action, 'add');
+        assert.deepEqual(report.outbound, { expected: 3, actual: 2 });
+      }));
+
+    it('reports payloads posted after the end of the trace', () => {
+      const trace = handTrace([
+        {
+          seq: 1,
+          time: 0,
+          direction: 'inbound',
+          route: 'handler',
+          payload: { id: 'app-1', action: 'greet', data: 'app' },
+        },
+      ]);
+      return replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport, autoHandshake: false });
+        postMessenger.handle('greet', name => `hello ${name}`);
+        return postMessenger;
+      }, { speed: 0 })
+        .then((report) => {
+          assert.lengthOf(report.differences, 1);
+          const [difference] = report.differences;
+          assert.strictEqual(difference.kind, DIFFERENCES.UNEXPECTED);
+          assert.strictEqual(difference.index, 1);
+          assert.strictEqual(difference.actual.id, 'app-1');
+          assert.strictEqual(difference.actual.data, 'hello app');
+        });
+    });
+
+    it('delivers payloads that arrived through the transport', () => {
+      const trace = handTrace([
+        {
+          seq: 1,
+          time: 0,
+          direction: 'inbound',
+          route: 'transport',
+          payload: { id: 'app-1', action: 'greet', data: 'app' },
+        },
+      ]);
+      let greeted;
+      return replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport, autoHandshake: false });
+        postMessenger.handle('greet', (name) => {
+          greeted = name;
+        });
+        return postMessenger;
+      }, { speed: 0 })
+        .then(() => {
+          assert.strictEqual(greeted, 'app');
+        });
+    });
+
+    describe('hardened sessions', () => {
+      let globalCount = 0;
+      // Locked globals can't be removed, so every instance needs its own
+      const createGlobals = () => {
+        globalCount += 1;
+        return {
+          handlerGlobal: `replayHardenedHandleMessage${globalCount}`,
+          callbackGlobal: `replayHardenedCallback${globalCount}`,
+        };
+      };
+      const replayHardened = (hardened, options) => {
+        const globals = createGlobals();
+        const trace = {
+          ...handTrace([
+            {
+              seq: 1,
+              time: 0,
+              direction: 'inbound',
+              route: 'handler',
+              payload: {
+                id: 'app-1',
+                action: 'greet',
+                data: 'app',
+                auth: REDACTED,
+              },
+            },
+          ]),
+          ...globals,
+        };
+        const greet = sinon.spy();
+        const security = sinon.spy();
+        return replayTrace(trace, (transport) => {
+          const postMessenger = new WKPostMessenger({
+            ...globals,
+            transport,
+            hardened,
+            autoHandshake: false,
+          });
+          postMessenger.handle('greet', greet).on('security', security);
+          return postMessenger;
+        }, { speed: 0, ...options })
+          .then(() => ({ greet, security }));
+      };
+
+      it('authenticates calls from the app with the secret from the options', () => (
+        replayHardened({ secret: 's3cret' }, { secret: 's3cret' })
+          .then(({ greet, security }) => {
+            sinon.assert.calledWith(greet, 'app');
+            sinon.assert.notCalled(security);
+          })
+      ));
+
+      it('signs calls from the app in hmac mode', () => (
+        replayHardened({ secret: 's3cret', auth: 'hmac' }, { secret: 's3cret' })
+          .then(({ greet, security }) => {
+            sinon.assert.calledWith(greet, 'app');
+            sinon.assert.notCalled(security);
+          })
+      ));
+
+      it('sends calls from the app without authentication if there is no secret', () => (
+        replayHardened({ secret: 's3cret' })
+          .then(({ greet, security }) => {
+            sinon.assert.notCalled(greet);
+            sinon.assert.calledWithMatch(security, { reason: 'missing', id: 'app-1' });
+          })
+      ));
+
+      it('compares the handshake without the secret', () => {
+        const host = new WKPostMessengerHost();
+        const recorded = new WKPostMessenger({
+          ...createGlobals(),
+          record: true,
+          hardened: { secret: 'recorded' },
+        });
+        return recorded.sendHandshake()
+          .then(() => {
+            const trace = JSON.parse(JSON.stringify(recorded.recorder));
+            recorded.destroy();
+            host.destroy();
+            delete window.webkit;
+            // The handshake carries the names of the globals, which differ in every test
+            return replayTrace(trace, transport => new WKPostMessenger({
+              ...createGlobals(),
+              transport,
+              hardened: { secret: 'replayed' },
+            }), { speed: 0, secret: 'replayed', ignore: ['data', 'callback'] });
+          })
+          .then((report) => {
+            assert.isTrue(report.matched);
+            assert.deepEqual(report.outbound, { expected: 1, actual: 1 });
+          });
+      });
+    });
+
+    it('keeps the recorded timing', () => {
+      const trace = handTrace([
+        {
+          seq: 1,
+          time: 100,
+          direction: 'inbound',
+          route: 'handler',
+          payload: { id: 'app-1', action: 'greet', data: 'app' },
+        },
+      ]);
+      const replay = speed => replayTrace(trace, (transport) => {
+        const postMessenger = new WKPostMessenger({ transport, autoHandshake: false });
+        postMessenger.handle('greet', () => {});
+        return postMessenger;
+      }, { speed });
+      let startedAt = Date.now();
+      return replay(1)
+        .then(() => {
+          assert.isAtLeast(Date.now() - startedAt, 90);
+          startedAt = Date.now();
+          return replay(0);
+        })
+        .then(() => {
+          assert.isBelow(Date.now() - startedAt, 90);
+        });
+    });
+
+    it('destroys the instance once it is done', () => {
+      let postMessenger;
+      return replayTrace(handTrace([]), (transport) => {
+        postMessenger = new WKPostMessenger({ transport, autoHandshake: false });
+        return postMessenger;
+      })
+        .then(() => {
+          assert.strictEqual(postMessenger.state, 'closed');
+          assert.isUndefined(window.wkPostMessengerHandleMessage);
+        });
+    });
+
+    it('throws for bad traces', () => {
+      const create = transport => new WKPostMessenger({ transport, autoHandshake: false });
+      assert.throws(() => replayTrace({}, create), TypeError);
+      const newer = { version: TRACE_VERSION + 1, entries: [] };
+      assert.throws(() => replayTrace(newer, create), TypeError);
+      assert.throws(() => replayTrace(handTrace([])), TypeError);
+      assert.throws(() => replayTrace(handTrace([]), () => new WKPostMessenger({
+        transport: { send() {} },
+        autoHandshake: false,
+      })), TypeError);
+      assert.isUndefined(window.wkPostMessengerHandleMessage);
+    });
+
+    it('is available on the host', () => {
+      assert.strictEqual(WKPostMessengerHost.replayTrace, replayTrace);
+    });
+  });
+});
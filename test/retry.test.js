@@ -0,0 +1,73 @@
+import { normalizeRetryPolicy, getRetryDelay, wait } from '../src/retry';
+import { createAbortController } from '../src/abort';
+import { AbortError } from '../src/errors';
+
+describe('retry', () => {
+  describe('normalizeRetryPolicy', () => {
+    it('does not retry by default', () => {
+      assert.strictEqual(normalizeRetryPolicy().attempts, 1);
+    });
+
+    it('accepts the number of attempts', () => {
+      const policy = normalizeRetryPolicy(4);
+      assert.strictEqual(policy.attempts, 4);
+      assert.strictEqual(policy.delay, 200);
+    });
+
+    it('fills in missing options with defaults', () => {
+      assert.deepEqual(normalizeRetryPolicy({ attempts: 3, delay: 10 }), {
+        attempts: 3,
+        delay: 10,
+        maxDelay: 5000,
+        factor: 2,
+        jitter: 0.5,
+      });
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    const policy = normalizeRetryPolicy({
+      delay: 100,
+      maxDelay: 1000,
+      factor: 3,
+      jitter: 0.5,
+    });
+
+    it('backs off exponentially up to the maximum delay', () => {
+      const noJitter = () => 0;
+      assert.strictEqual(getRetryDelay(policy, 1, noJitter), 100);
+      assert.strictEqual(getRetryDelay(policy, 2, noJitter), 300);
+      assert.strictEqual(getRetryDelay(policy, 3, noJitter), 900);
+      assert.strictEqual(getRetryDelay(policy, 4, noJitter), 1000);
+    });
+
+    it('randomizes part of the delay', () => {
+      assert.strictEqual(getRetryDelay(policy, 2, () => 1), 150);
+      assert.strictEqual(getRetryDelay(policy, 2, () => 0.5), 225);
+    });
+  });
+
+  describe('wait', () => {
+    it('resolves after the delay', () => {
+      const clock = sinon.useFakeTimers();
+      const resolved = sinon.spy(() => {});
+      const promise = wait(100).then(resolved);
+      clock.tick(100);
+      clock.restore();
+      return promise.then(() => {
+        sinon.assert.calledOnce(resolved);
+      });
+    });
+
+    it('rejects with an AbortError when the signal is aborted', () => {
+      const controller = createAbortController();
+      const promise = wait(10000, controller.signal);
+      controller.abort();
+      return promise
+        .then(() => Promise.reject('Wait was not aborted'))
+        .catch((e) => {
+          assert.instanceOf(e, AbortError);
+        });
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { PRIORITIES, getPriorityLevel, createScheduler } from '../src/scheduler';
+import { createAbortController } from '../src/abort';
+import { AbortError, DestroyedError } from '../src/errors';
+
+const waitFor = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+const createTask = (log, name) => {
+  const task = {};
+  task.done = new Promise((resolve) => {
+    task.finish = resolve;
+  });
+  task.run = () => {
+    log.push(name);
+    return task.done.then(() => name);
+  };
+  return task;
+};
+
+describe('scheduler', () => {
+  describe('getPriorityLevel', () => {
+    it('orders the named priorities', () => {
+      assert.isAbove(getPriorityLevel(PRIORITIES.HIGH), getPriorityLevel(PRIORITIES.NORMAL));
+      assert.isAbove(getPriorityLevel(PRIORITIES.NORMAL), getPriorityLevel(PRIORITIES.LOW));
+      assert.strictEqual(getPriorityLevel(), getPriorityLevel(PRIORITIES.NORMAL));
+      assert.strictEqual(getPriorityLevel(5), 5);
+    });
+
+    it('throws for unknown priorities', () => {
+      assert.throws(() => getPriorityLevel('urgent'), TypeError);
+    });
+  });
+
+  describe('createScheduler', () => {
+    it('runs everything right away without a limit', () => {
+      const log = [];
+      const scheduler = createScheduler();
+      const tasks = [createTask(log, 'a'), createTask(log, 'b')];
+      tasks.forEach(task => scheduler.schedule(task.run));
+      assert.deepEqual(log, ['a', 'b']);
+      assert.strictEqual(scheduler.stats().inFlight, 2);
+    });
+
+    it('only accepts numbers as the limit', () => {
+      assert.throws(() => createScheduler({ maxInFlight: -1 }), TypeError);
+      assert.throws(() => createScheduler({ maxInFlight: '2' }), TypeError);
+    });
+
+    it('queues tasks beyond the limit by priority', () => {
+      const log = [];
+      const scheduler = createScheduler({ maxInFlight: 1 });
+      const first = createTask(log, 'first');
+      const tasks = [
+        createTask(log, 'low'),
+        createTask(log, 'normal'),
+        createTask(log, 'high'),
+        createTask(log, 'urgent'),
+      ];
+      const results = [scheduler.schedule(first.run)].concat([
+        scheduler.schedule(tasks[0].run, { priority: 'low' }),
+        scheduler.schedule(tasks[1].run),
+        scheduler.schedule(tasks[2].run, { priority: 'high' }),
+        scheduler.schedule(tasks[3].run, { priority: 10 }),
+      ]);
+      assert.deepEqual(log, ['first']);
+      assert.deepEqual(scheduler.stats().byPriority, {
+        10: 1,
+        high: 1,
+        normal: 1,
+        low: 1,
+      });
+      first.finish();
+      tasks.forEach(task => task.finish());
+      return Promise.all(results).then((values) => {
+        assert.deepEqual(values, ['first', 'low', 'normal', 'high', 'urgent']);
+        assert.deepEqual(log, ['first', 'urgent', 'high', 'normal', 'low']);
+        assert.strictEqual(scheduler.stats().inFlight, 0);
+      });
+    });
+
+    it('runs tasks with the same key one at a time and in order', () => {
+      const log = [];
+      const scheduler = createScheduler({ maxInFlight: 5 });
+      const a1 = createTask(log, 'a1');
+      const a2 = createTask(log, 'a2');
+      const b1 = createTask(log, 'b1');
+      scheduler.schedule(a1.run, { key: 'a' });
+      const second = scheduler.schedule(a2.run, { key: 'a', priority: 'high' });
+      scheduler.schedule(b1.run, { key: 'b' });
+      assert.deepEqual(log, ['a1', 'b1']);
+      assert.strictEqual(scheduler.stats().queued, 1);
+      a1.finish();
+      a2.finish();
+      return second.then(() => {
+        assert.deepEqual(log, ['a1', 'b1', 'a2']);
+      });
+    });
+
+    it('moves on when a task fails', () => {
+      const scheduler = createScheduler({ maxInFlight: 1 });
+      const failing = scheduler.schedule(() => Promise.reject(new Error('nope')));
+      const next = scheduler.schedule(() => 'next');
+      return failing
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.strictEqual(e.message, 'nope');
+          return next;
+        })
+        .then((result) => {
+          assert.strictEqual(result, 'next');
+        });
+    });
+
+    it('takes aborted tasks out of the queue', () => {
+      const log = [];
+      const scheduler = createScheduler({ maxInFlight: 1 });
+      const first = createTask(log, 'first');
+      const queued = createTask(log, 'queued');
+      const controller = createAbortController();
+      scheduler.schedule(first.run);
+      const promise = scheduler.schedule(queued.run, { signal: controller.signal });
+      controller.abort();
+      first.finish();
+      return promise
+        .then(() => {
+          assert.fail('should not resolve');
+        }, (e) => {
+          assert.instanceOf(e, AbortError);
+          return waitFor(0);
+        })
+        .then(() => {
+          assert.deepEqual(log, ['first']);
+          assert.strictEqual(scheduler.stats().queued, 0);
+        });
+    });
+
+    it('rejects everything in the queue when cleared', () => {
+      const log = [];
+      const scheduler = createScheduler({ maxInFlight: 1 });
+      scheduler.schedule(createTask(log, 'first').run);
+      const queued = scheduler.schedule(createTask(log, 'queued').run);
+      scheduler.clear(new DestroyedError());
+      return queued.then(() => {
+        assert.fail('should not resolve');
+      }, (e) => {
+        assert.instanceOf(e, DestroyedError);
+        assert.deepEqual(log, ['first']);
+      });
+    });
+
+    it('keeps track of how long tasks wait', () => {
+      let time = 1000;
+      const log = [];
+      const scheduler = createScheduler({ maxInFlight: 1, now: () => time });
+      const first = createTask(log, 'first');
+      scheduler.schedule(first.run);
+      scheduler.schedule(createTask(log, 'second').run);
+      time += 40;
+      assert.strictEqual(scheduler.stats().oldestWait, 40);
+      first.finish();
+      return waitFor(0).then(() => {
+        const stats = scheduler.stats();
+        assert.strictEqual(stats.queued, 0);
+        assert.strictEqual(stats.inFlight, 1);
+        assert.strictEqual(stats.oldestWait, 0);
+        assert.strictEqual(stats.maxWait, 40);
+        assert.strictEqual(stats.averageWait, 20);
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { validate, typeOf } from '../src/schema';
+
+describe('schema', () => {
+  describe('typeOf', () => {
+    it('tells arrays and null apart from objects', () => {
+      assert.strictEqual(typeOf([]), 'array');
+      assert.strictEqual(typeOf(null), 'null');
+      assert.strictEqual(typeOf({}), 'object');
+      assert.strictEqual(typeOf('a'), 'string');
+    });
+  });
+
+  describe('validate', () => {
+    it('accepts anything without a schema', () => {
+      assert.deepEqual(validate(undefined, 42), []);
+      assert.deepEqual(validate({}, 42), []);
+    });
+
+    it('checks types', () => {
+      assert.deepEqual(validate({ type: 'string' }, 'a'), []);
+      assert.deepEqual(validate({ type: 'string' }, 1), [
+        { path: 'data', message: 'must be string, not number' },
+      ]);
+      assert.deepEqual(validate({ type: ['string', 'null'] }, null), []);
+      assert.deepEqual(validate({ type: 'array' }, {}), [
+        { path: 'data', message: 'must be array, not object' },
+      ]);
+    });
+
+    it('tells integers apart from other numbers', () => {
+      assert.deepEqual(validate({ type: 'integer' }, 3), []);
+      assert.lengthOf(validate({ type: 'integer' }, 3.5), 1);
+    });
+
+    it('checks enums', () => {
+      assert.deepEqual(validate({ enum: ['a', 'b'] }, 'b'), []);
+      assert.deepEqual(validate({ enum: ['a', 'b'] }, 'c'), [
+        { path: 'data', message: 'must be one of "a", "b"' },
+      ]);
+    });
+
+    it('checks strings', () => {
+      const schema = { minLength: 2, maxLength: 4, pattern: '^[a-z]+$' };
+      assert.deepEqual(validate(schema, 'abc'), []);
+      assert.lengthOf(validate(schema, 'a'), 1);
+      assert.lengthOf(validate(schema, 'abcde'), 1);
+      assert.lengthOf(validate(schema, 'AB'), 1);
+    });
+
+    it('checks numbers', () => {
+      const schema = { minimum: 1, maximum: 10 };
+      assert.deepEqual(validate(schema, 5), []);
+      assert.deepEqual(validate(schema, 0), [{ path: 'data', message: 'must be at least 1' }]);
+      assert.deepEqual(validate(schema, 11), [{ path: 'data', message: 'must be at most 10' }]);
+    });
+
+    it('checks objects and reports the path of each violation', () => {
+      const schema = {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          tags: { type: 'array', items: { type: 'string' }, maxItems: 3 },
+        },
+        additionalProperties: false,
+      };
+      assert.deepEqual(validate(schema, { id: 1, name: 'a', tags: ['b'] }), []);
+      assert.deepEqual(validate(schema, { id: 'x', tags: ['b', 2], extra: true }), [
+        { path: 'data.name', message: 'is required' },
+        { path: 'data.id', message: 'must be integer, not string' },
+        { path: 'data.tags[1]', message: 'must be string, not number' },
+        { path: 'data.extra', message: 'is not allowed' },
+      ]);
+    });
+
+    it('checks additional properties against a schema', () => {
+      const schema = { type: 'object', additionalProperties: { type: 'number' } };
+      assert.deepEqual(validate(schema, { a: 1, b: 2 }), []);
+      assert.deepEqual(validate(schema, { a: 'x' }), [
+        { path: 'data.a', message: 'must be number, not string' },
+      ]);
+    });
+
+    it('checks anyOf', () => {
+      const schema = { anyOf: [{ type: 'string' }, { type: 'number', minimum: 0 }] };
+      assert.deepEqual(validate(schema, 'a'), []);
+      assert.deepEqual(validate(schema, 1), []);
+      assert.lengthOf(validate(schema, -1), 1);
+    });
+
+    it('uses the given path', () => {
+      assert.deepEqual(validate({ type: 'string' }, 1, 'result'), [
+        { path: 'result', message: 'must be string, not number' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,28 @@
+// Writes codegen.json again from what the built command generates for contracts.json, after
+// changing what the generators output on purpose. Run it with `npm run update-snapshots`.
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+const command = path.resolve(__dirname, '../../dist/wk-postmessenger-codegen.js');
+const contracts = path.resolve(__dirname, 'contracts.json');
+
+// The same options as in test/codegen.test.js
+const generate = (...options) => childProcess.execFileSync(
+  process.execPath,
+  [command, contracts].concat(options),
+  { encoding: 'utf8' },
+);
+
+const snapshots = {
+  swift: generate('--swift', '-'),
+  kotlin: generate('--kotlin', '-', '--package', 'com.example.bridge'),
+  typescript: generate('--typescript', '-'),
+};
+
+Object.keys(snapshots).forEach((language) => {
+  snapshots[language] = snapshots[language].split('\n');
+});
+
+const json = `${JSON.stringify(snapshots, null, 2)}\n`;
+fs.writeFileSync(path.resolve(__dirname, 'codegen.json'), json);
@@ -0,0 +1,141 @@
+import { createAbortController } from '../src/abort';
+import { getAsyncIterator, createStream, streamMessage } from '../src/stream';
+
+describe('stream', () => {
+  describe('getAsyncIterator', () => {
+    it('gets the iterator from an async iterable', () => {
+      const iterator = { next: () => Promise.resolve({ done: true }) };
+      const iterable = { [Symbol.asyncIterator]: () => iterator };
+      assert.strictEqual(getAsyncIterator(iterable), iterator);
+    });
+
+    it('returns null for anything else', () => {
+      assert.isNull(getAsyncIterator(null));
+      assert.isNull(getAsyncIterator(Promise.resolve()));
+      assert.isNull(getAsyncIterator([1, 2, 3]));
+    });
+  });
+
+  describe('createStream', () => {
+    it('delivers pushed values in order, then finishes', () => {
+      const stream = createStream();
+      const { iterator } = stream;
+      stream.push(1);
+      const first = iterator.next();
+      stream.push(2);
+      stream.end();
+      return first
+        .then((step) => {
+          assert.deepEqual(step, { value: 1, done: false });
+          return iterator.next();
+        })
+        .then((step) => {
+          assert.deepEqual(step, { value: 2, done: false });
+          return iterator.next();
+        })
+        .then((step) => {
+          assert.isTrue(step.done);
+        });
+    });
+
+    it('rejects after delivering buffered values when the stream fails', () => {
+      const stream = createStream();
+      const { iterator } = stream;
+      const error = new Error('Broken stream');
+      stream.push('partial');
+      stream.fail(error);
+      return iterator.next()
+        .then((step) => {
+          assert.deepEqual(step, { value: 'partial', done: false });
+          return iterator.next();
+        })
+        .then(() => Promise.reject('Stream did not fail'), (e) => {
+          assert.strictEqual(e, error);
+          return iterator.next();
+        })
+        .then((step) => {
+          assert.isTrue(step.done);
+        });
+    });
+
+    it('calls onReturn when the consumer stops early', () => {
+      const onReturn = sinon.spy(() => {});
+      const stream = createStream(onReturn);
+      return stream.iterator.return()
+        .then((step) => {
+          assert.isTrue(step.done);
+          sinon.assert.calledOnce(onReturn);
+          stream.push('ignored');
+          return stream.iterator.next();
+        })
+        .then((step) => {
+          assert.isTrue(step.done);
+        });
+    });
+
+    it('is async iterable', () => {
+      const { iterator } = createStream();
+      assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    });
+  });
+
+  describe('streamMessage', () => {
+    it('streams the progress frames and finishes with the result', () => {
+      const iterator = streamMessage(({ onProgress }) => {
+        onProgress(1);
+        onProgress(2);
+        return Promise.resolve('done');
+      }, 100);
+      const values = [];
+      const read = () => iterator.next().then((step) => {
+        if (step.done) {
+          return values;
+        }
+        values.push(step.value);
+        return read();
+      });
+      return Promise.all([read(), iterator.result])
+        .then(([streamed, result]) => {
+          assert.deepEqual(streamed, [1, 2]);
+          assert.strictEqual(result, 'done');
+        });
+    });
+
+    it('aborts the message when the consumer stops early', () => {
+      let signal;
+      const iterator = streamMessage((options) => {
+        ({ signal } = options);
+        return new Promise(() => {});
+      });
+      return iterator.return()
+        .then(() => {
+          assert.isTrue(signal.aborted);
+        });
+    });
+
+    it('stops following the signal once there is a result', () => {
+      const controller = createAbortController();
+      const { signal } = controller;
+      sinon.spy(signal, 'addEventListener');
+      sinon.spy(signal, 'removeEventListener');
+      const resolved = streamMessage(() => Promise.resolve('done'), { signal });
+      const rejected = streamMessage(() => Promise.reject(new Error('failed')), { signal });
+      return resolved.result
+        .then(() => rejected.result)
+        .then(() => {
+          throw new Error('Expected the message to fail');
+        }, () => {
+          sinon.assert.calledTwice(signal.addEventListener);
+          sinon.assert.calledTwice(signal.removeEventListener);
+          assert.strictEqual(
+            signal.removeEventListener.firstCall.args[1],
+            signal.addEventListener.firstCall.args[1],
+          );
+          assert.strictEqual(
+            signal.removeEventListener.secondCall.args[1],
+            signal.addEventListener.secondCall.args[1],
+          );
+        });
+    });
+  });
+});
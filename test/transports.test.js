@@ -0,0 +1,199 @@
+import {
+  parsePayload,
+  webkitTransport,
+  androidTransport,
+  reactNativeTransport,
+  postMessageTransport,
+  detectTransport,
+  resolveTransport,
+} from '../src/transports';
+import mockMessageEvents from './helpers/mockMessageEvents';
+
+const TYPE = 'application/x-wkpostmessenger-v2+json';
+
+describe('transports', () => {
+  describe('parsePayload', () => {
+    it('accepts WKPostMessenger payloads', () => {
+      const payload = { type: TYPE, id: '1', action: 'ping' };
+      assert.deepEqual(parsePayload(payload), payload);
+      assert.deepEqual(parsePayload(JSON.stringify(payload)), payload);
+    });
+
+    it('ignores anything else', () => {
+      assert.isNull(parsePayload('not json'));
+      assert.isNull(parsePayload({ type: 'other', action: 'ping' }));
+      assert.isNull(parsePayload(null));
+    });
+  });
+
+  describe('webkitTransport', () => {
+    afterEach(() => {
+      delete window.webkit;
+    });
+
+    it('posts to the script message handler', () => {
+      const postMessage = sinon.spy();
+      window.webkit = { messageHandlers: { bridge: { postMessage } } };
+      assert.isTrue(webkitTransport.isAvailable({ scriptMessageHandler: 'bridge' }));
+      const transport = webkitTransport({ scriptMessageHandler: 'bridge' });
+      transport.send({ action: 'ping' });
+      sinon.assert.calledWith(postMessage, { action: 'ping' });
+    });
+
+    it('is not available outside of WebKit', () => {
+      assert.isFalse(webkitTransport.isAvailable());
+      assert.throws(() => webkitTransport(), "Can't add message handler wkPostMessage");
+    });
+  });
+
+  describe('androidTransport', () => {
+    afterEach(() => {
+      delete window.AndroidBridge;
+    });
+
+    it('posts JSON to the JavaScript interface', () => {
+      const postMessage = sinon.spy();
+      window.AndroidBridge = { postMessage };
+      assert.isTrue(androidTransport.isAvailable({ interfaceName: 'AndroidBridge' }));
+      androidTransport({ interfaceName: 'AndroidBridge' }).send({ action: 'ping' });
+      sinon.assert.calledWith(postMessage, '{"action":"ping"}');
+    });
+
+    it('is not available without the JavaScript interface', () => {
+      assert.isFalse(androidTransport.isAvailable({ interfaceName: 'AndroidBridge' }));
+    });
+  });
+
+  describe('reactNativeTransport', () => {
+    let events;
+    beforeEach(() => {
+      events = mockMessageEvents(window);
+    });
+    afterEach(() => {
+      events.restore();
+      delete window.ReactNativeWebView;
+    });
+
+    it('posts JSON to the React Native WebView', () => {
+      const postMessage = sinon.spy();
+      window.ReactNativeWebView = { postMessage };
+      assert.isTrue(reactNativeTransport.isAvailable());
+      reactNativeTransport().send({ action: 'ping' });
+      sinon.assert.calledWith(postMessage, '{"action":"ping"}');
+    });
+
+    it('receives payloads from message events', () => {
+      const receive = sinon.spy();
+      const unlisten = reactNativeTransport().listen(receive);
+      events.dispatch({ data: JSON.stringify({ type: TYPE, id: '1', action: 'ping' }) });
+      events.dispatch({ data: 'something else' });
+      sinon.assert.calledOnce(receive);
+      sinon.assert.calledWithMatch(receive, { id: '1', action: 'ping' });
+      unlisten();
+      assert.strictEqual(events.count(), 0);
+    });
+
+    it('ignores message events from frames', () => {
+      const receive = sinon.spy();
+      const unlisten = reactNativeTransport().listen(receive);
+      const data = JSON.stringify({ type: TYPE, id: '1', action: '__WK_CALLBACK__' });
+      events.dispatch({ data, source: { postMessage() {} } });
+      sinon.assert.notCalled(receive);
+      events.dispatch({ data, source: window });
+      sinon.assert.calledOnce(receive);
+      unlisten();
+    });
+  });
+
+  describe('postMessageTransport', () => {
+    let events;
+    beforeEach(() => {
+      events = mockMessageEvents(window);
+    });
+    afterEach(() => {
+      events.restore();
+    });
+
+    it('requires a target origin', () => {
+      assert.throws(() => postMessageTransport(), TypeError);
+    });
+
+    it('posts to the target window and origin', () => {
+      const target = { postMessage: sinon.spy() };
+      const transport = postMessageTransport({ target, targetOrigin: 'https://app.example' });
+      transport.send({ action: 'ping' });
+      sinon.assert.calledWith(target.postMessage, { action: 'ping' }, 'https://app.example');
+    });
+
+    it('only receives payloads from the target window and allowed origins', () => {
+      const target = { postMessage() {} };
+      const receive = sinon.spy();
+      postMessageTransport({ target, targetOrigin: 'https://app.example' }).listen(receive);
+      const data = { type: TYPE, id: '1', action: 'ping' };
+      events.dispatch({ data, source: target, origin: 'https://evil.example' });
+      events.dispatch({ data, source: {}, origin: 'https://app.example' });
+      sinon.assert.notCalled(receive);
+      events.dispatch({ data, source: target, origin: 'https://app.example' });
+      sinon.assert.calledOnce(receive);
+    });
+
+    it('accepts other allowed origins', () => {
+      const target = { postMessage() {} };
+      const receive = sinon.spy();
+      postMessageTransport({
+        target,
+        targetOrigin: 'https://app.example',
+        allowedOrigins: ['https://cdn.example'],
+      }).listen(receive);
+      const data = { type: TYPE, id: '1', action: 'ping' };
+      events.dispatch({ data, source: target, origin: 'https://cdn.example' });
+      sinon.assert.calledOnce(receive);
+    });
+  });
+
+  describe('detectTransport', () => {
+    afterEach(() => {
+      delete window.webkit;
+      delete window.wkPostMessage;
+      delete window.ReactNativeWebView;
+    });
+
+    it('prefers WebKit', () => {
+      window.webkit = { messageHandlers: { wkPostMessage: { postMessage() {} } } };
+      window.ReactNativeWebView = { postMessage() {} };
+      assert.strictEqual(detectTransport().name, 'webkit');
+    });
+
+    it('finds an Android JavaScript interface', () => {
+      window.wkPostMessage = { postMessage() {} };
+      assert.strictEqual(detectTransport({ interfaceName: 'wkPostMessage' }).name, 'android');
+    });
+
+    it('finds React Native', () => {
+      window.ReactNativeWebView = { postMessage() {} };
+      assert.strictEqual(detectTransport().name, 'react-native');
+    });
+
+    it('throws if there is no host', () => {
+      assert.throws(() => detectTransport(), "Can't add message handler wkPostMessage");
+    });
+  });
+
+  describe('resolveTransport', () => {
+    it('accepts custom transports', () => {
+      const transport = { name: 'custom', send() {} };
+      assert.strictEqual(resolveTransport(transport), transport);
+      assert.throws(() => resolveTransport({ name: 'broken' }), TypeError);
+    });
+
+    it('creates built-in transports by name', () => {
+      window.ReactNativeWebView = { postMessage() {} };
+      assert.strictEqual(resolveTransport('react-native').name, 'react-native');
+      delete window.ReactNativeWebView;
+    });
+
+    it('throws for unknown transports', () => {
+      assert.throws(() => resolveTransport('carrier-pigeon'), TypeError);
+    });
+  });
+});